@@ -0,0 +1,169 @@
+/**
+ * apriltag-decoder.js — pure-JS AprilTag 36h11 / 25h9 detector (no WASM, no network).
+ *
+ * Quads come from the js-aruco2 CV pipeline (adaptive threshold → contours → convex
+ * 4-gons). Each quad is rectified, binarised with Otsu and sampled at the centre of every
+ * grid cell; the payload is matched against the family code book in all four rotations
+ * and accepted when at most `maxHamming` bits differ. The families guarantee a minimum
+ * distance of 11 / 9 bits, so up to 5 / 4 flipped bits are correctable; the default of 2
+ * keeps false positives on background texture negligible.
+ *
+ * Code books are read from AR.DICTIONARIES.APRILTAG_36h11 / APRILTAG_25h9 (bundled with
+ * js-aruco2: bit 1 = white cell, row-major from the top-left, MSB first).
+ *
+ * Loaded as a classic script after js-aruco2 and exposed as global `AprilTagDecoder`.
+ */
+(function (global) {
+  'use strict';
+
+  const FAMILIES = {
+    '36h11': { dictionary: 'APRILTAG_36h11', bits: 36, minDistance: 11 },
+    '25h9': { dictionary: 'APRILTAG_25h9', bits: 25, minDistance: 9 }
+  };
+  const CELL_PX = 8; // rectified pixels per grid cell
+
+  function popcount32(v) {
+    v = v - ((v >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  }
+
+  // Row-major bit array → [hi, lo] 32-bit words (codes are up to 36 bits)
+  function packBits(bits) {
+    let hi = 0, lo = 0;
+    for (let i = 0; i < bits.length; i++) {
+      hi = ((hi << 1) | (lo >>> 31)) >>> 0;
+      lo = ((lo << 1) | bits[i]) >>> 0;
+    }
+    return [hi, lo];
+  }
+
+  // Same 90° turn as AR.Detector.rotate, on a flat side×side array
+  function rotateBits(bits, side) {
+    const out = new Array(bits.length);
+    for (let i = 0; i < side; i++) {
+      for (let j = 0; j < side; j++) out[i * side + j] = bits[(side - j - 1) * side + i];
+    }
+    return out;
+  }
+
+  function loadFamily(name, AR) {
+    const spec = FAMILIES[name];
+    if (!spec) throw new Error('unknown AprilTag family: ' + name);
+    const dict = AR && AR.DICTIONARIES && AR.DICTIONARIES[spec.dictionary];
+    if (!dict) throw new Error(spec.dictionary + ' missing from the js-aruco2 bundle');
+    const n = dict.codeList.length;
+    const hi = new Uint32Array(n), lo = new Uint32Array(n);
+    dict.codeList.forEach((c, i) => {
+      const v = typeof c === 'string' ? parseInt(c, 16) : c;
+      hi[i] = Math.floor(v / 4294967296) >>> 0;
+      lo[i] = v >>> 0;
+    });
+    const side = Math.sqrt(spec.bits);
+    return { name, side, markSize: side + 2, hi, lo, maxCorrectable: (spec.minDistance - 1) >> 1 };
+  }
+
+  /** Best code-book match for the sampled payload over the four rotations, or null. */
+  function decodeBits(family, bits, maxHamming) {
+    let best = null;
+    let b = bits;
+    for (let rot = 0; rot < 4; rot++) {
+      const [h, l] = packBits(b);
+      for (let i = 0; i < family.hi.length; i++) {
+        const d = popcount32(h ^ family.hi[i]) + popcount32(l ^ family.lo[i]);
+        if (d <= maxHamming && (!best || d < best.hamming)) best = { id: i, hamming: d, rotation: rot };
+      }
+      if (best && best.hamming === 0) break;
+      b = rotateBits(b, family.side);
+    }
+    return best;
+  }
+
+  class Detector {
+    /**
+     * @param {object} [opts]
+     * @param {string[]} [opts.families=['36h11']] any of '36h11', '25h9'
+     * @param {number} [opts.maxHamming=2] bit errors corrected (clamped to the family limit)
+     * @param {number} [opts.minEdge=10] shortest accepted quad edge, px
+     */
+    constructor({ families = ['36h11'], maxHamming = 2, minEdge = 10 } = {}) {
+      const AR = global.AR, CV = global.CV;
+      if (!AR || !CV) throw new Error('js-aruco2 must be loaded before apriltag-decoder.js');
+      this.families = families.map(f => loadFamily(f, AR));
+      this.maxHamming = maxHamming;
+      this.minEdge = minEdge;
+      this.grey = new CV.Image();
+      this.thres = new CV.Image();
+      this.homography = new CV.Image();
+      this.binary = [];
+      this.polys = [];
+    }
+
+    /**
+     * @param {Uint8Array|Uint8ClampedArray} gray luminance, width*height
+     * @returns {Array<{id:number, family:string, hamming:number, corners:Array<{x:number,y:number}>}>}
+     */
+    detect(gray, width, height) {
+      const CV = global.CV, quad = global.AR.Detector.prototype;
+      this.grey.width = width;
+      this.grey.height = height;
+      this.grey.data = gray;
+      if (this.thres.data.length !== gray.length) this.thres.data = new Uint8ClampedArray(gray.length);
+      CV.adaptiveThreshold(this.grey, this.thres, 2, 7);
+      const contours = CV.findContours(this.thres, this.binary);
+      let candidates = quad.findCandidates.call(this, contours, width * 0.01, 0.05, this.minEdge);
+      candidates = quad.clockwiseCorners.call(this, candidates);
+      candidates = quad.notTooNear.call(this, candidates, 10);
+
+      const found = [];
+      const seen = new Set();
+      for (const candidate of candidates) {
+        for (const family of this.families) {
+          const hit = this._decodeQuad(candidate, family);
+          if (!hit) continue;
+          const key = family.name + ':' + hit.id;
+          if (seen.has(key)) break;
+          seen.add(key);
+          const corners = [0, 1, 2, 3].map(i => candidate[(4 - hit.rotation + i) % 4]);
+          found.push({ id: hit.id, family: family.name, hamming: hit.hamming, corners: corners.map(c => ({ x: c.x, y: c.y })) });
+          break;
+        }
+      }
+      return found;
+    }
+
+    _decodeQuad(candidate, family) {
+      const CV = global.CV;
+      const size = family.markSize * CELL_PX;
+      CV.warp(this.grey, this.homography, candidate, size);
+      CV.threshold(this.homography, this.homography, CV.otsu(this.homography));
+
+      // Sample the central half of each cell so blur across cell edges does not flip bits
+      const inset = CELL_PX >> 2, span = CELL_PX - 2 * inset;
+      const square = { x: 0, y: 0, width: span, height: span };
+      const half = (span * span) >> 1;
+      const bits = [];
+      for (let r = 0; r < family.markSize; r++) {
+        for (let c = 0; c < family.markSize; c++) {
+          square.x = c * CELL_PX + inset;
+          square.y = r * CELL_PX + inset;
+          const white = CV.countNonZero(this.homography, square) > half ? 1 : 0;
+          const border = r === 0 || c === 0 || r === family.markSize - 1 || c === family.markSize - 1;
+          if (border) {
+            if (white) return null; // AprilTags have a solid black border ring
+          } else {
+            bits.push(white);
+          }
+        }
+      }
+      return decodeBits(family, bits, Math.min(this.maxHamming, family.maxCorrectable));
+    }
+  }
+
+  global.AprilTagDecoder = {
+    FAMILIES: Object.keys(FAMILIES),
+    Detector,
+    decodeBits,
+    loadFamily
+  };
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : (typeof globalThis !== 'undefined' ? globalThis : {})));
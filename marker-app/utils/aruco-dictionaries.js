@@ -0,0 +1,162 @@
+/**
+ * aruco-dictionaries.js — dictionary selection on top of js-aruco2's AR.DICTIONARIES.
+ *
+ *  - case-insensitive lookup, also accepting OpenCV names (DICT_4X4_50 → ARUCO_4X4_50)
+ *  - the OpenCV 50/100/250 variants, which are prefixes of the bundled *_1000 code lists
+ *  - runtime registration of custom dictionaries from a JSON codeList
+ *  - detector creation, including AUTO (one detector per candidate dictionary)
+ *
+ * js-aruco2 accepts a code when its Hamming distance is strictly below `tau`; here
+ * `maxHammingDistance` is the number of bit errors tolerated, i.e. tau = max + 1.
+ *
+ * Loaded as a classic script after js-aruco2 and exposed as global `ArucoDictionaries`.
+ */
+(function (global) {
+  'use strict';
+
+  const AUTO = 'AUTO';
+  const AUTO_CANDIDATES = ['ARUCO', 'ARUCO_4X4_50', 'ARUCO_5X5_1000', 'ARUCO_MIP_36h12'];
+  const PREFIX_VARIANTS = [50, 100, 250];
+
+  function dictionaries(AR) {
+    return (AR && AR.DICTIONARIES) || {};
+  }
+
+  /** Register ARUCO_NxN_50/100/250 from the bundled ARUCO_NxN_1000 lists (idempotent). */
+  function addPrefixVariants(AR) {
+    const dicts = dictionaries(AR);
+    for (const base of Object.keys(dicts)) {
+      const m = /^(ARUCO_\dX\d)_1000$/.exec(base);
+      if (!m) continue;
+      for (const n of PREFIX_VARIANTS) {
+        const name = m[1] + '_' + n;
+        if (!dicts[name]) dicts[name] = { nBits: dicts[base].nBits, tau: null, codeList: dicts[base].codeList.slice(0, n) };
+      }
+    }
+  }
+
+  function canonicalKey(name) {
+    return String(name || '').trim().toUpperCase().replace(/[\s-]+/g, '_').replace(/^DICT_/, 'ARUCO_');
+  }
+
+  /** Registered dictionary name matching `name` (any case), 'AUTO', or null. */
+  function resolveName(AR, name) {
+    const key = canonicalKey(name);
+    if (key === AUTO) return AUTO;
+    if (key === 'ARUCO_ORIGINAL' || key === 'ARUCO_DEFAULT') return 'ARUCO';
+    addPrefixVariants(AR);
+    const dicts = dictionaries(AR);
+    if (dicts[name]) return name;
+    return Object.keys(dicts).find(k => canonicalKey(k) === key) || null;
+  }
+
+  function list(AR) {
+    addPrefixVariants(AR);
+    return Object.keys(dictionaries(AR)).map(name => ({
+      name,
+      nBits: dictionaries(AR)[name].nBits,
+      size: dictionaries(AR)[name].codeList.length,
+      custom: !!dictionaries(AR)[name].custom
+    }));
+  }
+
+  /**
+   * js-aruco2 reads numbers and hex strings as codes; a string of '0'/'1' characters is
+   * taken as the bit pattern instead (row-major, '1' = white cell) and packed into the
+   * byte-array form the library also understands. Such strings must be exactly nBits
+   * long — write hex codes made of 0/1 digits with a '0x' prefix.
+   */
+  function normalizeCode(code, nBits) {
+    if (typeof code === 'string' && /^[01]+$/.test(code)) {
+      if (code.length !== nBits) throw new Error('bit string "' + code + '" is not ' + nBits + ' bits long');
+      const bytes = [];
+      for (let i = 0; i < nBits; i += 8) bytes.push(parseInt(code.slice(i, Math.min(nBits, i + 8)), 2));
+      return bytes;
+    }
+    if (Array.isArray(code) && code.length === Math.sqrt(nBits) && code.every(Array.isArray)) {
+      return normalizeCode(code.map(row => row.join('')).join(''), nBits);
+    }
+    return code;
+  }
+
+  /**
+   * Register (or replace) a custom dictionary. Bundled dictionaries cannot be overridden.
+   * @param {object} def { name, codeList, nBits?, markSize?, tau? } — nBits defaults to the
+   *        bit-string length, markSize (bits per side incl. border) is an alternative to nBits
+   * @returns {string} the registered name
+   */
+  function register(AR, def) {
+    if (!AR || !AR.DICTIONARIES || !AR.Dictionary) throw new Error('js-aruco2 not loaded');
+    if (!def || !Array.isArray(def.codeList) || !def.codeList.length) throw new Error('codeList must be a non-empty array');
+    const name = String(def.name || '').trim();
+    if (!name || canonicalKey(name) === AUTO) throw new Error('invalid dictionary name: ' + def.name);
+    let nBits = Number(def.nBits) || (def.markSize ? (def.markSize - 2) * (def.markSize - 2) : 0);
+    if (!nBits && typeof def.codeList[0] === 'string' && /^[01]+$/.test(def.codeList[0])) nBits = def.codeList[0].length;
+    const side = Math.sqrt(nBits);
+    if (!(side >= 2 && Number.isInteger(side))) throw new Error('nBits must be a square number, got ' + nBits);
+
+    const existing = resolveName(AR, name);
+    const key = existing && existing !== AUTO ? existing : name;
+    const previous = AR.DICTIONARIES[key];
+    if (previous && !previous.custom) throw new Error(key + ' is a built-in dictionary');
+    try {
+      AR.DICTIONARIES[key] = {
+        custom: true,
+        nBits,
+        tau: Number(def.tau) > 0 ? Number(def.tau) : null,
+        codeList: def.codeList.map(c => normalizeCode(c, nBits))
+      };
+      new AR.Dictionary(key); // validates every code (the library throws strings)
+    } catch (err) {
+      if (previous) AR.DICTIONARIES[key] = previous;
+      else delete AR.DICTIONARIES[key];
+      throw new Error(String((err && err.message) || err));
+    }
+    return key;
+  }
+
+  function unregister(AR, name) {
+    const key = resolveName(AR, name);
+    if (!key || key === AUTO || !AR.DICTIONARIES[key].custom) return false;
+    delete AR.DICTIONARIES[key];
+    return true;
+  }
+
+  /**
+   * Build detectors for `name` (or one per AUTO candidate present in the bundle).
+   * Unknown names throw; AUTO silently skips missing candidates.
+   * @returns {{ names: string[], detectors: object[] }}
+   */
+  function createDetectors(AR, name, { maxHammingDistance = null } = {}) {
+    const resolved = resolveName(AR, name || 'ARUCO');
+    if (!resolved) throw new Error('unknown dictionary: ' + name);
+    const config = (dictionaryName) => {
+      const cfg = { dictionaryName };
+      if (typeof maxHammingDistance === 'number' && maxHammingDistance >= 0) cfg.maxHammingDistance = Math.floor(maxHammingDistance) + 1;
+      return cfg;
+    };
+    if (resolved !== AUTO) return { names: [resolved], detectors: [new AR.Detector(config(resolved))] };
+    const names = [], detectors = [];
+    for (const candidate of AUTO_CANDIDATES) {
+      const n = resolveName(AR, candidate);
+      if (!n || n === AUTO) continue;
+      try {
+        detectors.push(new AR.Detector(config(n)));
+        names.push(n);
+      } catch (_err) { /* not in this build */ }
+    }
+    if (!detectors.length) throw new Error('no AUTO dictionary available');
+    return { names, detectors };
+  }
+
+  global.ArucoDictionaries = {
+    AUTO,
+    AUTO_CANDIDATES,
+    addPrefixVariants,
+    resolveName,
+    list,
+    register,
+    unregister,
+    createDetectors
+  };
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : (typeof globalThis !== 'undefined' ? globalThis : {})));
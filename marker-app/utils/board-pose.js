@@ -0,0 +1,151 @@
+/**
+ * board-pose.js — one pose for a rigid layout of markers, from every visible corner at once
+ * (the same idea as OpenCV's estimatePoseBoard for a GridBoard).
+ *
+ * Layout: for each marker id, its four corners TL, TR, BR, BL as [X, Y, Z] in the board
+ * frame. Observations: the detected corners of those markers as undistorted normalised image
+ * points (x right, y down). The result maps board points into the camera frame
+ * (x right, y down, z forward): X_cam = R · X_board + t.
+ *
+ * Starting poses come from IPPE on each observed marker (both planar solutions), carried
+ * into the board frame through that marker's placement. The start with the lowest median
+ * marker residual is polished by Levenberg–Marquardt over all corners. With three or more
+ * markers, one whose residual stands far above the others (a misread ID, a corner on the
+ * wrong edge) is left out of the polish and reported as rejected.
+ *
+ * Loaded as a classic script after ippe.js and exposed as global `BoardPose`.
+ */
+(function (global) {
+  'use strict';
+
+  const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  const norm = (a) => Math.hypot(a[0], a[1], a[2]);
+  const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+  /**
+   * Where a marker sits on the board: centre, side length and the rotation M whose columns
+   * are the marker's x (TL→TR), y (TL→BL) and normal axes in board coordinates.
+   */
+  function placement(obj) {
+    const centre = [0, 1, 2].map(k => (obj[0][k] + obj[1][k] + obj[2][k] + obj[3][k]) / 4);
+    const side = (norm(sub(obj[1], obj[0])) + norm(sub(obj[2], obj[1])) + norm(sub(obj[2], obj[3])) + norm(sub(obj[3], obj[0]))) / 4;
+    if (!(side > 0)) return null;
+    const ex = scale(sub(obj[1], obj[0]), 1 / norm(sub(obj[1], obj[0])));
+    const ez0 = cross(ex, sub(obj[3], obj[0]));
+    if (!(norm(ez0) > 0)) return null;
+    const ez = scale(ez0, 1 / norm(ez0));
+    const ey = cross(ez, ex);
+    return { centre, side, M: [0, 1, 2].map(i => [ex[i], ey[i], ez[i]]) };
+  }
+
+  // Marker pose (R_m, t_m) → board pose: R_b = R_m · Mᵀ, t_b = t_m − R_b · centre
+  function boardFromMarker(sol, place) {
+    const { M, centre } = place;
+    const R = sol.R.map(row => [0, 1, 2].map(j => row[0] * M[j][0] + row[1] * M[j][1] + row[2] * M[j][2]));
+    const t = [0, 1, 2].map(i => sol.t[i] - (R[i][0] * centre[0] + R[i][1] * centre[1] + R[i][2] * centre[2]));
+    return { R, t };
+  }
+
+  // Reprojection RMS (normalised units) of each observation, and over all of them
+  function markerResiduals(R, t, observations) {
+    let total = 0, n = 0;
+    const per = observations.map(o => {
+      let s = 0;
+      for (let i = 0; i < 4; i++) {
+        const [X, Y, Z] = o.obj[i];
+        const cx = R[0][0] * X + R[0][1] * Y + R[0][2] * Z + t[0];
+        const cy = R[1][0] * X + R[1][1] * Y + R[1][2] * Z + t[1];
+        const cz = R[2][0] * X + R[2][1] * Y + R[2][2] * Z + t[2];
+        if (!(cz > 0)) return Infinity;
+        const dx = cx / cz - o.img[i].x, dy = cy / cz - o.img[i].y;
+        s += dx * dx + dy * dy;
+      }
+      total += s;
+      n += 4;
+      return Math.sqrt(s / 4);
+    });
+    return { per, rms: n ? Math.sqrt(total / n) : Infinity };
+  }
+
+  const median = (v) => { const s = v.slice().sort((a, b) => a - b); return s[Math.floor(s.length / 2)]; };
+
+  // Best starting pose: the IPPE solution whose median marker residual is lowest, so one
+  // misplaced marker cannot outvote the rest
+  function bestStart(observations) {
+    let best = null;
+    for (const o of observations) {
+      for (const sol of IPPE.solveSquare(o.img, o.place.side, { refine: false })) {
+        const start = boardFromMarker(sol, o.place);
+        const score = median(markerResiduals(start.R, start.t, observations).per);
+        if (!best || score < best.score) best = { R: start.R, t: start.t, score };
+      }
+    }
+    return best && Number.isFinite(best.score) ? best : null;
+  }
+
+  function refine(pose, observations, iterations) {
+    const before = markerResiduals(pose.R, pose.t, observations).rms;
+    const refined = IPPE.refine(pose.R, pose.t, observations.flatMap(o => o.obj), observations.flatMap(o => o.img), { iterations });
+    return refined.rms <= before ? refined : pose;
+  }
+
+  /**
+   * @param {Array<{id:number, corners:Array<{x:number,y:number}>}>} observations normalised
+   *   corners TL, TR, BR, BL; ids missing from the layout are ignored
+   * @param {Object<string, number[][]>} layout id → four [X, Y, Z] board-frame corners
+   * @param {object} [opts]
+   * @param {number} [opts.focal=1] px per normalised unit, for the px thresholds below
+   * @param {number} [opts.outlierPx=4] residual a marker may always have
+   * @param {number} [opts.outlierRatio=3] … or this many times the median marker residual
+   * @param {number} [opts.iterations=20] Levenberg–Marquardt iterations
+   * @returns {{R:number[][], t:number[], rms:number, ids:number[], residuals:Object<number,number>, rejected:number[]}|null}
+   *   rms and residuals in normalised units; rejected = ids dropped as outliers
+   */
+  function solve(observations, layout, { focal = 1, outlierPx = 4, outlierRatio = 3, iterations = 20 } = {}) {
+    let used = [];
+    for (const o of observations || []) {
+      const obj = layout && layout[o.id];
+      if (!Array.isArray(obj) || obj.length !== 4 || !o.corners || o.corners.length !== 4) continue;
+      const place = placement(obj);
+      if (place) used.push({ id: o.id, obj: obj.map(p => [p[0], p[1], p[2] || 0]), img: o.corners, place });
+    }
+    if (!used.length) return null;
+
+    const start = bestStart(used);
+    if (!start) return null;
+    // With three or more markers, leave out those the start pose already cannot explain,
+    // polish on the rest, then check everyone again against the polished pose
+    const robust = used.length >= 3;
+    const limitFor = (per) => Math.max(outlierPx / focal, outlierRatio * median(per));
+    let kept = used;
+    if (robust) {
+      const per = markerResiduals(start.R, start.t, used).per;
+      const limit = limitFor(per);
+      const inliers = used.filter((o, i) => per[i] <= limit);
+      if (inliers.length >= 2) kept = inliers;
+    }
+    let pose = refine(start, kept, iterations);
+    if (robust) {
+      const per = markerResiduals(pose.R, pose.t, used).per;
+      const limit = limitFor(per);
+      const inliers = used.filter((o, i) => per[i] <= limit);
+      if (inliers.length >= 2 && (inliers.length !== kept.length || inliers.some((o, i) => o !== kept[i]))) {
+        kept = inliers;
+        pose = refine(pose, kept, iterations);
+      }
+    }
+    const rejected = used.filter(o => !kept.includes(o)).map(o => o.id);
+    used = kept;
+    const res = markerResiduals(pose.R, pose.t, used);
+
+    const residuals = {};
+    used.forEach((o, i) => { residuals[o.id] = res.per[i]; });
+    return { R: pose.R, t: pose.t, rms: res.rms, ids: used.map(o => o.id), residuals, rejected };
+  }
+
+  global.BoardPose = {
+    solve,
+    placement
+  };
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : (typeof globalThis !== 'undefined' ? globalThis : {})));
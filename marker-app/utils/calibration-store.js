@@ -0,0 +1,220 @@
+/**
+ * calibration-store.js — per-camera, per-resolution calibration profiles.
+ *
+ * Profiles are keyed by camera identity (deviceId + label) and capture resolution, so
+ * different devices sharing a browser profile no longer overwrite each other. When the
+ * stream resolution differs from the calibrated one the intrinsics are rescaled
+ * (same aspect → uniform scale; swapped aspect → portrait/landscape transpose;
+ * other aspect → centre-crop model, flagged approximate).
+ *
+ * Persisted in localStorage under `expear.calibrationProfiles.v1`; the legacy single
+ * `expear.cameraMatrix` / `expear.distCoeffs` pair is migrated on first use.
+ */
+
+const STORAGE_KEY = 'expear.calibrationProfiles.v1';
+const LEGACY_MATRIX_KEY = 'expear.cameraMatrix';
+const LEGACY_DIST_KEY = 'expear.distCoeffs';
+const EXPORT_FORMAT = 'expear-calibration-profiles';
+
+function isFiniteArray(a, minLen) {
+    return Array.isArray(a) && a.length >= minLen && a.every(v => typeof v === 'number' && Number.isFinite(v));
+}
+
+/**
+ * Rescale a row-major 3×3 camera matrix calibrated at (fromW, fromH) to (toW, toH).
+ * Streams with a different aspect ratio are assumed to be a centred crop of the same sensor
+ * readout (what mobile browsers do for 4:3 ↔ 16:9), i.e. "cover" scaling.
+ */
+export function rescaleCameraMatrix(K, fromW, fromH, toW, toH) {
+    const sx = toW / fromW, sy = toH / fromH;
+    const s = Math.max(sx, sy);
+    const ox = (toW - fromW * s) / 2, oy = (toH - fromH * s) / 2;
+    return [K[0] * s, 0, K[2] * s + ox, 0, K[4] * s, K[5] * s + oy, 0, 0, 1];
+}
+
+/**
+ * Adapt intrinsics + distortion from one stream size to another. A swapped aspect ratio is
+ * treated as a device rotation (portrait ↔ landscape): focal lengths, principal point and
+ * tangential terms are transposed. The true rotation direction is unknown here, so the
+ * principal point is only exact when it is close to the image centre; otherwise the
+ * result is flagged `approximate`.
+ */
+export function adaptCalibration(K, distCoeffs, fromW, fromH, toW, toH) {
+    const d = Array.isArray(distCoeffs) ? distCoeffs.slice() : null;
+    const fromLandscape = fromW >= fromH, toLandscape = toW >= toH;
+    if (fromW !== fromH && toW !== toH && fromLandscape !== toLandscape) {
+        const T = [K[4], 0, K[5], 0, K[0], K[2], 0, 0, 1];
+        if (d && d.length >= 4) { const p1 = d[2]; d[2] = d[3]; d[3] = p1; }
+        // Rotating one way maps cx to cy, the other way to H - cy: they agree only at the centre
+        const tol = 0.005 * Math.max(fromW, fromH);
+        const centred = Math.abs(K[2] - fromW / 2) <= tol && Math.abs(K[5] - fromH / 2) <= tol;
+        const cropped = Math.abs(fromH / fromW - toW / toH) >= 0.01;
+        return { cameraMatrix: rescaleCameraMatrix(T, fromH, fromW, toW, toH), distCoeffs: d, rotated: true, approximate: cropped || !centred };
+    }
+    const approximate = Math.abs(fromW / fromH - toW / toH) >= 0.01;
+    return { cameraMatrix: rescaleCameraMatrix(K, fromW, fromH, toW, toH), distCoeffs: d, rotated: false, approximate };
+}
+
+export class CalibrationStore {
+    constructor({ storage = (typeof localStorage !== 'undefined' ? localStorage : null), key = STORAGE_KEY } = {}) {
+        this._storage = storage;
+        this._key = key;
+        this._profiles = this._read();
+    }
+
+    static cameraKey({ deviceId = '', label = '' } = {}) {
+        return (label || deviceId || 'default').trim();
+    }
+
+    static profileId(camera, width, height) {
+        return `${CalibrationStore.cameraKey(camera)}@${Math.round(width)}x${Math.round(height)}`;
+    }
+
+    _read() {
+        if (!this._storage) return {};
+        try {
+            const raw = this._storage.getItem(this._key);
+            const parsed = raw ? JSON.parse(raw) : null;
+            return (parsed && parsed.profiles && typeof parsed.profiles === 'object') ? parsed.profiles : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    _write() {
+        if (!this._storage) return;
+        try {
+            this._storage.setItem(this._key, JSON.stringify({ version: 1, profiles: this._profiles }));
+        } catch (e) { /* quota / private mode: keep in memory */ }
+    }
+
+    list() {
+        return Object.keys(this._profiles).map(id => Object.assign({ id }, this._profiles[id]));
+    }
+
+    /** Save (or replace) the profile for `camera` at width×height. Returns the stored profile id. */
+    save({ deviceId = '', label = '', width, height, cameraMatrix, distCoeffs = null, rms = null, source = 'manual' }) {
+        if (!isFiniteArray(cameraMatrix, 9)) throw new Error('cameraMatrix must be 9 numbers');
+        if (!(width > 0 && height > 0)) throw new Error('profile resolution required');
+        const id = CalibrationStore.profileId({ deviceId, label }, width, height);
+        this._profiles[id] = {
+            deviceId, label,
+            width: Math.round(width), height: Math.round(height),
+            cameraMatrix: cameraMatrix.slice(0, 9),
+            distCoeffs: isFiniteArray(distCoeffs, 1) ? distCoeffs.slice() : null,
+            rms: Number.isFinite(rms) ? rms : null,
+            source,
+            updatedAt: new Date().toISOString()
+        };
+        this._write();
+        return id;
+    }
+
+    remove(id) {
+        if (!this._profiles[id]) return false;
+        delete this._profiles[id];
+        this._write();
+        return true;
+    }
+
+    /**
+     * Best profile for a camera at the given resolution, with intrinsics adapted to it.
+     * Match priority: deviceId, then label; exact resolution, then same aspect, then any.
+     * A camera with neither (file / synthetic sources, browsers hiding them) matches the
+     * profiles saved without an identity (`default@WxH`). Returns null when there is no profile.
+     */
+    find({ deviceId = '', label = '', width, height }) {
+        const all = this.list();
+        let candidates = deviceId ? all.filter(p => p.deviceId && p.deviceId === deviceId) : [];
+        if (!candidates.length && label) candidates = all.filter(p => p.label && p.label === label);
+        if (!deviceId && !label) candidates = all.filter(p => !p.deviceId && !p.label);
+        if (!candidates.length) return null;
+
+        const aspect = width / height;
+        const rotatedAspect = (p) => Math.abs(p.height / p.width - aspect) < 0.01 && (p.width >= p.height) !== (width >= height);
+        const score = (p) => {
+            if (p.width === Math.round(width) && p.height === Math.round(height)) return 0;
+            const aspectDiff = Math.abs(p.width / p.height - aspect);
+            const sizeTerm = Math.abs(Math.log(Math.max(p.width, p.height) / Math.max(width, height))) * 0.1;
+            if (aspectDiff < 0.01) return 1 + sizeTerm;
+            if (rotatedAspect(p)) return 1.5 + sizeTerm;
+            return 2 + sizeTerm;
+        };
+        const best = candidates.slice().sort((a, b) => score(a) - score(b))[0];
+        const exact = score(best) === 0;
+        const adapted = exact
+            ? { cameraMatrix: best.cameraMatrix.slice(), distCoeffs: best.distCoeffs ? best.distCoeffs.slice() : null, rotated: false, approximate: false }
+            : adaptCalibration(best.cameraMatrix, best.distCoeffs, best.width, best.height, width, height);
+        return {
+            id: best.id,
+            profile: best,
+            cameraMatrix: adapted.cameraMatrix,
+            distCoeffs: adapted.distCoeffs,
+            rescaled: !exact,
+            rotated: adapted.rotated,
+            approximate: adapted.approximate
+        };
+    }
+
+    /**
+     * Move the legacy global cameraMatrix/distCoeffs pair into a profile for `camera`.
+     * The legacy keys carry no resolution, so they are attributed to the current one.
+     */
+    migrateLegacy(camera, width, height) {
+        if (!this._storage) return null;
+        let K = null, d = null;
+        try {
+            K = JSON.parse(this._storage.getItem(LEGACY_MATRIX_KEY) || 'null');
+            d = JSON.parse(this._storage.getItem(LEGACY_DIST_KEY) || 'null');
+        } catch (e) { /* corrupt legacy entry */ }
+        if (!isFiniteArray(K, 9)) return null;
+        let id = null;
+        if (!this.find(Object.assign({ width, height }, camera))) {
+            id = this.save(Object.assign({ width, height, cameraMatrix: K, distCoeffs: d, source: 'legacy' }, camera));
+        }
+        try {
+            this._storage.removeItem(LEGACY_MATRIX_KEY);
+            this._storage.removeItem(LEGACY_DIST_KEY);
+        } catch (e) { /* ignore */ }
+        return id;
+    }
+
+    exportJSON(ids = null) {
+        const profiles = this.list().filter(p => !ids || ids.includes(p.id)).map(p => {
+            const out = Object.assign({}, p);
+            delete out.id;
+            return out;
+        });
+        return JSON.stringify({ format: EXPORT_FORMAT, version: 1, exportedAt: new Date().toISOString(), profiles }, null, 2);
+    }
+
+    /**
+     * Import profiles exported by exportJSON (string or parsed object).
+     * Existing profiles with the same camera/resolution are replaced unless `overwrite` is false.
+     * Returns the number of profiles imported.
+     */
+    importJSON(json, { overwrite = true } = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.profiles)) {
+            throw new Error('formato profili non riconosciuto');
+        }
+        let count = 0;
+        for (const p of data.profiles) {
+            if (!p || !isFiniteArray(p.cameraMatrix, 9) || !(p.width > 0 && p.height > 0)) continue;
+            const id = CalibrationStore.profileId(p, p.width, p.height);
+            if (!overwrite && this._profiles[id]) continue;
+            this._profiles[id] = {
+                deviceId: String(p.deviceId || ''), label: String(p.label || ''),
+                width: Math.round(p.width), height: Math.round(p.height),
+                cameraMatrix: p.cameraMatrix.slice(0, 9),
+                distCoeffs: isFiniteArray(p.distCoeffs, 1) ? p.distCoeffs.slice() : null,
+                rms: Number.isFinite(p.rms) ? p.rms : null,
+                source: 'import',
+                updatedAt: p.updatedAt || new Date().toISOString()
+            };
+            count++;
+        }
+        if (count) this._write();
+        return count;
+    }
+}
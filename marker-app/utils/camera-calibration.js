@@ -0,0 +1,503 @@
+/**
+ * camera-calibration.js — pure-JS camera intrinsics calibration from a printed ArUco grid.
+ *
+ * Implements Zhang's planar calibration:
+ *   1. per-view homography (normalised DLT) from board plane → image
+ *   2. closed-form intrinsics from the homography constraints
+ *   3. per-view extrinsics
+ *   4. Levenberg–Marquardt refinement of fx, fy, cx, cy, k1, k2, p1, p2 (k3 optional)
+ *      together with every view pose, minimising reprojection error.
+ *
+ * Distortion follows the OpenCV / Brown–Conrady convention: distCoeffs = [k1, k2, p1, p2, k3].
+ * Results are expressed in the pixel space of the observed corners (overlay = video resolution).
+ */
+
+// ── Calibration board ──────────────────────────────────────────────────────
+
+/**
+ * Grid of ArUco markers printed on a flat sheet. Marker (col,row) occupies the
+ * square starting at (col·(L+S), row·(L+S)) in board millimetres, X right / Y down.
+ * Corner order matches js-aruco2 output: top-left, top-right, bottom-right, bottom-left.
+ */
+export class ArucoCalibrationBoard {
+    constructor({ columns = 5, rows = 2, ids = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], markerLengthMM = 40, separationMM = 10 } = {}) {
+        this.columns = Math.max(1, Math.floor(columns));
+        this.rows = Math.max(1, Math.floor(rows));
+        this.ids = ids.slice(0, this.columns * this.rows).map(Number);
+        this.markerLengthMM = Math.max(1, Number(markerLengthMM) || 40);
+        this.separationMM = Math.max(0, Number(separationMM) || 0);
+        this._corners = new Map();
+        const L = this.markerLengthMM, step = L + this.separationMM;
+        this.ids.forEach((id, i) => {
+            const x0 = (i % this.columns) * step;
+            const y0 = Math.floor(i / this.columns) * step;
+            this._corners.set(id, [[x0, y0], [x0 + L, y0], [x0 + L, y0 + L], [x0, y0 + L]]);
+        });
+    }
+
+    has(id) { return this._corners.has(Number(id)); }
+
+    /** Board-plane corners (mm) for a marker id, or null if the id is not on the board. */
+    objectCorners(id) { return this._corners.get(Number(id)) || null; }
+
+    get widthMM() { return this.columns * this.markerLengthMM + (this.columns - 1) * this.separationMM; }
+    get heightMM() { return this.rows * this.markerLengthMM + (this.rows - 1) * this.separationMM; }
+
+    /**
+     * Build a printable SVG of the board. `dictionary` is an AR.Dictionary (js-aruco2);
+     * each marker is drawn with its 1-cell black border, board gets a white margin.
+     */
+    toSVG(dictionary, { marginMM = 10 } = {}) {
+        const W = this.widthMM + marginMM * 2, H = this.heightMM + marginMM * 2;
+        let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${W}mm" height="${H}mm" viewBox="0 0 ${W} ${H}">`;
+        svg += `<rect x="0" y="0" width="${W}" height="${H}" fill="white"/>`;
+        for (const id of this.ids) {
+            const code = dictionary && dictionary.codeList ? dictionary.codeList[id] : null;
+            if (!code) continue;
+            const [x0, y0] = this._corners.get(id)[0];
+            const cells = dictionary.markSize;           // data bits + black border
+            const bitsPerRow = cells - 2;
+            const cell = this.markerLengthMM / cells;
+            const ox = x0 + marginMM, oy = y0 + marginMM;
+            svg += `<rect x="${ox}" y="${oy}" width="${this.markerLengthMM}" height="${this.markerLengthMM}" fill="black"/>`;
+            for (let y = 0; y < bitsPerRow; y++) {
+                for (let x = 0; x < bitsPerRow; x++) {
+                    if (code[y * bitsPerRow + x] === '1') {
+                        svg += `<rect x="${ox + (x + 1) * cell}" y="${oy + (y + 1) * cell}" width="${cell}" height="${cell}" fill="white"/>`;
+                    }
+                }
+            }
+            svg += `<text x="${ox}" y="${oy + this.markerLengthMM + 3}" font-size="2.5" fill="#888">${id}</text>`;
+        }
+        svg += '</svg>';
+        return svg;
+    }
+}
+
+// ── Small dense linear algebra ─────────────────────────────────────────────
+
+/** Cyclic Jacobi eigen-decomposition of a symmetric n×n matrix (array of rows). */
+function symmetricEigen(A) {
+    const n = A.length;
+    const a = A.map(r => r.slice());
+    const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let off = 0;
+        for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) off += a[i][j] * a[i][j];
+        if (off < 1e-30) break;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(a[p][q]) < 1e-300) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p], akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k], aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p], vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+    return { values: a.map((r, i) => r[i]), vectors: v };
+}
+
+/** Unit vector minimising |M x| — eigenvector of MᵀM with the smallest eigenvalue. */
+function nullVector(rows) {
+    const n = rows[0].length;
+    const ata = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (const r of rows) {
+        for (let i = 0; i < n; i++) {
+            if (r[i] === 0) continue;
+            for (let j = i; j < n; j++) ata[i][j] += r[i] * r[j];
+        }
+    }
+    for (let i = 0; i < n; i++) for (let j = 0; j < i; j++) ata[i][j] = ata[j][i];
+    const { values, vectors } = symmetricEigen(ata);
+    let best = 0;
+    for (let i = 1; i < n; i++) if (values[i] < values[best]) best = i;
+    return vectors.map(r => r[best]);
+}
+
+/** Solve the symmetric positive-definite system A x = b (Cholesky). Returns null if not SPD. */
+function choleskySolve(A, b) {
+    const n = b.length;
+    const L = Array.from({ length: n }, () => new Float64Array(n));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let s = A[i][j];
+            for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+            if (i === j) {
+                if (s <= 0) return null;
+                L[i][i] = Math.sqrt(s);
+            } else {
+                L[i][j] = s / L[j][j];
+            }
+        }
+    }
+    const y = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        let s = b[i];
+        for (let k = 0; k < i; k++) s -= L[i][k] * y[k];
+        y[i] = s / L[i][i];
+    }
+    const x = new Float64Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let s = y[i];
+        for (let k = i + 1; k < n; k++) s -= L[k][i] * x[k];
+        x[i] = s / L[i][i];
+    }
+    return x;
+}
+
+function rodriguesToMatrix(r) {
+    const theta = Math.hypot(r[0], r[1], r[2]);
+    if (theta < 1e-12) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    const kx = r[0] / theta, ky = r[1] / theta, kz = r[2] / theta;
+    const c = Math.cos(theta), s = Math.sin(theta), v = 1 - c;
+    return [
+        [kx * kx * v + c, kx * ky * v - kz * s, kx * kz * v + ky * s],
+        [ky * kx * v + kz * s, ky * ky * v + c, ky * kz * v - kx * s],
+        [kz * kx * v - ky * s, kz * ky * v + kx * s, kz * kz * v + c]
+    ];
+}
+
+function matrixToRodrigues(R) {
+    // via quaternion (numerically safe near 0 and π)
+    const tr = R[0][0] + R[1][1] + R[2][2];
+    let qw, qx, qy, qz;
+    if (tr > 0) {
+        const s = Math.sqrt(tr + 1) * 2;
+        qw = 0.25 * s; qx = (R[2][1] - R[1][2]) / s; qy = (R[0][2] - R[2][0]) / s; qz = (R[1][0] - R[0][1]) / s;
+    } else if (R[0][0] > R[1][1] && R[0][0] > R[2][2]) {
+        const s = Math.sqrt(1 + R[0][0] - R[1][1] - R[2][2]) * 2;
+        qw = (R[2][1] - R[1][2]) / s; qx = 0.25 * s; qy = (R[0][1] + R[1][0]) / s; qz = (R[0][2] + R[2][0]) / s;
+    } else if (R[1][1] > R[2][2]) {
+        const s = Math.sqrt(1 + R[1][1] - R[0][0] - R[2][2]) * 2;
+        qw = (R[0][2] - R[2][0]) / s; qx = (R[0][1] + R[1][0]) / s; qy = 0.25 * s; qz = (R[1][2] + R[2][1]) / s;
+    } else {
+        const s = Math.sqrt(1 + R[2][2] - R[0][0] - R[1][1]) * 2;
+        qw = (R[1][0] - R[0][1]) / s; qx = (R[0][2] + R[2][0]) / s; qy = (R[1][2] + R[2][1]) / s; qz = 0.25 * s;
+    }
+    if (qw < 0) { qw = -qw; qx = -qx; qy = -qy; qz = -qz; }
+    const sinHalf = Math.hypot(qx, qy, qz);
+    if (sinHalf < 1e-12) return [0, 0, 0];
+    const angle = 2 * Math.atan2(sinHalf, qw);
+    return [qx / sinHalf * angle, qy / sinHalf * angle, qz / sinHalf * angle];
+}
+
+// ── Projection model ───────────────────────────────────────────────────────
+
+/**
+ * Project board point (X, Y, 0) with pose (R, t) through intrinsics
+ * k = [fx, fy, cx, cy, k1, k2, p1, p2, k3].
+ */
+function projectBoardPoint(k, R, t, X, Y) {
+    const xc = R[0][0] * X + R[0][1] * Y + t[0];
+    const yc = R[1][0] * X + R[1][1] * Y + t[1];
+    const zc = R[2][0] * X + R[2][1] * Y + t[2];
+    const x = xc / zc, y = yc / zc;
+    const r2 = x * x + y * y;
+    const radial = 1 + k[4] * r2 + k[5] * r2 * r2 + k[8] * r2 * r2 * r2;
+    const xd = x * radial + 2 * k[6] * x * y + k[7] * (r2 + 2 * x * x);
+    const yd = y * radial + k[6] * (r2 + 2 * y * y) + 2 * k[7] * x * y;
+    return [k[0] * xd + k[2], k[1] * yd + k[3]];
+}
+
+// ── Closed-form initialisation ─────────────────────────────────────────────
+
+function normalisationTransform(pts) {
+    let mx = 0, my = 0;
+    for (const p of pts) { mx += p[0]; my += p[1]; }
+    mx /= pts.length; my /= pts.length;
+    let d = 0;
+    for (const p of pts) d += Math.hypot(p[0] - mx, p[1] - my);
+    const s = Math.SQRT2 / Math.max(1e-12, d / pts.length);
+    return { s, mx, my };
+}
+
+/** Homography H (3×3 rows) mapping board (X,Y) → image (u,v), normalised DLT. */
+function estimateHomography(objPts, imgPts) {
+    const No = normalisationTransform(objPts), Ni = normalisationTransform(imgPts);
+    const rows = [];
+    for (let i = 0; i < objPts.length; i++) {
+        const X = (objPts[i][0] - No.mx) * No.s, Y = (objPts[i][1] - No.my) * No.s;
+        const u = (imgPts[i][0] - Ni.mx) * Ni.s, v = (imgPts[i][1] - Ni.my) * Ni.s;
+        rows.push([X, Y, 1, 0, 0, 0, -u * X, -u * Y, -u]);
+        rows.push([0, 0, 0, X, Y, 1, -v * X, -v * Y, -v]);
+    }
+    const h = nullVector(rows);
+    const Hn = [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], h[8]]];
+    // De-normalise: H = Ti⁻¹ · Hn · To
+    const To = [[No.s, 0, -No.s * No.mx], [0, No.s, -No.s * No.my], [0, 0, 1]];
+    const TiInv = [[1 / Ni.s, 0, Ni.mx], [0, 1 / Ni.s, Ni.my], [0, 0, 1]];
+    const mul = (A, B) => A.map(r => [0, 1, 2].map(j => r[0] * B[0][j] + r[1] * B[1][j] + r[2] * B[2][j]));
+    const H = mul(mul(TiInv, Hn), To);
+    const n = H[2][2] || 1;
+    return H.map(r => r.map(v => v / n));
+}
+
+function intrinsicsFromHomographies(Hs, imageWidth, imageHeight) {
+    const vij = (H, i, j) => [
+        H[0][i] * H[0][j],
+        H[0][i] * H[1][j] + H[1][i] * H[0][j],
+        H[1][i] * H[1][j],
+        H[2][i] * H[0][j] + H[0][i] * H[2][j],
+        H[2][i] * H[1][j] + H[1][i] * H[2][j],
+        H[2][i] * H[2][j]
+    ];
+
+    // Pre-condition homographies so image coordinates are O(1) — keeps V well conditioned.
+    const s = 1 / Math.max(imageWidth, imageHeight);
+    const scaled = Hs.map(H => [H[0].map(v => v * s), H[1].map(v => v * s), H[2].slice()]);
+
+    if (Hs.length >= 3) {
+        const rows = [];
+        for (const H of scaled) {
+            const v12 = vij(H, 0, 1), v11 = vij(H, 0, 0), v22 = vij(H, 1, 1);
+            rows.push(v12);
+            rows.push(v11.map((x, k) => x - v22[k]));
+        }
+        rows.push([0, 1, 0, 0, 0, 0]); // zero skew
+        const b = nullVector(rows);
+        const [B11, B12, B22, B13, B23, B33] = b;
+        const den = B11 * B22 - B12 * B12;
+        if (Math.abs(den) > 1e-18 && Math.abs(B11) > 1e-18) {
+            const v0 = (B12 * B13 - B11 * B23) / den;
+            const lambda = B33 - (B13 * B13 + v0 * (B12 * B13 - B11 * B23)) / B11;
+            const a2 = lambda / B11, b2 = lambda * B11 / den;
+            if (a2 > 0 && b2 > 0) {
+                const alpha = Math.sqrt(a2), beta = Math.sqrt(b2);
+                const u0 = -B13 * a2 / lambda;
+                const k = { fx: alpha / s, fy: beta / s, cx: u0 / s, cy: v0 / s };
+                const plausible = k.cx > 0 && k.cx < imageWidth && k.cy > 0 && k.cy < imageHeight
+                    && k.fx > imageWidth * 0.2 && k.fx < imageWidth * 5 && k.fy > imageWidth * 0.2 && k.fy < imageWidth * 5;
+                if (plausible) return k;
+            }
+        }
+    }
+
+    // Degenerate geometry (too few / too similar views): assume centred principal point and
+    // square pixels, solve for a single focal length from the orthogonality constraints.
+    const cx = imageWidth / 2, cy = imageHeight / 2;
+    let num = 0, den = 0;
+    for (const H of Hs) {
+        const c = [H[0].map((v, j) => v - cx * H[2][j]), H[1].map((v, j) => v - cy * H[2][j]), H[2]];
+        // h1ᵀ ω h2 = 0 and h1ᵀ ω h1 = h2ᵀ ω h2 with ω = diag(1/f², 1/f², 1)
+        const a1 = c[0][0] * c[0][1] + c[1][0] * c[1][1], b1 = c[2][0] * c[2][1];
+        const a2 = (c[0][0] * c[0][0] + c[1][0] * c[1][0]) - (c[0][1] * c[0][1] + c[1][1] * c[1][1]);
+        const b2 = c[2][0] * c[2][0] - c[2][1] * c[2][1];
+        // a·(1/f²) + b = 0 → least squares over both constraints
+        num += -(a1 * b1 + a2 * b2);
+        den += a1 * a1 + a2 * a2;
+    }
+    const invF2 = den > 0 ? num / den : 0;
+    const f = invF2 > 0 ? Math.sqrt(1 / invF2) : imageWidth * 0.8;
+    const fClamped = Math.max(imageWidth * 0.3, Math.min(imageWidth * 4, f));
+    return { fx: fClamped, fy: fClamped, cx, cy };
+}
+
+function extrinsicsFromHomography(H, K) {
+    const { fx, fy, cx, cy } = K;
+    const kinv = (col) => {
+        const u = H[0][col], v = H[1][col], w = H[2][col];
+        return [(u - cx * w) / fx, (v - cy * w) / fy, w];
+    };
+    let r1 = kinv(0), r2 = kinv(1), t = kinv(2);
+    let lambda = 1 / Math.max(1e-12, Math.hypot(...r1));
+    if (t[2] * lambda < 0) lambda = -lambda; // board must lie in front of the camera
+    r1 = r1.map(v => v * lambda); r2 = r2.map(v => v * lambda); t = t.map(v => v * lambda);
+    // Gram–Schmidt to the nearest proper rotation
+    const n1 = Math.hypot(...r1);
+    r1 = r1.map(v => v / n1);
+    const d = r1[0] * r2[0] + r1[1] * r2[1] + r1[2] * r2[2];
+    r2 = r2.map((v, i) => v - d * r1[i]);
+    const n2 = Math.hypot(...r2);
+    r2 = r2.map(v => v / n2);
+    const r3 = [r1[1] * r2[2] - r1[2] * r2[1], r1[2] * r2[0] - r1[0] * r2[2], r1[0] * r2[1] - r1[1] * r2[0]];
+    const R = [[r1[0], r2[0], r3[0]], [r1[1], r2[1], r3[1]], [r1[2], r2[2], r3[2]]];
+    return { rvec: matrixToRodrigues(R), tvec: t };
+}
+
+// ── Public solver ──────────────────────────────────────────────────────────
+
+/**
+ * Calibrate intrinsics + distortion from planar views.
+ *
+ * @param {Array<{objectPoints: number[][], imagePoints: number[][]}>} views
+ *        objectPoints are board-plane [X, Y] (any unit), imagePoints are pixel [u, v].
+ * @param {Object} opts
+ * @param {number} opts.imageWidth
+ * @param {number} opts.imageHeight
+ * @param {boolean} [opts.fixK3=true]           keep k3 = 0 (recommended for phone lenses / few views)
+ * @param {boolean} [opts.zeroTangential=false] keep p1 = p2 = 0
+ * @param {number}  [opts.maxIterations=60]
+ * @returns {{cameraMatrix:number[], distCoeffs:number[], rms:number, perViewRms:number[],
+ *            imageWidth:number, imageHeight:number, iterations:number}}
+ */
+export function calibrateCamera(views, { imageWidth, imageHeight, fixK3 = true, zeroTangential = false, maxIterations = 60 } = {}) {
+    if (!Array.isArray(views) || views.length < 2) throw new Error('servono almeno 2 viste');
+    if (!(imageWidth > 0 && imageHeight > 0)) throw new Error('dimensioni immagine non valide');
+    const usable = views.filter(v => v.objectPoints && v.objectPoints.length >= 8 && v.objectPoints.length === v.imagePoints.length);
+    if (usable.length < 2) throw new Error('viste con troppi pochi punti');
+
+    const Hs = usable.map(v => estimateHomography(v.objectPoints, v.imagePoints));
+    const K0 = intrinsicsFromHomographies(Hs, imageWidth, imageHeight);
+
+    // Parameter vector: [fx fy cx cy k1 k2 p1 p2 k3 | rvec tvec per view]
+    const nViews = usable.length;
+    const nIntr = 9;
+    const params = new Float64Array(nIntr + 6 * nViews);
+    params.set([K0.fx, K0.fy, K0.cx, K0.cy, 0, 0, 0, 0, 0]);
+    usable.forEach((v, i) => {
+        const { rvec, tvec } = extrinsicsFromHomography(Hs[i], K0);
+        params.set(rvec, nIntr + 6 * i);
+        params.set(tvec, nIntr + 6 * i + 3);
+    });
+
+    const fixed = new Set();
+    if (fixK3) fixed.add(8);
+    if (zeroTangential) { fixed.add(6); fixed.add(7); }
+
+    const offsets = [];
+    let nRes = 0;
+    for (const v of usable) { offsets.push(nRes); nRes += v.objectPoints.length * 2; }
+
+    const viewResiduals = (p, vi, out, base) => {
+        const k = p.subarray(0, nIntr);
+        const o = nIntr + 6 * vi;
+        const R = rodriguesToMatrix([p[o], p[o + 1], p[o + 2]]);
+        const t = [p[o + 3], p[o + 4], p[o + 5]];
+        const v = usable[vi];
+        for (let j = 0; j < v.objectPoints.length; j++) {
+            const [u, w] = projectBoardPoint(k, R, t, v.objectPoints[j][0], v.objectPoints[j][1]);
+            out[base + 2 * j] = u - v.imagePoints[j][0];
+            out[base + 2 * j + 1] = w - v.imagePoints[j][1];
+        }
+    };
+    const residuals = (p, out) => { for (let vi = 0; vi < nViews; vi++) viewResiduals(p, vi, out, offsets[vi]); return out; };
+    const sumSq = (r) => { let s = 0; for (let i = 0; i < r.length; i++) s += r[i] * r[i]; return s; };
+
+    const nP = params.length;
+    let r = residuals(params, new Float64Array(nRes));
+    let cost = sumSq(r);
+    let mu = 1e-3;
+    let iterations = 0;
+
+    for (; iterations < maxIterations; iterations++) {
+        // Numeric Jacobian — intrinsics touch every residual, view params only their own block.
+        const JtJ = Array.from({ length: nP }, () => new Float64Array(nP));
+        const Jtr = new Float64Array(nP);
+        const cols = new Array(nP);
+        const rp = new Float64Array(nRes);
+        for (let j = 0; j < nP; j++) {
+            if (fixed.has(j)) { cols[j] = null; continue; }
+            const h = j < 4 ? 1e-3 * Math.max(1, Math.abs(params[j])) * 1e-3 : 1e-6;
+            const saved = params[j];
+            params[j] = saved + h;
+            let lo = 0, hi = nRes;
+            if (j >= nIntr) {
+                const vi = Math.floor((j - nIntr) / 6);
+                lo = offsets[vi]; hi = lo + usable[vi].objectPoints.length * 2;
+                viewResiduals(params, vi, rp, lo);
+            } else {
+                residuals(params, rp);
+            }
+            params[j] = saved;
+            const col = new Float64Array(hi - lo);
+            for (let i = lo; i < hi; i++) col[i - lo] = (rp[i] - r[i]) / h;
+            cols[j] = { lo, hi, col };
+        }
+        for (let a = 0; a < nP; a++) {
+            const ca = cols[a];
+            if (!ca) continue;
+            let g = 0;
+            for (let i = ca.lo; i < ca.hi; i++) g += ca.col[i - ca.lo] * r[i];
+            Jtr[a] = g;
+            for (let b = a; b < nP; b++) {
+                const cb = cols[b];
+                if (!cb) continue;
+                const lo = Math.max(ca.lo, cb.lo), hi = Math.min(ca.hi, cb.hi);
+                if (lo >= hi) continue;
+                let s = 0;
+                for (let i = lo; i < hi; i++) s += ca.col[i - ca.lo] * cb.col[i - cb.lo];
+                JtJ[a][b] = s; JtJ[b][a] = s;
+            }
+        }
+
+        let improved = false;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const A = JtJ.map((row, i) => {
+                const out = Float64Array.from(row);
+                out[i] = fixed.has(i) ? 1 : row[i] * (1 + mu) + 1e-12;
+                return out;
+            });
+            const step = choleskySolve(A, Jtr.map(v => -v));
+            if (!step) { mu *= 10; continue; }
+            const candidate = Float64Array.from(params);
+            for (let j = 0; j < nP; j++) if (!fixed.has(j)) candidate[j] += step[j];
+            const rc = residuals(candidate, new Float64Array(nRes));
+            const cc = sumSq(rc);
+            if (Number.isFinite(cc) && cc < cost) {
+                const rel = (cost - cc) / Math.max(1e-12, cost);
+                params.set(candidate); r = rc; cost = cc;
+                mu = Math.max(1e-9, mu * 0.3);
+                improved = true;
+                if (rel < 1e-10) iterations = maxIterations;
+                break;
+            }
+            mu *= 10;
+        }
+        if (!improved) break;
+    }
+
+    const perViewRms = usable.map((v, vi) => {
+        let s = 0;
+        const n = v.objectPoints.length;
+        for (let j = 0; j < n * 2; j++) s += r[offsets[vi] + j] * r[offsets[vi] + j];
+        return Math.sqrt(s / n);
+    });
+    const totalPts = nRes / 2;
+
+    return {
+        cameraMatrix: [params[0], 0, params[2], 0, params[1], params[3], 0, 0, 1],
+        distCoeffs: [params[4], params[5], params[6], params[7], params[8]],
+        rms: Math.sqrt(cost / totalPts),
+        perViewRms,
+        imageWidth,
+        imageHeight,
+        iterations
+    };
+}
+
+/**
+ * Turn detected markers (engine raw markers: { id, corners: [[x,y]×4] }) into a
+ * calibration view for `board`. Returns null when fewer than `minMarkers` board markers are visible.
+ */
+export function calibrationViewFromMarkers(board, markers, { minMarkers = 3 } = {}) {
+    const objectPoints = [], imagePoints = [], ids = [];
+    for (const m of markers || []) {
+        const obj = board.objectCorners(m.id);
+        if (!obj || !m.corners || m.corners.length < 4) continue;
+        ids.push(Number(m.id));
+        for (let k = 0; k < 4; k++) {
+            objectPoints.push(obj[k]);
+            imagePoints.push([m.corners[k][0], m.corners[k][1]]);
+        }
+    }
+    if (ids.length < minMarkers) return null;
+    return { ids, objectPoints, imagePoints };
+}
+
+// Exposed for tests / other calibration helpers
+export const _internals = { projectBoardPoint, rodriguesToMatrix, matrixToRodrigues, estimateHomography, symmetricEigen };
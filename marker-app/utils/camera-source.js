@@ -0,0 +1,228 @@
+/**
+ * camera-source.js — getUserMedia wrapper: device listing, constraint negotiation,
+ * live stream switching and the optional track controls (torch / focus / exposure / zoom).
+ *
+ * Controls are only applied when `track.getCapabilities()` advertises them; anything the
+ * browser does not support resolves to `false` instead of throwing.
+ */
+
+const DEFAULT_OPTIONS = { deviceId: null, facingMode: 'environment', width: null, height: null, frameRate: null };
+
+export class CameraSource {
+    constructor({ video, log = null } = {}) {
+        this.video = video;
+        this.stream = null;
+        this.options = Object.assign({}, DEFAULT_OPTIONS);
+        this._log = log || (() => {});
+        this._deviceChangeHandler = null;
+        this._knownDeviceIds = new Set();
+        this._watchGeneration = 0;   // bumped by unwatchDevices() so a pending watchDevices() backs out
+    }
+
+    static isSupported() {
+        return !!(typeof navigator !== 'undefined' && navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    get track() {
+        return this.stream ? (this.stream.getVideoTracks()[0] || null) : null;
+    }
+
+    get deviceId() {
+        const t = this.track;
+        return t && t.getSettings ? (t.getSettings().deviceId || null) : null;
+    }
+
+    /** Video inputs. Labels are empty until camera permission has been granted once. */
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const active = this.deviceId;
+        return devices.filter(d => d.kind === 'videoinput').map((d, i) => ({
+            deviceId: d.deviceId,
+            groupId: d.groupId,
+            label: d.label || `Camera ${i + 1}`,
+            active: !!active && d.deviceId === active
+        }));
+    }
+
+    /** Translate our option set into a MediaTrackConstraints object. */
+    buildConstraints(opts) {
+        const o = Object.assign({}, DEFAULT_OPTIONS, opts);
+        const video = {};
+        if (o.deviceId) video.deviceId = { exact: o.deviceId };
+        else if (o.facingMode) video.facingMode = o.facingMode;
+        if (o.width) video.width = { ideal: o.width };
+        if (o.height) video.height = { ideal: o.height };
+        if (o.frameRate) video.frameRate = { ideal: o.frameRate };
+        return { audio: false, video };
+    }
+
+    /**
+     * Open a stream with `opts` (merged with the current options) and attach it to the video element.
+     * The previous stream is stopped only once the new one is live, so a failed switch keeps the old camera
+     * (when the browser needs it released to retry, it is reopened with the old options if the retry fails).
+     */
+    async open(opts = {}) {
+        const next = Object.assign({}, this.options, opts);
+        const previous = this.stream;
+        // Some mobile browsers refuse a second camera while one is open: release first on retry.
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia(this.buildConstraints(next));
+        } catch (err) {
+            if (!previous || err.name === 'NotAllowedError') throw err;
+            previous.getTracks().forEach(t => t.stop());
+            this.stream = null;
+            try {
+                stream = await navigator.mediaDevices.getUserMedia(this.buildConstraints(next));
+            } catch (retryErr) {
+                await this._restore();
+                throw retryErr;
+            }
+        }
+        if (previous && previous !== stream) previous.getTracks().forEach(t => t.stop());
+        this.stream = stream;
+        this.options = next;
+
+        if (this.video) {
+            this.video.srcObject = stream;
+            try { await this.video.play(); } catch (e) { this._log('Play: ' + e.message, 'warn'); }
+            for (let i = 0; i < 30 && !this.video.videoWidth; i++) {
+                await new Promise(r => setTimeout(r, 100));
+            }
+        }
+        const s = this.getSettings();
+        this._log(`Camera: ${this.track?.label || 'sconosciuta'} ${s.width || '?'}x${s.height || '?'}@${s.frameRate ? Math.round(s.frameRate) : '?'}fps`);
+        return stream;
+    }
+
+    // Reopen the camera of this.options after a failed switch released it
+    async _restore() {
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia(this.buildConstraints(this.options));
+        } catch (e) {
+            this._log('Camera precedente non riapribile: ' + e.message, 'warn');
+            return;
+        }
+        if (this.video) {
+            this.video.srcObject = this.stream;
+            try { await this.video.play(); } catch (e) { this._log('Play: ' + e.message, 'warn'); }
+        }
+    }
+
+    /** Attach an externally created stream (e.g. mock canvas stream) so stop()/controls still work. */
+    adopt(stream) {
+        if (this.stream && this.stream !== stream) this.stream.getTracks().forEach(t => t.stop());
+        this.stream = stream;
+        if (this.video) this.video.srcObject = stream;
+    }
+
+    getSettings() {
+        const t = this.track;
+        return t && t.getSettings ? t.getSettings() : {};
+    }
+
+    /** Subset of the track capabilities that the engine exposes as controls. */
+    getCapabilities() {
+        const t = this.track;
+        const caps = (t && typeof t.getCapabilities === 'function') ? t.getCapabilities() : {};
+        return {
+            torch: !!caps.torch,
+            focusMode: Array.isArray(caps.focusMode) ? caps.focusMode.slice() : [],
+            focusDistance: caps.focusDistance || null,
+            exposureMode: Array.isArray(caps.exposureMode) ? caps.exposureMode.slice() : [],
+            exposureCompensation: caps.exposureCompensation || null,
+            zoom: caps.zoom || null,
+            width: caps.width || null,
+            height: caps.height || null,
+            frameRate: caps.frameRate || null
+        };
+    }
+
+    async _applyAdvanced(constraint) {
+        const t = this.track;
+        if (!t || typeof t.applyConstraints !== 'function') return false;
+        try {
+            await t.applyConstraints({ advanced: [constraint] });
+            return true;
+        } catch (e) {
+            this._log('applyConstraints: ' + e.message, 'warn');
+            return false;
+        }
+    }
+
+    async setTorch(on) {
+        if (!this.getCapabilities().torch) return false;
+        return this._applyAdvanced({ torch: !!on });
+    }
+
+    /** mode: 'continuous' | 'single-shot' | 'manual'; distance only with 'manual'. */
+    async setFocus({ mode, distance } = {}) {
+        const caps = this.getCapabilities();
+        const c = {};
+        if (mode && caps.focusMode.includes(mode)) c.focusMode = mode;
+        if (typeof distance === 'number' && caps.focusDistance) {
+            c.focusDistance = Math.max(caps.focusDistance.min, Math.min(caps.focusDistance.max, distance));
+        }
+        if (!Object.keys(c).length) return false;
+        return this._applyAdvanced(c);
+    }
+
+    /** mode: 'continuous' | 'manual'; compensation in EV, clamped to the device range. */
+    async setExposure({ mode, compensation } = {}) {
+        const caps = this.getCapabilities();
+        const c = {};
+        if (mode && caps.exposureMode.includes(mode)) c.exposureMode = mode;
+        if (typeof compensation === 'number' && caps.exposureCompensation) {
+            const r = caps.exposureCompensation;
+            c.exposureCompensation = Math.max(r.min, Math.min(r.max, compensation));
+        }
+        if (!Object.keys(c).length) return false;
+        return this._applyAdvanced(c);
+    }
+
+    async setZoom(zoom) {
+        const r = this.getCapabilities().zoom;
+        if (!r || typeof zoom !== 'number') return false;
+        return this._applyAdvanced({ zoom: Math.max(r.min, Math.min(r.max, zoom)) });
+    }
+
+    /**
+     * Watch for cameras being plugged/unplugged. `callback({ devices, added, removed, activeLost })`.
+     */
+    async watchDevices(callback) {
+        this.unwatchDevices();
+        if (!navigator.mediaDevices || !navigator.mediaDevices.addEventListener) return;
+        const generation = this._watchGeneration;
+        try { this._knownDeviceIds = new Set((await this.listDevices()).map(d => d.deviceId)); } catch (e) { /* ignore */ }
+        // stop() / unwatchDevices() / another watchDevices() while listing: don't leave a listener behind
+        if (generation !== this._watchGeneration) return;
+        this._deviceChangeHandler = async () => {
+            let devices = [];
+            try { devices = await this.listDevices(); } catch (e) { return; }
+            const ids = new Set(devices.map(d => d.deviceId));
+            const added = devices.filter(d => !this._knownDeviceIds.has(d.deviceId));
+            const removed = [...this._knownDeviceIds].filter(id => !ids.has(id));
+            this._knownDeviceIds = ids;
+            const t = this.track;
+            const activeLost = !!t && (t.readyState === 'ended' || (this.deviceId && !ids.has(this.deviceId)));
+            callback({ devices, added, removed, activeLost });
+        };
+        navigator.mediaDevices.addEventListener('devicechange', this._deviceChangeHandler);
+    }
+
+    unwatchDevices() {
+        this._watchGeneration++;
+        if (this._deviceChangeHandler && navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener('devicechange', this._deviceChangeHandler);
+        }
+        this._deviceChangeHandler = null;
+    }
+
+    stop() {
+        this.unwatchDevices();
+        if (this.stream) this.stream.getTracks().forEach(t => t.stop());
+        this.stream = null;
+        if (this.video) this.video.srcObject = null;
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * corner-subpix.js — sub-pixel corner refinement without OpenCV, same algorithm as
+ * cv.cornerSubPix: every gradient in the window around a corner is orthogonal to the vector
+ * from the corner to that pixel, so the corner is the least-squares solution of
+ * Σ w·g·gᵀ · q = Σ w·g·gᵀ · p over the window, iterated from the detected position.
+ *
+ * Parameters mirror the worker's subpix settings: `win` is the half window (win = 5 samples
+ * an 11×11 neighbourhood), Gaussian-weighted like OpenCV's mask; iteration stops after
+ * `maxIter` steps or once a step moves less than `eps` px. A corner that leaves the image
+ * or drifts further than `win` from where it started keeps its original position.
+ *
+ * Loaded as a classic script and exposed as global `CornerSubPix`; no dependencies.
+ */
+(function (global) {
+  'use strict';
+
+  // Bilinear samples of a (2r+1)×(2r+1) patch centred on (x, y); borders are replicated
+  function samplePatch(gray, width, height, x, y, r, out) {
+    const size = 2 * r + 1;
+    for (let j = 0; j < size; j++) {
+      const sy = Math.min(height - 1, Math.max(0, y + j - r));
+      const y0 = Math.floor(sy), y1 = Math.min(height - 1, y0 + 1), fy = sy - y0;
+      for (let i = 0; i < size; i++) {
+        const sx = Math.min(width - 1, Math.max(0, x + i - r));
+        const x0 = Math.floor(sx), x1 = Math.min(width - 1, x0 + 1), fx = sx - x0;
+        const top = gray[y0 * width + x0] * (1 - fx) + gray[y0 * width + x1] * fx;
+        const bottom = gray[y1 * width + x0] * (1 - fx) + gray[y1 * width + x1] * fx;
+        out[j * size + i] = top * (1 - fy) + bottom * fy;
+      }
+    }
+    return out;
+  }
+
+  function gaussianMask(win) {
+    const size = 2 * win + 1;
+    const mask = new Float64Array(size * size);
+    const coeff = 1 / (win * win);
+    for (let j = 0; j < size; j++) {
+      const wy = Math.exp(-(j - win) * (j - win) * coeff);
+      for (let i = 0; i < size; i++) mask[j * size + i] = wy * Math.exp(-(i - win) * (i - win) * coeff);
+    }
+    return mask;
+  }
+
+  /**
+   * @param {Uint8ClampedArray|Uint8Array|Float32Array} gray width×height luminance
+   * @param {Array<{x:number,y:number}>} corners initial positions (not modified)
+   * @param {object} [opts]
+   * @param {number} [opts.win=5] half window size in px
+   * @param {number} [opts.maxIter=30]
+   * @param {number} [opts.eps=0.1] stop once a step is shorter than this (px)
+   * @returns {Array<{x:number,y:number}>} refined corners, same order
+   */
+  function refine(gray, width, height, corners, { win = 5, maxIter = 30, eps = 0.1 } = {}) {
+    win = Math.max(1, Math.floor(win));
+    const size = 2 * win + 1, r = win + 1; // one extra ring for the central differences
+    const mask = gaussianMask(win);
+    const patch = new Float64Array((2 * r + 1) * (2 * r + 1));
+    const stride = 2 * r + 1;
+    const eps2 = eps * eps;
+
+    return corners.map(start => {
+      let x = start.x, y = start.y;
+      for (let iter = 0; iter < maxIter; iter++) {
+        samplePatch(gray, width, height, x, y, r, patch);
+        let a = 0, b = 0, c = 0, bb1 = 0, bb2 = 0;
+        for (let j = 0; j < size; j++) {
+          const py = j - win;
+          for (let i = 0; i < size; i++) {
+            const px = i - win;
+            const k = (j + 1) * stride + (i + 1);
+            const gx = patch[k + 1] - patch[k - 1];
+            const gy = patch[k + stride] - patch[k - stride];
+            const m = mask[j * size + i];
+            const gxx = gx * gx * m, gxy = gx * gy * m, gyy = gy * gy * m;
+            a += gxx; b += gxy; c += gyy;
+            bb1 += gxx * px + gxy * py;
+            bb2 += gxy * px + gyy * py;
+          }
+        }
+        const det = a * c - b * b;
+        if (Math.abs(det) <= Number.EPSILON * a * c) break; // flat or single-edge window
+        const dx = (c * bb1 - b * bb2) / det;
+        const dy = (a * bb2 - b * bb1) / det;
+        x += dx;
+        y += dy;
+        if (x < 0 || y < 0 || x >= width || y >= height) break;
+        if (dx * dx + dy * dy <= eps2) break;
+      }
+      const ok = Number.isFinite(x) && Number.isFinite(y) &&
+        x >= 0 && y >= 0 && x < width && y < height &&
+        Math.abs(x - start.x) <= win && Math.abs(y - start.y) <= win;
+      return ok ? { x, y } : { x: start.x, y: start.y };
+    });
+  }
+
+  global.CornerSubPix = {
+    refine
+  };
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : (typeof globalThis !== 'undefined' ? globalThis : {})));
@@ -0,0 +1,72 @@
+/**
+ * detection-backends.js — the detection workers the engine can run, and the message schema
+ * every one of them speaks.
+ *
+ * Engine → worker
+ *   { type: 'init', markerLength, dictionaryName, maxHammingDistance, customDictionaries }
+ *   { type: 'config', ...settings }      any subset; unknown or unsupported keys are ignored
+ *                                        (markerLengths: id → side in m, overriding markerLength)
+ *   { type: 'frame', bitmap | frame, cameraMatrix, distCoeffs, markerLength,
+ *     overlayWidth, overlayHeight, detectWidth, detectHeight, captureTime }
+ *
+ * Worker → engine
+ *   { type: 'ready', backend, protocol, capabilities }
+ *   { type: 'capabilities', backend, capabilities }   whenever they change after 'ready'
+ *   { type: 'result', backend, markers, board, rejected, dictionary, detection, quality,
+ *     captureTime, timestamp }
+ *   { type: 'error', error, captureTime?, fatal? }     captureTime: that frame produced no
+ *                                                      result; fatal: the backend is unusable
+ *   { type: 'log', message }
+ *
+ * Marker results carry { id, corners (overlay px), rvec, tvec, source, poseError, confidence,
+ * cameraAngleDeg } plus, where the backend measures them, quality, hamming and hammingMargin.
+ * `board` is null unless a `boardLayout` was configured and one of its markers is in view:
+ * { rvec, tvec, poseError, ids, residuals (id → px), rejected (ids), cameraAngleDeg }, the
+ * house pose solved over all of its markers at once.
+ */
+
+export const DETECTION_PROTOCOL_VERSION = 1;
+
+/**
+ * @typedef {object} DetectionCapabilities
+ * @property {string[]} dictionaries  names accepted as dictionaryName
+ * @property {boolean} customDictionaries
+ * @property {boolean} aprilTag
+ * @property {'opencv'|'js'|false} subpixel  refiner used when useSubpixel is on
+ * @property {string[]} poseSolvers
+ * @property {'template'|'pyrlk'|false} cornerFlow
+ * @property {boolean} cornerSmoothing
+ * @property {boolean} roi
+ * @property {boolean} multiScale
+ * @property {boolean} preprocess
+ * @property {boolean} rejected
+ * @property {boolean} quality
+ * @property {boolean} hamming
+ * @property {boolean} board  solves the configured boardLayout
+ * @property {boolean} videoFrame  accepts VideoFrames as well as ImageBitmaps
+ */
+
+export const DETECTION_BACKENDS = {
+    jsaruco: { url: 'workers/aruco-worker.js', label: 'js-aruco2' },
+    opencv: { url: 'workers/opencv-worker.js', label: 'OpenCV.js' }
+};
+
+const ALIASES = { 'js-aruco2': 'jsaruco', 'js-aruco': 'jsaruco', aruco: 'jsaruco', 'opencv.js': 'opencv', cv: 'opencv' };
+
+/** Backend key for `name` (case-insensitive, a few aliases), or null. */
+export function resolveDetectionBackend(name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (DETECTION_BACKENDS[key]) return key;
+    return ALIASES[key] || null;
+}
+
+/**
+ * Enabled engine features the backend cannot provide.
+ * @param {DetectionCapabilities|null} capabilities
+ * @param {Record<string, boolean>} enabled feature → on, keyed like the capabilities
+ * @returns {string[]}
+ */
+export function unsupportedFeatures(capabilities, enabled) {
+    if (!capabilities) return [];
+    return Object.keys(enabled).filter(k => enabled[k] && k in capabilities && !capabilities[k]);
+}
@@ -0,0 +1,212 @@
+/**
+ * detection-roi.js — region-of-interest planning for the detection worker.
+ *
+ * RoiPredictor: markers seen in the previous frames are extrapolated with their per-corner
+ * velocity and each predicted quad is padded into a crop; the worker then detects inside
+ * the crops at full resolution instead of on the whole downscaled frame. A full-frame scan
+ * is requested every `fullScanInterval` frames (new markers entering the view), whenever a
+ * tracked marker was missed, and when there is nothing to track.
+ *
+ * tileGrid / mergeById: multi-scale full scans. Overlapping full-resolution tiles catch
+ * markers too small to survive the downscaled pass; hits from all passes are merged by ID.
+ *
+ * All coordinates are full-resolution frame pixels. Loaded as a classic script and exposed
+ * as global `DetectionRoi`; no dependencies.
+ */
+(function (global) {
+  'use strict';
+
+  function quadBounds(corners) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const c of corners) {
+      if (c.x < minX) minX = c.x;
+      if (c.y < minY) minY = c.y;
+      if (c.x > maxX) maxX = c.x;
+      if (c.y > maxY) maxY = c.y;
+    }
+    return { minX, minY, maxX, maxY };
+  }
+
+  function overlaps(a, b, gap) {
+    return a.x <= b.x + b.width + gap && b.x <= a.x + a.width + gap &&
+      a.y <= b.y + b.height + gap && b.y <= a.y + a.height + gap;
+  }
+
+  /** Union rectangles that overlap (or are within `gap` px) until none do. */
+  function mergeRects(rects, gap = 0) {
+    const out = rects.map(r => Object.assign({}, r, { ids: (r.ids || []).slice() }));
+    let merged = true;
+    while (merged) {
+      merged = false;
+      for (let i = 0; i < out.length && !merged; i++) {
+        for (let j = i + 1; j < out.length; j++) {
+          if (!overlaps(out[i], out[j], gap)) continue;
+          const a = out[i], b = out[j];
+          const x = Math.min(a.x, b.x), y = Math.min(a.y, b.y);
+          out[i] = {
+            x, y,
+            width: Math.max(a.x + a.width, b.x + b.width) - x,
+            height: Math.max(a.y + a.height, b.y + b.height) - y,
+            ids: a.ids.concat(b.ids)
+          };
+          out.splice(j, 1);
+          merged = true;
+          break;
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Overlapping tiles covering width×height. The overlap (fraction of the tile side) must
+   * exceed the largest marker the tiles are meant for, so every such marker lies whole in
+   * at least one tile; bigger ones are left to the downscaled pass.
+   */
+  function tileGrid(width, height, tileSize = 640, overlap = 0.25) {
+    const size = Math.max(32, Math.round(tileSize));
+    const stride = Math.max(16, Math.round(size * (1 - Math.max(0, Math.min(0.9, overlap)))));
+    const starts = (len) => {
+      if (len <= size) return [0];
+      const out = [];
+      for (let p = 0; p + size < len; p += stride) out.push(p);
+      out.push(len - size); // last tile flush with the edge
+      return out;
+    };
+    const tiles = [];
+    for (const y of starts(height)) {
+      for (const x of starts(width)) {
+        tiles.push({ x, y, width: Math.min(size, width), height: Math.min(size, height), ids: [] });
+      }
+    }
+    return tiles;
+  }
+
+  function perimeter(corners) {
+    let p = 0;
+    for (let i = 0; i < corners.length; i++) {
+      const a = corners[i], b = corners[(i + 1) % corners.length];
+      p += Math.hypot(a.x - b.x, a.y - b.y);
+    }
+    return p;
+  }
+
+  /**
+   * One detection per marker id from several passes. `groups` is ordered by preference
+   * (e.g. full-resolution tiles before the downscaled pass); inside a group the largest
+   * quad wins, since a marker cut by a tile edge can only come out smaller.
+   */
+  function mergeById(groups) {
+    const best = new Map();
+    groups.forEach((group, rank) => {
+      for (const m of group || []) {
+        if (!m || !m.corners || m.corners.length < 4) continue;
+        const p = perimeter(m.corners);
+        const cur = best.get(m.id);
+        if (!cur || rank < cur.rank || (rank === cur.rank && p > cur.p)) best.set(m.id, { m, rank, p });
+      }
+    });
+    return Array.from(best.values()).map(e => e.m);
+  }
+
+  class RoiPredictor {
+    /**
+     * @param {object} [opts]
+     * @param {number} [opts.fullScanInterval=10] frames between forced full scans
+     * @param {number} [opts.margin=0.6] padding around the predicted quad, in marker sizes
+     * @param {number} [opts.minSize=64] smallest crop side, px
+     * @param {number} [opts.maxTrackAge=500] ms after which an unseen marker is forgotten
+     * @param {number} [opts.maxAreaFraction=0.5] above this crop coverage a full scan is cheaper
+     */
+    constructor({ fullScanInterval = 10, margin = 0.6, minSize = 64, maxTrackAge = 500, maxAreaFraction = 0.5 } = {}) {
+      this.fullScanInterval = fullScanInterval;
+      this.margin = margin;
+      this.minSize = minSize;
+      this.maxTrackAge = maxTrackAge;
+      this.maxAreaFraction = maxAreaFraction;
+      this.reset();
+    }
+
+    reset() {
+      this._tracks = new Map(); // id → { corners, velocity: [{x,y}], t }
+      this._framesSinceFull = Infinity;
+      this._lost = false;
+    }
+
+    get trackedIds() {
+      return Array.from(this._tracks.keys());
+    }
+
+    /**
+     * Decide how to detect the frame captured at `t`.
+     * @returns {{ fullScan: boolean, reason: string, rois: Array<{x,y,width,height,ids:number[]}> }}
+     */
+    plan(t, frameWidth, frameHeight) {
+      for (const [id, tr] of this._tracks) {
+        if (t - tr.t > this.maxTrackAge) this._tracks.delete(id);
+      }
+      if (!this._tracks.size) return { fullScan: true, reason: 'no-tracks', rois: [] };
+      if (this._lost) return { fullScan: true, reason: 'lost', rois: [] };
+      if (this._framesSinceFull >= this.fullScanInterval) return { fullScan: true, reason: 'interval', rois: [] };
+
+      const rects = [];
+      for (const [id, tr] of this._tracks) {
+        const dt = Math.max(0, t - tr.t);
+        const predicted = tr.corners.map((c, i) => ({ x: c.x + tr.velocity[i].x * dt, y: c.y + tr.velocity[i].y * dt }));
+        const b = quadBounds(predicted);
+        const size = Math.max(b.maxX - b.minX, b.maxY - b.minY);
+        // Uncertainty grows with speed: half the predicted displacement again as slack
+        const speed = Math.max(...tr.velocity.map(v => Math.hypot(v.x, v.y)));
+        const pad = size * this.margin + speed * dt * 0.5;
+        const cx = (b.minX + b.maxX) / 2, cy = (b.minY + b.maxY) / 2;
+        const half = Math.max(this.minSize / 2, size / 2 + pad);
+        const x0 = Math.max(0, Math.floor(cx - half)), y0 = Math.max(0, Math.floor(cy - half));
+        const x1 = Math.min(frameWidth, Math.ceil(cx + half)), y1 = Math.min(frameHeight, Math.ceil(cy + half));
+        if (x1 - x0 < 8 || y1 - y0 < 8) continue; // predicted outside the frame
+        rects.push({ x: x0, y: y0, width: x1 - x0, height: y1 - y0, ids: [id] });
+      }
+      if (!rects.length) return { fullScan: true, reason: 'out-of-frame', rois: [] };
+      const rois = mergeRects(rects, 4);
+      const area = rois.reduce((s, r) => s + r.width * r.height, 0);
+      if (area > this.maxAreaFraction * frameWidth * frameHeight) return { fullScan: true, reason: 'roi-large', rois: [] };
+      return { fullScan: false, reason: 'predicted', rois };
+    }
+
+    /**
+     * Feed the markers found in the frame captured at `t` ({ id, corners:[{x,y}×4] }).
+     * After an ROI pass, any tracked marker not found schedules a full scan.
+     */
+    update(markers, t, { fullScan = false, expectedIds = null } = {}) {
+      this._framesSinceFull = fullScan ? 1 : this._framesSinceFull + 1;
+      const seen = new Set();
+      for (const m of markers) {
+        if (!m || !m.corners || m.corners.length < 4) continue;
+        const id = Number(m.id);
+        seen.add(id);
+        const prev = this._tracks.get(id);
+        const corners = m.corners.map(c => ({ x: c.x, y: c.y }));
+        let velocity = corners.map(() => ({ x: 0, y: 0 }));
+        if (prev && t > prev.t && t - prev.t <= this.maxTrackAge) {
+          const dt = t - prev.t;
+          velocity = corners.map((c, i) => ({ x: (c.x - prev.corners[i].x) / dt, y: (c.y - prev.corners[i].y) / dt }));
+        }
+        this._tracks.set(id, { corners, velocity, t });
+      }
+      if (fullScan) {
+        // A full scan is authoritative: whatever it did not see is gone
+        for (const id of Array.from(this._tracks.keys())) if (!seen.has(id)) this._tracks.delete(id);
+        this._lost = false;
+      } else {
+        this._lost = (expectedIds || []).some(id => !seen.has(Number(id)));
+      }
+    }
+  }
+
+  global.DetectionRoi = {
+    RoiPredictor,
+    mergeRects,
+    quadBounds,
+    tileGrid,
+    mergeById
+  };
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : (typeof globalThis !== 'undefined' ? globalThis : {})));
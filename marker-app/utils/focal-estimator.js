@@ -0,0 +1,96 @@
+/**
+ * focal-estimator.js — online focal-length refinement from the known marker layout.
+ *
+ * With a pinhole solver (POSIT / PnP) run at focal f0, each marker's lateral position
+ * X = u·L/l is independent of the focal length, while depth scales linearly:
+ * Z_true = Z0 · f/f0. For two markers with known metric centre distance D:
+ *
+ *     D² = dx² + dy² + (dz0 · f/f0)²   →   f = f0 · sqrt((D² − dx² − dy²) / dz0²)
+ *
+ * Pairs with a small depth difference carry no information and are skipped; the rest are
+ * aggregated with a sliding-window weighted median and a MAD-based convergence test.
+ */
+
+export class FocalEstimator {
+    constructor({ minDepthDiff = 0.03, maxPoseError = 0.35, windowSize = 90, minSamples = 24, convergedSpread = 0.015 } = {}) {
+        this.minDepthDiff = minDepthDiff;
+        this.maxPoseError = maxPoseError;
+        this.windowSize = windowSize;
+        this.minSamples = minSamples;
+        this.convergedSpread = convergedSpread;
+        this.reset();
+    }
+
+    reset() {
+        this._samples = [];   // { f, w }
+        this._frames = 0;
+        this.estimate = null;
+        this.spread = null;   // relative MAD (0.01 = 1%)
+        this.converged = false;
+    }
+
+    /**
+     * @param {Array<{id:number, tvec:number[], poseError?:number}>} markers poses from one frame
+     * @param {(a:number, b:number) => number|null} layoutDistance metric centre distance between ids
+     * @param {number} f0 focal (px) the poses were solved with
+     * @returns {number} samples added from this frame
+     */
+    addObservation(markers, layoutDistance, f0) {
+        if (!(f0 > 0) || !Array.isArray(markers)) return 0;
+        const usable = markers.filter(m => m && Array.isArray(m.tvec) && m.tvec.length === 3 && m.tvec[2] > 0 &&
+            !(typeof m.poseError === 'number' && m.poseError > this.maxPoseError));
+        let added = 0;
+        for (let i = 0; i < usable.length; i++) {
+            for (let j = i + 1; j < usable.length; j++) {
+                const a = usable[i], b = usable[j];
+                const D = layoutDistance(Number(a.id), Number(b.id));
+                if (!(D > 0)) continue;
+                const dx = a.tvec[0] - b.tvec[0], dy = a.tvec[1] - b.tvec[1], dz = a.tvec[2] - b.tvec[2];
+                if (Math.abs(dz) < this.minDepthDiff) continue;
+                const num = D * D - dx * dx - dy * dy;
+                if (num <= 0) continue;
+                const ratio = Math.sqrt(num) / Math.abs(dz);
+                if (!(ratio > 0.4 && ratio < 2.5)) continue; // gross mismatch / wrong pairing
+                // Weight: depth lever arm relative to the pair distance
+                const w = Math.min(1, Math.abs(dz) / D);
+                this._samples.push({ f: f0 * ratio, w });
+                added++;
+            }
+        }
+        if (this._samples.length > this.windowSize) this._samples.splice(0, this._samples.length - this.windowSize);
+        if (added) this._frames++;
+        this._update();
+        return added;
+    }
+
+    _update() {
+        const n = this._samples.length;
+        if (!n) { this.estimate = null; this.spread = null; this.converged = false; return; }
+        const med = weightedMedian(this._samples.map(s => s.f), this._samples.map(s => s.w));
+        const mad = weightedMedian(this._samples.map(s => Math.abs(s.f - med)), this._samples.map(s => s.w));
+        this.estimate = med;
+        this.spread = mad / med;
+        this.converged = n >= this.minSamples && this.spread <= this.convergedSpread;
+    }
+
+    getState() {
+        return {
+            estimate: this.estimate,
+            spread: this.spread,
+            samples: this._samples.length,
+            frames: this._frames,
+            converged: this.converged
+        };
+    }
+}
+
+function weightedMedian(values, weights) {
+    const idx = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const total = weights.reduce((s, w) => s + w, 0);
+    let acc = 0;
+    for (const i of idx) {
+        acc += weights[i];
+        if (acc >= total / 2) return values[i];
+    }
+    return values[idx[idx.length - 1]];
+}
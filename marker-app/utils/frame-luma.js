@@ -0,0 +1,277 @@
+/**
+ * frame-luma.js — one luminance plane per frame for every detection stage.
+ *
+ * fromVideoFrame: reads the Y plane of a planar VideoFrame (I420 / NV12 / ...), or
+ * converts RGBA/BGRA frames once; no canvas involved. Frames whose pixels are not CPU
+ * readable (format null) resolve to null and the caller falls back to drawing them.
+ * resample: crop + area-average downscale of a plane (full scan, ROI crops, tiles).
+ * detectAruco: js-aruco2's Detector.detect() minus its own RGBA → grey conversion, with the
+ * decode margin of every marker; given a `rejected` array it also records why quads
+ * near-miss (see REJECT_REASONS).
+ *
+ * Grey values use the same BT.601 weights as CV.grayscale, so ArUco decoding is unchanged
+ * whichever path produced the plane. A planar Y plane is taken as-is only when the frame is
+ * full range (colorSpace.fullRange); limited-range Y (16–235, the default for camera video)
+ * is stretched to 0–255 first. Y is the camera's own luma (BT.601 or BT.709 weights), so it
+ * matches CV.grayscale on the RGBA twin to within a level or two, not bit for bit.
+ *
+ * Loaded as a classic script after js-aruco2 and exposed as global `FrameLuma`.
+ */
+(function (global) {
+  'use strict';
+
+  const PLANAR_Y = new Set(['I420', 'I420A', 'I422', 'I422A', 'I444', 'I444A', 'NV12']);
+  const RGB_ORDER = { RGBA: 0, RGBX: 0, BGRA: 2, BGRX: 2 }; // offset of the red byte
+  // Limited-range Y (16–235) → full range: (Y - 16) * 255 / 219, clamped
+  const LIMITED_Y = Uint8ClampedArray.from({ length: 256 }, (_, y) => Math.round((y - 16) * 255 / 219));
+
+  function fromRGBA(rgba, width, height, out = null, redOffset = 0) {
+    const n = width * height;
+    const gray = out && out.length === n ? out : new Uint8ClampedArray(n);
+    const r = redOffset, b = 2 - redOffset;
+    for (let i = 0, j = 0; j < n; i += 4, j++) {
+      gray[j] = (rgba[i + r] * 0.299 + rgba[i + 1] * 0.587 + rgba[i + b] * 0.114 + 0.5) & 0xff;
+    }
+    return gray;
+  }
+
+  /**
+   * @param {VideoFrame} frame not closed here
+   * @returns {Promise<{width:number, height:number, data:Uint8ClampedArray}|null>}
+   */
+  async function fromVideoFrame(frame) {
+    const fmt = frame && frame.format;
+    const planar = PLANAR_Y.has(fmt);
+    if (!planar && !(fmt in RGB_ORDER)) return null;
+    const rect = frame.visibleRect || { width: frame.displayWidth, height: frame.displayHeight };
+    const width = rect.width, height = rect.height;
+    const buf = new Uint8Array(frame.allocationSize());
+    const [plane] = await frame.copyTo(buf);
+    if (planar) {
+      const fullRange = !!(frame.colorSpace && frame.colorSpace.fullRange);
+      if (fullRange && plane.stride === width) {
+        return { width, height, data: new Uint8ClampedArray(buf.buffer, buf.byteOffset + plane.offset, width * height) };
+      }
+      const data = new Uint8ClampedArray(width * height);
+      for (let y = 0; y < height; y++) {
+        const row = plane.offset + y * plane.stride;
+        if (fullRange) {
+          data.set(buf.subarray(row, row + width), y * width);
+          continue;
+        }
+        for (let x = 0, j = y * width; x < width; x++, j++) data[j] = LIMITED_Y[buf[row + x]];
+      }
+      return { width, height, data };
+    }
+    let rgba = buf.subarray(plane.offset);
+    if (plane.stride !== width * 4) {
+      rgba = new Uint8Array(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        const row = plane.offset + y * plane.stride;
+        rgba.set(buf.subarray(row, row + width * 4), y * width * 4);
+      }
+    }
+    return { width, height, data: fromRGBA(rgba, width, height, null, RGB_ORDER[fmt]) };
+  }
+
+  /**
+   * Area-average `rect` of a srcWidth-wide plane down to outWidth×outHeight (integer rect).
+   * Sizes equal to the rect just copy the rows.
+   */
+  function resample(src, srcWidth, rect, outWidth, outHeight, out = null) {
+    const n = outWidth * outHeight;
+    const dst = out && out.length === n ? out : new Uint8ClampedArray(n);
+    if (rect.width === outWidth && rect.height === outHeight) {
+      for (let y = 0; y < outHeight; y++) {
+        const row = (rect.y + y) * srcWidth + rect.x;
+        dst.set(src.subarray(row, row + outWidth), y * outWidth);
+      }
+      return dst;
+    }
+    // Source span [start, end) of every output column / row, at least one pixel wide
+    const spans = (origin, len, outLen) => {
+      const s = new Int32Array(outLen), e = new Int32Array(outLen), k = len / outLen;
+      for (let o = 0; o < outLen; o++) {
+        const a = Math.floor(o * k);
+        s[o] = origin + a;
+        e[o] = origin + Math.min(len, Math.max(a + 1, Math.floor((o + 1) * k)));
+      }
+      return [s, e];
+    };
+    const [xs, xe] = spans(rect.x, rect.width, outWidth);
+    const [ys, ye] = spans(rect.y, rect.height, outHeight);
+    const acc = new Uint32Array(outWidth);
+    for (let oy = 0; oy < outHeight; oy++) {
+      acc.fill(0);
+      for (let y = ys[oy]; y < ye[oy]; y++) {
+        const row = y * srcWidth;
+        for (let ox = 0; ox < outWidth; ox++) {
+          let sum = 0;
+          for (let x = xs[ox]; x < xe[ox]; x++) sum += src[row + x];
+          acc[ox] += sum;
+        }
+      }
+      const rows = ye[oy] - ys[oy];
+      for (let ox = 0; ox < outWidth; ox++) dst[oy * outWidth + ox] = acc[ox] / (rows * (xe[ox] - xs[ox]));
+    }
+    return dst;
+  }
+
+  /**
+   * Reason codes for rejected candidates, most informative first:
+   * 'hamming' — bits read, but no code within the dictionary's tolerance (the nearest `id`
+   * and its `hamming` distance are reported); 'decode-failed' — the black border did not
+   * threshold as black; 'not-convex' — four corners but a concave outline; 'too-small' —
+   * an edge shorter than the candidate minimum.
+   */
+  const REJECT_REASONS = ['hamming', 'decode-failed', 'not-convex', 'too-small'];
+
+  // Inner bits of a thresholded warp, or null when the black border is not black
+  // (the same cell sampling as getMarker())
+  function readBits(detector, warped) {
+    const markSize = detector.dictionary.markSize;
+    const cell = (warped.width / markSize) >>> 0;
+    const minZero = (cell * cell) >> 1;
+    const CV = global.CV;
+    const bitAt = (i, j) => (CV.countNonZero(warped, { x: j * cell, y: i * cell, width: cell, height: cell }) > minZero ? 1 : 0);
+    for (let i = 0; i < markSize; i++) {
+      const inc = (i === 0 || i === markSize - 1) ? 1 : markSize - 1;
+      for (let j = 0; j < markSize; j += inc) {
+        if (bitAt(i, j)) return null;
+      }
+    }
+    const bits = [];
+    for (let i = 1; i < markSize - 1; i++) {
+      const row = [];
+      for (let j = 1; j < markSize - 1; j++) row.push(bitAt(i, j));
+      bits.push(row);
+    }
+    return bits;
+  }
+
+  // Hamming distance of two bit strings, cut short at limit + 1
+  function boundedHamming(a, b, limit) {
+    let d = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i] && ++d > limit) return d;
+    }
+    return d;
+  }
+
+  // The four rotations of a bit grid as dictionary strings
+  function rotations(detector, bits) {
+    const out = [];
+    for (let r = 0; r < 4; r++) {
+      out.push(bits.map(row => row.join('')).join(''));
+      bits = detector.rotate(bits);
+    }
+    return out;
+  }
+
+  // Nearest code to any of `vals` other than `skipId`, or null when none is within `limit`;
+  // each comparison stops once it is past the best distance so far
+  function nearestCode(dict, vals, limit = Infinity, skipId = -1) {
+    let best = null;
+    for (let k = 0; k < dict.codeList.length; k++) {
+      if (k === skipId) continue;
+      for (const val of vals) {
+        const bound = best ? best.hamming - 1 : limit;
+        const d = boundedHamming(val, dict.codeList[k], bound);
+        if (d <= bound) best = { id: k, hamming: d };
+      }
+    }
+    return best;
+  }
+
+  // Margin of a read without bit errors: bits from code `id` to the nearest other code. Some
+  // codes sit closer to a neighbour than the dictionary's tau; computed once per id.
+  const cleanMargins = new WeakMap();
+  function cleanMargin(detector, id) {
+    const dict = detector.dictionary;
+    let byId = cleanMargins.get(dict);
+    if (!byId) cleanMargins.set(dict, byId = new Map());
+    if (!byId.has(id)) {
+      const side = Math.sqrt(dict.nBits), code = dict.codeList[id];
+      const grid = Array.from({ length: side }, (_, i) => Array.from(code.slice(i * side, (i + 1) * side), Number));
+      const next = nearestCode(dict, rotations(detector, grid), Infinity, id);
+      byId.set(id, next ? next.hamming : Infinity);
+    }
+    return byId.get(id);
+  }
+
+  // getMarker() on bits already read: the nearest code within tau over the four rotations
+  function decodeBits(detector, bits, candidate) {
+    let found = null, rot = 0;
+    for (let i = 0; i < 4 && !(found && found.distance === 0); i++, bits = detector.rotate(bits)) {
+      const f = detector.dictionary.find(bits);
+      if (f && (!found || f.distance < found.distance)) { found = f; rot = i; }
+    }
+    return found ? new global.AR.Marker(found.id, detector.rotate2(candidate, 4 - rot), found.distance) : null;
+  }
+
+  // Why a candidate whose bits (null: border not black) decoded to no marker
+  function decodeFailure(detector, bits) {
+    if (!bits) return { reason: 'decode-failed' };
+    const best = nearestCode(detector.dictionary, rotations(detector, bits));
+    return { reason: 'hamming', id: best.id, hamming: best.hamming, maxHamming: detector.dictionary.tau - 1 };
+  }
+
+  /**
+   * AR.Detector#detect on an existing grey plane (same candidate parameters). Markers carry
+   * `hammingDistance` (bit errors corrected), `hammingMargin`: how many more bit errors
+   * the nearest other code needs than the decoded one — 0 means the read was a tie — and
+   * `cleanMargin`, the margin the same code has when read without errors. With a
+   * `rejected` array, quads that did not become markers are appended to it as
+   * { corners, reason, ...details } (grey-plane coordinates).
+   */
+  function detectAruco(detector, gray, width, height, rejected = null) {
+    const CV = global.CV;
+    detector.grey = new CV.Image(width, height, gray);
+    if (!(detector.thres.data instanceof Uint8ClampedArray) || detector.thres.data.length !== gray.length) {
+      detector.thres.data = new Uint8ClampedArray(gray.length);
+    }
+    CV.adaptiveThreshold(detector.grey, detector.thres, 2, 7);
+    detector.contours = CV.findContours(detector.thres, detector.binary);
+
+    // findCandidates(contours, width * 0.01, 0.05, 10), keeping the quads it drops
+    const candidates = [];
+    for (const contour of detector.contours) {
+      if (contour.length < width * 0.01) continue;
+      const poly = CV.approxPolyDP(contour, contour.length * 0.05);
+      if (poly.length !== 4) continue; // not a quad at all: noise, not a near-miss
+      if (!CV.isContourConvex(poly)) { if (rejected) rejected.push({ corners: poly, reason: 'not-convex' }); }
+      else if (CV.minEdgeLength(poly) < 10) { if (rejected) rejected.push({ corners: poly, reason: 'too-small' }); }
+      else candidates.push(poly);
+    }
+    detector.candidates = detector.notTooNear(detector.clockwiseCorners(candidates), 10);
+
+    // findMarkers(grey, candidates, 49) plus the decode margin
+    const markers = [];
+    for (const candidate of detector.candidates) {
+      CV.warp(detector.grey, detector.homography, candidate, 49);
+      CV.threshold(detector.homography, detector.homography, CV.otsu(detector.homography));
+      const bits = readBits(detector, detector.homography);
+      const marker = bits && decodeBits(detector, bits, candidate);
+      if (marker) {
+        // Bit errors can only bring other codes closer, so nothing past distance + clean
+        // margin can be the runner-up
+        const clean = cleanMargin(detector, marker.id);
+        const next = nearestCode(detector.dictionary, rotations(detector, bits), marker.hammingDistance + clean, marker.id);
+        marker.hammingMargin = next ? next.hamming - marker.hammingDistance : Infinity;
+        marker.cleanMargin = clean;
+        markers.push(marker);
+      } else if (rejected) {
+        rejected.push(Object.assign({ corners: candidate }, decodeFailure(detector, bits)));
+      }
+    }
+    return markers;
+  }
+
+  global.FrameLuma = {
+    fromRGBA,
+    fromVideoFrame,
+    resample,
+    detectAruco,
+    REJECT_REASONS
+  };
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : (typeof globalThis !== 'undefined' ? globalThis : {})));
@@ -0,0 +1,80 @@
+/**
+ * frame-quality.js — sharpness and exposure scores for a grey patch around a marker.
+ *
+ * sharpness: variance of the second derivative along x or along y, whichever is lower,
+ * divided by the patch's intensity variance, so dim and bright patches of the same marker
+ * score alike. Motion blur smooths at least one of the two axes, so it lowers the score
+ * sharply. The value depends on the marker's bit pattern and its size in the patch, so it
+ * is only meaningful against earlier scores of the same marker (the engine keeps that
+ * history). `lapVar` (Laplacian variance, not normalised) is reported as well.
+ * exposure: 0–1 from the 5th–95th percentile spread — an under- or overexposed marker loses
+ * the black/white separation the decoder and the corner fit rely on. `clipped` is the share
+ * of pixels at either end of the range.
+ *
+ * Loaded as a classic script and exposed as global `FrameQuality`; no dependencies.
+ */
+(function (global) {
+  'use strict';
+
+  // Spread that counts as a fully usable marker (p95 − p5 ≥ 40% of the range)
+  const FULL_CONTRAST = 0.4;
+
+  /**
+   * @param {Uint8ClampedArray|Uint8Array} gray width×height patch
+   * @returns {{ sharpness:number, lapVar:number, contrast:number, exposure:number, clipped:number }|null}
+   */
+  function score(gray, width, height) {
+    if (width < 3 || height < 3) return null;
+    const hist = new Uint32Array(256);
+    let sum = 0, sum2 = 0;
+    for (let i = 0; i < gray.length; i++) {
+      const v = gray[i];
+      hist[v]++;
+      sum += v;
+      sum2 += v * v;
+    }
+    const n = gray.length;
+    const mean = sum / n;
+    const variance = Math.max(0, sum2 / n - mean * mean);
+
+    // Second derivatives along x and y, and their sum (the Laplacian)
+    let sx = 0, sx2 = 0, sy = 0, sy2 = 0, sl = 0, sl2 = 0, ln = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const dxx = gray[i - 1] + gray[i + 1] - 2 * gray[i];
+        const dyy = gray[i - width] + gray[i + width] - 2 * gray[i];
+        sx += dxx; sx2 += dxx * dxx;
+        sy += dyy; sy2 += dyy * dyy;
+        sl += dxx + dyy; sl2 += (dxx + dyy) * (dxx + dyy);
+        ln++;
+      }
+    }
+    const varOf = (s1, s2) => Math.max(0, s2 / ln - (s1 / ln) * (s1 / ln));
+    const lapVar = varOf(sl, sl2);
+    // Blur along one direction leaves the other axis sharp: the weaker axis decides
+    const axisVar = Math.min(varOf(sx, sx2), varOf(sy, sy2));
+
+    let acc = 0, p5 = -1, p95 = 255;
+    for (let v = 0; v < 256; v++) {
+      acc += hist[v];
+      if (p5 < 0 && acc > 0.05 * n) p5 = v;
+      if (acc > 0.95 * n) { p95 = v; break; }
+    }
+    const contrast = Math.max(0, p95 - Math.max(0, p5)) / 255;
+    let clipped = 0;
+    for (let v = 0; v <= 4; v++) clipped += hist[v] + hist[255 - v];
+
+    return {
+      sharpness: variance > 1 ? axisVar / variance : 0,
+      lapVar,
+      contrast,
+      exposure: Math.min(1, contrast / FULL_CONTRAST),
+      clipped: clipped / n
+    };
+  }
+
+  global.FrameQuality = {
+    score
+  };
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : (typeof globalThis !== 'undefined' ? globalThis : {})));
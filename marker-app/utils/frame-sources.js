@@ -0,0 +1,348 @@
+/**
+ * frame-sources.js — what drives RestorationEngine._loop().
+ *
+ * Every source exposes the same small surface:
+ *   kind                  'camera' | 'video-file' | 'image-sequence' | 'synthetic'
+ *   width / height        current frame size in pixels (0 until ready)
+ *   element               CanvasImageSource to draw for the current frame
+ *   identity              { deviceId, label } used to look up calibration profiles
+ *   intrinsics            optional { cameraMatrix, distCoeffs } known exactly by the source
+ *   start()               async, resolves once the first frame is available
+ *   isReady()             true when `element` holds a drawable frame
+ *   update(now)           advance time-based sources (called once per render frame)
+ *   stop()
+ *
+ * The camera source wraps the page <video>; the others let the full
+ * detection → fusion → render pipeline run without a camera (CI, replays, demos).
+ */
+
+export class CameraFrameSource {
+    constructor(video, cameraSource = null) {
+        this.kind = 'camera';
+        this.video = video;
+        this.cameraSource = cameraSource;
+        this.intrinsics = null;
+    }
+    get element() { return this.video; }
+    get width() { return this.video ? this.video.videoWidth : 0; }
+    get height() { return this.video ? this.video.videoHeight : 0; }
+    get identity() {
+        try {
+            const track = this.video?.srcObject?.getVideoTracks?.()[0];
+            const settings = track && track.getSettings ? track.getSettings() : {};
+            return { deviceId: settings.deviceId || '', label: track?.label || '' };
+        } catch (e) {
+            return { deviceId: '', label: '' };
+        }
+    }
+    async start() { /* stream is opened by CameraSource */ }
+    isReady() { return !!this.video && this.video.readyState >= this.video.HAVE_ENOUGH_DATA; }
+    update() { }
+    stop() { if (this.cameraSource) this.cameraSource.stop(); }
+}
+
+/** MP4/WebM playback from a URL, File or Blob. */
+export class VideoFileFrameSource {
+    constructor({ src, loop = true, playbackRate = 1, muted = true, label = null } = {}) {
+        this.kind = 'video-file';
+        this._src = src;
+        this._objectUrl = null;
+        this.loop = loop;
+        this.playbackRate = playbackRate;
+        this.intrinsics = null;
+        this._label = label || (typeof src === 'string' ? src.split('/').pop() : (src && src.name) || 'video');
+        this.video = document.createElement('video');
+        this.video.muted = muted;
+        this.video.playsInline = true;
+        this.video.crossOrigin = 'anonymous';
+    }
+    get element() { return this.video; }
+    get width() { return this.video.videoWidth; }
+    get height() { return this.video.videoHeight; }
+    get identity() { return { deviceId: 'file:' + this._label, label: 'file:' + this._label }; }
+
+    async start() {
+        let url = this._src;
+        if (url && typeof url !== 'string') {
+            this._objectUrl = URL.createObjectURL(url);
+            url = this._objectUrl;
+        }
+        this.video.loop = this.loop;
+        this.video.src = url;
+        await new Promise((resolve, reject) => {
+            const onReady = () => { cleanup(); resolve(); };
+            const onError = () => { cleanup(); reject(new Error('video non leggibile: ' + this._label)); };
+            const cleanup = () => {
+                this.video.removeEventListener('loadeddata', onReady);
+                this.video.removeEventListener('error', onError);
+            };
+            this.video.addEventListener('loadeddata', onReady);
+            this.video.addEventListener('error', onError);
+        });
+        this.video.playbackRate = this.playbackRate;
+        await this.video.play();
+    }
+    isReady() { return this.video.readyState >= this.video.HAVE_CURRENT_DATA && this.video.videoWidth > 0; }
+    update() { }
+    stop() {
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        if (this._objectUrl) { URL.revokeObjectURL(this._objectUrl); this._objectUrl = null; }
+    }
+}
+
+/**
+ * Still images played back at a fixed rate. `images` may be URLs, File objects
+ * (e.g. from <input type=file webkitdirectory>) or already decoded images.
+ * Files are sorted by name so numbered captures play in order.
+ */
+export class ImageSequenceFrameSource {
+    constructor({ images = [], fps = 10, loop = true, label = 'sequence' } = {}) {
+        this.kind = 'image-sequence';
+        this.fps = Math.max(0.1, fps);
+        this.loop = loop;
+        this.intrinsics = null;
+        this._label = label;
+        this._inputs = Array.from(images).sort((a, b) => {
+            const na = typeof a === 'string' ? a : (a && a.name) || '';
+            const nb = typeof b === 'string' ? b : (b && b.name) || '';
+            return na.localeCompare(nb, undefined, { numeric: true });
+        });
+        this._frames = [];
+        this._index = 0;
+        this._startTime = 0;
+        this.finished = false;
+    }
+    get element() { return this._frames[this._index] || null; }
+    get width() { const f = this.element; return f ? (f.naturalWidth || f.width || 0) : 0; }
+    get height() { const f = this.element; return f ? (f.naturalHeight || f.height || 0) : 0; }
+    get identity() { return { deviceId: 'images:' + this._label, label: 'images:' + this._label }; }
+    get frameIndex() { return this._index; }
+    get frameCount() { return this._frames.length; }
+
+    async start() {
+        if (!this._inputs.length) throw new Error('sequenza immagini vuota');
+        this._frames = await Promise.all(this._inputs.map(input => {
+            if (typeof input !== 'string' && !(input instanceof Blob)) return input;
+            return (typeof createImageBitmap === 'function' && input instanceof Blob)
+                ? createImageBitmap(input)
+                : new Promise((resolve, reject) => {
+                    const img = new Image();
+                    img.onload = () => resolve(img);
+                    img.onerror = () => reject(new Error('immagine non leggibile: ' + input));
+                    img.src = input;
+                });
+        }));
+        this._index = 0;
+        this._startTime = 0;
+        this.finished = false;
+    }
+    isReady() { return this._frames.length > 0; }
+    update(now) {
+        if (!this._frames.length) return;
+        if (!this._startTime) this._startTime = now;
+        let i = Math.floor((now - this._startTime) / 1000 * this.fps);
+        if (i >= this._frames.length) {
+            if (this.loop) i %= this._frames.length;
+            else { i = this._frames.length - 1; this.finished = true; }
+        }
+        this._index = i;
+    }
+    stop() {
+        for (const f of this._frames) if (f && typeof f.close === 'function') f.close();
+        this._frames = [];
+    }
+}
+
+// ── Synthetic marker scene ───────────────────────────────────────────────────
+
+function rodrigues(r) {
+    const th = Math.hypot(r[0], r[1], r[2]);
+    if (th < 1e-12) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    const kx = r[0] / th, ky = r[1] / th, kz = r[2] / th, c = Math.cos(th), s = Math.sin(th), v = 1 - c;
+    return [
+        [kx * kx * v + c, kx * ky * v - kz * s, kx * kz * v + ky * s],
+        [ky * kx * v + kz * s, ky * ky * v + c, ky * kz * v - kx * s],
+        [kz * kx * v - ky * s, kz * ky * v + kx * s, kz * kz * v + c]
+    ];
+}
+
+/**
+ * Camera pose looking from `eye` at `target` (OpenCV convention: x right, y down, z forward).
+ * `down` is the world direction that should appear downwards in the image.
+ */
+export function lookAtPose(eye, target, down = [0, 0, -1]) {
+    const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    const norm = (a) => { const n = Math.hypot(a[0], a[1], a[2]) || 1; return [a[0] / n, a[1] / n, a[2] / n]; };
+    const z = norm(sub(target, eye));
+    const x = norm(cross(down, z));
+    const y = cross(z, x);
+    const R = [x, y, z]; // rows: world → camera
+    const t = [-(R[0][0] * eye[0] + R[0][1] * eye[1] + R[0][2] * eye[2]),
+        -(R[1][0] * eye[0] + R[1][1] * eye[1] + R[1][2] * eye[2]),
+        -(R[2][0] * eye[0] + R[2][1] * eye[1] + R[2][2] * eye[2])];
+    return { R, t };
+}
+
+/**
+ * Default table layout (the engine's 8-marker setup seen from the house front):
+ * markers lie on the world plane Z = 0, X to the right, Y away from the viewer, Z up.
+ */
+export function defaultSyntheticLayout() {
+    const rows = [[1, 7, 2], [5, null, 6], [3, 8, 4]]; // back → front
+    const out = [];
+    rows.forEach((row, r) => row.forEach((id, c) => {
+        if (id !== null) out.push({ id, center: [(c - 1) * 0.14, (1 - r) * 0.10, 0] });
+    }));
+    return out;
+}
+
+/**
+ * Procedurally rendered marker scene: each ArUco cell is projected as its own
+ * polygon through a pinhole camera (optionally with lens distortion), so the
+ * detector sees correct perspective. Poses follow `trajectory(tSeconds)` which
+ * returns { R, t } (world → camera); the default orbits the table.
+ */
+export class SyntheticMarkerFrameSource {
+    constructor({
+        width = 1280, height = 720, fovDeg = 65, cameraMatrix = null, distCoeffs = null,
+        markers = defaultSyntheticLayout(), markerSize = 0.04, dictionaryName = 'ARUCO',
+        trajectory = null, noise = 0, background = '#c8c2b8'
+    } = {}) {
+        this.kind = 'synthetic';
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx = this.canvas.getContext('2d');
+        const f = (width / 2) / Math.tan(fovDeg * Math.PI / 360);
+        this.cameraMatrix = cameraMatrix ? cameraMatrix.slice(0, 9) : [f, 0, width / 2, 0, f, height / 2, 0, 0, 1];
+        this.distCoeffs = distCoeffs ? distCoeffs.slice() : [0, 0, 0, 0, 0];
+        this.intrinsics = { cameraMatrix: this.cameraMatrix.slice(), distCoeffs: this.distCoeffs.slice() };
+        this.markers = markers.map(m => Object.assign({ size: markerSize }, m));
+        this.dictionaryName = dictionaryName;
+        this.trajectory = trajectory || SyntheticMarkerFrameSource.orbit();
+        this.noise = noise;
+        this.background = background;
+        this._dict = null;
+        this._startTime = 0;
+        this.lastPose = null;
+    }
+
+    static orbit({ radius = 0.55, height = 0.38, period = 12, sweepDeg = 50 } = {}) {
+        return (t) => {
+            const a = Math.sin(2 * Math.PI * t / period) * sweepDeg * Math.PI / 180;
+            return lookAtPose([Math.sin(a) * radius, -Math.cos(a) * radius, height], [0, 0, 0]);
+        };
+    }
+
+    static fixed(rvec, tvec) {
+        const R = rodrigues(rvec);
+        return () => ({ R, t: tvec.slice() });
+    }
+
+    get element() { return this.canvas; }
+    get width() { return this.canvas.width; }
+    get height() { return this.canvas.height; }
+    get identity() { return { deviceId: 'synthetic', label: 'synthetic' }; }
+
+    async start() {
+        this._dict = new AR.Dictionary(this.dictionaryName);
+        this._startTime = 0;
+        this.render(0);
+    }
+    isReady() { return !!this._dict; }
+    update(now) {
+        if (!this._startTime) this._startTime = now;
+        this.render((now - this._startTime) / 1000);
+    }
+    stop() { this._dict = null; }
+
+    _project(R, t, p) {
+        const xc = R[0][0] * p[0] + R[0][1] * p[1] + R[0][2] * p[2] + t[0];
+        const yc = R[1][0] * p[0] + R[1][1] * p[1] + R[1][2] * p[2] + t[1];
+        const zc = R[2][0] * p[0] + R[2][1] * p[1] + R[2][2] * p[2] + t[2];
+        if (zc <= 1e-4) return null;
+        let x = xc / zc, y = yc / zc;
+        const [k1, k2, p1, p2, k3] = this.distCoeffs;
+        if (k1 || k2 || p1 || p2 || k3) {
+            const r2 = x * x + y * y, radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+            const xd = x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x);
+            const yd = y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y;
+            x = xd; y = yd;
+        }
+        const K = this.cameraMatrix;
+        return [K[0] * x + K[2], K[4] * y + K[5]];
+    }
+
+    _fillQuad(pts, color) {
+        if (pts.some(p => !p)) return;
+        const ctx = this.ctx;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(pts[0][0], pts[0][1]);
+        for (let i = 1; i < 4; i++) ctx.lineTo(pts[i][0], pts[i][1]);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    render(tSeconds) {
+        if (!this._dict) return;
+        const { R, t } = this.trajectory(tSeconds);
+        this.lastPose = { R, t, time: tSeconds };
+        const ctx = this.ctx;
+        ctx.fillStyle = this.background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const cells = this._dict.markSize;
+        const bitsPerRow = cells - 2;
+        for (const m of this.markers) {
+            const code = this._dict.codeList[m.id];
+            if (!code) continue;
+            const cell = m.size / cells;
+            // Printed marker "up" points to +Y (away from the viewer), so cell rows run towards -Y
+            const x0 = m.center[0] - m.size / 2, y0 = m.center[1] + m.size / 2, z = m.center[2] || 0;
+            const quad = (cx, cy, n) => [
+                [x0 + cx * cell, y0 - cy * cell, z], [x0 + (cx + n) * cell, y0 - cy * cell, z],
+                [x0 + (cx + n) * cell, y0 - (cy + n) * cell, z], [x0 + cx * cell, y0 - (cy + n) * cell, z]
+            ].map(p => this._project(R, t, p));
+            this._fillQuad(quad(-1, -1, cells + 2), '#ffffff'); // quiet zone
+            this._fillQuad(quad(0, 0, cells), '#000000');
+            for (let y = 0; y < bitsPerRow; y++) {
+                for (let x = 0; x < bitsPerRow; x++) {
+                    if (code[y * bitsPerRow + x] === '1') this._fillQuad(quad(x + 1, y + 1, 1), '#ffffff');
+                }
+            }
+        }
+
+        if (this.noise > 0) {
+            const img = ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+            const d = img.data, amp = this.noise * 255;
+            for (let i = 0; i < d.length; i += 4) {
+                const n = (Math.random() - 0.5) * amp;
+                d[i] += n; d[i + 1] += n; d[i + 2] += n;
+            }
+            ctx.putImageData(img, 0, 0);
+        }
+    }
+
+    /** Ground-truth image corners (TL,TR,BR,BL) of marker `id` at the last rendered pose. */
+    groundTruthCorners(id) {
+        const m = this.markers.find(mm => mm.id === id);
+        if (!m || !this.lastPose) return null;
+        const h = m.size / 2, z = m.center[2] || 0;
+        return [[-h, h], [h, h], [h, -h], [-h, -h]].map(([dx, dy]) =>
+            this._project(this.lastPose.R, this.lastPose.t, [m.center[0] + dx, m.center[1] + dy, z]));
+    }
+}
+
+/** Build a source from a plain description, e.g. from URL params: { type: 'video', src }. */
+export function createFrameSource(desc = {}) {
+    switch (desc.type) {
+        case 'video': return new VideoFileFrameSource(desc);
+        case 'images': return new ImageSequenceFrameSource(desc);
+        case 'synthetic': return new SyntheticMarkerFrameSource(desc);
+        default: throw new Error('frame source sconosciuto: ' + desc.type);
+    }
+}
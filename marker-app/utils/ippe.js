@@ -0,0 +1,232 @@
+/**
+ * ippe.js — IPPE (Infinitesimal Plane-based Pose Estimation, Collins & Bartoli 2014) for
+ * square markers, with Levenberg–Marquardt refinement. Pure JS, no OpenCV.
+ *
+ * Input: the four corners as undistorted normalised image points (x right, y down) in
+ * marker order TL, TR, BR, BL. Marker frame: origin at the centre, x towards TR, y towards
+ * BL, z into the marker — a marker facing the camera has R = I (same as POSIT's y-up
+ * frame seen through the y flip, so the two solvers agree on the house offsets).
+ *
+ * Both planar solutions are returned, refined and sorted by reprojection RMS (normalised
+ * units; multiply by the focal length for pixels).
+ *
+ * Loaded as a classic script and exposed as global `IPPE`; no dependencies.
+ */
+(function (global) {
+  'use strict';
+
+  function objectPoints(markerLength) {
+    const h = markerLength / 2;
+    return [[-h, -h], [h, -h], [h, h], [-h, h]];
+  }
+
+  // The same corners as x, y, z triples (z = 0) for cv.matFromArray(4, 1, cv.CV_32FC3, ...):
+  // both detection backends hand these to solvePnP, so 'opencv-pnp' shares IPPE's frame
+  function cvObjectPoints(markerLength) {
+    return objectPoints(markerLength).flatMap(([x, y]) => [x, y, 0]);
+  }
+
+  // Solve the n×n system A·x = b in place (Gaussian elimination, partial pivoting)
+  function solveLinear(A, b) {
+    const n = b.length;
+    for (let c = 0; c < n; c++) {
+      let p = c;
+      for (let r = c + 1; r < n; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+      if (Math.abs(A[p][c]) < 1e-14) return null;
+      [A[c], A[p]] = [A[p], A[c]];
+      [b[c], b[p]] = [b[p], b[c]];
+      for (let r = c + 1; r < n; r++) {
+        const f = A[r][c] / A[c][c];
+        if (!f) continue;
+        for (let k = c; k < n; k++) A[r][k] -= f * A[c][k];
+        b[r] -= f * b[c];
+      }
+    }
+    const x = new Array(n);
+    for (let r = n - 1; r >= 0; r--) {
+      let s = b[r];
+      for (let k = r + 1; k < n; k++) s -= A[r][k] * x[k];
+      x[r] = s / A[r][r];
+    }
+    return x;
+  }
+
+  /** Plane (X, Y) → normalised image homography from 4 correspondences, h22 = 1. */
+  function homography(obj, img) {
+    const A = [], b = [];
+    for (let i = 0; i < 4; i++) {
+      const [X, Y] = obj[i], { x, y } = img[i];
+      A.push([X, Y, 1, 0, 0, 0, -x * X, -x * Y]); b.push(x);
+      A.push([0, 0, 0, X, Y, 1, -y * X, -y * Y]); b.push(y);
+    }
+    const h = solveLinear(A, b);
+    return h ? [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]] : null;
+  }
+
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+  // A rotation whose third column is the unit vector s (axis-angle from z to s)
+  function rotationZTo(s) {
+    const axis = cross([0, 0, 1], s);
+    const sn = Math.hypot(axis[0], axis[1], axis[2]);
+    const c = s[2];
+    if (sn < 1e-12) return c > 0 ? [[1, 0, 0], [0, 1, 0], [0, 0, 1]] : [[1, 0, 0], [0, -1, 0], [0, 0, -1]];
+    const [kx, ky, kz] = axis.map(v => v / sn), v = 1 - c;
+    return [
+      [kx * kx * v + c, kx * ky * v - kz * sn, kx * kz * v + ky * sn],
+      [ky * kx * v + kz * sn, ky * ky * v + c, ky * kz * v - kx * sn],
+      [kz * kx * v - ky * sn, kz * ky * v + kx * sn, kz * kz * v + c]
+    ];
+  }
+
+  const matMul = (A, B) => A.map(row => [0, 1, 2].map(j => row[0] * B[0][j] + row[1] * B[1][j] + row[2] * B[2][j]));
+
+  /**
+   * The two rotations explaining the homography's Jacobian J (2×2) at the plane origin,
+   * which projects to (p, q). See the paper, section 4.
+   */
+  function rotationsFromJacobian(J, p, q) {
+    const n = Math.hypot(p, q, 1);
+    const Rv = rotationZTo([p / n, q / n, 1 / n]);
+    // B = [I2 | -v] · Rv[:, 0:2]; that projection removes the viewing direction
+    const b00 = Rv[0][0] - p * Rv[2][0], b01 = Rv[0][1] - p * Rv[2][1];
+    const b10 = Rv[1][0] - q * Rv[2][0], b11 = Rv[1][1] - q * Rv[2][1];
+    const det = b00 * b11 - b01 * b10;
+    if (Math.abs(det) < 1e-14) return null;
+    const a00 = (b11 * J[0][0] - b01 * J[1][0]) / det, a01 = (b11 * J[0][1] - b01 * J[1][1]) / det;
+    const a10 = (-b10 * J[0][0] + b00 * J[1][0]) / det, a11 = (-b10 * J[0][1] + b00 * J[1][1]) / det;
+    // Largest singular value of A = 1 / depth of the origin
+    const t00 = a00 * a00 + a10 * a10, t01 = a00 * a01 + a10 * a11, t11 = a01 * a01 + a11 * a11;
+    const gamma = Math.sqrt(0.5 * (t00 + t11 + Math.sqrt((t00 - t11) * (t00 - t11) + 4 * t01 * t01)));
+    if (!(gamma > 1e-12)) return null;
+    const r00 = a00 / gamma, r01 = a01 / gamma, r10 = a10 / gamma, r11 = a11 / gamma;
+    const c0 = Math.sqrt(Math.max(0, 1 - r00 * r00 - r10 * r10));
+    let c1 = Math.sqrt(Math.max(0, 1 - r01 * r01 - r11 * r11));
+    if (-(r00 * r01 + r10 * r11) < 0) c1 = -c1; // keep the first two columns orthogonal
+    return [1, -1].map(sign => {
+      const col0 = [r00, r10, sign * c0], col1 = [r01, r11, sign * c1], col2 = cross(col0, col1);
+      const W = [0, 1, 2].map(i => [col0[i], col1[i], col2[i]]);
+      return matMul(Rv, W);
+    });
+  }
+
+  // Least-squares translation for a fixed rotation (linear in t)
+  function translationFor(R, obj, img) {
+    const AtA = [[0, 0, 0], [0, 0, 0], [0, 0, 0]], Atb = [0, 0, 0];
+    for (let i = 0; i < obj.length; i++) {
+      const [X, Y] = obj[i], { x, y } = img[i];
+      const P = [R[0][0] * X + R[0][1] * Y, R[1][0] * X + R[1][1] * Y, R[2][0] * X + R[2][1] * Y];
+      const rows = [[[1, 0, -x], x * P[2] - P[0]], [[0, 1, -y], y * P[2] - P[1]]];
+      for (const [a, rhs] of rows) {
+        for (let r = 0; r < 3; r++) {
+          Atb[r] += a[r] * rhs;
+          for (let c = 0; c < 3; c++) AtA[r][c] += a[r] * a[c];
+        }
+      }
+    }
+    return solveLinear(AtA, Atb);
+  }
+
+  // Object points are [X, Y] on the plane or [X, Y, Z] (board layouts)
+  function residuals(R, t, obj, img) {
+    const out = [];
+    for (let i = 0; i < obj.length; i++) {
+      const [X, Y, Z = 0] = obj[i];
+      const cx = R[0][0] * X + R[0][1] * Y + R[0][2] * Z + t[0];
+      const cy = R[1][0] * X + R[1][1] * Y + R[1][2] * Z + t[1];
+      const cz = R[2][0] * X + R[2][1] * Y + R[2][2] * Z + t[2];
+      out.push(cx / cz - img[i].x, cy / cz - img[i].y);
+    }
+    return out;
+  }
+
+  const rms = (res) => Math.sqrt(res.reduce((s, r) => s + r * r, 0) / (res.length / 2));
+
+  function expRotation(w) {
+    const th = Math.hypot(w[0], w[1], w[2]);
+    if (th < 1e-12) return [[1, -w[2], w[1]], [w[2], 1, -w[0]], [-w[1], w[0], 1]];
+    const [kx, ky, kz] = w.map(v => v / th), c = Math.cos(th), s = Math.sin(th), v = 1 - c;
+    return [
+      [kx * kx * v + c, kx * ky * v - kz * s, kx * kz * v + ky * s],
+      [ky * kx * v + kz * s, ky * ky * v + c, ky * kz * v - kx * s],
+      [kz * kx * v - ky * s, kz * ky * v + kx * s, kz * kz * v + c]
+    ];
+  }
+
+  /**
+   * Levenberg–Marquardt on the reprojection error; R is updated as exp([w]×)·R.
+   * Numeric Jacobian: 6 parameters, so cheap even for a board's 32 points.
+   */
+  function refine(R, t, obj, img, { iterations = 10, eps = 1e-7 } = {}) {
+    let res = residuals(R, t, obj, img);
+    let cost = res.reduce((s, r) => s + r * r, 0);
+    let lambda = 1e-3;
+    const apply = (R0, t0, d) => [matMul(expRotation([d[0], d[1], d[2]]), R0), [t0[0] + d[3], t0[1] + d[4], t0[2] + d[5]]];
+    for (let it = 0; it < iterations && cost > 1e-24; it++) {
+      const Jc = [];
+      for (let k = 0; k < 6; k++) {
+        const d = [0, 0, 0, 0, 0, 0];
+        d[k] = eps;
+        const [Rp, tp] = apply(R, t, d);
+        Jc.push(residuals(Rp, tp, obj, img).map((r, i) => (r - res[i]) / eps));
+      }
+      const JtJ = [0, 1, 2, 3, 4, 5].map(a => [0, 1, 2, 3, 4, 5].map(b => Jc[a].reduce((s, v, i) => s + v * Jc[b][i], 0)));
+      const Jtr = [0, 1, 2, 3, 4, 5].map(a => -Jc[a].reduce((s, v, i) => s + v * res[i], 0));
+      let improved = false;
+      for (let tries = 0; tries < 6 && !improved; tries++) {
+        const A = JtJ.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambda) + 1e-18 : v)));
+        const d = solveLinear(A, Jtr.slice());
+        if (!d) break;
+        const [Rn, tn] = apply(R, t, d);
+        const rn = residuals(Rn, tn, obj, img);
+        const cn = rn.reduce((s, r) => s + r * r, 0);
+        if (cn < cost && tn[2] > 0) {
+          R = Rn; t = tn; res = rn; cost = cn;
+          lambda = Math.max(1e-9, lambda / 10);
+          improved = true;
+        } else {
+          lambda *= 10;
+        }
+      }
+      if (!improved) break;
+    }
+    return { R, t, rms: rms(res) };
+  }
+
+  /**
+   * @param {Array<{x:number,y:number}>} img undistorted normalised corners TL, TR, BR, BL
+   * @param {number} markerLength side length (translation comes out in the same unit)
+   * @param {object} [opts]
+   * @param {boolean} [opts.refine=true] Levenberg–Marquardt polish of both solutions
+   * @returns {Array<{R:number[][], t:number[], rms:number}>} 0–2 solutions, best first
+   */
+  function solveSquare(img, markerLength, opts = {}) {
+    if (!Array.isArray(img) || img.length !== 4 || !(markerLength > 0)) return [];
+    const obj = objectPoints(markerLength);
+    const H = homography(obj, img);
+    if (!H) return [];
+    // Origin of the marker plane and the homography's Jacobian there
+    const p = H[0][2] / H[2][2], q = H[1][2] / H[2][2];
+    const J = [
+      [(H[0][0] - H[2][0] * p) / H[2][2], (H[0][1] - H[2][1] * p) / H[2][2]],
+      [(H[1][0] - H[2][0] * q) / H[2][2], (H[1][1] - H[2][1] * q) / H[2][2]]
+    ];
+    const rotations = rotationsFromJacobian(J, p, q);
+    if (!rotations) return [];
+    const out = [];
+    for (const R0 of rotations) {
+      const t0 = translationFor(R0, obj, img);
+      if (!t0 || !(t0[2] > 0)) continue;
+      const sol = opts.refine === false ? { R: R0, t: t0, rms: rms(residuals(R0, t0, obj, img)) } : refine(R0, t0, obj, img);
+      if (sol.R.every(row => row.every(Number.isFinite)) && sol.t.every(Number.isFinite)) out.push(sol);
+    }
+    return out.sort((a, b) => a.rms - b.rms);
+  }
+
+  global.IPPE = {
+    solveSquare,
+    objectPoints,
+    cvObjectPoints,
+    refine
+  };
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : (typeof globalThis !== 'undefined' ? globalThis : {})));
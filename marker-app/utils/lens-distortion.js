@@ -0,0 +1,82 @@
+/**
+ * lens-distortion.js — Brown–Conrady lens model helpers (OpenCV-compatible coefficients).
+ *
+ * distCoeffs = [k1, k2, p1, p2, k3]  (missing entries are treated as 0)
+ * cameraMatrix = [fx, 0, cx, 0, fy, cy, 0, 0, 1]  (row-major)
+ *
+ * Loaded as a classic script (worker importScripts or <script>) and exposed as
+ * global `LensDistortion`; no dependencies.
+ */
+(function (global) {
+  'use strict';
+
+  function coeffs(distCoeffs) {
+    const d = Array.isArray(distCoeffs) || ArrayBuffer.isView(distCoeffs) ? distCoeffs : [];
+    return [Number(d[0]) || 0, Number(d[1]) || 0, Number(d[2]) || 0, Number(d[3]) || 0, Number(d[4]) || 0];
+  }
+
+  function hasDistortion(distCoeffs) {
+    return coeffs(distCoeffs).some(v => v !== 0);
+  }
+
+  /** Apply distortion to a normalised image point (x, y) → [xd, yd]. */
+  function distortNormalized(x, y, distCoeffs) {
+    const [k1, k2, p1, p2, k3] = coeffs(distCoeffs);
+    const r2 = x * x + y * y;
+    const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+    return [
+      x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+      y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y
+    ];
+  }
+
+  /**
+   * Invert the distortion for a normalised point (same fixed-point scheme as
+   * cv::undistortPoints). Converges in a handful of iterations for phone lenses.
+   */
+  function undistortNormalized(xd, yd, distCoeffs, iterations = 8) {
+    const [k1, k2, p1, p2, k3] = coeffs(distCoeffs);
+    let x = xd, y = yd;
+    for (let i = 0; i < iterations; i++) {
+      const r2 = x * x + y * y;
+      const icdist = 1 / (1 + r2 * (k1 + r2 * (k2 + r2 * k3)));
+      if (!Number.isFinite(icdist) || icdist <= 0) return [xd, yd];
+      const dx = 2 * p1 * x * y + p2 * (r2 + 2 * x * x);
+      const dy = p1 * (r2 + 2 * y * y) + 2 * p2 * x * y;
+      x = (xd - dx) * icdist;
+      y = (yd - dy) * icdist;
+    }
+    return [x, y];
+  }
+
+  /**
+   * Pixel points → undistorted normalised coordinates.
+   * @param {Array<{x:number,y:number}|number[]>} points
+   * @returns {Array<{x:number,y:number}>}
+   */
+  function undistortPoints(points, cameraMatrix, distCoeffs, iterations) {
+    const fx = cameraMatrix[0], cx = cameraMatrix[2], fy = cameraMatrix[4], cy = cameraMatrix[5];
+    const distort = hasDistortion(distCoeffs);
+    return points.map(p => {
+      const u = p.x !== undefined ? p.x : p[0];
+      const v = p.y !== undefined ? p.y : p[1];
+      const xd = (u - cx) / fx, yd = (v - cy) / fy;
+      const [x, y] = distort ? undistortNormalized(xd, yd, distCoeffs, iterations) : [xd, yd];
+      return { x, y };
+    });
+  }
+
+  /** Normalised (undistorted) point → distorted pixel coordinates. */
+  function projectNormalized(x, y, cameraMatrix, distCoeffs) {
+    const [xd, yd] = hasDistortion(distCoeffs) ? distortNormalized(x, y, distCoeffs) : [x, y];
+    return { x: cameraMatrix[0] * xd + cameraMatrix[2], y: cameraMatrix[4] * yd + cameraMatrix[5] };
+  }
+
+  global.LensDistortion = {
+    hasDistortion,
+    distortNormalized,
+    undistortNormalized,
+    undistortPoints,
+    projectNormalized
+  };
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : (typeof globalThis !== 'undefined' ? globalThis : {})));
@@ -0,0 +1,230 @@
+/**
+ * luma-preprocess.js — contrast stage between the grey plane and the marker detectors, for
+ * dim rooms and glare (museum tables under spotlights).
+ *
+ * Steps, each optional, in order:
+ *   glare   — small near-saturated blobs (specular highlights, plus a 1 px halo) are
+ *             replaced by the mean of the unsaturated pixels around them, so they stop
+ *             breaking marker borders into spurious contours;
+ *   stretch — linear auto-contrast between two percentiles;
+ *   gamma   — power curve that lifts a dark median towards mid-grey;
+ *   clahe   — contrast-limited adaptive histogram equalisation (tiles + bilinear blend).
+ *
+ * choose() picks the parameters from histogram statistics; any of them can be forced by the
+ * caller. The detectors get a new plane: the input is never modified.
+ *
+ * Loaded as a classic script and exposed as global `LumaPreprocess`; no dependencies.
+ */
+(function (global) {
+  'use strict';
+
+  const GLARE_LEVEL = 250;
+
+  function percentile(hist, total, q) {
+    const target = q * total;
+    let acc = 0;
+    for (let v = 0; v < 256; v++) {
+      acc += hist[v];
+      if (acc > target) return v;
+    }
+    return 255;
+  }
+
+  /**
+   * Histogram statistics. The percentiles used for the stretch leave glare pixels out, so a
+   * few highlights do not pin the top of the range; mean and median count every pixel.
+   * @returns {{ mean:number, median:number, low:number, high:number, glareFraction:number }}
+   */
+  function analyze(gray) {
+    const hist = new Uint32Array(256);
+    for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+    let glare = 0, sum = 0;
+    for (let v = 0; v < 256; v++) {
+      sum += v * hist[v];
+      if (v >= GLARE_LEVEL) glare += hist[v];
+    }
+    const n = gray.length - glare;
+    const kept = hist.slice(0, GLARE_LEVEL);
+    return {
+      mean: sum / Math.max(1, gray.length),
+      median: percentile(hist, gray.length, 0.5),
+      low: n > 0 ? percentile(kept, n, 0.01) : 255,
+      high: n > 0 ? percentile(kept, n, 0.99) : 255,
+      glareFraction: glare / Math.max(1, gray.length)
+    };
+  }
+
+  /**
+   * Parameters for one plane. `overrides` fields (glare, stretch, gamma, clahe) replace the
+   * automatic choice: false / 1 / 0 disable a step, numbers set it.
+   * @returns {{ glare:boolean, stretch:[number,number]|null, gamma:number, clahe:number, stats:object }}
+   */
+  function choose(stats, overrides = {}) {
+    const pick = (key, auto) => (overrides[key] === undefined || overrides[key] === 'auto' ? auto : overrides[key]);
+    const glare = !!pick('glare', stats.glareFraction > 0.005);
+    const spread = stats.high - stats.low;
+    // Stretch when the used range is clearly narrower than 0–255
+    const autoStretch = spread >= 4 && (spread < 200 || stats.low > 24 || stats.high < 230) ? [stats.low, stats.high] : null;
+    let stretch = pick('stretch', autoStretch);
+    if (stretch === true) stretch = [stats.low, stats.high];
+    if (!Array.isArray(stretch) || !(stretch[1] > stretch[0])) stretch = null;
+    // Underexposure only: lift a dark median (after the stretch) towards mid-grey. Bright
+    // frames are left to the stretch — a white page around a marker is not overexposure.
+    const lo = stretch ? stretch[0] : 0, hi = stretch ? stretch[1] : 255;
+    const m = Math.max(0.05, (stats.median - lo) / (hi - lo));
+    const autoGamma = m < 0.35 ? Math.max(0.4, Math.log(0.5) / Math.log(m)) : 1;
+    const gamma = Number(pick('gamma', autoGamma)) || 1;
+    // CLAHE only for flat or very dark frames: it amplifies sensor noise otherwise
+    const autoClahe = spread < 80 || stats.median < 40 ? 3 : (spread < 140 ? 2 : 0);
+    const clahe = Math.max(0, Number(pick('clahe', autoClahe)) || 0);
+    return { glare, stretch, gamma, clahe, stats };
+  }
+
+  /**
+   * Replace small saturated blobs (specular highlights, dilated by `grow`) with the mean of the
+   * unsaturated pixels within `radius`. Large saturated areas — an overexposed white page, a
+   * window — are left alone: filling them from their borders would darken a marker's quiet zone.
+   */
+  function maskGlare(src, width, height, out, { grow = 1, radius = 8, maxBlobFraction = 0.002 } = {}) {
+    const n = width * height;
+    const maxBlob = Math.max(16, maxBlobFraction * n);
+    const label = new Uint8Array(n); // 1 = saturated, 2 = visited, 3 = masked
+    for (let i = 0; i < n; i++) if (src[i] >= GLARE_LEVEL) label[i] = 1;
+    const mask = new Uint8Array(n);
+    const stack = [], blob = [];
+    for (let seed = 0; seed < n; seed++) {
+      if (label[seed] !== 1) continue;
+      stack.push(seed);
+      label[seed] = 2;
+      blob.length = 0;
+      while (stack.length) {
+        const i = stack.pop();
+        blob.push(i);
+        const x = i % width;
+        if (x > 0 && label[i - 1] === 1) { label[i - 1] = 2; stack.push(i - 1); }
+        if (x < width - 1 && label[i + 1] === 1) { label[i + 1] = 2; stack.push(i + 1); }
+        if (i >= width && label[i - width] === 1) { label[i - width] = 2; stack.push(i - width); }
+        if (i < n - width && label[i + width] === 1) { label[i + width] = 2; stack.push(i + width); }
+      }
+      if (blob.length > maxBlob) continue;
+      for (const i of blob) {
+        const x = i % width, y = (i - x) / width;
+        const y0 = Math.max(0, y - grow), y1 = Math.min(height - 1, y + grow);
+        const x0 = Math.max(0, x - grow), x1 = Math.min(width - 1, x + grow);
+        for (let yy = y0; yy <= y1; yy++) mask.fill(1, yy * width + x0, yy * width + x1 + 1);
+      }
+    }
+    out.set(src);
+    // Integral images of the unmasked, unsaturated values and of their count
+    const W = width + 1;
+    const sum = new Float64Array(W * (height + 1));
+    const cnt = new Uint32Array(W * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rs = 0, rc = 0;
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (!mask[i] && src[i] < GLARE_LEVEL) { rs += src[i]; rc++; }
+        sum[(y + 1) * W + x + 1] = sum[y * W + x + 1] + rs;
+        cnt[(y + 1) * W + x + 1] = cnt[y * W + x + 1] + rc;
+      }
+    }
+    let masked = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (!mask[i]) continue;
+        const x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+        const y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+        const c = cnt[y1 * W + x1] - cnt[y0 * W + x1] - cnt[y1 * W + x0] + cnt[y0 * W + x0];
+        if (!c) continue; // no unsaturated neighbour: nothing better to put there
+        const s = sum[y1 * W + x1] - sum[y0 * W + x1] - sum[y1 * W + x0] + sum[y0 * W + x0];
+        out[i] = s / c;
+        masked++;
+      }
+    }
+    return masked;
+  }
+
+  // Contrast-limited adaptive histogram equalisation, tiles × tiles grid, in place
+  function clahe(data, width, height, clipLimit, tiles = 8) {
+    const tx = Math.max(1, Math.min(tiles, Math.floor(width / 8)));
+    const ty = Math.max(1, Math.min(tiles, Math.floor(height / 8)));
+    const tw = width / tx, th = height / ty;
+    const luts = [];
+    for (let j = 0; j < ty; j++) {
+      for (let i = 0; i < tx; i++) {
+        const x0 = Math.floor(i * tw), x1 = Math.floor((i + 1) * tw);
+        const y0 = Math.floor(j * th), y1 = Math.floor((j + 1) * th);
+        const hist = new Float64Array(256);
+        for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) hist[data[y * width + x]]++;
+        const area = Math.max(1, (x1 - x0) * (y1 - y0));
+        // Clip and spread the excess evenly
+        const limit = Math.max(1, clipLimit * area / 256);
+        let excess = 0;
+        for (let v = 0; v < 256; v++) if (hist[v] > limit) { excess += hist[v] - limit; hist[v] = limit; }
+        const add = excess / 256;
+        const lut = new Uint8ClampedArray(256);
+        let acc = 0;
+        for (let v = 0; v < 256; v++) {
+          acc += hist[v] + add;
+          lut[v] = (acc * 255) / area;
+        }
+        luts.push(lut);
+      }
+    }
+    // Bilinear blend between the four nearest tile centres
+    for (let y = 0; y < height; y++) {
+      const fy = Math.min(ty - 1, Math.max(0, (y + 0.5) / th - 0.5));
+      const j0 = Math.floor(fy), j1 = Math.min(ty - 1, j0 + 1), wy = fy - j0;
+      for (let x = 0; x < width; x++) {
+        const fx = Math.min(tx - 1, Math.max(0, (x + 0.5) / tw - 0.5));
+        const i0 = Math.floor(fx), i1 = Math.min(tx - 1, i0 + 1), wx = fx - i0;
+        const v = data[y * width + x];
+        const top = luts[j0 * tx + i0][v] * (1 - wx) + luts[j0 * tx + i1][v] * wx;
+        const bottom = luts[j1 * tx + i0][v] * (1 - wx) + luts[j1 * tx + i1][v] * wx;
+        data[y * width + x] = top * (1 - wy) + bottom * wy;
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Apply chosen parameters to a width×height plane; returns a new Uint8ClampedArray.
+   * Sets params.glarePixels to the number of pixels the glare step replaced.
+   */
+  function apply(gray, width, height, params) {
+    let out = new Uint8ClampedArray(gray.length);
+    if (params.glare) params.glarePixels = maskGlare(gray, width, height, out);
+    else out.set(gray);
+    if (params.stretch || params.gamma !== 1) {
+      const lo = params.stretch ? params.stretch[0] : 0, hi = params.stretch ? params.stretch[1] : 255;
+      const lut = new Uint8ClampedArray(256);
+      for (let v = 0; v < 256; v++) {
+        const t = Math.min(1, Math.max(0, (v - lo) / (hi - lo)));
+        lut[v] = Math.pow(t, params.gamma) * 255;
+      }
+      for (let i = 0; i < out.length; i++) out[i] = lut[out[i]];
+    }
+    if (params.clahe > 0) out = clahe(out, width, height, params.clahe);
+    return out;
+  }
+
+  /**
+   * analyze → choose → apply in one go.
+   * @param {object} [overrides] forced parameters, see choose()
+   * @returns {{ data:Uint8ClampedArray, params:object }} data === gray when nothing applies
+   */
+  function process(gray, width, height, overrides = {}) {
+    const params = choose(analyze(gray), overrides);
+    const idle = !params.glare && !params.stretch && params.gamma === 1 && !(params.clahe > 0);
+    return { data: idle ? gray : apply(gray, width, height, params), params };
+  }
+
+  global.LumaPreprocess = {
+    analyze,
+    choose,
+    apply,
+    process,
+    GLARE_LEVEL
+  };
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : (typeof globalThis !== 'undefined' ? globalThis : {})));
@@ -19,6 +19,22 @@
  *      3      8      4
  */
 
+import { ArucoCalibrationBoard, calibrateCamera, calibrationViewFromMarkers } from './camera-calibration.js';
+import { CalibrationStore, rescaleCameraMatrix, adaptCalibration } from './calibration-store.js';
+import { CameraSource } from './camera-source.js';
+import { CameraFrameSource, createFrameSource } from './frame-sources.js';
+import { FocalEstimator } from './focal-estimator.js';
+import { DetectionWorkerPool } from './worker-pool.js';
+import { DETECTION_BACKENDS, resolveDetectionBackend, unsupportedFeatures } from './detection-backends.js';
+import { VideoFrameCapture } from './video-frame-capture.js';
+
+// Short names of the layout slots (see the diagram above), for overlay labels and logs
+const MARKER_SLOT_LABELS = {
+    1: 'BL', 7: 'BC', 2: 'BR',
+    5: 'ML', 6: 'MR',
+    3: 'FL', 8: 'FC', 4: 'FR'
+};
+
 export class RestorationEngine {
 
     // ── Constructor ──────────────────────────────────────────────────────────
@@ -33,14 +49,18 @@ export class RestorationEngine {
         this.modelGroup = null;
         this.destroyedModel = null;
         this.restoredModel = null;
-        this.worker = null;
+        this.worker = null;               // DetectionWorkerPool (same postMessage / terminate surface)
         this._workerReady = false;
-        this._workerBusy = false;
+        this._workerPoolSize = 'auto';    // 'auto' = sized from hardwareConcurrency and detect time
+        this._detectionBackend = 'jsaruco';   // key of DETECTION_BACKENDS
+        this._backendCapabilities = null;     // from the active workers' 'ready' / 'capabilities'
+        this._pendingBackend = null;          // { name, pool } loading, takes over once ready
         this.isTracking = false;
         this._lastTrackingTime = 0;
         this._trackingTimeout = 800;
         this._framesWithoutDetection = 0;
         this.markerSizeMM = 40;   // 4cm markers (user's physical setup)
+        this._markerSizesMM = {}; // id → mm for markers printed at another size (setMarkerSizesMM)
         this.houseSizeMM = 195;  // slight upscale for better visual match
         this.focal = 800;
         this._modelBBox = null;
@@ -54,6 +74,19 @@ export class RestorationEngine {
         this._maxDetectSize = 768;
         this._detectionCanvas = null;
         this._detectionCanvasCtx = null;
+        // ROI detection: the worker gets the full-resolution frame and crops around predicted
+        // markers, with a downscaled full scan every _roiFullScanInterval frames
+        this._roiDetection = false;
+        this._roiFullScanInterval = 10;
+        this._lastDetectionInfo = null;   // worker's { mode, reason, rois, tiles, preprocess } for the last result
+        // Multi-scale: full scans add overlapping full-resolution tiles (distant / tiny markers)
+        this._multiScale = { enabled: false, tileSize: 640, overlap: 0.25, tilesPerFrame: 0 };
+        // Low-light / glare preprocessing in the worker: null = off, {} = automatic, or overrides
+        this._preprocess = null;
+        // Zero-copy capture (VideoFrame → worker); canvas + ImageBitmap path as fallback
+        this._zeroCopyCapture = true;
+        this._frameCapture = null;
+        this._frameSizeMismatches = 0;
 
         // Pose filters (initialized later in _initThree)
         this.posFilter = null;
@@ -84,7 +117,15 @@ export class RestorationEngine {
         this._obliqueWeightFloor = 0.12;
         this._adaptiveTuningEnabled = true;
         this._debugOverlayEnabled = true;
+        // Debug: draw quads that did not become markers (worker reasons + layout / size checks)
+        this._showRejected = false;
+        this._lastRejected = [];
         this._lastFusionStats = null;
+        // POSIT planar ambiguity: both solutions are compared when their errors are within
+        // this ratio; the previous fused pose counts as a reference for this long
+        this._poseAmbiguityRatio = 2.5;
+        this._poseAmbiguityMemoryMs = 500;
+        this._lastFusedPose = null;
 
         // EKF option for rotation smoothing (disabled by default)
         this._useQuatEKF = false;
@@ -99,7 +140,8 @@ export class RestorationEngine {
         this._fusionTrackWindow = 0.24;   // meters - temporal gate around previous fused pose
         this._fusionPosSigma = 0.14;      // meters - distance weighting sigma for multi-marker blend
         this._singleMarkerMaxJump = 0.25; // meters - stricter guard when only one marker is usable (increased from 0.10 for better fast-motion tracking)
-        this._maxPoseErrorForFusion = 0.35;
+        this._maxPoseErrorForFusion = 0.35;   // POSIT: its error is whole rounded pixels, 0 when it converges
+        this._maxIppeErrorForFusion = 2.5;    // px — IPPE reports reprojection RMS, nonzero on real corners
         this._trackingPosDeadband = 0.0035;  // meters, suppress micro-jitter when nearly static
         this._trackingRotDeadband = 0.020;   // radians, suppress tiny orientation shimmer
         this._anchorIds = null;           // null = use all markers; array -> prefer these ids
@@ -158,27 +200,80 @@ export class RestorationEngine {
         this._markerOutlierDistance = 0.35; // meters (can be tuned at runtime)
         // Minimum detector confidence (0..1) to accept a marker for fusion
         this._markerConfidenceThreshold = 0.15;
+        // Frame quality gate on the worker's per-marker scores: sharpness relative to the same
+        // marker's recent best (motion blur) and exposure. Weak markers lose fusion weight;
+        // a frame with nothing usable is skipped, for at most maxSkipMs in a row
+        this._qualityGate = { enabled: true, minSharpness: 0.35, minExposure: 0.2, maxSkipMs: 250 };
+        this._sharpnessRefById = new Map();
+        this._qualitySkipSince = 0;
+        this._lastQuality = null;
+        // Board pose: the workers solve one house pose over every visible layout marker and
+        // report per-marker residuals. It replaces the per-marker fusion when it covers at least
+        // minMarkers and reprojects within maxRmsPx; otherwise the fusion runs as before
+        this._boardPose = { enabled: true, minMarkers: 2, maxRmsPx: 3 };
+        this._lastBoardPose = null;
         // Corner-flow normalized SSD threshold (worker-side)
         this._cornerFlowSSDThreshold = 60;
 
         // Runtime-overridable marker offsets and persisted storage
         this._markerOffsets = null;
         this._markerOffsetsStorageKey = 'expear.markerOffsets.v4';
+        // Printed (detected) ID → layout slot, for sheets where a marker sits in another slot
+        // than its ID; null = ignore that ID. Unlisted IDs sit in their own slot unless another
+        // ID has taken it. Persisted; setMarkerIdMap / startSlotAssignment
+        this._markerIdMap = {};
+        this._markerIdMapKey = 'expear.markerIdMap.v1';
+        this._slotAssignment = null;      // pending tap-to-assign { slot, resolve, container, onTap }
         this._autoOffsetsComputed = false;
 
         // Optional camera calibration (cameraMatrix [9], distCoeffs [])
         this._cameraMatrix = null;
         this._distCoeffs = null;
+        this._cameraMatrixSize = null;     // overlay resolution _cameraMatrix refers to
+        this._calibrationStore = new CalibrationStore();
+        this._calibrationProfileId = null;
+
+        // Camera selection / constraints (persisted so the chosen lens survives reloads)
+        this._cameraSource = null;
+        this._cameraOptionsKey = 'expear.cameraSource.v1';
+        this._cameraOptions = { deviceId: null, facingMode: 'environment', width: null, height: null, frameRate: null };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this._cameraOptionsKey) || 'null');
+            if (saved && typeof saved === 'object') Object.assign(this._cameraOptions, saved);
+        } catch (e) { /* ignore */ }
+        this.onCameraDevicesChanged = null;
+        this._frameSource = null;         // what _loop() draws/detects (camera, file, synthetic...)
+
+        // Marker dictionary used by the worker ('AUTO' cycles the common ones); custom code
+        // lists are persisted with the selection so they are re-registered on reload
+        this._dictionaryKey = 'expear.arucoDictionary.v1';
+        this._dictionaryName = 'ARUCO';
+        this._maxHammingDistance = null;  // bit errors tolerated, null = dictionary default
+        this._customDictionaries = [];
+        this._activeDictionary = null;    // dictionary that produced the last result
+        try {
+            const saved = JSON.parse(localStorage.getItem(this._dictionaryKey) || 'null');
+            if (saved && typeof saved === 'object') {
+                if (typeof saved.name === 'string') this._dictionaryName = saved.name;
+                if (typeof saved.maxHammingDistance === 'number') this._maxHammingDistance = saved.maxHammingDistance;
+                if (Array.isArray(saved.custom)) this._customDictionaries = saved.custom;
+            }
+        } catch (e) { /* ignore */ }
+
+        // Online focal refinement from multi-marker layout distances (off by default)
+        this._focalSelfCalEnabled = false;
+        this._focalEstimator = new FocalEstimator();
+
+        // Calibration wizard session (null when not calibrating)
+        this._calibration = null;
 
         // Optional features
         this._useSubpixel = false;
         this._useAprilTag = false;
         this._useSolvePnP = false;
+        this._poseSolver = 'auto';        // 'auto' | 'opencv' | 'ippe' | 'posit' (worker-side)
         this._usePyrLKFlow = false;
 
-        // If true, swap mapping of marker IDs 2/3 (Left/Right) — useful when physical markers are inverted
-        this._swapLeftRight = false;
-
         this.restorationLevel = 0;
         this.onLog = null;
         this._stopped = false;
@@ -194,7 +289,9 @@ export class RestorationEngine {
 
     // ── Lifecycle ────────────────────────────────────────────────────────────
 
-    async init() {
+    // options.frameSource: a FrameSource instance or description ({ type: 'video' | 'images' |
+    // 'synthetic', ... }) to run without a camera; defaults to the one set via setFrameSource().
+    async init({ frameSource = null } = {}) {
         this.video = document.getElementById('video');
         this.overlay = document.getElementById('overlay');
         this.overlayCtx = this.overlay.getContext('2d');
@@ -204,45 +301,11 @@ export class RestorationEngine {
             this.stop();
             this._stopped = false;
 
-            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-                throw new Error('API Camera non trovata. Usa HTTPS.');
-            }
-
-            this.log('Richiesta accesso fotocamera...');
-            let stream;
-            try {
-                stream = await navigator.mediaDevices.getUserMedia({
-                    video: { facingMode: 'environment' }
-                });
-            } catch (err) {
-                if (err.name === 'NotAllowedError') {
-                    throw new Error('Permesso negato. Controlla impostazioni browser o usa HTTPS.');
-                }
-                
-                // Fallback for local testing without HTTPS/Camera permissions
-                if (location.hostname === 'localhost' || location.hostname === '127.0.0.1') {
-                    this.log('Running on localhost without camera access. Using mock video stream.', 'warn');
-                    const canvas = document.createElement('canvas');
-                    canvas.width = 640;
-                    canvas.height = 480;
-                    const ctx = canvas.getContext('2d');
-                    ctx.fillStyle = '#333';
-                    ctx.fillRect(0, 0, canvas.width, canvas.height);
-                    ctx.fillStyle = '#fff';
-                    ctx.font = '20px Arial';
-                    ctx.fillText('Mock Camera Stream', 50, 50);
-                    stream = canvas.captureStream(30);
-                } else {
-                    throw new Error('Camera indisponibile. Chiudi altre app o usa HTTPS.');
-                }
-            }
-
-            this.video.srcObject = stream;
-            try { await this.video.play(); } catch (e) { this.log('Play: ' + e.message, 'warn'); }
-
-            this.log('Attesa dimensioni video...');
-            for (let i = 0; i < 30 && !this.video.videoWidth; i++) {
-                await new Promise(r => setTimeout(r, 100));
+            if (frameSource) this._frameSource = frameSource.kind ? frameSource : createFrameSource(frameSource);
+            if (this._frameSource && this._frameSource.kind !== 'camera') {
+                await this._startNonCameraSource(this._frameSource);
+            } else {
+                await this._startCameraSource();
             }
 
             const isIPhone = /iPhone/i.test(navigator.userAgent || '');
@@ -254,9 +317,12 @@ export class RestorationEngine {
             this._setupCanvas();
             this._initThree();
             this._estimateFocal();
+            this._applyCalibrationProfile();
+            this._applyFrameSourceIntrinsics();
             this._syncProjection();
             this._initWorker();
             this._loop();
+            if (this._cameraSource) this._cameraSource.watchDevices(info => this._onCameraDevicesChanged(info));
 
             // Auto-select preset per device
             try {
@@ -272,27 +338,288 @@ export class RestorationEngine {
         }
     }
 
+    async _startNonCameraSource(source) {
+        this.log(`Sorgente frame: ${source.kind}`);
+        await source.start();
+        for (let i = 0; i < 30 && !(source.width > 0); i++) {
+            await new Promise(r => setTimeout(r, 100));
+        }
+    }
+
+    async _startCameraSource() {
+        if (!CameraSource.isSupported()) {
+            throw new Error('API Camera non trovata. Usa HTTPS.');
+        }
+
+        // Camera → camera restart: release the running stream and its devicechange listener first
+        if (this._cameraSource) { this._cameraSource.stop(); this._cameraSource = null; }
+
+        this.log('Richiesta accesso fotocamera...');
+        this._cameraSource = new CameraSource({ video: this.video, log: (m, t) => this.log(m, t) });
+        try {
+            try {
+                await this._cameraSource.open(this._cameraOptions);
+            } catch (err) {
+                // Remembered device may be gone (other phone / unplugged): retry with defaults
+                if (!this._cameraOptions.deviceId || err.name === 'NotAllowedError') throw err;
+                this.log('Camera salvata non disponibile, uso quella predefinita', 'warn');
+                this._cameraOptions = Object.assign({}, this._cameraOptions, { deviceId: null });
+                await this._cameraSource.open(this._cameraOptions);
+            }
+        } catch (err) {
+            if (err.name === 'NotAllowedError') {
+                throw new Error('Permesso negato. Controlla impostazioni browser o usa HTTPS.');
+            }
+            
+            // Fallback for local testing without HTTPS/Camera permissions
+            if (location.hostname === 'localhost' || location.hostname === '127.0.0.1') {
+                this.log('Running on localhost without camera access. Using mock video stream.', 'warn');
+                const canvas = document.createElement('canvas');
+                canvas.width = 640;
+                canvas.height = 480;
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#333';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.fillStyle = '#fff';
+                ctx.font = '20px Arial';
+                ctx.fillText('Mock Camera Stream', 50, 50);
+                this._cameraSource.adopt(canvas.captureStream(30));
+                try { await this.video.play(); } catch (e) { this.log('Play: ' + e.message, 'warn'); }
+            } else {
+                throw new Error('Camera indisponibile. Chiudi altre app o usa HTTPS.');
+            }
+        }
+
+        this._frameSource = new CameraFrameSource(this.video, this._cameraSource);
+
+        this.log('Attesa dimensioni video...');
+        for (let i = 0; i < 30 && !this.video.videoWidth; i++) {
+            await new Promise(r => setTimeout(r, 100));
+        }
+    }
+
+    /**
+     * Replace what feeds the pipeline (camera, video file, image sequence, synthetic scene).
+     * Before init() this only selects the source; while running it swaps live.
+     */
+    async setFrameSource(source) {
+        const next = source && !source.kind ? createFrameSource(source) : source;
+        const running = !!this.renderer && !this._stopped;
+        const prev = this._frameSource;
+        this._frameSource = next;
+        if (!running) return;
+        if (prev && prev !== next && prev.kind !== 'camera') prev.stop();
+        if (!next || next.kind === 'camera') {
+            this._frameSource = null;
+            await this._startCameraSource();
+            if (this._cameraSource) this._cameraSource.watchDevices(info => this._onCameraDevicesChanged(info));
+        } else {
+            if (this._cameraSource) { this._cameraSource.stop(); this._cameraSource = null; }
+            await this._startNonCameraSource(next);
+        }
+        this._onCameraStreamChanged();
+    }
+
+    getFrameSource() {
+        return this._frameSource;
+    }
+
+    // Sources that know their exact intrinsics (synthetic scene) override estimates,
+    // without touching the stored calibration profiles.
+    _applyFrameSourceIntrinsics() {
+        const k = this._frameSource && this._frameSource.intrinsics;
+        if (!k || !Array.isArray(k.cameraMatrix)) return;
+        this.setCameraCalibration(k.cameraMatrix, k.distCoeffs || [], {
+            persist: false, width: this._frameSource.width, height: this._frameSource.height
+        });
+    }
+
     stop() {
         this._stopped = true;
+        this.cancelSlotAssignment();
         if (this._rafId) {
             cancelAnimationFrame(this._rafId);
             this._rafId = null;
         }
+        if (this._cameraSource) {
+            this._cameraSource.stop();
+            this._cameraSource = null;
+        }
+        if (this._frameSource) {
+            if (this._frameSource.kind === 'camera') this._frameSource = null;
+            else this._frameSource.stop();
+        }
         if (this.video?.srcObject) {
             this.video.srcObject.getTracks().forEach(t => t.stop());
             this.video.srcObject = null;
         }
+        if (this._frameCapture) {
+            this._frameCapture.detach();
+            this._frameCapture = null;
+        }
         if (this.worker) {
             this.worker.terminate();
             this.worker = null;
         }
+        if (this._pendingBackend) {
+            this._pendingBackend.pool.terminate();
+            this._pendingBackend = null;
+        }
+    }
+
+    // ── Stream size / orientation changes ───────────────────────────────────
+
+    // The source now delivers frames of a different size (phone rotated, track renegotiated,
+    // next video file...). Rebuild size-dependent state but keep the fused pose running.
+    _onFrameSizeChanged() {
+        const source = this._frameSource;
+        const oldW = this.overlay.width, oldH = this.overlay.height;
+        const oldDetW = this._detectionCanvas ? this._detectionCanvas.width : 0;
+        const oldDetH = this._detectionCanvas ? this._detectionCanvas.height : 0;
+        const newW = source.width, newH = source.height;
+        const rotated = oldW > 0 && oldH > 0 && (oldW >= oldH) !== (newW >= newH);
+
+        this._setupCanvas();
+        if (!this._applyCalibrationProfile() && !this._cameraMatrix && oldW > 0) {
+            // Uncalibrated: same sensor, so focal in pixels follows the long-side scale
+            this.focal *= rotated ? Math.max(newW, newH) / Math.max(oldW, oldH) : newW / oldW;
+        }
+        this._applyFrameSourceIntrinsics();
+        this._syncProjection();
+
+        try {
+            const cfg = (rotated || !oldDetW)
+                ? { type: 'config', resetTracking: true }
+                : { type: 'config', rescaleHistory: { sx: this._detectionCanvas.width / oldDetW, sy: this._detectionCanvas.height / oldDetH } };
+            this.worker && this.worker.postMessage(cfg);
+        } catch (e) { /* ignore */ }
+
+        if (rotated) {
+            // Image axes turned by 90° relative to the world: re-acquire (snap) instead of
+            // letting the world anchor / jump guards reject the new camera-space pose.
+            this._worldAnchorActive = false;
+            this._worldAnchorBuildup = 0;
+            this._positionHistory = [];
+            this._lastFusedPose = null;
+            this._hasFirstPose = false;
+        }
+        this._focalEstimator.reset();
+        if (this._calibration && this._calibration.views.length) {
+            this._calibration.views = [];
+            this._calibration.result = null;
+            this._calibration.status = 'collecting';
+            this.log('Risoluzione cambiata: viste di calibrazione azzerate', 'warn');
+        }
+        this.log(`Frame ${oldW}x${oldH} → ${newW}x${newH}${rotated ? ' (rotazione)' : ''}`);
+    }
+
+    // ── Camera source ────────────────────────────────────────────────────────
+
+    async listCameras() {
+        if (!this._cameraSource) return [];
+        try { return await this._cameraSource.listDevices(); } catch (e) { return []; }
+    }
+
+    getCameraCapabilities() {
+        return this._cameraSource ? this._cameraSource.getCapabilities() : null;
+    }
+
+    getCameraSettings() {
+        return this._cameraSource ? this._cameraSource.getSettings() : {};
+    }
+
+    /**
+     * Switch lens and/or renegotiate the stream without a stop()/init() cycle.
+     * opts: { deviceId, facingMode, width, height, frameRate } — merged with the current choice.
+     */
+    async switchCamera(opts = {}) {
+        if (!this._cameraSource) throw new Error('Camera non inizializzata');
+        const next = Object.assign({}, this._cameraOptions, opts);
+        if (opts.deviceId) next.facingMode = null;
+        else if (opts.facingMode) next.deviceId = null;
+        try {
+            await this._cameraSource.open(next);
+        } catch (e) {
+            this.log('Cambio camera fallito: ' + e.message, 'error');
+            throw e;
+        }
+        this._cameraOptions = next;
+        try { localStorage.setItem(this._cameraOptionsKey, JSON.stringify(next)); } catch (e) { /* ignore */ }
+        this._onCameraStreamChanged();
+        return this._cameraSource.getSettings();
+    }
+
+    // Resolution / frame rate on the current lens
+    setCameraConstraints({ width, height, frameRate } = {}) {
+        const opts = {};
+        if (width !== undefined) opts.width = width || null;
+        if (height !== undefined) opts.height = height || null;
+        if (frameRate !== undefined) opts.frameRate = frameRate || null;
+        const deviceId = this._cameraSource && this._cameraSource.deviceId;
+        if (deviceId) opts.deviceId = deviceId;
+        return this.switchCamera(opts);
+    }
+
+    async setTorch(on) {
+        const ok = this._cameraSource ? await this._cameraSource.setTorch(on) : false;
+        this.log(ok ? 'Torcia ' + (on ? 'ON' : 'OFF') : 'Torcia non supportata', ok ? 'info' : 'warn');
+        return ok;
+    }
+
+    async setCameraFocus(opts) {
+        const ok = this._cameraSource ? await this._cameraSource.setFocus(opts) : false;
+        if (!ok) this.log('Controllo fuoco non supportato', 'warn');
+        return ok;
+    }
+
+    async setCameraExposure(opts) {
+        const ok = this._cameraSource ? await this._cameraSource.setExposure(opts) : false;
+        if (!ok) this.log('Controllo esposizione non supportato', 'warn');
+        return ok;
+    }
+
+    async setCameraZoom(zoom) {
+        const ok = this._cameraSource ? await this._cameraSource.setZoom(zoom) : false;
+        // Zoom changes the effective focal length: calibrated intrinsics only hold at zoom 1
+        if (ok && this._calibrationProfileId && zoom !== 1) this.log('Zoom attivo: la calibrazione del profilo non è più esatta', 'warn');
+        return ok;
+    }
+
+    // New stream is live: everything derived from the old one (canvas size, intrinsics,
+    // corner history, fused pose) has to be rebuilt.
+    _onCameraStreamChanged() {
+        this._setupCanvas();
+        this._cameraMatrix = null;
+        this._distCoeffs = null;
+        this._cameraMatrixSize = null;
+        this._estimateFocal();
+        this._applyCalibrationProfile();
+        this._applyFrameSourceIntrinsics();
+        this._syncProjection();
+        try { this.worker && this.worker.postMessage({ type: 'config', resetTracking: true }); } catch (e) { /* ignore */ }
+        this._lastRawMarkers = [];
+        this._lastTrackingTime = 0;
+        const statusEl = document.getElementById('tracking-status');
+        if (statusEl && this.modelGroup) this._handleTrackingLost(statusEl, performance.now());
+    }
+
+    async _onCameraDevicesChanged(info) {
+        this.log(`Dispositivi camera: ${info.devices.length} (+${info.added.length}/-${info.removed.length})`);
+        if (info.activeLost) {
+            this.log('Camera attiva scollegata: ripiego su quella predefinita', 'warn');
+            try { await this.switchCamera({ deviceId: null, facingMode: 'environment' }); } catch (e) { /* logged */ }
+        }
+        if (typeof this.onCameraDevicesChanged === 'function') {
+            try { this.onCameraDevicesChanged(info.devices); } catch (e) { /* ignore */ }
+        }
     }
 
     // ── Canvas setup ─────────────────────────────────────────────────────────
 
     _setupCanvas() {
-        this.overlay.width = this.video.videoWidth;
-        this.overlay.height = this.video.videoHeight;
+        const source = this._frameSource;
+        this.overlay.width = source ? source.width : this.video.videoWidth;
+        this.overlay.height = source ? source.height : this.video.videoHeight;
         this.overlay.style.width = '100%';
         this.overlay.style.height = '100%';
         this.overlay.style.objectFit = 'cover';
@@ -362,6 +689,80 @@ export class RestorationEngine {
         this._syncProjection();
     }
 
+    // ── Focal self-calibration ───────────────────────────────────────────────
+
+    setFocalSelfCalibration(enable, { reset = true } = {}) {
+        this._focalSelfCalEnabled = !!enable;
+        if (reset) this._focalEstimator.reset();
+        this.log('Focal self-calibration ' + (this._focalSelfCalEnabled ? 'ON' : 'OFF'));
+    }
+
+    getFocalEstimate() {
+        return Object.assign({ current: this._currentFocalPx() }, this._focalEstimator.getState());
+    }
+
+    _currentFocalPx() {
+        return (this._cameraMatrix && this._cameraMatrix.length >= 9) ? this._cameraMatrix[0] : this.focal;
+    }
+
+    _layoutDistance(idA, idB) {
+        if (!this._validMarkerIds.has(idA) || !this._validMarkerIds.has(idB)) return null;
+        const a = this._markerOffsetsForId(idA), b = this._markerOffsetsForId(idB);
+        return (a && b) ? a.positionOffset.distanceTo(b.positionOffset) : null;
+    }
+
+    _feedFocalEstimator(poseful) {
+        if (poseful.length < 2) return;
+        this._focalEstimator.addObservation(poseful, (a, b) => this._layoutDistance(a, b), this._currentFocalPx());
+    }
+
+    /**
+     * Adopt the estimated focal (keeps principal point, fy/fx ratio and distortion) and
+     * store it in the calibration profile of the active camera. `force` skips the convergence check.
+     */
+    commitFocalEstimate({ persist = true, force = false } = {}) {
+        const st = this._focalEstimator.getState();
+        if (!st.estimate || (!st.converged && !force)) {
+            this.log('Stima focale non ancora convergente', 'warn');
+            return false;
+        }
+        const w = this.overlay?.width || 0, h = this.overlay?.height || 0;
+        const K = (this._cameraMatrix && this._cameraMatrix.length >= 9)
+            ? this._cameraMatrix.slice(0, 9)
+            : [this.focal, 0, w / 2, 0, this.focal, h / 2, 0, 0, 1];
+        const aspect = K[4] / K[0];
+        K[0] = st.estimate;
+        K[4] = st.estimate * aspect;
+        this.setCameraCalibration(K, this._distCoeffs || [], { persist, source: 'focal-selfcal' });
+        this._focalEstimator.reset();
+        return true;
+    }
+
+    // Mapping from overlay/video pixels to the on-screen container under object-fit: cover:
+    // container = overlay * scale + offset (offsets are ≤ 0 on the cropped axis).
+    _coverTransform() {
+        const w = this.overlay?.width || 0, h = this.overlay?.height || 0;
+        const container = document.getElementById('three-container');
+        const cw = (container && container.clientWidth) || w;
+        const ch = (container && container.clientHeight) || h;
+        const scale = (w && h) ? Math.max(cw / w, ch / h) : 1;
+        const offsetX = (cw - w * scale) / 2, offsetY = (ch - h * scale) / 2;
+        return {
+            scale, offsetX, offsetY,
+            containerWidth: cw, containerHeight: ch,
+            // part of the overlay that is actually on screen, in overlay pixels
+            visibleRect: { x: -offsetX / scale, y: -offsetY / scale, width: cw / scale, height: ch / scale }
+        };
+    }
+
+    // Client (CSS px, e.g. pointer event) → overlay pixel coordinates
+    clientToOverlay(clientX, clientY) {
+        const container = document.getElementById('three-container');
+        const r = container && container.getBoundingClientRect ? container.getBoundingClientRect() : { left: 0, top: 0 };
+        const t = this._coverTransform();
+        return [(clientX - r.left - t.offsetX) / t.scale, (clientY - r.top - t.offsetY) / t.scale];
+    }
+
     _syncProjection() {
         if (!this.overlay || !this.overlay.width || !this.overlay.height) return;
         const w = this.overlay.width;
@@ -372,21 +773,26 @@ export class RestorationEngine {
         const cy = (this._cameraMatrix && this._cameraMatrix.length >= 9) ? this._cameraMatrix[5] : (h / 2);
         const near = 0.01, far = 100;
 
+        // The renderer fills the container while the video is cover-cropped into it:
+        // express the intrinsics in container pixels so 3D stays glued to the markers.
+        const t = this._coverTransform();
+        const W = t.containerWidth, H = t.containerHeight;
+        const fxc = fx * t.scale, fyc = fy * t.scale;
+        const cxc = cx * t.scale + t.offsetX, cyc = cy * t.scale + t.offsetY;
+        this._lastCoverTransform = t;
+
         // OpenCV intrinsics → Three.js NDC projection (column-major)
         const m = new THREE.Matrix4();
         m.set(
-            2 * fx / w,  0,            -(2 * cx / w - 1),  0,
-            0,           2 * fy / h,   -(2 * cy / h - 1),  0,
+            2 * fxc / W, 0,            -(2 * cxc / W - 1), 0,
+            0,           2 * fyc / H,  -(2 * cyc / H - 1), 0,
             0,           0,            -(far + near) / (far - near), -2 * far * near / (far - near),
             0,           0,            -1,                  0
         );
         this.camera.projectionMatrix.copy(m);
         this.camera.projectionMatrixInverse.copy(m).invert();
 
-        const container = document.getElementById('three-container');
-        if (container && this.renderer) { // both needed for setSize
-            this.renderer.setSize(container.clientWidth, container.clientHeight);
-        }
+        if (this.renderer) this.renderer.setSize(W, H);
     }
 
     // ── Public setters ───────────────────────────────────────────────────────
@@ -397,9 +803,60 @@ export class RestorationEngine {
             try { this.worker.postMessage({ type: 'config', markerLength: this.markerSizeMM / 1000 }); }
             catch (e) { this.log('Worker config: ' + e.message, 'warn'); }
         }
+        this._resizeMarkerHelpers();
+        this._syncBoardLayout();
         this.log(`Marker: ${this.markerSizeMM} mm`);
     }
 
+    /**
+     * Per-ID printed sizes, e.g. large corner markers for distance and small centre ones for
+     * close-ups: `map` is id → mm; null or 0 puts that ID back on markerSizeMM. Used for the
+     * worker's pose solves, the board layout, the perimeter threshold and the helper boxes.
+     */
+    setMarkerSizesMM(map) {
+        if (!map || typeof map !== 'object') return;
+        for (const idStr of Object.keys(map)) {
+            const id = Number(idStr), mm = Number(map[idStr]);
+            if (!Number.isFinite(id)) continue;
+            if (mm > 0) this._markerSizesMM[id] = Math.max(10, mm);
+            else delete this._markerSizesMM[id];
+        }
+        if (this.worker) {
+            try { this.worker.postMessage({ type: 'config', markerLengths: this._markerLengthsM() }); }
+            catch (e) { this.log('Worker config: ' + e.message, 'warn'); }
+        }
+        this._resizeMarkerHelpers();
+        this._syncBoardLayout();
+        const ids = Object.keys(this._markerSizesMM);
+        this.log(ids.length
+            ? 'Marker per ID: ' + ids.map(id => `${id}=${this._markerSizesMM[id]}mm`).join(', ') + ` (altri ${this.markerSizeMM} mm)`
+            : `Marker: ${this.markerSizeMM} mm per tutti gli ID`);
+    }
+
+    getMarkerSizesMM() {
+        return Object.assign({}, this._markerSizesMM);
+    }
+
+    _markerSizeMMForId(id) {
+        return this._markerSizesMM[id] || this.markerSizeMM;
+    }
+
+    // Worker form: printed ID → metres (sizes belong to layout slots)
+    _markerLengthsM() {
+        const out = {};
+        for (const slot in this._markerSizesMM) {
+            const id = this._markerIdForSlot(Number(slot));
+            if (id !== null) out[id] = this._markerSizesMM[slot] / 1000;
+        }
+        return out;
+    }
+
+    // The perimeter threshold is set for a markerSizeMM marker; other sizes scale with their
+    // side, so every marker is cut off at the same distance
+    _minPerimeterForId(id) {
+        return this._minMarkerPerimeter * this._markerSizeMMForId(id) / this.markerSizeMM;
+    }
+
     setHouseSizeMM(mm) {
         this.houseSizeMM = Math.max(10, Number(mm) || 200);
         const target = this.houseSizeMM / 1000;
@@ -447,6 +904,23 @@ export class RestorationEngine {
         this.log('Debug overlay ' + (this._debugOverlayEnabled ? 'enabled' : 'disabled'));
     }
 
+    /**
+     * Rejected-candidate debug mode: the worker reports quads it could not turn into markers
+     * ('too-small', 'not-convex', 'decode-failed', 'hamming' with the nearest ID) and the
+     * engine adds the markers it drops itself ('not-in-layout', 'too-small' below
+     * minMarkerPerimeter); all are drawn on the debug overlay with their reason.
+     */
+    setShowRejectedCandidates(enable) {
+        this._showRejected = !!enable;
+        if (!this._showRejected) this._lastRejected = [];
+        try { this.worker && this.worker.postMessage({ type: 'config', reportRejected: this._showRejected }); } catch (e) { /* ignore */ }
+        this.log('Candidati scartati ' + (this._showRejected ? 'visibili' : 'nascosti'));
+    }
+
+    getLastRejectedCandidates() {
+        return this._lastRejected.map(r => Object.assign({}, r, { corners: r.corners.map(c => c.slice()) }));
+    }
+
     // Set corner-flow normalized SSD threshold (worker-side). Also forwards to worker.
     setCornerFlowSSDThreshold(v) {
         this._cornerFlowSSDThreshold = Math.max(1, Number(v) || this._cornerFlowSSDThreshold);
@@ -655,7 +1129,8 @@ export class RestorationEngine {
         } catch (e) { /* ignore */ }
     }
 
-    // Sub-pixel refinement control (uses OpenCV.js inside worker when enabled)
+    // Sub-pixel refinement control (OpenCV.js cornerSubPix when it loads in the worker,
+    // the built-in gradient refiner otherwise)
     setUseSubpixel(enable) {
         this._useSubpixel = !!enable;
         try { this.worker && this.worker.postMessage({ type: 'config', useSubpixel: !!enable }); } catch (e) { /* ignore */ }
@@ -669,6 +1144,24 @@ export class RestorationEngine {
         this.log('Use solvePnP ' + (enable ? 'ON' : 'OFF'));
     }
 
+    /**
+     * Per-marker pose solver in the worker. 'auto': OpenCV solvePnP when enabled and
+     * loaded, otherwise POSIT. 'ippe': the built-in IPPE (+ LM refinement), POSIT as last resort.
+     */
+    setPoseSolver(name = 'auto') {
+        const solvers = ['auto', 'opencv', 'ippe', 'posit'];
+        const key = String(name).toLowerCase();
+        if (!solvers.includes(key)) {
+            this.log(`Pose solver sconosciuto: ${name} (${solvers.join(', ')})`, 'warn');
+            return false;
+        }
+        this._poseSolver = key;
+        if (key === 'opencv' && !this._useSolvePnP) this.setUseSolvePnP(true);
+        try { this.worker && this.worker.postMessage({ type: 'config', poseSolver: key }); } catch (e) { /* ignore */ }
+        this.log('Pose solver: ' + key);
+        return true;
+    }
+
     // Prefer calcOpticalFlowPyrLK (OpenCV) for corner tracking when available
     setUsePyrLKFlow(enable) {
         this._usePyrLKFlow = !!enable;
@@ -683,13 +1176,251 @@ export class RestorationEngine {
         this.log('AprilTag fallback ' + (enable ? 'enabled' : 'disabled'));
     }
 
-    // Swap left/right mapping for marker IDs 2/3 (useful when physical markers are inverted)
+    // Detect inside predicted regions at full resolution; full-frame scan every N frames or when lost
+    setRoiDetection(enable, { fullScanInterval, margin } = {}) {
+        this._roiDetection = !!enable;
+        if (typeof fullScanInterval === 'number') this._roiFullScanInterval = Math.max(1, Math.floor(fullScanInterval));
+        const cfg = { type: 'config', roiDetection: this._roiDetection, roiFullScanInterval: this._roiFullScanInterval };
+        if (typeof margin === 'number') cfg.roiMargin = margin;
+        try { this.worker && this.worker.postMessage(cfg); } catch (e) { /* ignore */ }
+        this._lastDetectionInfo = null;
+        this.log(`ROI detection ${this._roiDetection ? 'ON' : 'OFF'} (full scan ogni ${this._roiFullScanInterval} frame)`);
+    }
+
+    /**
+     * Multi-scale detection: besides the downscaled frame, full scans look at overlapping
+     * full-resolution tiles so markers a few dozen px wide are still decoded. tilesPerFrame
+     * (0 = all) spreads the tiles over frames; pair with ROI detection to keep what was found.
+     */
+    setMultiScaleDetection(enable, { tileSize, overlap, tilesPerFrame } = {}) {
+        const ms = this._multiScale;
+        ms.enabled = !!enable;
+        if (typeof tileSize === 'number') ms.tileSize = Math.max(128, Math.min(2048, Math.floor(tileSize)));
+        if (typeof overlap === 'number') ms.overlap = Math.max(0.05, Math.min(0.75, overlap));
+        if (typeof tilesPerFrame === 'number') ms.tilesPerFrame = Math.max(0, Math.floor(tilesPerFrame));
+        try {
+            this.worker && this.worker.postMessage({
+                type: 'config', multiScale: ms.enabled, tileSize: ms.tileSize, tileOverlap: ms.overlap, tilesPerFrame: ms.tilesPerFrame
+            });
+        } catch (e) { /* ignore */ }
+        this.log(`Multi-scale ${ms.enabled ? 'ON' : 'OFF'} (tile ${ms.tileSize}px, overlap ${ms.overlap}, ${ms.tilesPerFrame || 'tutti'} tile/frame)`);
+    }
+
+    /**
+     * Contrast preprocessing before detection (worker side, see luma-preprocess.js).
+     * 'auto' / true: glare masking, auto-contrast, gamma and CLAHE chosen per plane from its
+     * histogram; false / 'off': disabled; an object forces single steps and leaves the rest
+     * automatic, e.g. { gamma: 0.6, clahe: 0 }. The settings in use come back with every
+     * result (getPreprocessingState(), HUD line 'pre').
+     */
+    setPreprocessing(mode = 'auto') {
+        if (mode && typeof mode === 'object') {
+            const o = {};
+            if (mode.glare !== undefined) o.glare = mode.glare === 'auto' ? 'auto' : !!mode.glare;
+            if (mode.stretch !== undefined) o.stretch = mode.stretch === 'auto' || Array.isArray(mode.stretch) ? mode.stretch : !!mode.stretch;
+            if (mode.gamma !== undefined) o.gamma = mode.gamma === 'auto' ? 'auto' : Math.max(0.2, Math.min(5, Number(mode.gamma) || 1));
+            if (mode.clahe !== undefined) o.clahe = mode.clahe === 'auto' ? 'auto' : Math.max(0, Math.min(10, Number(mode.clahe) || 0));
+            this._preprocess = o;
+        } else {
+            this._preprocess = (mode && mode !== 'off') ? {} : null;
+        }
+        try { this.worker && this.worker.postMessage({ type: 'config', preprocess: this._preprocess || false }); } catch (e) { /* ignore */ }
+        this.log('Preprocessing ' + (this._preprocess ? (Object.keys(this._preprocess).length ? JSON.stringify(this._preprocess) : 'auto') : 'OFF'));
+    }
+
+    getPreprocessingState() {
+        return {
+            enabled: !!this._preprocess,
+            overrides: this._preprocess ? Object.assign({}, this._preprocess) : null,
+            active: (this._lastDetectionInfo && this._lastDetectionInfo.preprocess) || null
+        };
+    }
+
+    /**
+     * Frame quality gate. minSharpness: sharpness relative to the marker's recent best below
+     * which it gets no weight (full weight from 0.8); minExposure: same for the worker's 0–1
+     * exposure score (full from 0.6); maxSkipMs: longest run of skipped frames.
+     */
+    setQualityGate({ enabled, minSharpness, minExposure, maxSkipMs } = {}) {
+        const g = this._qualityGate;
+        if (typeof enabled === 'boolean') g.enabled = enabled;
+        if (typeof minSharpness === 'number') g.minSharpness = Math.max(0, Math.min(0.75, minSharpness));
+        if (typeof minExposure === 'number') g.minExposure = Math.max(0, Math.min(0.55, minExposure));
+        if (typeof maxSkipMs === 'number') g.maxSkipMs = Math.max(0, Math.min(2000, maxSkipMs));
+        this._qualitySkipSince = 0;
+        this.log(`Quality gate ${g.enabled ? 'ON' : 'OFF'} (sharp ≥${g.minSharpness}, exp ≥${g.minExposure}, skip ≤${g.maxSkipMs}ms)`);
+    }
+
+    // Board pose over all layout markers vs per-marker fusion; disabling it also stops the
+    // worker-side solve
+    setBoardPose({ enabled, minMarkers, maxRmsPx } = {}) {
+        const b = this._boardPose;
+        if (typeof enabled === 'boolean') b.enabled = enabled;
+        if (typeof minMarkers === 'number') b.minMarkers = Math.max(1, Math.min(8, Math.floor(minMarkers)));
+        if (typeof maxRmsPx === 'number') b.maxRmsPx = Math.max(0.25, Math.min(20, maxRmsPx));
+        this._syncBoardLayout();
+        this.log(`Board pose ${b.enabled ? 'ON' : 'OFF'} (≥${b.minMarkers} marker, rms ≤${b.maxRmsPx}px)`);
+    }
+
+    /**
+     * The house layout as the workers' board solver wants it: for each valid slot, keyed by
+     * the printed ID found there, the marker's corners TL, TR, BR, BL as [X, Y, Z] metres in
+     * the house frame, in camera axes (y down, z away), so the solved board pose goes through
+     * _poseToThreeJs like a marker pose.
+     */
+    _boardLayout() {
+        const layout = {};
+        for (const slot of this._validMarkerIds) {
+            const off = this._markerOffsetsForId(slot);
+            const id = this._markerIdForSlot(slot);
+            if (!off || id === null) continue;
+            const h = this._markerSizeMMForId(slot) / 2000;
+            // Q_marker = Q_house × rotationOffset⁻¹, and a marker corner (x, y) in camera axes
+            // is (x, −y, 0) in three.js axes
+            const markerToHouse = off.rotationOffset.clone().invert();
+            layout[id] = [[-h, -h], [h, -h], [h, h], [-h, h]].map(([x, y]) => {
+                const p = new THREE.Vector3(x, -y, 0).applyQuaternion(markerToHouse).add(off.positionOffset);
+                return [p.x, -p.y, -p.z];
+            });
+        }
+        return layout;
+    }
+
+    _syncBoardLayout() {
+        if (!this.worker) return;
+        try { this.worker.postMessage({ type: 'config', boardLayout: this._boardPose.enabled ? this._boardLayout() : null }); } catch (e) { /* ignore */ }
+    }
+
+    // Built-in AprilTag decoder: families ('36h11', '25h9') and bit errors corrected (0..5)
+    setAprilTagOptions({ families, maxHamming } = {}) {
+        const cfg = {};
+        if (Array.isArray(families) && families.length) cfg.aprilTagFamilies = families.map(String);
+        if (typeof maxHamming === 'number') cfg.aprilTagMaxHamming = Math.max(0, Math.min(5, Math.floor(maxHamming)));
+        try { if (Object.keys(cfg).length && this.worker) this.worker.postMessage(Object.assign({ type: 'config' }, cfg)); } catch (e) { /* ignore */ }
+        this.log('AprilTag options: ' + JSON.stringify(cfg));
+    }
+
+    // ── Marker dictionaries ──────────────────────────────────────────────────
+
+    // Main-thread registry (board printing, test detection); null when the scripts are not loaded
+    _localDictionaries() {
+        if (typeof AR === 'undefined' || typeof ArucoDictionaries === 'undefined') return null;
+        ArucoDictionaries.addPrefixVariants(AR);
+        for (const def of this._customDictionaries) {
+            try { ArucoDictionaries.register(AR, def); } catch (e) { /* reported when registered */ }
+        }
+        return ArucoDictionaries;
+    }
+
+    // Concrete dictionary for main-thread use: AUTO maps to whichever one the worker last matched
+    _effectiveDictionaryName() {
+        if (String(this._dictionaryName).toUpperCase() !== 'AUTO') return this._dictionaryName;
+        return this._activeDictionary || 'ARUCO';
+    }
+
+    _saveDictionarySettings() {
+        try {
+            localStorage.setItem(this._dictionaryKey, JSON.stringify({
+                name: this._dictionaryName,
+                maxHammingDistance: this._maxHammingDistance,
+                custom: this._customDictionaries
+            }));
+        } catch (e) { /* ignore */ }
+    }
+
+    listDictionaries() {
+        const dicts = this._localDictionaries();
+        const names = dicts ? dicts.list(AR).map(d => d.name) : [this._dictionaryName];
+        for (const d of this._customDictionaries) if (!names.includes(d.name)) names.push(d.name);
+        return names.concat('AUTO');
+    }
+
+    getDictionary() {
+        return {
+            name: this._dictionaryName,
+            active: this._activeDictionary,
+            maxHammingDistance: this._maxHammingDistance,
+            custom: this._customDictionaries.map(d => d.name)
+        };
+    }
+
+    /**
+     * Select the marker dictionary (case-insensitive: 'aruco_4x4_50', 'DICT_4X4_50', 'auto', ...).
+     * IDs in the layout keep their meaning, so markers must be printed from the new dictionary.
+     */
+    setDictionary(name, { persist = true } = {}) {
+        const dicts = this._localDictionaries();
+        const resolved = dicts ? dicts.resolveName(AR, name) : String(name || '');
+        if (!resolved) {
+            this.log('Dizionario sconosciuto: ' + name, 'warn');
+            return false;
+        }
+        this._dictionaryName = resolved;
+        this._activeDictionary = null;
+        try { this.worker && this.worker.postMessage({ type: 'config', dictionaryName: resolved }); } catch (e) { /* ignore */ }
+        if (persist) this._saveDictionarySettings();
+        this.log('Dizionario marker: ' + resolved);
+        return true;
+    }
+
+    // Bit errors the decoder may correct; lower = fewer false IDs at distance. null restores the default.
+    setMaxHammingDistance(bits, { persist = true } = {}) {
+        this._maxHammingDistance = (bits === null || bits === undefined) ? null : Math.max(0, Math.min(12, Math.floor(Number(bits) || 0)));
+        try { this.worker && this.worker.postMessage({ type: 'config', maxHammingDistance: this._maxHammingDistance }); } catch (e) { /* ignore */ }
+        if (persist) this._saveDictionarySettings();
+        this.log('maxHammingDistance=' + (this._maxHammingDistance === null ? 'default' : this._maxHammingDistance));
+    }
+
+    /**
+     * Register a dictionary from JSON ({ name, codeList, nBits?, tau? }, object or string).
+     * Codes may be bit strings ('1' = white cell, row-major), bit matrices, hex or byte arrays.
+     * Returns the registered name, or null when the definition is invalid.
+     */
+    registerCustomDictionary(def, { persist = true, select = false } = {}) {
+        let entry;
+        try {
+            const parsed = typeof def === 'string' ? JSON.parse(def) : def;
+            entry = { name: String(parsed.name || '').trim(), codeList: parsed.codeList };
+            if (parsed.nBits) entry.nBits = parsed.nBits;
+            if (parsed.markSize) entry.markSize = parsed.markSize;
+            if (parsed.tau) entry.tau = parsed.tau;
+            const dicts = this._localDictionaries();
+            if (dicts) entry.name = dicts.register(AR, entry);
+            else if (!entry.name || !Array.isArray(entry.codeList) || !entry.codeList.length) throw new Error('name e codeList richiesti');
+        } catch (e) {
+            this.log('Dizionario custom non valido: ' + e.message, 'error');
+            return null;
+        }
+        const key = entry.name.toUpperCase();
+        this._customDictionaries = this._customDictionaries.filter(d => String(d.name).toUpperCase() !== key).concat(entry);
+        try { this.worker && this.worker.postMessage({ type: 'config', customDictionaries: [entry] }); } catch (e) { /* ignore */ }
+        if (persist) this._saveDictionarySettings();
+        this.log(`Dizionario custom ${entry.name}: ${entry.codeList.length} codici`);
+        if (select) this.setDictionary(entry.name, { persist });
+        return entry.name;
+    }
+
+    removeCustomDictionary(name) {
+        const key = String(name || '').toUpperCase();
+        const before = this._customDictionaries.length;
+        this._customDictionaries = this._customDictionaries.filter(d => String(d.name).toUpperCase() !== key);
+        if (this._customDictionaries.length === before) return false;
+        if (typeof AR !== 'undefined' && typeof ArucoDictionaries !== 'undefined') ArucoDictionaries.unregister(AR, name);
+        if (String(this._dictionaryName).toUpperCase() === key) this.setDictionary('ARUCO', { persist: false });
+        this._saveDictionarySettings();
+        return true;
+    }
+
+    // Deprecated: swaps printed IDs 2 and 3 through the ID map (setMarkerIdMap)
     setSwapLeftRight(enable) {
-        this._swapLeftRight = !!enable;
-        try { this._repositionMarkerHelpers(); } catch (e) { /* ignore */ }
-        this.log('Swap Left/Right mapping ' + (this._swapLeftRight ? 'ON' : 'OFF'));
+        const map = this.getMarkerIdMap();
+        delete map[2];
+        delete map[3];
+        if (enable) Object.assign(map, { 2: 3, 3: 2 });
+        this.setMarkerIdMap(map);
     }
 
+    // win = half window (px), maxIter / eps = stop criteria; shared by both refiners
     setSubpixelParams({ win, maxIter, eps } = {}) {
         try {
             const cfg = {};
@@ -715,20 +1446,310 @@ export class RestorationEngine {
     }
 
     // Camera calibration input (cameraMatrix: 9 elements row-major, distCoeffs array optional)
-    setCameraCalibration(cameraMatrix, distCoeffs) {
+    // Stored in the per-camera profile for the current stream resolution unless
+    // `persist` is false; `width`/`height` give the resolution the matrix refers to.
+    setCameraCalibration(cameraMatrix, distCoeffs, { persist = true, width, height, rms = null, source = 'manual' } = {}) {
         try {
             if (!Array.isArray(cameraMatrix) || cameraMatrix.length < 9) throw new Error('cameraMatrix must be 9 numbers');
-            this._cameraMatrix = cameraMatrix.slice(0,9);
+            const w = width || this.overlay?.width || 0;
+            const h = height || this.overlay?.height || 0;
+            let K = cameraMatrix.slice(0, 9);
+            if (w && h && this.overlay?.width && (w !== this.overlay.width || h !== this.overlay.height)) {
+                K = rescaleCameraMatrix(K, w, h, this.overlay.width, this.overlay.height);
+            }
+            this._cameraMatrix = K;
+            this._cameraMatrixSize = this.overlay?.width ? { width: this.overlay.width, height: this.overlay.height } : null;
             if (Array.isArray(distCoeffs)) this._distCoeffs = distCoeffs.slice();
             // adopt fx/cx/cy from provided matrix
             this.focal = this._cameraMatrix[0];
             this._syncProjection();
-            localStorage.setItem('expear.cameraMatrix', JSON.stringify(this._cameraMatrix));
-            if (this._distCoeffs) localStorage.setItem('expear.distCoeffs', JSON.stringify(this._distCoeffs));
-            this.log('Camera calibration applied');
+            if (persist) {
+                if (!w || !h) throw new Error('risoluzione sconosciuta: avvia la camera prima di salvare');
+                const id = this._calibrationStore.save(Object.assign(this._cameraIdentity(), {
+                    width: w, height: h, cameraMatrix: cameraMatrix.slice(0, 9), distCoeffs: this._distCoeffs, rms, source
+                }));
+                this._calibrationProfileId = id;
+                this.log('Camera calibration applied → profilo ' + id);
+            } else {
+                this.log('Camera calibration applied');
+            }
         } catch (e) { this.log('setCameraCalibration failed: ' + e.message, 'error'); }
     }
 
+    // ── Calibration profiles ─────────────────────────────────────────────────
+
+    _cameraIdentity() {
+        if (this._frameSource) return this._frameSource.identity;
+        try {
+            const track = this.video?.srcObject?.getVideoTracks?.()[0];
+            const settings = track && track.getSettings ? track.getSettings() : {};
+            return { deviceId: settings.deviceId || '', label: track?.label || '' };
+        } catch (e) {
+            return { deviceId: '', label: '' };
+        }
+    }
+
+    // Load the profile matching the active camera/resolution (or drop a stale one).
+    // Called after the canvas is (re)built, so it also covers stream resolution changes.
+    _applyCalibrationProfile() {
+        const w = this.overlay?.width, h = this.overlay?.height;
+        if (!w || !h) return false;
+        const camera = this._cameraIdentity();
+        try { this._calibrationStore.migrateLegacy(camera, w, h); } catch (e) { /* ignore */ }
+
+        const match = this._calibrationStore.find(Object.assign({ width: w, height: h }, camera));
+        if (!match) {
+            if (this._cameraMatrix && this._cameraMatrixSize &&
+                (this._cameraMatrixSize.width !== w || this._cameraMatrixSize.height !== h)) {
+                // Unsaved calibration (e.g. applied with persist:false): carry it over to the new size
+                const from = this._cameraMatrixSize;
+                const adapted = adaptCalibration(this._cameraMatrix, this._distCoeffs, from.width, from.height, w, h);
+                this._cameraMatrix = adapted.cameraMatrix;
+                if (this._distCoeffs) this._distCoeffs = adapted.distCoeffs;
+                this._cameraMatrixSize = { width: w, height: h };
+                this.focal = this._cameraMatrix[0];
+                this.log(`Calibrazione ${from.width}x${from.height} adattata a ${w}x${h}${adapted.rotated ? ' (ruotata)' : ''}${adapted.approximate ? ', approssimata' : ''}`);
+            }
+            this._calibrationProfileId = null;
+            return false;
+        }
+        this._cameraMatrix = match.cameraMatrix;
+        this._distCoeffs = match.distCoeffs;
+        this._cameraMatrixSize = { width: w, height: h };
+        this._calibrationProfileId = match.id;
+        this.focal = this._cameraMatrix[0];
+        if (match.approximate) {
+            this.log(`Profilo ${match.id} adattato a ${w}x${h} (${match.rotated ? 'rotazione con punto principale decentrato' : 'aspect ratio diverso'}): ricalibrare per precisione`, 'warn');
+        } else if (match.rescaled) {
+            this.log(`Profilo ${match.id} riscalato a ${w}x${h}`);
+        } else {
+            this.log('Profilo calibrazione: ' + match.id);
+        }
+        return true;
+    }
+
+    listCalibrationProfiles() {
+        return this._calibrationStore.list();
+    }
+
+    deleteCalibrationProfile(id) {
+        const removed = this._calibrationStore.remove(id);
+        if (removed && id === this._calibrationProfileId) {
+            this._cameraMatrix = null;
+            this._distCoeffs = null;
+            this._calibrationProfileId = null;
+            this._estimateFocal();
+            this._syncProjection();
+        }
+        return removed;
+    }
+
+    exportCalibrationProfiles(ids = null) {
+        return this._calibrationStore.exportJSON(ids);
+    }
+
+    downloadCalibrationProfiles() {
+        try {
+            const blob = new Blob([this._calibrationStore.exportJSON()], { type: 'application/json' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = 'expear-calibration-profiles.json';
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        } catch (e) {
+            this.log('Export profili fallito: ' + e.message, 'error');
+        }
+    }
+
+    // Accepts a JSON string, parsed object or File; re-applies the profile for the active camera.
+    async importCalibrationProfiles(input, { overwrite = true } = {}) {
+        try {
+            const json = (input && typeof input.text === 'function') ? await input.text() : input;
+            const count = this._calibrationStore.importJSON(json, { overwrite });
+            this.log(`Importati ${count} profili di calibrazione`);
+            if (count && this._applyCalibrationProfile()) this._syncProjection();
+            return count;
+        } catch (e) {
+            this.log('Import profili fallito: ' + e.message, 'error');
+            return 0;
+        }
+    }
+
+    // ── Camera calibration wizard ────────────────────────────────────────────
+    //
+    // Flow: startCameraCalibration() → move the phone around the printed grid
+    // (views are auto-captured when the board is steady and the viewpoint is new,
+    // or call captureCalibrationView()) → solveCameraCalibration() → check rms →
+    // applyCameraCalibrationResult().
+
+    startCameraCalibration({ board = {}, targetViews = 15, autoCapture = true, minMarkers = 4 } = {}) {
+        this._calibration = {
+            board: new ArucoCalibrationBoard(board),
+            views: [],
+            targetViews: Math.max(3, Math.floor(targetViews)),
+            autoCapture: !!autoCapture,
+            minMarkers: Math.max(2, Math.floor(minMarkers)),
+            lastCandidate: null,
+            steadyFrames: 0,
+            result: null,
+            status: 'collecting'
+        };
+        this.log(`Calibrazione avviata: inquadra la griglia (${this._calibration.targetViews} viste)`);
+        return this.getCameraCalibrationState();
+    }
+
+    cancelCameraCalibration() {
+        this._calibration = null;
+        this.log('Calibrazione annullata');
+    }
+
+    getCameraCalibrationState() {
+        const c = this._calibration;
+        if (!c) return null;
+        return {
+            status: c.status,
+            views: c.views.length,
+            targetViews: c.targetViews,
+            autoCapture: c.autoCapture,
+            rms: c.result ? c.result.rms : null,
+            perViewRms: c.result ? c.result.perViewRms.slice() : null,
+            cameraMatrix: c.result ? c.result.cameraMatrix.slice() : null,
+            distCoeffs: c.result ? c.result.distCoeffs.slice() : null
+        };
+    }
+
+    // Manually add the current frame's board detection as a calibration view.
+    captureCalibrationView() {
+        const c = this._calibration;
+        if (!c) return false;
+        const view = calibrationViewFromMarkers(c.board, this._lastRawMarkers, { minMarkers: c.minMarkers });
+        if (!view) {
+            this.log(`Vista scartata: servono almeno ${c.minMarkers} marker della griglia`, 'warn');
+            return false;
+        }
+        this._addCalibrationView(view);
+        return true;
+    }
+
+    _addCalibrationView(view) {
+        const c = this._calibration;
+        c.views.push(Object.assign(view, { signature: this._calibrationViewSignature(view) }));
+        c.result = null;
+        this.log(`Vista ${c.views.length}/${c.targetViews} acquisita (${view.ids.length} marker)`);
+        if (c.views.length >= c.targetViews && c.status === 'collecting') {
+            c.status = 'ready';
+            this.log('Viste sufficienti: esegui solveCameraCalibration()');
+        }
+    }
+
+    // Coarse viewpoint descriptor: board centroid, apparent size and perspective
+    // foreshortening (ratio of opposite edge lengths of the detected point hull).
+    _calibrationViewSignature(view) {
+        const w = this.overlay?.width || 1, h = this.overlay?.height || 1;
+        const pts = view.imagePoints;
+        let mx = 0, my = 0;
+        for (const p of pts) { mx += p[0]; my += p[1]; }
+        mx /= pts.length; my /= pts.length;
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (const p of pts) {
+            minX = Math.min(minX, p[0]); maxX = Math.max(maxX, p[0]);
+            minY = Math.min(minY, p[1]); maxY = Math.max(maxY, p[1]);
+        }
+        // Edge-length ratios of the first marker quad capture tilt direction
+        const q = pts.slice(0, 4);
+        const len = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+        const tiltX = Math.log(Math.max(1e-3, len(q[0], q[3])) / Math.max(1e-3, len(q[1], q[2])));
+        const tiltY = Math.log(Math.max(1e-3, len(q[0], q[1])) / Math.max(1e-3, len(q[3], q[2])));
+        return [mx / w, my / h, Math.hypot(maxX - minX, maxY - minY) / Math.hypot(w, h), tiltX, tiltY];
+    }
+
+    _considerCalibrationFrame(rawMarkers) {
+        const c = this._calibration;
+        if (!c || !c.autoCapture || c.status === 'solved') return;
+        const view = calibrationViewFromMarkers(c.board, rawMarkers, { minMarkers: c.minMarkers });
+        if (!view) { c.lastCandidate = null; c.steadyFrames = 0; return; }
+
+        // Require a steady board (no motion blur / rolling shutter) for a few frames
+        const prev = c.lastCandidate;
+        let steady = false;
+        if (prev && prev.ids.join(',') === view.ids.join(',')) {
+            let maxMove = 0;
+            for (let i = 0; i < view.imagePoints.length; i++) {
+                maxMove = Math.max(maxMove, Math.hypot(view.imagePoints[i][0] - prev.imagePoints[i][0], view.imagePoints[i][1] - prev.imagePoints[i][1]));
+            }
+            steady = maxMove < 1.5;
+        }
+        c.lastCandidate = view;
+        c.steadyFrames = steady ? c.steadyFrames + 1 : 0;
+        if (c.steadyFrames < 3) return;
+
+        // Only keep viewpoints that differ enough from what we already have
+        const sig = this._calibrationViewSignature(view);
+        const weights = [1, 1, 2, 1.5, 1.5];
+        const minDist = c.views.reduce((best, v) => {
+            const d = Math.sqrt(sig.reduce((s, x, i) => s + weights[i] * (x - v.signature[i]) ** 2, 0));
+            return Math.min(best, d);
+        }, Infinity);
+        if (minDist < 0.12) return;
+
+        c.steadyFrames = 0;
+        this._addCalibrationView(view);
+    }
+
+    solveCameraCalibration({ fixK3 = true } = {}) {
+        const c = this._calibration;
+        if (!c) throw new Error('Calibrazione non avviata');
+        if (c.views.length < 3) throw new Error(`Servono almeno 3 viste (ora ${c.views.length})`);
+        const t0 = performance.now();
+        c.status = 'solving';
+        try {
+            c.result = calibrateCamera(c.views, {
+                imageWidth: this.overlay.width,
+                imageHeight: this.overlay.height,
+                fixK3
+            });
+            c.status = 'solved';
+        } catch (e) {
+            c.status = c.views.length >= c.targetViews ? 'ready' : 'collecting';
+            this.log('Calibrazione fallita: ' + e.message, 'error');
+            throw e;
+        }
+        const k = c.result.cameraMatrix;
+        this.log(`Calibrazione: rms ${c.result.rms.toFixed(3)} px, fx ${k[0].toFixed(1)} fy ${k[4].toFixed(1)} cx ${k[2].toFixed(1)} cy ${k[5].toFixed(1)} (${Math.round(performance.now() - t0)} ms)`);
+        return this.getCameraCalibrationState();
+    }
+
+    // Apply + persist the solved intrinsics; ends the wizard session.
+    applyCameraCalibrationResult() {
+        const c = this._calibration;
+        if (!c || !c.result) {
+            this.log('Nessun risultato di calibrazione da applicare', 'warn');
+            return false;
+        }
+        this.setCameraCalibration(c.result.cameraMatrix, c.result.distCoeffs, {
+            width: c.result.imageWidth, height: c.result.imageHeight, rms: c.result.rms, source: 'wizard'
+        });
+        this._calibration = null;
+        return true;
+    }
+
+    // Printable SVG of the calibration grid (markers from the active js-aruco2 dictionary).
+    downloadCalibrationBoard(boardOptions = {}) {
+        try {
+            const board = this._calibration ? this._calibration.board : new ArucoCalibrationBoard(boardOptions);
+            this._localDictionaries();
+            const dict = new AR.Dictionary(this._effectiveDictionaryName());
+            const blob = new Blob([board.toSVG(dict)], { type: 'image/svg+xml' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = `calibration-board-${board.columns}x${board.rows}-${board.markerLengthMM}mm.svg`;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        } catch (e) {
+            this.log('Download griglia fallito: ' + e.message, 'error');
+        }
+    }
+
     setMinMarkerPerimeter(px) {
         this._minMarkerPerimeter = Math.max(4, Number(px) || this._minMarkerPerimeter);
         this.log('minMarkerPerimeter=' + this._minMarkerPerimeter);
@@ -745,7 +1766,8 @@ export class RestorationEngine {
                 worker: {
                     cornerSmooth: 0.0, flow: false, subpix: false,
                     apriltag: false, pnp: false, lk: false,
-                    outlier: 0.25, conf: 0.15
+                    outlier: 0.25, conf: 0.15,
+                    multiScale: false, roi: false
                 }
             },
             mobile: {
@@ -757,7 +1779,8 @@ export class RestorationEngine {
                     cornerSmooth: 0.3, flow: true, flowSSD: 40,
                     subpix: true, subpixParams: { win: 3, maxIter: 15, eps: 0.1 },
                     apriltag: true, pnp: true, lk: true,
-                    outlier: 0.4, conf: 0.15
+                    outlier: 0.4, conf: 0.15,
+                    multiScale: false, roi: false
                 }
             },
             desktop: {
@@ -765,7 +1788,21 @@ export class RestorationEngine {
                 posHist: 1, maxJump: 0.5, minPeri: 25,
                 ekf: false, autoLock: false, clearLock: true,
                 fps: 60,
-                worker: {}
+                worker: { multiScale: false, roi: false }
+            },
+            // Markers 1–3 m away (4 cm markers are ~15–40 px wide): full-resolution tiles find
+            // them, ROI crops keep them at full resolution between full scans
+            roomscale: {
+                filter: { positionSmoothing: 0.10, rotationTimeConstant: 0.08 },
+                posHist: 3, maxJump: 0.5, minPeri: 12, anchorBoost: 2.0,
+                ekf: false, autoLock: false, clearLock: true,
+                fps: 30,
+                worker: {
+                    cornerSmooth: 0.2, flow: false, subpix: false,
+                    outlier: 0.5, conf: 0.1,
+                    multiScale: { tileSize: 640, overlap: 0.2, tilesPerFrame: 4 },
+                    roi: { fullScanInterval: 6, margin: 1.0 }
+                }
             }
         };
         // Aliases
@@ -807,6 +1844,8 @@ export class RestorationEngine {
             if (w.lk !== undefined) this.setUsePyrLKFlow(w.lk);
             if (w.outlier !== undefined) this.setMarkerOutlierDistanceMeters(w.outlier);
             if (w.conf !== undefined) this.setMarkerConfidenceThreshold(w.conf);
+            if (w.multiScale !== undefined) this.setMultiScaleDetection(!!w.multiScale, typeof w.multiScale === 'object' ? w.multiScale : {});
+            if (w.roi !== undefined) this.setRoiDetection(!!w.roi, typeof w.roi === 'object' ? w.roi : {});
         } catch (e) { /* ignore worker config errors if methods missing */ }
 
         this.log(`Stability preset applied: ${name}`);
@@ -871,6 +1910,7 @@ export class RestorationEngine {
             this._markerOffsets[id] = { positionOffset: pos, rotationOffset: quat };
         }
         this._repositionMarkerHelpers();
+        this._syncBoardLayout();
         if (persist) this._saveMarkerOffsetsToStorage();
         this.log('Marker offsets aggiornati');
     }
@@ -894,10 +1934,154 @@ export class RestorationEngine {
         if (!this._markerOffsets || typeof id === 'undefined' || this._markerOffsets[id] == null) return;
         delete this._markerOffsets[id];
         this._repositionMarkerHelpers();
+        this._syncBoardLayout();
         if (persist) this._saveMarkerOffsetsToStorage();
         this.log('Marker offset cleared for id: ' + id);
     }
 
+    // ── Marker ID → layout slot ──────────────────────────────────────────────
+
+    /**
+     * Replace the printed-ID → slot map, e.g. { 3: 1, 1: 3 } for a sheet with 1 and 3
+     * swapped, or { 12: 7 } for a reprint with a different ID. null drops an ID from the
+     * layout. A slot claimed twice keeps its first ID.
+     */
+    setMarkerIdMap(map, { persist = true } = {}) {
+        const next = {};
+        const claimed = new Set();
+        for (const key of Object.keys(map || {})) {
+            const id = Number(key);
+            const slot = map[key] === null ? null : Number(map[key]);
+            if (!Number.isInteger(id) || (slot !== null && !Number.isInteger(slot))) continue;
+            if (slot !== null && claimed.has(slot)) {
+                this.log(`ID map: slot ${slot} già assegnato, ignoro ${id}→${slot}`, 'warn');
+                continue;
+            }
+            if (slot !== null) claimed.add(slot);
+            next[id] = slot;
+        }
+        this._markerIdMap = next;
+        this._syncMarkerIdMap();
+        if (persist) this._saveMarkerIdMapToStorage();
+        const entries = Object.keys(next).filter(id => next[id] !== Number(id));
+        this.log(entries.length
+            ? 'ID map: ' + entries.map(id => `#${id}→${next[id] === null ? '-' : (MARKER_SLOT_LABELS[next[id]] || next[id])}`).join(' ')
+            : 'ID map: ogni marker nel proprio slot');
+    }
+
+    getMarkerIdMap() {
+        return Object.assign({}, this._markerIdMap);
+    }
+
+    clearMarkerIdMap({ persist = true } = {}) {
+        this.setMarkerIdMap({}, { persist });
+    }
+
+    // Put printed ID `id` in `slot`; whichever ID held that slot is left without one
+    assignMarkerToSlot(slot, id, { persist = true } = {}) {
+        slot = Number(slot);
+        id = Number(id);
+        const map = this.getMarkerIdMap();
+        for (const k in map) if (map[k] === slot) delete map[k];
+        if (id === slot) delete map[id];
+        else map[id] = slot;
+        this.setMarkerIdMap(map, { persist });
+    }
+
+    /** Layout slot of a detected (printed) ID, or null when it has none. */
+    _slotForMarkerId(id) {
+        const map = this._markerIdMap;
+        if (Object.prototype.hasOwnProperty.call(map, id)) return map[id];
+        for (const k in map) if (map[k] === id) return null; // its own slot went to another ID
+        return id;
+    }
+
+    /** Printed ID expected in a layout slot, or null when the slot is empty. */
+    _markerIdForSlot(slot) {
+        const map = this._markerIdMap;
+        for (const k in map) if (map[k] === slot) return Number(k);
+        return Object.prototype.hasOwnProperty.call(map, slot) ? null : slot;
+    }
+
+    // Worker-side data keyed by printed ID: per-slot sizes and the board layout
+    _syncMarkerIdMap() {
+        if (this.worker) {
+            try { this.worker.postMessage({ type: 'config', markerLengths: this._markerLengthsM() }); } catch (e) { /* ignore */ }
+        }
+        this._syncBoardLayout();
+    }
+
+    /**
+     * Tap-to-assign: the next tap on a detected marker puts it in `slot` (e.g. 1 = 'BL').
+     * Resolves with the printed ID, or null if cancelled. Taps that miss every marker are
+     * ignored; `assignSlotAt` does the same for callers that handle input themselves.
+     */
+    startSlotAssignment(slot) {
+        slot = Number(slot);
+        this.cancelSlotAssignment();
+        if (!this._validMarkerIds.has(slot)) {
+            this.log('Slot non valido: ' + slot, 'warn');
+            return Promise.resolve(null);
+        }
+        return new Promise(resolve => {
+            const container = document.getElementById('three-container');
+            const onTap = (e) => { this.assignSlotAt(e.clientX, e.clientY); };
+            this._slotAssignment = { slot, resolve, container, onTap };
+            if (container) container.addEventListener('pointerdown', onTap);
+            this.log(`Slot ${MARKER_SLOT_LABELS[slot] || slot} (${slot}): tocca il marker che vedi in quella posizione`);
+        });
+    }
+
+    cancelSlotAssignment() {
+        this._finishSlotAssignment(null);
+    }
+
+    /** Assign the pending slot to the marker under a client point; the printed ID, or null. */
+    assignSlotAt(clientX, clientY) {
+        const pending = this._slotAssignment;
+        if (!pending) return null;
+        const [x, y] = this.clientToOverlay(clientX, clientY);
+        const hit = this._markerAtOverlayPoint(x, y);
+        if (!hit) return null;
+        this.assignMarkerToSlot(pending.slot, hit.id);
+        this._finishSlotAssignment(hit.id);
+        return hit.id;
+    }
+
+    _finishSlotAssignment(id) {
+        const pending = this._slotAssignment;
+        if (!pending) return;
+        this._slotAssignment = null;
+        if (pending.container) pending.container.removeEventListener('pointerdown', pending.onTap);
+        pending.resolve(id);
+    }
+
+    // Last detected marker whose quad contains the point (overlay px), any ID
+    _markerAtOverlayPoint(x, y) {
+        return (this._lastRawMarkers || []).find(m => {
+            const c = m.corners;
+            if (!c || c.length < 4) return false;
+            let inside = false;
+            for (let i = 0, j = c.length - 1; i < c.length; j = i++) {
+                if ((c[i][1] > y) !== (c[j][1] > y) &&
+                    x < (c[j][0] - c[i][0]) * (y - c[i][1]) / (c[j][1] - c[i][1]) + c[i][0]) inside = !inside;
+            }
+            return inside;
+        }) || null;
+    }
+
+    _saveMarkerIdMapToStorage() {
+        try { localStorage.setItem(this._markerIdMapKey, JSON.stringify(this._markerIdMap)); }
+        catch (e) { this.log('Salvataggio ID map fallito: ' + e.message, 'error'); }
+    }
+
+    _loadMarkerIdMapFromStorage() {
+        try {
+            const raw = localStorage.getItem(this._markerIdMapKey);
+            if (raw) this.setMarkerIdMap(JSON.parse(raw), { persist: false });
+        } catch (e) { /* ignore silently */ }
+    }
+
     // Limit instantaneous position jumps (meters)
     setMaxPositionJump(meters) {
         this._maxPositionJump = Math.max(0.01, Number(meters) || this._maxPositionJump);
@@ -1078,6 +2262,8 @@ export class RestorationEngine {
         container.appendChild(this.renderer.domElement);
 
         window.addEventListener('resize', () => this._syncProjection());
+        // iOS Safari may deliver the rotated container size only after orientation change
+        try { screen.orientation && screen.orientation.addEventListener('change', () => this._syncProjection()); } catch (e) { /* ignore */ }
 
         // Scene
         this.scene = new THREE.Scene();
@@ -1129,7 +2315,8 @@ export class RestorationEngine {
         shadowPlane.receiveShadow = true;
         this.modelGroup.add(shadowPlane);
 
-        // Load persisted marker offsets, anchor and anchor-lock (if any), then create helpers
+        // Load persisted ID map, marker offsets, anchor and anchor-lock (if any), then create helpers
+        this._loadMarkerIdMapFromStorage();
         this._loadMarkerOffsetsFromStorage();
         this._loadAnchorFromStorage();
         this._loadAnchorLockFromStorage();
@@ -1261,13 +2448,18 @@ export class RestorationEngine {
 
     // ── Marker debug helpers ─────────────────────────────────────────────────
 
+    // Helper box edge for a marker: 15% of its printed side
+    _markerHelperSize(id) {
+        return (this._markerSizeMMForId(id) / 1000) * 0.15;
+    }
+
     _createMarkerHelpers() {
-        const size = (this.markerSizeMM / 1000) * 0.15;
         const colors = [0x00ff88, 0x00ccff, 0xffaa00, 0xff44aa, 0xaa00ff, 0xffff00, 0x00ffff, 0xff00ff];
         const markerIds = [1, 2, 3, 4, 5, 6, 7, 8];
 
         for (let index = 0; index < markerIds.length; index++) {
             const id = markerIds[index];
+            const size = this._markerHelperSize(id);
             const geo = new THREE.BoxGeometry(size, size, size * 0.3);
             const mat = new THREE.MeshStandardMaterial({
                 color: colors[index % colors.length], transparent: true, opacity: 0.85,
@@ -1299,6 +2491,15 @@ export class RestorationEngine {
         }
     }
 
+    _resizeMarkerHelpers() {
+        for (const id in this._markerHelpers) {
+            const h = this._markerHelpers[id];
+            const size = this._markerHelperSize(Number(id));
+            if (h.geometry) h.geometry.dispose();
+            h.geometry = new THREE.BoxGeometry(size, size, size * 0.3);
+        }
+    }
+
     showMarkerHelpers(enable = true) {
         this._showMarkerHelpers = !!enable;
         for (const id in this._markerHelpers) {
@@ -1309,9 +2510,122 @@ export class RestorationEngine {
 
     // ── Worker ───────────────────────────────────────────────────────────────
 
+    /**
+     * Number of detection workers: a fixed count or 'auto' (grows while detection is slower
+     * than the detection frame rate). Frames are pipelined across them; results are applied
+     * in capture order.
+     */
+    setDetectionWorkers(count = 'auto') {
+        this._workerPoolSize = count === 'auto' ? 'auto' : Math.max(1, Math.floor(Number(count) || 1));
+        if (this.worker) this.worker.setSize(this._workerPoolSize);
+        if (this._pendingBackend) this._pendingBackend.pool.setSize(this._workerPoolSize);
+        this.log(`Worker di detection: ${this._workerPoolSize === 'auto' ? 'auto' : this._workerPoolSize}${this.worker ? ' (attivi ' + this.worker.size + '/' + this.worker.maxSize + ')' : ''}`);
+    }
+
+    /**
+     * Detection workers: 'jsaruco' (js-aruco2, default) or 'opencv' (OpenCV.js ArUco). Both
+     * speak the protocol in detection-backends.js. While running, the new workers get every
+     * init / config message the current ones have had and take over once they report ready;
+     * until then, or if they fail to load, the current backend keeps detecting. Pose filters
+     * and the world anchor live here, so tracking carries on across the swap.
+     * @returns {boolean} false for an unknown backend name
+     */
+    setDetectionBackend(name = 'jsaruco') {
+        const key = resolveDetectionBackend(name);
+        if (!key) {
+            this.log(`Backend di detection sconosciuto: ${name} (${Object.keys(DETECTION_BACKENDS).join(', ')})`, 'warn');
+            return false;
+        }
+        if (this._pendingBackend) {
+            this._pendingBackend.pool.terminate();
+            this._pendingBackend = null;
+        }
+        const label = DETECTION_BACKENDS[key].label;
+        if (key === this._detectionBackend) {
+            this.log(`Backend di detection: ${label}`);
+            return true;
+        }
+        if (!this.worker) {
+            // Not running: start() spawns the chosen backend directly
+            this._detectionBackend = key;
+            this._backendCapabilities = null;
+            this.log(`Backend di detection: ${label}`);
+            return true;
+        }
+        const pending = { name: key, pool: null };
+        pending.pool = new DetectionWorkerPool({
+            url: DETECTION_BACKENDS[key].url,
+            size: this._workerPoolSize,
+            onMessage: (d, index) => this._onPendingBackendMessage(pending, d, index)
+        });
+        for (const msg of this.worker.broadcastLog) pending.pool.postMessage(msg);
+        this._pendingBackend = pending;
+        this.log(`Backend di detection: avvio ${label}...`);
+        return true;
+    }
+
+    /** { name, label, pending, capabilities } of the detection backend in use. */
+    getDetectionBackend() {
+        return {
+            name: this._detectionBackend,
+            label: DETECTION_BACKENDS[this._detectionBackend].label,
+            pending: this._pendingBackend ? this._pendingBackend.name : null,
+            capabilities: this._backendCapabilities
+        };
+    }
+
+    // Messages of a backend that is still loading: 'ready' swaps it in, a fatal error drops it
+    _onPendingBackendMessage(pending, d, index) {
+        if (this._pendingBackend !== pending) return; // superseded or stopped
+        const label = DETECTION_BACKENDS[pending.name].label;
+        if (d.type === 'ready') {
+            const old = this.worker;
+            this._pendingBackend = null;
+            this._detectionBackend = pending.name;
+            this.worker = pending.pool;
+            this.worker.onMessage = (m, i) => this._onWorkerMessage(m, i);
+            // Frames still in the old workers are dropped; the next ones go to the new pool
+            if (old) old.terminate();
+            this._onWorkerMessage(d, index);
+        } else if (d.type === 'error' && d.fatal) {
+            pending.pool.terminate();
+            this._pendingBackend = null;
+            this.log(`[${label} ERRORE] ${d.error} — resta attivo ${DETECTION_BACKENDS[this._detectionBackend].label}`, 'error');
+        } else if (d.type === 'error') {
+            this.log(`[${label} ERRORE] ${d.error}`, 'error');
+        } else if (d.type === 'log') {
+            this.log(`[${label}] ${d.message}`);
+        }
+    }
+
+    // Enabled settings the active backend cannot honour (logged once it reports ready)
+    _logBackendLimits() {
+        const caps = this._backendCapabilities;
+        if (!caps) return;
+        const missing = unsupportedFeatures(caps, {
+            roi: this._roiDetection,
+            multiScale: this._multiScale.enabled,
+            customDictionaries: this._customDictionaries.length > 0
+        });
+        if (Array.isArray(caps.dictionaries) && caps.dictionaries.length && !caps.dictionaries.includes(this._dictionaryName)) {
+            missing.push('dict ' + this._dictionaryName);
+        }
+        if (missing.length) this.log(`${DETECTION_BACKENDS[this._detectionBackend].label}: non supportati ${missing.join(', ')}`, 'warn');
+    }
+
     _initWorker() {
-        this.worker = new Worker('workers/aruco-worker.js');
-        this.worker.postMessage({ type: 'init', markerLength: this.markerSizeMM / 1000 });
+        this.worker = new DetectionWorkerPool({
+            url: DETECTION_BACKENDS[this._detectionBackend].url,
+            size: this._workerPoolSize,
+            onMessage: (d, index) => this._onWorkerMessage(d, index)
+        });
+        this.worker.postMessage({
+            type: 'init',
+            markerLength: this.markerSizeMM / 1000,
+            dictionaryName: this._dictionaryName,
+            maxHammingDistance: this._maxHammingDistance,
+            customDictionaries: this._customDictionaries
+        });
         // sync worker-side config
         try { 
             this.worker.postMessage({ 
@@ -1319,29 +2633,46 @@ export class RestorationEngine {
                 cornerSmoothing: 0, 
                 cornerFlowEnabled: false, 
                 useSolvePnP: !!this._useSolvePnP, 
+                poseSolver: this._poseSolver,
                 usePyrLKFlow: !!this._usePyrLKFlow,
-                useAprilTag: true  // Enable AprilTag support if available
+                useAprilTag: true,  // Enable AprilTag support if available
+                roiDetection: this._roiDetection,
+                roiFullScanInterval: this._roiFullScanInterval,
+                multiScale: this._multiScale.enabled,
+                tileSize: this._multiScale.tileSize,
+                tileOverlap: this._multiScale.overlap,
+                tilesPerFrame: this._multiScale.tilesPerFrame,
+                reportRejected: this._showRejected,
+                preprocess: this._preprocess || false,
+                markerLengths: this._markerLengthsM()
             }); 
         } catch (e) { /* ignore */ }
+        this._syncBoardLayout();
 
         this._workerReady = false;
-        this.worker.onmessage = (e) => {
-            const d = e.data;
-            if (d.type === 'ready') {
-                this._workerBusy = false;
-                this._workerReady = true;
-                this.log('TUTTI I SISTEMI PRONTI. Inquadra il marker!');
-            } else if (d.type === 'log') {
-                this.log('[Worker] ' + d.message);
-            } else if (d.type === 'error') {
-                this._workerBusy = false;
-                this._workerReady = false;
-                this.log('[Worker ERRORE] ' + d.error, 'error');
-            } else if (d.type === 'result') {
-                this._workerBusy = false;
-                this._handleTrackingResult(d);
-            }
-        };
+    }
+
+    // Pool messages: results arrive already in capture order, stale ones dropped
+    _onWorkerMessage(d, index) {
+        const tag = this.worker && this.worker.size > 1 && index >= 0 ? `[Worker ${index}]` : '[Worker]';
+        if (d.type === 'ready') {
+            this._workerReady = true;
+            this._backendCapabilities = d.capabilities || null;
+            this.log(`TUTTI I SISTEMI PRONTI (${DETECTION_BACKENDS[this._detectionBackend].label}). Inquadra il marker!`);
+            this._logBackendLimits();
+        } else if (d.type === 'capabilities') {
+            this._backendCapabilities = d.capabilities || null;
+        } else if (d.type === 'log') {
+            this.log(tag + ' ' + d.message);
+        } else if (d.type === 'error') {
+            this.log(tag.replace(']', ' ERRORE] ') + d.error, 'error');
+            // The backend never came up (e.g. OpenCV.js failed to load): go back to js-aruco2
+            if (d.fatal && this._detectionBackend !== 'jsaruco' && !this._pendingBackend) this.setDetectionBackend('jsaruco');
+        } else if (d.type === 'result') {
+            if (d.dictionary) this._activeDictionary = d.dictionary;
+            this._lastDetectionInfo = d.detection || null;
+            this._handleTrackingResult(d);
+        }
     }
 
     // ── Pose conversion ──────────────────────────────────────────────────────
@@ -1360,8 +2691,8 @@ export class RestorationEngine {
             );
         }
 
-        if (source === 'opencv-pnp') {
-            // OpenCV: X right, Y down, Z forward
+        if (source === 'opencv-pnp' || source === 'ippe') {
+            // OpenCV / IPPE: X right, Y down, Z forward
             // Three.js: X right, Y up, Z backward
             // Transformation: F * R * F where F = diag(1, -1, -1)
             return {
@@ -1385,14 +2716,22 @@ export class RestorationEngine {
         const statusEl = document.getElementById('tracking-status');
         const now = performance.now();
         
-        // Use all detected markers for debug/overlay, but filter for pose estimation
+        // Use all detected markers for debug/overlay, but filter for pose estimation, which
+        // works on layout slots: the printed ID may sit in another slot (setMarkerIdMap)
         const rawMarkers = data.markers || [];
-        const validMarkers = rawMarkers.filter(m => this._validMarkerIds.has(Number(m.id)));
+        const slots = rawMarkers.map(m => this._slotForMarkerId(Number(m.id)));
+        const validMarkers = [];
+        rawMarkers.forEach((m, i) => {
+            const slot = slots[i];
+            if (slot === null || !this._validMarkerIds.has(slot)) return;
+            validMarkers.push(slot === Number(m.id) ? m : Object.assign({}, m, { id: slot, printedId: m.id }));
+        });
 
-        // Keep a copy for UI / debug (all markers, with validity flag)
-        this._lastRawMarkers = rawMarkers.map(m => ({
+        // Keep a copy for UI / debug (all markers by printed ID, with slot and validity flag)
+        this._lastRawMarkers = rawMarkers.map((m, i) => ({
             id: m.id,
-            isValid: this._validMarkerIds.has(Number(m.id)),
+            slot: slots[i],
+            isValid: slots[i] !== null && this._validMarkerIds.has(slots[i]),
             corners: m.corners,
             rvec: m.rvec ? m.rvec.slice() : null,
             tvec: m.tvec ? m.tvec.slice() : null,
@@ -1400,21 +2739,99 @@ export class RestorationEngine {
             distance: (m.tvec && m.tvec.length === 3) ? Math.hypot(m.tvec[0], m.tvec[1], m.tvec[2]) : null,
             source: m.source || null,
             confidence: typeof m.confidence === 'number' ? m.confidence : null,
-            cameraAngleDeg: Number.isFinite(m.cameraAngleDeg) ? m.cameraAngleDeg : null
+            cameraAngleDeg: Number.isFinite(m.cameraAngleDeg) ? m.cameraAngleDeg : null,
+            quality: m.quality || null,
+            // ArUco only: bit errors, and bits to the next-closest code (null = no other code)
+            hamming: typeof m.hamming === 'number' ? m.hamming : null,
+            hammingMargin: typeof m.hammingMargin === 'number' ? m.hammingMargin : null
         }));
 
-        if (this._debugOverlayEnabled && rawMarkers.length > 0) {
+        this._lastRejected = this._showRejected ? this._collectRejected(data.rejected, this._lastRawMarkers) : [];
+        this._lastBoardPose = data.board ? Object.assign({ used: false }, data.board) : null;
+
+        if (this._debugOverlayEnabled && (rawMarkers.length > 0 || this._lastRejected.length > 0)) {
             this._drawMarkerOverlay(this._lastRawMarkers);
         }
 
-        const poseful = validMarkers.filter(m => m.rvec && m.tvec);
+        if (this._calibration) this._considerCalibrationFrame(this._lastRawMarkers);
+
+        const gate = this._assessMeasurementQuality(validMarkers.filter(m => m.rvec && m.tvec), now);
+        this._lastQuality = gate.stats;
+        if (gate.skip) return; // every marker blurred / badly exposed: hold the current pose
+        const poseful = gate.markers;
+        if (this._focalSelfCalEnabled) this._feedFocalEstimator(poseful);
         if (poseful.length > 0) {
-            this._applyTrackedPose(poseful, statusEl, now);
+            this._applyTrackedPose(poseful, statusEl, now, data.board || null);
             return;
         }
         this._handleTrackingLost(statusEl, now);
     }
 
+    /**
+     * Sets m.qualityWeight (0..1) on each marker from its worker quality scores and returns
+     * the markers worth fusing. Sharpness is compared with a per-ID reference that follows
+     * the best recent scores (fast up, slow down), since its absolute value depends on the
+     * marker's pattern and size.
+     * @returns {{ markers:Array, skip:boolean, stats:object|null }}
+     */
+    _assessMeasurementQuality(markers, now) {
+        const g = this._qualityGate;
+        const ramp = (x, lo, hi) => Math.max(0, Math.min(1, (x - lo) / Math.max(1e-6, hi - lo)));
+        const floor = 0.05;
+        const scored = [];
+        for (const m of markers) {
+            const q = m.quality;
+            if (!q || !Number.isFinite(q.sharpness)) { m.qualityWeight = 1; continue; }
+            const ref = this._sharpnessRefById.get(m.id);
+            const rel = ref > 0 ? Math.min(1.5, q.sharpness / ref) : 1;
+            this._sharpnessRefById.set(m.id, ref > 0 ? ref + (q.sharpness - ref) * (q.sharpness > ref ? 0.3 : 0.03) : q.sharpness);
+            m.sharpnessRelative = rel;
+            m.qualityWeight = g.enabled ? ramp(rel, g.minSharpness, 0.8) * ramp(q.exposure, g.minExposure, 0.6) : 1;
+            scored.push(m);
+        }
+        const stats = scored.length ? {
+            sharpness: scored.map(m => m.sharpnessRelative).sort((a, b) => a - b)[Math.floor(scored.length / 2)],
+            exposure: Math.min(...scored.map(m => m.quality.exposure)),
+            weight: scored.reduce((s, m) => s + m.qualityWeight, 0) / scored.length,
+            degraded: scored.filter(m => m.qualityWeight < floor).length,
+            skipped: false
+        } : null;
+        if (!g.enabled) return { markers, skip: false, stats };
+
+        const usable = markers.filter(m => m.qualityWeight >= floor);
+        if (usable.length || !markers.length) {
+            this._qualitySkipSince = 0;
+            return { markers: usable, skip: false, stats };
+        }
+        if (!this._qualitySkipSince) this._qualitySkipSince = now;
+        if (this._hasFirstPose && now - this._qualitySkipSince <= g.maxSkipMs) {
+            stats.skipped = true;
+            return { markers: [], skip: true, stats };
+        }
+        // Degraded for too long (or no pose yet): better a weak measurement than none
+        for (const m of markers) m.qualityWeight = floor;
+        return { markers, skip: false, stats };
+    }
+
+    // Worker rejections plus the markers this side ignores: IDs outside the layout, and
+    // markers under the perimeter threshold fusion applies
+    _collectRejected(workerRejected, rawMarkers) {
+        const out = (workerRejected || []).filter(r => r && Array.isArray(r.corners) && r.corners.length >= 4);
+        for (const m of rawMarkers) {
+            if (!m.corners || m.corners.length < 4) continue;
+            if (!m.isValid) {
+                out.push({ corners: m.corners, reason: 'not-in-layout', id: m.id });
+                continue;
+            }
+            const perimeter = this._markerPerimeter(m.corners);
+            const minPerimeter = this._minPerimeterForId(m.slot !== undefined ? m.slot : Number(m.id));
+            if (perimeter < minPerimeter) {
+                out.push({ corners: m.corners, reason: 'too-small', id: m.id, perimeter, minPerimeter });
+            }
+        }
+        return out;
+    }
+
     _pushAndMedianPosition(pos) {
         if (!pos) return pos;
         this._positionHistory.push(pos.clone());
@@ -1497,7 +2914,177 @@ export class RestorationEngine {
         };
     }
 
-    _applyTrackedPose(poseful, statusEl, now) {
+    /** House-centre pose implied by one marker's camera-space pose, or null for unknown ids. */
+    _housePoseFromMarker(id, rvec, tvec, source) {
+        const markerOffset = this._markerOffsetsForId(id);
+        if (!markerOffset) return null;
+
+        const { position, quaternion } = this._poseToThreeJs(rvec, tvec, source);
+        const { rotationOffset, positionOffset } = markerOffset;
+
+        // House orientation = marker orientation × rotation offset
+        const houseQuat = quaternion.clone().multiply(rotationOffset);
+        // House position = marker position − offset rotated into the scene
+        const housePos = position.clone().sub(
+            positionOffset.clone().applyQuaternion(houseQuat)
+        );
+        return { position: housePos, quaternion: houseQuat };
+    }
+
+    /**
+     * POSIT returns two poses for a planar marker; near-frontal they have almost the same
+     * reprojection error and the lower-error pick flips between them. When both are
+     * plausible (errors within _poseAmbiguityRatio), pick the one whose house-centre pose
+     * is closer to the previous fused pose and to the other markers' estimates.
+     *
+     * A marker switched to its alternative keeps that hypothesis's poseError and carries
+     * bestPoseError (the lower one), which the fusion gate uses.
+     *
+     * @returns {{ markers: object[], stats: { ambiguous:number, alternative:number, byId:Object<number,{choice:number, reason:string}> } }}
+     */
+    _resolvePoseAmbiguity(markers, now) {
+        const stats = { ambiguous: 0, alternative: 0, byId: {} };
+        const prev = this._lastFusedPose && (now - this._lastFusedPose.time) <= this._poseAmbiguityMemoryMs
+            ? this._lastFusedPose : null;
+
+        const entries = markers.map(m => {
+            const hyps = Array.isArray(m.hypotheses) && m.hypotheses.length > 1 ? m.hypotheses : null;
+            if (!hyps) return { m, options: null, choice: 0 };
+            const floor = Math.max(0.5, hyps[0].poseError);
+            if (hyps[1].poseError > floor * this._poseAmbiguityRatio) return { m, options: null, choice: 0 };
+            const options = hyps.map(h => this._housePoseFromMarker(m.id, h.rvec, h.tvec, m.source));
+            if (options.some(o => !o)) return { m, options: null, choice: 0 };
+            stats.ambiguous++;
+            return { m, options, choice: 0, reason: 'error' };
+        });
+
+        // Distance between two house poses: rotation angle + position in 10 cm units
+        const cost = (a, b) => 2 * Math.acos(Math.min(1, Math.abs(a.quaternion.dot(b.quaternion)))) +
+            a.position.distanceTo(b.position) / 0.1;
+        const poseOf = (e) => e.options
+            ? e.options[e.choice]
+            : this._housePoseFromMarker(e.m.id, e.m.rvec, e.m.tvec, e.m.source);
+
+        // Pass 1 uses the previous fused pose only; pass 2 adds the other markers' current picks
+        for (let pass = 0; pass < 2; pass++) {
+            for (const e of entries) {
+                if (!e.options) continue;
+                const others = entries.filter(o => o !== e).map(poseOf).filter(Boolean);
+                if (!prev && (pass === 0 || !others.length)) continue;
+                const scores = e.options.map(opt => {
+                    let c = prev ? cost(opt, prev) : 0;
+                    if (pass === 1 && others.length) c += others.reduce((sum, o) => sum + cost(opt, o), 0) / others.length;
+                    return c;
+                });
+                e.choice = scores[1] < scores[0] ? 1 : 0;
+                e.reason = pass === 1 && others.length ? (prev ? 'temporal+markers' : 'markers') : 'temporal';
+            }
+        }
+
+        const out = entries.map(e => {
+            if (!e.options) return e.m;
+            stats.byId[e.m.id] = { choice: e.choice, reason: e.reason };
+            if (e.choice === 0) return e.m;
+            stats.alternative++;
+            const h = e.m.hypotheses[1];
+            return Object.assign({}, e.m, { rvec: h.rvec, tvec: h.tvec, poseError: h.poseError, bestPoseError: e.m.hypotheses[0].poseError, cameraAngleDeg: h.cameraAngleDeg, hypothesis: 1 });
+        });
+        return { markers: out, stats };
+    }
+
+    /**
+     * House pose from the worker's board solve, or null when the per-marker fusion should run
+     * instead: board pose off, too few markers, reprojection error above maxRmsPx, a marker the
+     * quality gate dropped, or a jump past the outlier gate.
+     */
+    _boardHousePose(board, poseful, referencePos, maxJump) {
+        const b = this._boardPose;
+        if (!b.enabled || !board || !Array.isArray(board.ids) || !board.rvec || !board.tvec) return null;
+        if (board.ids.length < b.minMarkers || !(board.poseError <= b.maxRmsPx)) return null;
+        // The worker reports printed IDs, poseful carries slots
+        const gated = new Set(poseful.map(m => Number(m.id)));
+        if (!board.ids.every(id => gated.has(this._slotForMarkerId(Number(id))))) return null;
+        const pose = this._poseToThreeJs(board.rvec, board.tvec, 'ippe');
+        if (referencePos && pose.position.distanceTo(referencePos) > maxJump) return null;
+        return pose;
+    }
+
+    // Fusion limit on a marker's poseError, in the unit its solver reports
+    _maxPoseErrorForSource(source) {
+        return source === 'ippe' ? this._maxIppeErrorForFusion : this._maxPoseErrorForFusion;
+    }
+
+    // Worker confidence scaled by the quality gate's weight
+    _markerFusionConfidence(m) {
+        return (typeof m.confidence === 'number'
+            ? Math.max(0.01, Math.min(1, m.confidence))
+            : 0.8) * (typeof m.qualityWeight === 'number' ? Math.max(0.05, m.qualityWeight) : 1);
+    }
+
+    /** Steps 2–3 of the per-marker path: σ-clip the house-pose candidates, then fuse the rest. */
+    _fuseCandidates(candidates, adaptiveOutlierDistance) {
+        // ── Step 2: Robust outlier rejection (iterative σ-clip) ──
+        // Compute weighted centroid, then remove candidates > 2σ. Repeat once.
+        let pool = candidates.slice();
+        for (let pass = 0; pass < 2 && pool.length > 1; pass++) {
+            const centroid = new THREE.Vector3();
+            let wSum = 0;
+            for (const c of pool) { centroid.addScaledVector(c.position, c.weight); wSum += c.weight; }
+            centroid.divideScalar(wSum);
+
+            // Weighted standard deviation of distances
+            let varSum = 0;
+            for (const c of pool) {
+                const d = c.position.distanceTo(centroid);
+                varSum += c.weight * d * d;
+            }
+            const sigma = Math.sqrt(varSum / wSum);
+            const adaptiveCutoff = Math.max(this._fusionAgreeDist, sigma * 2.2);
+            const cutoff = Math.min(adaptiveOutlierDistance, adaptiveCutoff);
+
+            const filtered = pool.filter(c => c.position.distanceTo(centroid) <= cutoff);
+            if (filtered.length >= 1) pool = filtered;
+        }
+
+        // Sort survivors by weight
+        pool.sort((a, b) => b.weight - a.weight);
+        const best = pool[0];
+
+        // ── Step 3: Weighted fusion of surviving candidates ──
+        let fusedPos, fusedQuat;
+
+        if (pool.length === 1) {
+            fusedPos = pool[0].position.clone();
+            fusedQuat = pool[0].quaternion.clone();
+        } else {
+            fusedPos = new THREE.Vector3();
+            let wSum = 0;
+            let qx = 0, qy = 0, qz = 0, qw = 0;
+            const refQ = this._hasFirstPose ? this.modelGroup.quaternion.clone() : best.quaternion;
+
+            for (const c of pool) {
+                const w = c.weight;
+                fusedPos.addScaledVector(c.position, w);
+
+                // Sign-aligned quaternion accumulation
+                const q = c.quaternion.clone();
+                if (q.dot(refQ) < 0) { q.x *= -1; q.y *= -1; q.z *= -1; q.w *= -1; }
+                qx += q.x * w;
+                qy += q.y * w;
+                qz += q.z * w;
+                qw += q.w * w;
+
+                wSum += w;
+            }
+            fusedPos.divideScalar(wSum);
+            fusedQuat = new THREE.Quaternion(
+                qx / wSum, qy / wSum, qz / wSum, qw / wSum
+            ).normalize();
+        }
+        return { pool, fusedPos, fusedQuat };
+    }
+
+    _applyTrackedPose(poseful, statusEl, now, board = null) {
         const measDt = this._lastPoseMeasurementTime > 0
             ? Math.max(1 / 240, (now - this._lastPoseMeasurementTime) / 1000)
             : (1 / Math.max(1, this._detectionFps));
@@ -1528,30 +3115,25 @@ export class RestorationEngine {
                 : this.modelGroup.position.clone())
             : null;
         const temporalSigma = Math.max(1e-4, adaptiveTrackWindow);
+        const ambiguity = this._resolvePoseAmbiguity(poseful, now);
         const candidates = [];
-        for (const m of poseful) {
-            const markerOffset = this._markerOffsetsForId(m.id);
-            if (!markerOffset) continue;
-
-            const { position, quaternion } = this._poseToThreeJs(m.rvec, m.tvec, m.source);
-            const { rotationOffset, positionOffset } = markerOffset;
-
-            // House orientation = marker orientation × rotation offset
-            const houseQuat = quaternion.clone().multiply(rotationOffset);
-            // House position = marker position − offset rotated into the scene
-            const housePos = position.clone().sub(
-                positionOffset.clone().applyQuaternion(houseQuat)
-            );
+        for (const m of ambiguity.markers) {
+            const house = this._housePoseFromMarker(m.id, m.rvec, m.tvec, m.source);
+            if (!house) continue;
+            const { position: housePos, quaternion: houseQuat } = house;
 
             const perimeter = this._markerPerimeter(m.corners || []);
-            if (perimeter < this._minMarkerPerimeter) continue;
+            if (perimeter < this._minPerimeterForId(Number(m.id))) continue;
 
-            const poseError = typeof m.poseError === 'number' ? m.poseError : 0;
-            if (poseError > this._maxPoseErrorForFusion) continue;
+            // An alternative POSIT hypothesis is gated and weighted on the pair's best error
+            const poseError = typeof m.bestPoseError === 'number' ? m.bestPoseError
+                : (typeof m.poseError === 'number' ? m.poseError : 0);
+            const maxPoseError = this._maxPoseErrorForSource(m.source);
+            if (poseError > maxPoseError) continue;
+            // Same error on POSIT's scale, so IPPE's px RMS weighs like a POSIT error
+            const scaledError = poseError * this._maxPoseErrorForFusion / maxPoseError;
 
-            const confidence = typeof m.confidence === 'number'
-                ? Math.max(0.01, Math.min(1, m.confidence))
-                : 0.8;
+            const confidence = this._markerFusionConfidence(m);
             const cameraAngleDeg = Number.isFinite(m.cameraAngleDeg)
                 ? Math.max(0, Math.min(90, m.cameraAngleDeg))
                 : 0;
@@ -1568,7 +3150,7 @@ export class RestorationEngine {
                 if (gateDist > (adaptiveOutlierDistance * 2.0)) continue;
             }
 
-            const sourceBoost = (m.source === 'opencv-pnp') ? 1.12 : ((m.source === 'mixed') ? 1.06 : 1.0);
+            const sourceBoost = (m.source === 'opencv-pnp' || m.source === 'ippe') ? 1.12 : ((m.source === 'mixed') ? 1.06 : 1.0);
             const anchorMult = (Array.isArray(this._anchorIds) && this._anchorIds.includes(Number(m.id)))
                 ? this._anchorBoost
                 : 1.0;
@@ -1576,7 +3158,7 @@ export class RestorationEngine {
             const temporalW = referencePosForGate
                 ? Math.exp(-(temporalDist * temporalDist) / (2 * temporalSigma * temporalSigma))
                 : 1.0;
-            const robustErrW = 1 / (1 + Math.pow(poseError / Math.max(0.01, this._maxPoseErrorForFusion), 2));
+            const robustErrW = 1 / (1 + Math.pow(scaledError / Math.max(0.01, this._maxPoseErrorForFusion), 2));
             const obliqueN = Math.max(0, Math.min(1, (cameraAngleDeg - 15) / Math.max(1, (adaptiveObliqueSoftLimitDeg - 15))));
             const angleW = Math.max(this._obliqueWeightFloor, 1 - obliqueN * obliqueN * 0.9);
 
@@ -1588,7 +3170,7 @@ export class RestorationEngine {
                 poseError,
                 confidence,
                 cameraAngleDeg,
-                weight: ((perimeter * perimeter * confidence) / (1 + poseError * 8))
+                weight: ((perimeter * perimeter * confidence) / (1 + scaledError * 8))
                     * sourceBoost
                     * anchorMult
                     * temporalW
@@ -1597,67 +3179,27 @@ export class RestorationEngine {
             });
         }
 
-        if (!candidates.length) return;
-
-        // ── Step 2: Robust outlier rejection (iterative σ-clip) ──
-        // Compute weighted centroid, then remove candidates > 2σ. Repeat once.
-        let pool = candidates.slice();
-        for (let pass = 0; pass < 2 && pool.length > 1; pass++) {
-            const centroid = new THREE.Vector3();
-            let wSum = 0;
-            for (const c of pool) { centroid.addScaledVector(c.position, c.weight); wSum += c.weight; }
-            centroid.divideScalar(wSum);
-
-            // Weighted standard deviation of distances
-            let varSum = 0;
-            for (const c of pool) {
-                const d = c.position.distanceTo(centroid);
-                varSum += c.weight * d * d;
-            }
-            const sigma = Math.sqrt(varSum / wSum);
-            const adaptiveCutoff = Math.max(this._fusionAgreeDist, sigma * 2.2);
-            const cutoff = Math.min(adaptiveOutlierDistance, adaptiveCutoff);
-
-            const filtered = pool.filter(c => c.position.distanceTo(centroid) <= cutoff);
-            if (filtered.length >= 1) pool = filtered;
-        }
-
-        // Sort survivors by weight
-        pool.sort((a, b) => b.weight - a.weight);
-        const best = pool[0];
-
-        // ── Step 3: Weighted fusion of surviving candidates ──
-        let fusedPos, fusedQuat;
-
-        if (pool.length === 1) {
-            fusedPos = pool[0].position.clone();
-            fusedQuat = pool[0].quaternion.clone();
+        // ── Steps 2–3: board pose when it passes, else fuse the per-marker candidates ──
+        const boardPose = this._boardHousePose(board, poseful, referencePosForGate, adaptiveOutlierDistance * 2.0);
+        let pool, fusedPos, fusedQuat;
+        if (boardPose) {
+            // One rigid solve over every corner: the markers it used all carry that pose
+            this._lastBoardPose.used = true;
+            fusedPos = boardPose.position;
+            fusedQuat = boardPose.quaternion;
+            pool = board.ids.map(printed => {
+                const id = this._slotForMarkerId(Number(printed));
+                const m = poseful.find(p => Number(p.id) === id);
+                return { id, position: fusedPos, quaternion: fusedQuat, confidence: this._markerFusionConfidence(m), cameraAngleDeg: board.cameraAngleDeg };
+            });
         } else {
-            fusedPos = new THREE.Vector3();
-            let wSum = 0;
-            let qx = 0, qy = 0, qz = 0, qw = 0;
-            const refQ = this._hasFirstPose ? this.modelGroup.quaternion.clone() : best.quaternion;
-
-            for (const c of pool) {
-                const w = c.weight;
-                fusedPos.addScaledVector(c.position, w);
-
-                // Sign-aligned quaternion accumulation
-                const q = c.quaternion.clone();
-                if (q.dot(refQ) < 0) { q.x *= -1; q.y *= -1; q.z *= -1; q.w *= -1; }
-                qx += q.x * w;
-                qy += q.y * w;
-                qz += q.z * w;
-                qw += q.w * w;
-
-                wSum += w;
-            }
-            fusedPos.divideScalar(wSum);
-            fusedQuat = new THREE.Quaternion(
-                qx / wSum, qy / wSum, qz / wSum, qw / wSum
-            ).normalize();
+            if (!candidates.length) return;
+            ({ pool, fusedPos, fusedQuat } = this._fuseCandidates(candidates, adaptiveOutlierDistance));
         }
 
+        // Reference for the next frame's POSIT hypothesis choice (before median / anchor smoothing)
+        this._lastFusedPose = { position: fusedPos.clone(), quaternion: fusedQuat.clone(), time: now };
+
         // Temporal robustification: median position over short window + EMA quality metrics
         fusedPos = this._pushAndMedianPosition(fusedPos);
         const avgConfidence = pool.reduce((s, c) => s + c.confidence, 0) / Math.max(1, pool.length);
@@ -1917,7 +3459,8 @@ export class RestorationEngine {
             adaptiveConfidenceThreshold,
             adaptiveObliqueSoftLimitDeg,
             adaptiveObliqueRejectDeg,
-            adaptiveEnabled: this._adaptiveTuningEnabled
+            adaptiveEnabled: this._adaptiveTuningEnabled,
+            hypotheses: ambiguity.stats
         };
 
         // ── Status label ──
@@ -1980,19 +3523,25 @@ export class RestorationEngine {
         // Clear previous marker drawings (video frame is re-drawn in _loop before this)
         // We only clear the marker annotation layer — video background is handled by drawImage in _loop
         const palette = ['#00ff88', '#00ccff', '#ffaa00', '#ff44aa'];
-        const markerLabels = {
-            1: 'BL', 7: 'BC', 2: 'BR',
-            5: 'ML', 6: 'MR',
-            3: 'FL', 8: 'FC', 4: 'FR'
-        };
+
+        // Rejected candidates underneath; markers rejected here are drawn only as such
+        const rejectedIds = new Set();
+        if (this._showRejected) {
+            for (const r of this._lastRejected) {
+                this._drawRejectedCandidate(r);
+                if (r.id !== undefined && r.reason !== 'hamming') rejectedIds.add(r.id);
+            }
+        }
 
         for (const m of markers) {
             const c = m.corners;
             if (!c || c.length < 4) continue;
+            if (rejectedIds.has(m.id)) continue;
             
             // Check isValid property if available (added in recent update) or default to checking valid IDs
             const isValid = (typeof m.isValid === 'boolean') ? m.isValid : this._validMarkerIds.has(Number(m.id));
-            const color = isValid ? palette[m.id % palette.length] : '#ff0033'; // Red for invalid
+            const slot = (m.slot !== undefined) ? m.slot : Number(m.id);
+            const color = isValid ? palette[slot % palette.length] : '#ff0033'; // Red for invalid
 
             // Polygon outline
             ctx.strokeStyle = color;
@@ -2023,7 +3572,9 @@ export class RestorationEngine {
             ctx.font = isValid ? 'bold 12px monospace' : '10px monospace';
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
-            const label = (markerLabels[m.id] || '') + ' #' + m.id + (isValid ? '' : ' ERR');
+            // Slot name, printed ID, and the slot number when the ID map moved it
+            const label = (isValid ? (MARKER_SLOT_LABELS[slot] || '') : '') + ' #' + m.id +
+                (isValid && slot !== Number(m.id) ? '→' + slot : '') + (isValid ? '' : ' ERR');
             
             ctx.fillStyle = 'rgba(0,0,0,0.6)';
             const metrics = ctx.measureText(label);
@@ -2039,9 +3590,50 @@ export class RestorationEngine {
                 ctx.font = '10px monospace';
                 ctx.fillText(dist.toFixed(2) + ' m', cx, cy + 12);
             }
+
+            // Decode margin: orange when one or two bit errors away from another ID
+            if (m.hamming !== null && m.hamming !== undefined) {
+                const margin = m.hammingMargin;
+                ctx.fillStyle = (margin !== null && margin < 3) ? '#ffa040' : '#9c9';
+                ctx.font = '10px monospace';
+                ctx.fillText('h' + m.hamming + ' m' + (margin === null ? '∞' : margin), cx, cy + 24);
+            }
         }
     }
 
+    _drawRejectedCandidate(r) {
+        const ctx = this.overlayCtx;
+        const colors = {
+            'hamming': '#ff8800', 'decode-failed': '#ff00ff', 'not-convex': '#8888ff',
+            'too-small': '#ffff00', 'not-in-layout': '#ff0033'
+        };
+        const c = r.corners;
+        ctx.strokeStyle = colors[r.reason] || '#aaaaaa';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(c[0][0], c[0][1]);
+        for (let i = 1; i < c.length; i++) ctx.lineTo(c[i][0], c[i][1]);
+        ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        let label = r.reason;
+        if (r.reason === 'hamming') label = `~#${r.id} h${r.hamming}>${r.maxHamming}`;
+        else if (r.reason === 'not-in-layout') label = `#${r.id} not in layout`;
+        else if (r.reason === 'too-small' && r.minPerimeter) label = `#${r.id} ${Math.round(r.perimeter)}<${r.minPerimeter}px`;
+        const cx = c.reduce((s, p) => s + p[0], 0) / c.length;
+        const cy = c.reduce((s, p) => s + p[1], 0) / c.length;
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const width = ctx.measureText(label).width;
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.fillRect(cx - width / 2 - 2, cy - 7, width + 4, 14);
+        ctx.fillStyle = colors[r.reason] || '#dddddd';
+        ctx.fillText(label, cx, cy);
+    }
+
     _drawDebugHud() {
         if (!this._debugOverlayEnabled || !this.overlayCtx) return;
         const ctx = this.overlayCtx;
@@ -2051,19 +3643,73 @@ export class RestorationEngine {
 
         const lines = [];
         lines.push(`trk:${this.isTracking ? 'ON' : 'OFF'} lock:${this._worldAnchorActive ? 'ON' : 'OFF'} markers:${(this._lastRawMarkers || []).length}`);
+        if (this._dictionaryName !== 'ARUCO') {
+            lines.push(`dict ${this._dictionaryName}${this._activeDictionary && this._activeDictionary !== this._dictionaryName ? ' → ' + this._activeDictionary : ''}${this._maxHammingDistance !== null ? ' h≤' + this._maxHammingDistance : ''}`);
+        }
         if (stats) {
-            lines.push(`pool ${stats.poolSize}/${stats.candidateSize} conf ${stats.avgConfidence.toFixed(2)} spread ${(stats.spread * 1000).toFixed(0)}mm`);
+            lines.push(`pool ${stats.poolSize}/${stats.candidateSize} conf ${stats.avgConfidence.toFixed(2)} spread ${(stats.spread * 1000).toFixed(0)}mm${stats.hypotheses && stats.hypotheses.ambiguous ? ` amb ${stats.hypotheses.alternative}/${stats.hypotheses.ambiguous} alt` : ''}`);
             lines.push(`view ${Math.round(stats.viewAngleDeg)}° th ${stats.adaptiveConfidenceThreshold.toFixed(2)} out ${stats.adaptiveOutlierDistance.toFixed(2)}m`);
             lines.push(`tw ${stats.adaptiveTrackWindow.toFixed(2)} soft/rej ${Math.round(stats.adaptiveObliqueSoftLimitDeg)}°/${Math.round(stats.adaptiveObliqueRejectDeg)}° ${stats.adaptiveEnabled ? 'AT' : 'FIX'}`);
         }
+        if (this._detectionBackend !== 'jsaruco' || this._pendingBackend) {
+            lines.push(`backend ${DETECTION_BACKENDS[this._detectionBackend].label}${this._pendingBackend ? ' → ' + DETECTION_BACKENDS[this._pendingBackend.name].label + '...' : ''}`);
+        }
+        if (this.worker && this.worker.detectMs !== null && (this.worker.size > 1 || this._workerPoolSize !== 1)) {
+            const ws = this.worker.getStats();
+            lines.push(`workers ${ws.size}/${ws.maxSize}${ws.auto ? ' auto' : ''} in ${ws.inFlight} det ${ws.detectMs.toFixed(0)}ms drop ${ws.dropped}`);
+        }
+        if ((this._roiDetection || this._multiScale.enabled) && this._lastDetectionInfo) {
+            const di = this._lastDetectionInfo;
+            lines.push(`det ${di.mode}${di.mode === 'roi' ? ' x' + di.rois.length : ''}${di.tiles ? ' +' + di.tiles + ' tile' : ''} (${di.reason})`);
+        }
+        if (this._lastQuality) {
+            const q = this._lastQuality;
+            lines.push(`q sharp ${q.sharpness.toFixed(2)} exp ${q.exposure.toFixed(2)} w ${q.weight.toFixed(2)}${q.degraded ? ' bad ' + q.degraded : ''}${q.skipped ? ' SKIP' : ''}`);
+        }
+        if (this._slotAssignment) {
+            const slot = this._slotAssignment.slot;
+            lines.push(`assign ${MARKER_SLOT_LABELS[slot] || ''} (${slot}): tocca il marker`);
+        }
+        if (this._boardPose.enabled && this._lastBoardPose) {
+            const bp = this._lastBoardPose;
+            lines.push(`board ${bp.used ? 'ON' : 'off'} ${bp.ids.length}m rms ${bp.poseError.toFixed(2)}px${bp.rejected.length ? ' out ' + bp.rejected.join(',') : ''}`);
+        }
+        if (this._preprocess && this._lastDetectionInfo && this._lastDetectionInfo.preprocess) {
+            const pp = this._lastDetectionInfo.preprocess;
+            lines.push(`pre med ${pp.median} γ${pp.gamma.toFixed(2)}${pp.stretch ? ` str ${pp.stretch[0]}-${pp.stretch[1]}` : ''}${pp.clahe ? ' clahe ' + pp.clahe : ''}${pp.glare ? ' glare ' + pp.glare + 'px' : ''}`);
+        }
+        if (this._showRejected && this._lastRejected.length) {
+            const counts = {};
+            for (const r of this._lastRejected) counts[r.reason] = (counts[r.reason] || 0) + 1;
+            lines.push('rej ' + Object.entries(counts).map(([k, n]) => `${k}:${n}`).join(' '));
+        }
+        if (this._focalSelfCalEnabled) {
+            const fe = this._focalEstimator.getState();
+            lines.push(fe.estimate
+                ? `focal ${Math.round(this._currentFocalPx())}→${Math.round(fe.estimate)}px ±${(fe.spread * 100).toFixed(1)}% n${fe.samples} ${fe.converged ? 'CONV' : '...'}`
+                : `focal ${Math.round(this._currentFocalPx())}px: serve vista obliqua con 2+ marker`);
+        }
+        if (this._calibration) {
+            const c = this._calibration;
+            lines.push(`calib ${c.status} views ${c.views.length}/${c.targetViews}${c.autoCapture ? ' auto' : ''} steady ${c.steadyFrames}`);
+            if (c.result) {
+                const k = c.result.cameraMatrix;
+                lines.push(`rms ${c.result.rms.toFixed(3)}px f ${k[0].toFixed(0)}/${k[4].toFixed(0)} c ${k[2].toFixed(0)},${k[5].toFixed(0)} k1 ${c.result.distCoeffs[0].toFixed(3)}`);
+            }
+        }
 
+        // Draw in screen (CSS px) units inside the part of the overlay left visible by the cover crop
+        const cover = this._lastCoverTransform || this._coverTransform();
+        const vis = cover.visibleRect;
         const x = 12;
         const y = 12;
         const lineH = 14;
         const boxH = 10 + lines.length * lineH;
-        const boxW = 360;
+        const boxW = Math.min(360, cover.containerWidth - 12);
 
         ctx.save();
+        ctx.translate(vis.x, vis.y);
+        ctx.scale(1 / cover.scale, 1 / cover.scale);
         ctx.fillStyle = 'rgba(0,0,0,0.55)';
         ctx.fillRect(x - 6, y - 4, boxW, boxH);
         ctx.font = '11px monospace';
@@ -2085,15 +3731,20 @@ export class RestorationEngine {
         // When an XR session is active the XR rendering loop takes over — skip the non‑XR worker/render flow.
         if (this._xrActive) return;
 
-        if (this.video.readyState < this.video.HAVE_ENOUGH_DATA) {
+        const source = this._frameSource;
+        const now = performance.now();
+        if (source) source.update(now);
+        if (!source || !source.isReady()) {
             this.renderer.render(this.scene, this.camera);
             return;
         }
+        if (source.width > 0 && source.height > 0 &&
+            (source.width !== this.overlay.width || source.height !== this.overlay.height)) {
+            this._onFrameSizeChanged();
+        }
 
-        // Draw video frame on overlay
-        this.overlayCtx.drawImage(this.video, 0, 0, this.overlay.width, this.overlay.height);
-
-        const now = performance.now();
+        // Draw current frame on overlay
+        this.overlayCtx.drawImage(source.element, 0, 0, this.overlay.width, this.overlay.height);
 
         this._updateRenderPose(now);
         this._drawDebugHud();
@@ -2101,55 +3752,115 @@ export class RestorationEngine {
         // Throttle detection
         const interval = 1000 / Math.max(1, this._detectionFps);
 
-        if (this.worker && !this._workerBusy && (now - this._lastDetectionTime) >= interval) {
+        // Frames stay with the pool that reserved them, even if a backend switch lands meanwhile
+        const pool = this.worker;
+        const slot = (pool && (now - this._lastDetectionTime) >= interval) ? pool.reserve(now) : -1;
+        if (slot >= 0) {
             this._lastDetectionTime = now;
-            this._workerBusy = true;
+            pool.frameInterval = interval;
 
             const src = (this._detectionCanvas && this._detectionCanvas.width > 0)
                 ? this._detectionCanvas : this.overlay;
 
-            if (src !== this.overlay) {
-                this._detectionCanvasCtx.clearRect(0, 0, src.width, src.height);
-                this._detectionCanvasCtx.drawImage(this.overlay, 0, 0, src.width, src.height);
-            }
-
-            createImageBitmap(src).then(bmp => {
-                const scale = src.width / this.overlay.width;
-                let cm;
-                if (this._cameraMatrix && this._cameraMatrix.length >= 9) {
-                    const s = scale;
-                    cm = [
-                        this._cameraMatrix[0] * s, 0, this._cameraMatrix[2] * s,
-                        0, this._cameraMatrix[4] * s, this._cameraMatrix[5] * s,
-                        0, 0, 1
-                    ];
+            // Zero-copy: the worker reads the VideoFrame's luminance plane and downscales itself
+            const capture = this._frameCaptureFor(source);
+            if (capture) {
+                const frame = capture.grab(now);
+                if (frame && frame.displayWidth === this.overlay.width && frame.displayHeight === this.overlay.height) {
+                    this._frameSizeMismatches = 0;
+                    this._postDetectionFrame(pool, slot, { frame }, [frame], src, now);
                 } else {
-                    const fx = this.focal * scale;
-                    cm = [fx, 0, src.width / 2, 0, fx, src.height / 2, 0, 0, 1];
+                    // No new camera frame yet, or one from before a size change
+                    if (frame) {
+                        frame.close();
+                        if (++this._frameSizeMismatches > 30) this.setZeroCopyCapture(false);
+                    }
+                    pool.release(slot);
+                    this._lastDetectionTime = 0;
                 }
-
-                try {
-                    this.worker.postMessage({
-                        type: 'frame',
-                        bitmap: bmp,
-                        cameraMatrix: cm,
-                        distCoeffs: this._distCoeffs || [],
-                        markerLength: this.markerSizeMM / 1000,
-                        overlayWidth: this.overlay.width,
-                        overlayHeight: this.overlay.height
-                    }, [bmp]);
-                } catch (err) {
-                    this._workerBusy = false;
-                    this.log('Worker postMessage fallito: ' + err.message, 'error');
+            } else {
+                // ROI / multi-scale modes ship the full-resolution frame; the worker downscales to src size itself
+                const fullRes = this._roiDetection || this._multiScale.enabled;
+                if (src !== this.overlay && !fullRes) {
+                    this._detectionCanvasCtx.clearRect(0, 0, src.width, src.height);
+                    this._detectionCanvasCtx.drawImage(this.overlay, 0, 0, src.width, src.height);
                 }
-            }).catch(() => {
-                this._workerBusy = false;
-            });
+
+                createImageBitmap(fullRes ? this.overlay : src).then(bmp => {
+                    this._postDetectionFrame(pool, slot, { bitmap: bmp }, [bmp], src, now);
+                }).catch(() => {
+                    pool.release(slot);
+                });
+            }
         }
 
         this.renderer.render(this.scene, this.camera);
     }
 
+    // Camera matrix scaled to the detection size, sent with the pixels (bitmap or VideoFrame)
+    _postDetectionFrame(pool, slot, pixels, transfer, src, captureTime) {
+        if (pool !== this.worker) {
+            // Stopped or switched backend since the slot was reserved
+            transfer.forEach(t => { try { t.close(); } catch (e) { /* ignore */ } });
+            return;
+        }
+        const scale = src.width / this.overlay.width;
+        let cm;
+        if (this._cameraMatrix && this._cameraMatrix.length >= 9) {
+            const s = scale;
+            cm = [
+                this._cameraMatrix[0] * s, 0, this._cameraMatrix[2] * s,
+                0, this._cameraMatrix[4] * s, this._cameraMatrix[5] * s,
+                0, 0, 1
+            ];
+        } else {
+            const fx = this.focal * scale;
+            cm = [fx, 0, src.width / 2, 0, fx, src.height / 2, 0, 0, 1];
+        }
+
+        try {
+            pool.submit(slot, Object.assign({
+                type: 'frame',
+                cameraMatrix: cm,
+                distCoeffs: this._distCoeffs || [],
+                markerLength: this.markerSizeMM / 1000,
+                overlayWidth: this.overlay.width,
+                overlayHeight: this.overlay.height,
+                detectWidth: src.width,
+                detectHeight: src.height,
+                captureTime
+            }, pixels), transfer);
+        } catch (err) {
+            transfer.forEach(t => { try { t.close(); } catch (e) { /* already transferred */ } });
+            pool.release(slot);
+            this.log('Worker postMessage fallito: ' + err.message, 'error');
+        }
+    }
+
+    // VideoFrameCapture bound to the current source, or null when the canvas path is in use
+    _frameCaptureFor(source) {
+        if (!this._zeroCopyCapture || !VideoFrameCapture.isSupported()) return null;
+        if (!this._frameCapture) this._frameCapture = new VideoFrameCapture({ log: (m, l) => this.log(m, l) });
+        if (!this._frameCapture.isAttachedTo(source)) {
+            const mode = this._frameCapture.attach(source);
+            this._frameSizeMismatches = 0;
+            this.log(`Cattura zero-copy: ${mode}`);
+        }
+        return this._frameCapture.mode === 'off' ? null : this._frameCapture;
+    }
+
+    /**
+     * Zero-copy capture: VideoFrames go straight to the worker (MediaStreamTrackProcessor for
+     * cameras) instead of canvas → ImageBitmap → worker canvas → getImageData. On by default
+     * where VideoFrame exists; the canvas path remains the fallback.
+     */
+    setZeroCopyCapture(enable = true) {
+        this._zeroCopyCapture = !!enable;
+        if (!this._zeroCopyCapture && this._frameCapture) this._frameCapture.detach();
+        const supported = VideoFrameCapture.isSupported();
+        this.log(`Cattura zero-copy ${this._zeroCopyCapture ? 'ON' : 'OFF'}${this._zeroCopyCapture && !supported ? ' (VideoFrame non supportato, uso canvas)' : ''}`);
+    }
+
     // Public API: return last raw markers (copy)
     getLastRawMarkers() {
         return (this._lastRawMarkers || []).map(m => ({ id: m.id, rvec: m.rvec ? m.rvec.slice() : null, tvec: m.tvec ? m.tvec.slice() : null, poseError: m.poseError, distance: m.distance }));
@@ -2311,10 +4022,11 @@ export class RestorationEngine {
         const tmp = document.createElement('canvas');
         tmp.width = w; tmp.height = h;
         const ctx = tmp.getContext('2d');
-        try { ctx.drawImage(this.video, 0, 0, w, h); } catch (e) { this.log('Test draw: ' + e.message, 'warn'); }
+        try { ctx.drawImage(this._frameSource ? this._frameSource.element : this.video, 0, 0, w, h); } catch (e) { this.log('Test draw: ' + e.message, 'warn'); }
 
         try {
-            const detector = new AR.Detector({ dictionaryName: 'ARUCO' });
+            this._localDictionaries();
+            const detector = new AR.Detector({ dictionaryName: this._effectiveDictionaryName() });
             const detected = detector.detect({ width: w, height: h, data: ctx.getImageData(0, 0, w, h).data });
             const markers = detected.map(m => ({
                 id: m.id,
@@ -2344,14 +4056,21 @@ export class RestorationEngine {
 
     // ── Screenshot ───────────────────────────────────────────────────────────
 
+    // Composited at the on-screen size: frame and overlay are cover-cropped exactly like the
+    // page shows them, the WebGL canvas already matches the container.
     async captureScreenshot() {
         const w = this.overlay.width, h = this.overlay.height;
+        const t = this._coverTransform();
+        const dpr = this.renderer && this.renderer.getPixelRatio ? this.renderer.getPixelRatio() : 1;
         const canvas = document.createElement('canvas');
-        canvas.width = w; canvas.height = h;
+        canvas.width = Math.round(t.containerWidth * dpr);
+        canvas.height = Math.round(t.containerHeight * dpr);
         const ctx = canvas.getContext('2d');
-        try { ctx.drawImage(this.video, 0, 0, w, h); } catch (e) { this.log('Screenshot video: ' + e.message, 'warn'); }
-        try { ctx.drawImage(this.renderer.domElement, 0, 0, w, h); } catch (e) { this.log('Screenshot 3d: ' + e.message, 'warn'); }
-        try { ctx.drawImage(this.overlay, 0, 0, w, h); } catch (e) { this.log('Screenshot overlay: ' + e.message, 'warn'); }
+        ctx.scale(dpr, dpr);
+        const dx = t.offsetX, dy = t.offsetY, dw = w * t.scale, dh = h * t.scale;
+        try { ctx.drawImage(this._frameSource ? this._frameSource.element : this.video, dx, dy, dw, dh); } catch (e) { this.log('Screenshot video: ' + e.message, 'warn'); }
+        try { ctx.drawImage(this.renderer.domElement, 0, 0, t.containerWidth, t.containerHeight); } catch (e) { this.log('Screenshot 3d: ' + e.message, 'warn'); }
+        try { ctx.drawImage(this.overlay, dx, dy, dw, dh); } catch (e) { this.log('Screenshot overlay: ' + e.message, 'warn'); }
         return canvas.toDataURL('image/png');
     }
 
@@ -0,0 +1,119 @@
+/**
+ * video-frame-capture.js — VideoFrames for the detection worker, no canvas round-trips.
+ *
+ * Camera sources are read through MediaStreamTrackProcessor on a clone of the track (the
+ * page <video> keeps playing untouched); only the newest frame is kept and each one is
+ * handed out once, so a slow detector never sees the same frame twice. Other sources, and
+ * browsers without the processor, wrap the source element in a VideoFrame on demand.
+ *
+ * grab() transfers ownership: the caller posts the frame to the worker, which closes it.
+ */
+
+export class VideoFrameCapture {
+    static isSupported() {
+        return typeof VideoFrame === 'function';
+    }
+
+    constructor({ log = null } = {}) {
+        this._log = log || (() => {});
+        this.mode = 'off';          // 'track-processor' | 'element' | 'off'
+        this._source = null;
+        this._track = null;         // cloned camera track owned by the processor
+        this._sourceTrackId = null;
+        this._reader = null;
+        this._latest = null;
+    }
+
+    /** True while attached to `source` and, for cameras, to its current track. */
+    isAttachedTo(source) {
+        if (this._source !== source || this.mode === 'off') return false;
+        if (this.mode !== 'track-processor') return true;
+        const track = cameraTrack(source);
+        return !!track && track.id === this._sourceTrackId && this._track.readyState !== 'ended';
+    }
+
+    attach(source) {
+        this.detach();
+        this._source = source;
+        const track = cameraTrack(source);
+        if (track && typeof MediaStreamTrackProcessor === 'function') {
+            try {
+                this._startProcessor(track);
+                this.mode = 'track-processor';
+                return this.mode;
+            } catch (e) {
+                this._log('MediaStreamTrackProcessor non disponibile: ' + e.message, 'warn');
+                this.detach();
+                this._source = source;
+            }
+        }
+        this.mode = source && source.element ? 'element' : 'off';
+        return this.mode;
+    }
+
+    /**
+     * Newest frame not handed out yet, or null (none arrived since the last grab, or the
+     * element cannot be wrapped — mode then turns 'off').
+     */
+    grab(now = performance.now()) {
+        if (this.mode === 'track-processor') {
+            const frame = this._latest;
+            this._latest = null;
+            return frame;
+        }
+        if (this.mode === 'element') {
+            try {
+                return new VideoFrame(this._source.element, { timestamp: Math.round(now * 1000) });
+            } catch (e) {
+                this._log('VideoFrame dal video non disponibile: ' + e.message, 'warn');
+                this.mode = 'off';
+            }
+        }
+        return null;
+    }
+
+    detach() {
+        if (this._reader) {
+            // cancel() rejects asynchronously once the stream has errored or closed
+            this._reader.cancel().catch(() => { /* ignore */ });
+            this._reader = null;
+        }
+        if (this._track) {
+            this._track.stop();
+            this._track = null;
+        }
+        if (this._latest) {
+            this._latest.close();
+            this._latest = null;
+        }
+        this._source = null;
+        this._sourceTrackId = null;
+        this.mode = 'off';
+    }
+
+    _startProcessor(track) {
+        const clone = track.clone();
+        const processor = new MediaStreamTrackProcessor({ track: clone });
+        const reader = processor.readable.getReader();
+        this._track = clone;
+        this._sourceTrackId = track.id;
+        this._reader = reader;
+        const pump = () => reader.read().then(({ value, done }) => {
+            if (done) return;
+            if (this._reader !== reader) { value.close(); return; }
+            if (this._latest) this._latest.close();
+            this._latest = value;
+            pump();
+        }).catch(() => { /* reader cancelled */ });
+        pump();
+    }
+}
+
+function cameraTrack(source) {
+    if (!source || source.kind !== 'camera') return null;
+    try {
+        return source.video?.srcObject?.getVideoTracks?.()[0] || null;
+    } catch (e) {
+        return null;
+    }
+}
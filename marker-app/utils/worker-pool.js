@@ -0,0 +1,222 @@
+/**
+ * worker-pool.js — N detection workers behind the single-worker interface the engine uses.
+ *
+ * Frames go round-robin to idle workers, so several frames can be in detection at once.
+ * Results are released in capture order: a result waits while an older frame is still
+ * being processed, and a result older than one already delivered is dropped as stale.
+ * A frame that never comes back is given up after `frameTimeout` ms so its slot is reused.
+ *
+ * Everything that is not a frame (init / config) is broadcast to every worker and kept,
+ * so workers added later start with the same dictionaries and settings. Each worker keeps
+ * its own temporal state (corner smoothing, flow, ROI tracks) over the frames it sees.
+ *
+ * With `size: 'auto'` the pool grows while the measured per-frame detect time exceeds the
+ * frame interval, up to `navigator.hardwareConcurrency - 1` (one core stays with the page).
+ */
+
+const MAX_WORKERS = 4;
+
+export class DetectionWorkerPool {
+    /**
+     * @param {object} opts
+     * @param {string} [opts.url] worker script
+     * @param {number|'auto'} [opts.size='auto']
+     * @param {number} [opts.hardwareConcurrency] defaults to navigator.hardwareConcurrency
+     * @param {(msg:object, index:number) => void} [opts.onMessage] results in capture order, plus ready/log/error
+     * @param {(url:string) => Worker} [opts.createWorker]
+     * @param {number} [opts.frameTimeout=1000] ms before an unanswered frame is given up
+     * @param {number} [opts.adaptEvery=30] results between auto-size decisions
+     */
+    constructor({
+        url = 'workers/aruco-worker.js', size = 'auto', hardwareConcurrency, onMessage = null,
+        createWorker = null, frameTimeout = 1000, adaptEvery = 30
+    } = {}) {
+        this.url = url;
+        this.onMessage = onMessage || (() => {});
+        this.frameTimeout = frameTimeout;
+        this.adaptEvery = adaptEvery;
+        this.frameInterval = 1000 / 30;   // engine keeps this at its detection interval
+        const cores = hardwareConcurrency ||
+            (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        this.maxSize = Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+        this._createWorker = createWorker || (u => new Worker(u));
+        this._broadcast = [];       // [msg, ...] replayed to new workers
+        this._slots = [];           // { worker, ready, pending, reserved }
+        this._inFlight = new Map(); // captureTime → { slot, sentAt }
+        this._buffer = [];          // results waiting for an older frame, by captureTime
+        this._lastDelivered = -Infinity;
+        this._next = 0;
+        this._sinceAdapt = 0;
+        this.detectMs = null;       // EMA of post → result time
+        this.dropped = 0;
+        this._ready = false;
+        this.setSize(size);
+    }
+
+    get size() { return this._slots.length; }
+    get auto() { return this._auto; }
+    get inFlight() { return this._inFlight.size; }
+    /** Kept init / config messages, oldest first: replay them to bring another pool level. */
+    get broadcastLog() { return this._broadcast.slice(); }
+
+    /** `'auto'` or a fixed worker count (clamped to 1..hardwareConcurrency-1). */
+    setSize(size) {
+        this._auto = size === 'auto';
+        const target = this._auto
+            ? Math.max(1, Math.min(this._slots.length || 1, this.maxSize))
+            : Math.max(1, Math.min(this.maxSize, Math.floor(Number(size) || 1)));
+        while (this._slots.length < target) this._spawn();
+        while (this._slots.length > target) this._retire();
+    }
+
+    /** Broadcast a non-frame message (init / config) to every worker. */
+    postMessage(msg) {
+        // One-shot commands only matter to the workers that exist now
+        if (!(msg && msg.type === 'config' && (msg.resetTracking || msg.rescaleHistory))) this._broadcast.push(msg);
+        for (const s of this._slots) s.worker.postMessage(msg);
+    }
+
+    /**
+     * Claim an idle, ready worker for the frame captured at `now`.
+     * @returns {number} slot index, or -1 when every worker is busy
+     */
+    reserve(now = performance.now()) {
+        this._expire(now);
+        const n = this._slots.length;
+        for (let k = 0; k < n; k++) {
+            const i = (this._next + k) % n;
+            const s = this._slots[i];
+            if (s.ready && !s.reserved && s.pending === 0) {
+                s.reserved = true;
+                this._next = (i + 1) % n;
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    release(index) {
+        const s = this._slots[index];
+        if (s) s.reserved = false;
+    }
+
+    /** Send a frame (`msg.captureTime` required) to a slot obtained from reserve(). */
+    submit(index, msg, transfer = []) {
+        const s = this._slots[index];
+        if (!s) throw new Error('detection worker ' + index + ' no longer exists');
+        s.reserved = false;
+        s.worker.postMessage(msg, transfer);
+        s.pending++;
+        this._inFlight.set(msg.captureTime, { slot: s, sentAt: performance.now() });
+    }
+
+    terminate() {
+        for (const s of this._slots) s.worker.terminate();
+        this._slots = [];
+        this._inFlight.clear();
+        this._buffer = [];
+    }
+
+    getStats() {
+        return { size: this.size, auto: this._auto, maxSize: this.maxSize, inFlight: this.inFlight, detectMs: this.detectMs, dropped: this.dropped };
+    }
+
+    // ── Internals ────────────────────────────────────────────────────────────
+
+    _spawn() {
+        const worker = this._createWorker(this.url);
+        const slot = { worker, ready: false, pending: 0, reserved: false };
+        worker.onmessage = (e) => this._onWorkerMessage(slot, e.data);
+        for (const msg of this._broadcast) worker.postMessage(msg);
+        this._slots.push(slot);
+        return slot;
+    }
+
+    _retire() {
+        const slot = this._slots.pop();
+        slot.worker.terminate();
+        this._next = 0;
+        this._forget(slot);
+    }
+
+    // The slot's frames will never answer: stop holding newer results back for them
+    _forget(slot) {
+        for (const [t, f] of this._inFlight) if (f.slot === slot) this._inFlight.delete(t);
+        slot.pending = 0;
+        this._flush();
+    }
+
+    _onWorkerMessage(slot, d) {
+        const index = this._slots.indexOf(slot);
+        if (index < 0) return; // retired
+        if (d.type === 'ready') {
+            slot.ready = true;
+            if (!this._ready) { this._ready = true; this.onMessage(d, index); }
+        } else if (d.type === 'error') {
+            // The worker reports the failure instead of a result: give up that frame only,
+            // or everything the slot holds when the error is not about a frame
+            const t = typeof d.captureTime === 'number' ? d.captureTime : null;
+            if (t === null) {
+                this._forget(slot);
+            } else if (this._inFlight.has(t)) {
+                this._inFlight.delete(t);
+                slot.pending = Math.max(0, slot.pending - 1);
+                this._flush();
+            }
+            this.onMessage(d, index);
+        } else if (d.type === 'result') {
+            const t = typeof d.captureTime === 'number' ? d.captureTime : null;
+            const f = t !== null ? this._inFlight.get(t) : null;
+            if (f) {
+                this._inFlight.delete(t);
+                slot.pending = Math.max(0, slot.pending - 1);
+                const ms = performance.now() - f.sentAt;
+                this.detectMs = this.detectMs === null ? ms : this.detectMs * 0.9 + ms * 0.1;
+            }
+            if (t !== null && t <= this._lastDelivered) {
+                this.dropped++;
+            } else {
+                const at = this._buffer.findIndex(r => t !== null && r.captureTime > t);
+                this._buffer.splice(at < 0 ? this._buffer.length : at, 0, d);
+            }
+            this._flush();
+            if (++this._sinceAdapt >= this.adaptEvery) { this._sinceAdapt = 0; this._adapt(); }
+        } else {
+            this.onMessage(d, index);
+        }
+    }
+
+    // Release buffered results older than every frame still in detection
+    _flush() {
+        let oldest = Infinity;
+        for (const t of this._inFlight.keys()) if (t < oldest) oldest = t;
+        while (this._buffer.length && !(this._buffer[0].captureTime >= oldest)) {
+            const d = this._buffer.shift();
+            if (typeof d.captureTime === 'number') this._lastDelivered = d.captureTime;
+            this.onMessage(d, -1);
+        }
+    }
+
+    _expire(now) {
+        let expired = false;
+        for (const [t, f] of this._inFlight) {
+            if (now - f.sentAt <= this.frameTimeout) continue;
+            this._inFlight.delete(t);
+            f.slot.pending = Math.max(0, f.slot.pending - 1);
+            expired = true;
+        }
+        if (expired) this._flush();
+    }
+
+    _adapt() {
+        if (!this._auto || this.detectMs === null) return;
+        const n = this._slots.length, interval = Math.max(1, this.frameInterval);
+        // One worker at a time, with a dead band so the size does not flap; only an idle
+        // worker is retired so no frame is lost
+        if (this.detectMs > n * interval && n < this.maxSize) this._spawn();
+        else if (n > 1 && this.detectMs < (n - 1) * interval * 0.75) {
+            const last = this._slots[this._slots.length - 1];
+            if (last.pending === 0 && !last.reserved) this._retire();
+        }
+    }
+}
@@ -1,15 +1,51 @@
 // ArUco detection worker using js-aruco2 (pure JavaScript — no OpenCV WASM)
-// Detects markers from ARUCO dictionary (5x5) and estimates pose via POSIT/solvePnP.
+// Detects markers from a selectable dictionary (default ARUCO 5x5) and estimates pose via POSIT/solvePnP.
 
-importScripts('../vendor/js-aruco2.js');
+// Message schema shared with opencv-worker.js: see utils/detection-backends.js
+const BACKEND = 'jsaruco';
+const PROTOCOL_VERSION = 1;
 
-let detector = null;
+importScripts('../vendor/js-aruco2.js', '../utils/lens-distortion.js', '../utils/aruco-dictionaries.js', '../utils/apriltag-decoder.js', '../utils/detection-roi.js', '../utils/frame-luma.js', '../utils/ippe.js', '../utils/board-pose.js', '../utils/corner-subpix.js', '../utils/luma-preprocess.js', '../utils/frame-quality.js');
+
+// Dictionary selection: one detector, or one per candidate in AUTO mode (tried round-robin,
+// starting from the one that last found markers)
+let dictionaryName = 'ARUCO';
+let maxHammingDistance = null;   // bit errors tolerated; null = dictionary default
+let detectors = [];
+let detectorNames = [];
+let detectorIndex = 0;
 let markerLength = 0.1;  // meters (default 100mm)
+let markerLengths = {};  // id → meters, for markers whose size differs from markerLength
 let focalLength = 800;   // pixels (updated per frame)
-let canvas = null;       // reusable OffscreenCanvas
+let canvas = null;       // reusable OffscreenCanvas (fallback path: bitmaps / unreadable VideoFrames)
 let ctx = null;
+
+// ROI-predicted detection: crops around where tracked markers should be, full scan every N frames
+let roiDetection = false;
+let roiMaxCropSize = 640;  // crops larger than this (px per side) are downscaled
+const roiPredictor = new DetectionRoi.RoiPredictor();
+
+// Multi-scale full scans: downscaled pass + overlapping full-resolution tiles for tiny markers.
+// tilesPerFrame > 0 spreads the tiles over several frames (round-robin).
+let multiScale = false;
+let tileSize = 640;
+let tileOverlap = 0.25;
+let tilesPerFrame = 0;
+let tileCursor = 0;
 const validMarkerIds = new Set([1, 2, 3, 4, 5, 6, 7, 8]);
 
+// Contrast preprocessing of every plane handed to the detectors: null = off, {} = automatic,
+// or LumaPreprocess overrides. The parameters used on the largest plane of a frame are reported.
+let preprocess = null;
+let framePreprocess = null;
+
+// Frame quality: sharpness / exposure patches are downscaled to at most this many px per side
+const qualityPatchSize = 160;
+
+// Debug: quads that did not become markers, with a reason code (FrameLuma.REJECT_REASONS)
+let reportRejected = false;
+const maxRejectedPerFrame = 32;
+
 // Corner smoothing state (worker-side temporal filter to stabilise POSIT inputs)
 // NOTE: Keep these values LOW — main-thread filters handle smoothing.
 // Stacking too much smoothing causes visible lag.
@@ -34,29 +70,56 @@ let cvReady = false;
 let cvLoading = false;
 // Optional higher-precision pose via solvePnP and LK optical-flow
 let useSolvePnP = false;     // when true and cvReady -> prefer cv.solvePnP for pose
+// Pose solver: 'auto' / 'opencv' = OpenCV solvePnP when enabled and loaded, else POSIT;
+// 'ippe' = built-in IPPE (POSIT if it finds nothing); 'posit' = POSIT only
+let poseSolver = 'auto';     // 'auto' | 'opencv' | 'ippe' | 'posit'
 let usePyrLKFlow = false;    // when true and cvReady -> use calcOpticalFlowPyrLK for corner tracking
 let _prevGrayMat = null;     // cached cv.Mat of previous gray frame for pyrLK
 let _prevPtsMat = null;      // cached previous points Mat for pyrLK tracking
 
 
-// AprilTag fallback support (scaffold: will be active if vendor/apriltag is provided)
+// AprilTag support: built-in pure-JS decoder; vendor/apriltag is only tried if that fails
 let useAprilTag = false;
 let aprilReady = false;
-let aprilImpl = null; // holds detected implementation object if present
+let aprilImpl = null; // object exposing detect(gray, w, h)
+let aprilTagFamilies = ['36h11'];
+let aprilTagMaxHamming = 2;
+
+// Board pose: marker id → its four corners TL, TR, BR, BL as [X, Y, Z] metres in the house
+// frame (camera axes: y down, z away from the viewer). null = per-marker poses only.
+let boardLayout = null;
+
+// Last capabilities sent to the engine (JSON), so changes are reported once
+let reportedCapabilities = null;
 
 self.onmessage = (e) => {
     const msg = e.data;
     try {
         switch (msg.type) {
             case 'init':
-                detector = new AR.Detector({ dictionaryName: 'ARUCO' });
+                registerCustomDictionaries(msg.customDictionaries);
+                if (typeof msg.dictionaryName === 'string') dictionaryName = msg.dictionaryName;
+                if (typeof msg.maxHammingDistance === 'number') maxHammingDistance = msg.maxHammingDistance;
+                buildDetectors();
                 markerLength = msg.markerLength || markerLength;
-                postMessage({ type: 'log', message: 'js-aruco2 pronto (ARUCO 5x5)' });
-                postMessage({ type: 'ready' });
+                postMessage({ type: 'log', message: 'js-aruco2 pronto (' + detectorNames.join(', ') + ')' });
+                reportedCapabilities = JSON.stringify(capabilities());
+                postMessage({ type: 'ready', backend: BACKEND, protocol: PROTOCOL_VERSION, capabilities: JSON.parse(reportedCapabilities) });
                 break;
 
-            case 'config':
+            case 'config': {
                 if (typeof msg.markerLength === 'number') markerLength = msg.markerLength;
+                if (msg.markerLengths !== undefined) markerLengths = msg.markerLengths && typeof msg.markerLengths === 'object' ? msg.markerLengths : {};
+
+                // Dictionary selection: rebuild detectors only when something changed
+                const registered = registerCustomDictionaries(msg.customDictionaries);
+                let rebuild = registered.some(n => ArucoDictionaries.resolveName(AR, n) === ArucoDictionaries.resolveName(AR, dictionaryName));
+                if (typeof msg.dictionaryName === 'string' && msg.dictionaryName !== dictionaryName) { dictionaryName = msg.dictionaryName; rebuild = true; }
+                if (msg.maxHammingDistance !== undefined && msg.maxHammingDistance !== maxHammingDistance) {
+                    maxHammingDistance = typeof msg.maxHammingDistance === 'number' ? msg.maxHammingDistance : null;
+                    rebuild = true;
+                }
+                if (rebuild && detectors.length) buildDetectors();
                 if (typeof msg.cornerSmoothing === 'number') cornerSmoothing = Math.max(0, Math.min(1, msg.cornerSmoothing));
                 if (typeof msg.focalLength === 'number') focalLength = msg.focalLength;
                 if (typeof msg.cornerFlowEnabled === 'boolean') cornerFlowEnabled = !!msg.cornerFlowEnabled;
@@ -76,11 +139,10 @@ self.onmessage = (e) => {
                                 cvLoading = false;
                                 postMessage({ type: 'log', message: 'OpenCV.js ready in worker' });
                             } else if (typeof cv !== 'undefined') {
-                                cv['onRuntimeInitialized'] = () => { cvReady = true; cvLoading = false; postMessage({ type: 'log', message: 'OpenCV.js ready (async)' }); };
+                                cv['onRuntimeInitialized'] = () => { cvReady = true; cvLoading = false; postMessage({ type: 'log', message: 'OpenCV.js ready (async)' }); reportCapabilities(); };
                             }
                         } catch (e) {
-                            postMessage({ type: 'log', message: 'OpenCV.js load failed: ' + e.message });
-                            useSubpixel = false;
+                            postMessage({ type: 'log', message: 'OpenCV.js load failed, using the built-in sub-pixel refiner: ' + e.message });
                         }
                     }
                 }
@@ -90,13 +152,30 @@ self.onmessage = (e) => {
 
                 // advanced CV toggles
                 if (typeof msg.useSolvePnP === 'boolean') useSolvePnP = !!msg.useSolvePnP;
+                if (typeof msg.poseSolver === 'string') poseSolver = msg.poseSolver;
                 if (typeof msg.usePyrLKFlow === 'boolean') usePyrLKFlow = !!msg.usePyrLKFlow;
                 if (typeof msg.cornerFlowMaxNormalizedSSD === 'number') cornerFlowMaxNormalizedSSD = Math.max(1, Number(msg.cornerFlowMaxNormalizedSSD));
 
-                // AprilTag config: try to load vendor implementation when requested
-                if (typeof msg.useAprilTag === 'boolean') {
-                    useAprilTag = !!msg.useAprilTag;
-                    if (useAprilTag && !aprilReady) {
+                // AprilTag config: native decoder first, vendor build as a last resort
+                if (Array.isArray(msg.aprilTagFamilies) && msg.aprilTagFamilies.length) {
+                    aprilTagFamilies = msg.aprilTagFamilies.filter(f => AprilTagDecoder.FAMILIES.includes(f));
+                    if (!aprilTagFamilies.length) aprilTagFamilies = ['36h11'];
+                    if (aprilImpl instanceof AprilTagDecoder.Detector) { aprilImpl = null; aprilReady = false; }
+                }
+                if (typeof msg.aprilTagMaxHamming === 'number') {
+                    aprilTagMaxHamming = Math.max(0, Math.min(5, Math.floor(msg.aprilTagMaxHamming)));
+                    if (aprilImpl instanceof AprilTagDecoder.Detector) aprilImpl.maxHamming = aprilTagMaxHamming;
+                }
+                if (typeof msg.useAprilTag === 'boolean') useAprilTag = !!msg.useAprilTag;
+                if (useAprilTag && !aprilReady) {
+                    try {
+                        aprilImpl = new AprilTagDecoder.Detector({ families: aprilTagFamilies, maxHamming: aprilTagMaxHamming });
+                        aprilReady = true;
+                        postMessage({ type: 'log', message: 'AprilTag nativo pronto (' + aprilTagFamilies.join(', ') + ')' });
+                    } catch (err) {
+                        postMessage({ type: 'log', message: 'AprilTag nativo non disponibile: ' + (err && err.message) });
+                    }
+                    if (!aprilReady) {
                         try {
                             importScripts('../vendor/apriltag/apriltag.js');
                             // attempt to detect common exposed symbols
@@ -104,7 +183,10 @@ self.onmessage = (e) => {
                             else if (typeof self.AprilTag !== 'undefined') { aprilImpl = self.AprilTag; aprilReady = true; }
                             else if (typeof self.Apriltag !== 'undefined') { aprilImpl = self.Apriltag; aprilReady = true; }
                             if (aprilReady) postMessage({ type: 'log', message: 'AprilTag library loaded in worker' });
-                            else postMessage({ type: 'log', message: 'AprilTag library not found in vendor — will fallback to ArUco' });
+                            else {
+                                postMessage({ type: 'log', message: 'AprilTag library not found in vendor — will fallback to ArUco' });
+                                useAprilTag = false;
+                            }
                         } catch (err) {
                             postMessage({ type: 'log', message: 'AprilTag load failed: ' + (err && err.message) });
                             useAprilTag = false;
@@ -113,11 +195,54 @@ self.onmessage = (e) => {
                     }
                 }
 
-                postMessage({ type: 'log', message: `worker config updated: markerLength=${markerLength}, cornerSmoothing=${cornerSmoothing.toFixed(2)}, cornerFlow=${cornerFlowEnabled}, subpix=${useSubpixel}, april=${useAprilTag && aprilReady}` });
+                if (typeof msg.roiDetection === 'boolean') {
+                    roiDetection = msg.roiDetection;
+                    roiPredictor.reset();
+                }
+                if (typeof msg.roiFullScanInterval === 'number') roiPredictor.fullScanInterval = Math.max(1, Math.floor(msg.roiFullScanInterval));
+                if (typeof msg.roiMargin === 'number') roiPredictor.margin = Math.max(0.1, Math.min(3, msg.roiMargin));
+                if (typeof msg.roiMaxCropSize === 'number') roiMaxCropSize = Math.max(64, Math.floor(msg.roiMaxCropSize));
+                if (typeof msg.multiScale === 'boolean') { multiScale = msg.multiScale; tileCursor = 0; }
+                if (typeof msg.reportRejected === 'boolean') reportRejected = msg.reportRejected;
+                if (msg.boardLayout !== undefined) boardLayout = msg.boardLayout && typeof msg.boardLayout === 'object' ? msg.boardLayout : null;
+                if (msg.preprocess !== undefined) {
+                    preprocess = msg.preprocess && typeof msg.preprocess === 'object' ? msg.preprocess : (msg.preprocess ? {} : null);
+                }
+                if (typeof msg.tileSize === 'number') tileSize = Math.max(128, Math.min(2048, Math.floor(msg.tileSize)));
+                if (typeof msg.tileOverlap === 'number') tileOverlap = Math.max(0.05, Math.min(0.75, msg.tileOverlap));
+                if (typeof msg.tilesPerFrame === 'number') tilesPerFrame = Math.max(0, Math.floor(msg.tilesPerFrame));
+
+                // Stream changed (camera switch / resolution): per-pixel history no longer applies
+                if (msg.resetTracking === true) {
+                    roiPredictor.reset();
+                    for (const id in lastCornersById) delete lastCornersById[id];
+                    for (const id in lastCornersHistoryById) delete lastCornersHistoryById[id];
+                    lastImageGray = null;
+                    try { if (_prevGrayMat) _prevGrayMat.delete(); } catch (_) {}
+                    try { if (_prevPtsMat) _prevPtsMat.delete(); } catch (_) {}
+                    _prevGrayMat = null;
+                    _prevPtsMat = null;
+                }
+
+                // Same stream at a new detection size: keep history, just rescale it
+                if (msg.rescaleHistory && typeof msg.rescaleHistory.sx === 'number' && typeof msg.rescaleHistory.sy === 'number') {
+                    const { sx, sy } = msg.rescaleHistory;
+                    const scalePts = (pts) => pts && pts.forEach(p => { if (p) { p.x *= sx; p.y *= sy; } });
+                    for (const id in lastCornersById) scalePts(lastCornersById[id]);
+                    for (const id in lastCornersHistoryById) lastCornersHistoryById[id].forEach(scalePts);
+                    lastImageGray = null; // template tracking needs a same-size previous frame
+                    roiPredictor.reset();
+                }
+
+                postMessage({ type: 'log', message: `worker config updated: markerLength=${markerLength}, dict=${detectorNames.join('|')}, cornerSmoothing=${cornerSmoothing.toFixed(2)}, cornerFlow=${cornerFlowEnabled}, subpix=${useSubpixel}, april=${useAprilTag && aprilReady}` });
+                reportCapabilities();
                 break;
+            }
 
             case 'frame':
-                processFrame(msg);
+                processFrame(msg).catch(err => {
+                    postMessage({ type: 'error', error: (err && err.message) || String(err), captureTime: msg.captureTime });
+                });
                 break;
         }
     } catch (err) {
@@ -125,43 +250,168 @@ self.onmessage = (e) => {
     }
 };
 
-function processFrame(msg) {
-    if (!detector) return;
-    const bitmap = msg.bitmap;
-    if (!bitmap) return;
+// What this worker can do right now (OpenCV.js may finish loading later)
+function capabilities() {
+    return {
+        dictionaries: [ArucoDictionaries.AUTO].concat(ArucoDictionaries.list(AR).map(d => d.name)),
+        customDictionaries: true,
+        aprilTag: true,
+        subpixel: cvReady ? 'opencv' : 'js',
+        poseSolvers: cvReady ? ['auto', 'opencv', 'ippe', 'posit'] : ['auto', 'ippe', 'posit'],
+        cornerFlow: cvReady && usePyrLKFlow ? 'pyrlk' : 'template',
+        cornerSmoothing: true,
+        roi: true,
+        multiScale: true,
+        preprocess: true,
+        rejected: true,
+        quality: true,
+        hamming: true,
+        board: true,
+        videoFrame: true
+    };
+}
 
-    const w = bitmap.width;
-    const h = bitmap.height;
+function reportCapabilities() {
+    if (reportedCapabilities === null) return; // not initialised yet: 'ready' carries them
+    const caps = capabilities();
+    const json = JSON.stringify(caps);
+    if (json === reportedCapabilities) return;
+    reportedCapabilities = json;
+    postMessage({ type: 'capabilities', backend: BACKEND, capabilities: caps });
+}
 
-    // Reuse OffscreenCanvas if same size, otherwise create new
-    if (!canvas || canvas.width !== w || canvas.height !== h) {
-        canvas = new OffscreenCanvas(w, h);
-        ctx = canvas.getContext('2d', { willReadFrequently: true });
+function registerCustomDictionaries(defs) {
+    const names = [];
+    if (!Array.isArray(defs)) return names;
+    for (const def of defs) {
+        try {
+            names.push(ArucoDictionaries.register(AR, def));
+        } catch (err) {
+            postMessage({ type: 'log', message: 'dizionario custom "' + (def && def.name) + '" non valido: ' + err.message });
+        }
     }
-    ctx.drawImage(bitmap, 0, 0);
-    const imageData = ctx.getImageData(0, 0, w, h);
-
-    // convert current frame to grayscale for template tracking
-    const gray = new Uint8ClampedArray(w * h);
-    const src = imageData.data;
-    for (let i = 0, j = 0; i < src.length; i += 4, j++) {
-        // luminosity
-        gray[j] = (0.2126 * src[i] + 0.7152 * src[i+1] + 0.0722 * src[i+2]) | 0;
+    return names;
+}
+
+// Keeps the previous detectors when the requested dictionary cannot be built
+function buildDetectors() {
+    try {
+        const built = ArucoDictionaries.createDetectors(AR, dictionaryName, { maxHammingDistance });
+        detectors = built.detectors;
+        detectorNames = built.names;
+        detectorIndex = 0;
+    } catch (err) {
+        postMessage({ type: 'log', message: 'dizionario ' + dictionaryName + ' non disponibile: ' + err.message });
+        if (!detectors.length) {
+            detectors = [new AR.Detector({ dictionaryName: 'ARUCO' })];
+            detectorNames = ['ARUCO'];
+            detectorIndex = 0;
+        }
     }
+}
 
-    // Scale factor: detection space → overlay space
-    const scaleX = msg.overlayWidth ? (msg.overlayWidth / w) : 1;
-    const scaleY = msg.overlayHeight ? (msg.overlayHeight / h) : 1;
+// AUTO: stop at the first dictionary that finds markers and start from it next frame
+function detectMarkers(gray, w, h, rejected = null) {
+    for (let i = 0; i < detectors.length; i++) {
+        const idx = (detectorIndex + i) % detectors.length;
+        // rejections of the dictionary that ends up in use only
+        const missed = rejected ? [] : null;
+        const found = FrameLuma.detectAruco(detectors[idx], gray, w, h, missed) || [];
+        if (found.length || i === detectors.length - 1) {
+            detectorIndex = idx;
+            if (rejected) rejected.push(...missed);
+            return found;
+        }
+    }
+    return [];
+}
 
-    // Focal length from camera matrix
-    if (msg.cameraMatrix && msg.cameraMatrix.length >= 5) {
-        focalLength = msg.cameraMatrix[0]; // fx
+// One frame's pixels. A CPU-readable VideoFrame gives a full-resolution luminance plane that
+// every stage crops / downscales directly; anything else (ImageBitmap, GPU-only VideoFrame)
+// is drawn to a canvas and converted once per region.
+function frameReader(image, luma) {
+    return {
+        width: luma ? luma.width : (image.displayWidth || image.width),
+        height: luma ? luma.height : (image.displayHeight || image.height),
+        zeroCopy: !!luma,
+        // Grey plane of `rect` (frame px) scaled to outW×outH
+        region(rect, outW, outH) {
+            if (luma) return FrameLuma.resample(luma.data, luma.width, rect, outW, outH);
+            if (!canvas || canvas.width < outW || canvas.height < outH) {
+                canvas = new OffscreenCanvas(Math.max(outW, canvas ? canvas.width : 0), Math.max(outH, canvas ? canvas.height : 0));
+                ctx = canvas.getContext('2d', { willReadFrequently: true });
+            }
+            ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height, 0, 0, outW, outH);
+            return FrameLuma.fromRGBA(ctx.getImageData(0, 0, outW, outH).data, outW, outH);
+        }
+    };
+}
+
+// Sub-pixel corner refinement in place. OpenCV's cornerSubPix needs the full-frame grey
+// plane; without OpenCV (or on ROI-only frames, which have no such plane) the built-in
+// CornerSubPix refiner runs instead, on full-resolution patches when `gray` is missing.
+function refineCornersSubpixel(corners, frame, gray, w, h) {
+    if (cvReady && gray) {
+        let srcMat = null, pts = null;
+        try {
+            srcMat = new cv.Mat(h, w, cv.CV_8UC1);
+            srcMat.data.set(gray);
+            pts = new cv.Mat(corners.length, 1, cv.CV_32FC2);
+            for (let i = 0; i < corners.length; i++) {
+                pts.data32F[i * 2] = corners[i].x;
+                pts.data32F[i * 2 + 1] = corners[i].y;
+            }
+            const win = new cv.Size(subpixWin, subpixWin);
+            const zero = new cv.Size(-1, -1);
+            const criteria = new cv.TermCriteria(cv.TermCriteria_EPS + cv.TermCriteria_MAX_ITER, subpixMaxIter, subpixEPS);
+            cv.cornerSubPix(srcMat, pts, win, zero, criteria);
+            for (let i = 0; i < corners.length; i++) {
+                corners[i].x = pts.data32F[i * 2];
+                corners[i].y = pts.data32F[i * 2 + 1];
+            }
+        } catch (err) {
+            postMessage({ type: 'log', message: 'subpixel refinement failed: ' + (err && err.message) });
+        } finally {
+            try { if (pts) pts.delete(); } catch (_) {}
+            try { if (srcMat) srcMat.delete(); } catch (_) {}
+        }
+        return;
     }
+    const opts = { win: subpixWin, maxIter: subpixMaxIter, eps: subpixEPS };
+    try {
+        if (gray) {
+            CornerSubPix.refine(gray, w, h, corners, opts).forEach((c, i) => { corners[i].x = c.x; corners[i].y = c.y; });
+            return;
+        }
+        // Patch around each corner, large enough for the window to drift by `win`
+        const fx = frame.width / w, fy = frame.height / h;
+        const r = 2 * subpixWin + 2;
+        for (const corner of corners) {
+            const X = corner.x * fx, Y = corner.y * fy;
+            const x0 = Math.max(0, Math.floor(X) - r), y0 = Math.max(0, Math.floor(Y) - r);
+            const x1 = Math.min(frame.width, Math.floor(X) + r + 1), y1 = Math.min(frame.height, Math.floor(Y) + r + 1);
+            if (x1 - x0 < 3 || y1 - y0 < 3) continue;
+            const patch = frame.region({ x: x0, y: y0, width: x1 - x0, height: y1 - y0 }, x1 - x0, y1 - y0);
+            const [c] = CornerSubPix.refine(patch, x1 - x0, y1 - y0, [{ x: X - x0, y: Y - y0 }], opts);
+            corner.x = (c.x + x0) / fx;
+            corner.y = (c.y + y0) / fy;
+        }
+    } catch (err) {
+        postMessage({ type: 'log', message: 'subpixel refinement failed: ' + (err && err.message) });
+    }
+}
 
-    // Run both detectors (if available) and merge by ID — prefer AprilTag corners when present
+// AprilTag (when enabled) + ArUco on one grey image, merged by ID — AprilTag corners win
+function detectInImage(gray, w, h, rejected = null) {
     let arDetected = [];
     let aprDetected = [];
 
+    if (preprocess) {
+        const pre = LumaPreprocess.process(gray, w, h, preprocess);
+        gray = pre.data;
+        if (!framePreprocess || w * h > framePreprocess.pixels) framePreprocess = Object.assign({ pixels: w * h }, pre.params);
+    }
+
     // try AprilTag first (best-effort)
     if (useAprilTag && aprilReady) {
         try {
@@ -183,7 +433,7 @@ function processFrame(msg) {
 
     // always run fast ArUco detection (complimentary)
     try {
-        arDetected = detector.detect({ width: w, height: h, data: imageData.data }) || [];
+        arDetected = detectMarkers(gray, w, h, rejected);
     } catch (e) {
         arDetected = [];
     }
@@ -209,13 +459,219 @@ function processFrame(msg) {
                     const e = merged.get(id);
                     e.sources.add(src);
                 }
+                // ArUco decode quality (js-aruco2 markers: bit errors + margin to the next code)
+                const e = merged.get(id);
+                if (typeof t.hammingDistance === 'number') e.hamming = t.hammingDistance;
+                if (typeof t.hammingMargin === 'number') e.hammingMargin = t.hammingMargin;
+                if (typeof t.cleanMargin === 'number') e.cleanMargin = t.cleanMargin;
             }
         }
     };
     addDet(aprDetected, 'apriltag');
     addDet(arDetected, 'aruco');
 
-    const detected = Array.from(merged.values()).map(v => ({ id: v.id, corners: v.corners, source: (v.sources.has('apriltag') && !v.sources.has('aruco')) ? 'apriltag' : (v.sources.has('aruco') && !v.sources.has('apriltag') ? 'aruco' : 'mixed') }));
+    return Array.from(merged.values()).map(v => ({
+        id: v.id,
+        corners: v.corners,
+        source: (v.sources.has('apriltag') && !v.sources.has('aruco')) ? 'apriltag' : (v.sources.has('aruco') && !v.sources.has('apriltag') ? 'aruco' : 'mixed'),
+        hamming: v.hamming,
+        hammingMargin: v.hammingMargin,
+        cleanMargin: v.cleanMargin
+    }));
+}
+
+// Whole frame, downscaled to the detection size w×h
+function detectFullFrame(reader, w, h, rejected = null) {
+    // the grey plane is also kept for template tracking / sub-pixel refinement
+    const gray = reader.region({ x: 0, y: 0, width: reader.width, height: reader.height }, w, h);
+    return { detected: detectInImage(gray, w, h, rejected), gray };
+}
+
+// Crops of the frame, each downscaled to at most maxSize px; corners come back in detection
+// space (sx, sy = detection / frame). Every hit is returned — callers merge by ID.
+function detectInRois(reader, rois, sx, sy, maxSize = roiMaxCropSize, rejected = null) {
+    const hits = [];
+    for (const roi of rois) {
+        const k = Math.min(1, maxSize / Math.max(roi.width, roi.height));
+        const cw = Math.max(1, Math.round(roi.width * k)), ch = Math.max(1, Math.round(roi.height * k));
+        const gray = reader.region(roi, cw, ch);
+        const toDetection = c => ({ x: (roi.x + c.x / k) * sx, y: (roi.y + c.y / k) * sy });
+        const missed = rejected ? [] : null;
+        for (const m of detectInImage(gray, cw, ch, missed)) {
+            m.corners = m.corners.map(toDetection);
+            hits.push(m);
+        }
+        if (missed) for (const r of missed) rejected.push(Object.assign(r, { corners: r.corners.map(toDetection) }));
+    }
+    return hits;
+}
+
+// Full-resolution tiles for this frame (all of them, or the next tilesPerFrame in rotation)
+function nextTiles(width, height) {
+    const grid = DetectionRoi.tileGrid(width, height, tileSize, tileOverlap);
+    if (!tilesPerFrame || tilesPerFrame >= grid.length) return grid;
+    const out = [];
+    for (let i = 0; i < tilesPerFrame; i++) out.push(grid[(tileCursor + i) % grid.length]);
+    tileCursor = (tileCursor + tilesPerFrame) % grid.length;
+    return out;
+}
+
+// Rejected candidates for the overlay: quads inside a detected marker or a larger rejected
+// quad (bit cells, or the same marker missed by another crop / dictionary) are dropped, the
+// most informative reasons kept first, corners scaled to overlay space like the markers'
+function rejectedForOverlay(rejected, detected, scaleX, scaleY) {
+    const centroid = q => ({ x: (q[0].x + q[1].x + q[2].x + q[3].x) / 4, y: (q[0].y + q[1].y + q[2].y + q[3].y) / 4 });
+    const rank = r => FrameLuma.REJECT_REASONS.indexOf(r.reason);
+    for (const r of rejected) r.perimeter = DetectionRoi.perimeter(r.corners);
+    return rejected
+        .filter(r => {
+            const c = centroid(r.corners);
+            return !detected.some(m => insideQuad(m.corners, c)) &&
+                !rejected.some(o => o.perimeter > r.perimeter && insideQuad(o.corners, c));
+        })
+        .sort((a, b) => rank(a) - rank(b))
+        .slice(0, maxRejectedPerFrame)
+        .map(r => {
+            const pts = r.corners.map(c => ({ x: c.x * scaleX, y: c.y * scaleY }));
+            return Object.assign({}, r, { corners: pts.map(c => [c.x, c.y]), perimeter: DetectionRoi.perimeter(pts) });
+        });
+}
+
+// Sharpness / exposure of the marker's bounding box (10% margin) at detection resolution,
+// capped at qualityPatchSize px per side; raw luminance, before any preprocessing
+function markerQuality(corners, frame, gray, w, h) {
+    const xs = corners.map(c => c.x), ys = corners.map(c => c.y);
+    const mx = (Math.max(...xs) - Math.min(...xs)) * 0.1, my = (Math.max(...ys) - Math.min(...ys)) * 0.1;
+    const x0 = Math.max(0, Math.floor(Math.min(...xs) - mx)), x1 = Math.min(w, Math.ceil(Math.max(...xs) + mx));
+    const y0 = Math.max(0, Math.floor(Math.min(...ys) - my)), y1 = Math.min(h, Math.ceil(Math.max(...ys) + my));
+    if (x1 - x0 < 8 || y1 - y0 < 8) return null;
+    const k = Math.min(1, qualityPatchSize / Math.max(x1 - x0, y1 - y0));
+    const ow = Math.max(3, Math.round((x1 - x0) * k)), oh = Math.max(3, Math.round((y1 - y0) * k));
+    let patch;
+    if (gray) {
+        patch = FrameLuma.resample(gray, w, { x: x0, y: y0, width: x1 - x0, height: y1 - y0 }, ow, oh);
+    } else {
+        const fx = frame.width / w, fy = frame.height / h;
+        const rx = Math.floor(x0 * fx), ry = Math.floor(y0 * fy);
+        const rect = { x: rx, y: ry, width: Math.min(frame.width, Math.ceil(x1 * fx)) - rx, height: Math.min(frame.height, Math.ceil(y1 * fy)) - ry };
+        patch = frame.region(rect, ow, oh);
+    }
+    const q = FrameQuality.score(patch, ow, oh);
+    return q && { sharpness: q.sharpness, exposure: q.exposure, contrast: q.contrast, clipped: q.clipped };
+}
+
+// Per-frame summary over the markers: median sharpness, worst exposure
+function frameQuality(markers) {
+    const scored = markers.filter(m => m.quality);
+    if (!scored.length) return null;
+    const sharp = scored.map(m => m.quality.sharpness).sort((a, b) => a - b);
+    return {
+        sharpness: sharp[Math.floor(sharp.length / 2)],
+        exposure: Math.min(...scored.map(m => m.quality.exposure)),
+        markers: scored.length
+    };
+}
+
+// Point inside a convex quad (either winding)
+function insideQuad(q, p) {
+    let sign = 0;
+    for (let i = 0; i < 4; i++) {
+        const a = q[i], b = q[(i + 1) % 4];
+        const cross = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+        if (cross === 0) continue;
+        if (sign && Math.sign(cross) !== sign) return false;
+        sign = Math.sign(cross);
+    }
+    return true;
+}
+
+async function processFrame(msg) {
+    // Every frame is answered: one that cannot be processed throws, and onmessage posts its 'error'
+    const image = msg.frame || msg.bitmap;
+    if (!image) throw new Error('frame senza immagine');
+    if (!detectors.length) { image.close && image.close(); throw new Error('nessun detector pronto'); }
+
+    // VideoFrame: read its luminance plane once; frames without CPU-readable pixels are drawn
+    let luma = null;
+    if (msg.frame) {
+        try { luma = await FrameLuma.fromVideoFrame(msg.frame); } catch (err) { luma = null; }
+    }
+    const reader = frameReader(image, luma);
+    try {
+        runDetection(msg, reader);
+    } finally {
+        image.close && image.close();
+    }
+}
+
+// `frame` is a frameReader(): full-resolution size + region() access to its grey plane
+function runDetection(msg, frame) {
+    // Detection space: the size the rest of the pipeline works in. With ROI detection / a
+    // VideoFrame the engine sends the full-resolution frame plus the size full scans use.
+    const w = msg.detectWidth || frame.width;
+    const h = msg.detectHeight || frame.height;
+    const captureTime = typeof msg.captureTime === 'number' ? msg.captureTime : performance.now();
+    framePreprocess = null;
+
+    // Scale factor: detection space → overlay space
+    const scaleX = msg.overlayWidth ? (msg.overlayWidth / w) : 1;
+    const scaleY = msg.overlayHeight ? (msg.overlayHeight / h) : 1;
+
+    // Focal length from camera matrix
+    if (msg.cameraMatrix && msg.cameraMatrix.length >= 5) {
+        focalLength = msg.cameraMatrix[0]; // fx
+    }
+
+    let plan = roiDetection
+        ? roiPredictor.plan(captureTime, frame.width, frame.height)
+        : { fullScan: true, reason: 'disabled', rois: [] };
+    let detected = [];
+    let gray = null; // full-frame luminance, only available after a full scan
+    let tiles = [];
+    const rejected = reportRejected ? [] : null;
+    if (!plan.fullScan) {
+        detected = DetectionRoi.mergeById([detectInRois(frame, plan.rois, w / frame.width, h / frame.height, roiMaxCropSize, rejected)]);
+        // Nothing where markers were expected: rescan this same frame rather than wait
+        if (!detected.length) {
+            plan = { fullScan: true, reason: 'lost', rois: plan.rois };
+            if (rejected) rejected.length = 0;
+        }
+    }
+    if (plan.fullScan) {
+        const full = detectFullFrame(frame, w, h, rejected);
+        detected = full.detected;
+        gray = full.gray;
+        // Tiles only add detail when the frame was actually downscaled
+        if (multiScale && (frame.width > w || frame.height > h)) {
+            tiles = nextTiles(frame.width, frame.height);
+            const tileHits = detectInRois(frame, tiles, w / frame.width, h / frame.height, Infinity, rejected);
+            detected = DetectionRoi.mergeById([tileHits, detected]);
+        }
+    }
+    if (roiDetection) {
+        const fx = frame.width / w, fy = frame.height / h;
+        roiPredictor.update(
+            detected.map(m => ({ id: m.id, corners: m.corners.map(c => ({ x: c.x * fx, y: c.y * fy })) })),
+            captureTime,
+            { fullScan: plan.fullScan, expectedIds: plan.rois.flatMap(r => r.ids) }
+        );
+    }
+    const toOverlayX = msg.overlayWidth ? msg.overlayWidth / frame.width : 1;
+    const toOverlayY = msg.overlayHeight ? msg.overlayHeight / frame.height : 1;
+    const detection = {
+        mode: plan.fullScan ? 'full' : 'roi',
+        reason: plan.reason,
+        zeroCopy: frame.zeroCopy,
+        rois: plan.fullScan ? [] : plan.rois.map(r => ({ x: r.x * toOverlayX, y: r.y * toOverlayY, width: r.width * toOverlayX, height: r.height * toOverlayY, ids: r.ids })),
+        tiles: tiles.length,
+        preprocess: framePreprocess && {
+            gamma: Math.round(framePreprocess.gamma * 100) / 100,
+            stretch: framePreprocess.stretch,
+            clahe: framePreprocess.clahe,
+            glare: framePreprocess.glare ? (framePreprocess.glarePixels || 0) : 0,
+            median: framePreprocess.stats.median
+        }
+    };
 
     const markers = [];
     const cx = w / 2;
@@ -227,7 +683,7 @@ function processFrame(msg) {
         if (!m.corners || m.corners.length < 4) continue;
 
         // Optional: refine corners by template-based optical flow using previous frame
-        if (cornerFlowEnabled && lastImageGray && lastCornersById[m.id] && lastCornersById[m.id].length === m.corners.length) {
+        if (cornerFlowEnabled && gray && lastImageGray && lastCornersById[m.id] && lastCornersById[m.id].length === m.corners.length) {
             // Prefer OpenCV LK flow when available and enabled — it is faster and sub-pixel by construction
             if (cvReady && usePyrLKFlow) {
                 let prevMat = null, currMat = null, prevPts = null, nextPts = null, statusM = null, errM = null;
@@ -328,32 +784,8 @@ function processFrame(msg) {
             }
         }
 
-        // Optional: sub-pixel refinement using OpenCV.js (if loaded and enabled)
-        if (useSubpixel && cvReady) {
-            let srcMat = null, pts = null;
-            try {
-                srcMat = new cv.Mat(h, w, cv.CV_8UC1);
-                srcMat.data.set(gray);
-                pts = new cv.Mat(m.corners.length, 1, cv.CV_32FC2);
-                for (let i = 0; i < m.corners.length; i++) {
-                    pts.data32F[i * 2] = m.corners[i].x;
-                    pts.data32F[i * 2 + 1] = m.corners[i].y;
-                }
-                const win = new cv.Size(subpixWin, subpixWin);
-                const zero = new cv.Size(-1, -1);
-                const criteria = new cv.TermCriteria(cv.TermCriteria_EPS + cv.TermCriteria_MAX_ITER, subpixMaxIter, subpixEPS);
-                cv.cornerSubPix(srcMat, pts, win, zero, criteria);
-                for (let i = 0; i < m.corners.length; i++) {
-                    m.corners[i].x = pts.data32F[i * 2];
-                    m.corners[i].y = pts.data32F[i * 2 + 1];
-                }
-            } catch (err) {
-                postMessage({ type: 'log', message: 'subpixel refinement failed: ' + (err && err.message) });
-            } finally {
-                try { if (pts) pts.delete(); } catch (_) {}
-                try { if (srcMat) srcMat.delete(); } catch (_) {}
-            }
-        }
+        // Optional: sub-pixel refinement (OpenCV.js when loaded, built-in refiner otherwise)
+        if (useSubpixel) refineCornersSubpixel(m.corners, frame, gray, w, h);
 
         // store copy for next frame (temporal smoothing reference)
         lastCornersById[m.id] = m.corners.map(c => ({ x: c.x, y: c.y }));
@@ -378,95 +810,102 @@ function processFrame(msg) {
         // Corners in overlay (full-resolution) space for drawing
         const corners = m.corners.map(c => [c.x * scaleX, c.y * scaleY]);
         const result = { id: m.id, corners };
+        if (typeof m.hamming === 'number') {
+            result.hamming = m.hamming;
+            // null when the dictionary has no other code, so results stay JSON-safe for logs
+            result.hammingMargin = Number.isFinite(m.hammingMargin) ? m.hammingMargin : null;
+        }
+        const quality = markerQuality(m.corners, frame, gray, w, h);
+        if (quality) result.quality = quality;
+        const length = markerLengths[m.id] > 0 ? markerLengths[m.id] : usedLength;
 
         // Pose estimation: prefer OpenCV solvePnP when available (more robust than POSIT)
         try {
             let gotPose = false;
 
-            if (cvReady && useSolvePnP && msg && msg.cameraMatrix && Array.isArray(msg.cameraMatrix) && msg.cameraMatrix.length >= 9) {
-                let objPts = null, imgPts = null, camMat = null, dist = null, rvec = null, tvec = null, inliers = null, proj = null;
+            if (cvReady && useSolvePnP && (poseSolver === 'auto' || poseSolver === 'opencv') && msg && msg.cameraMatrix && Array.isArray(msg.cameraMatrix) && msg.cameraMatrix.length >= 9) {
                 try {
-                    // prepare object points for a square marker (counter-clockwise, Z=0)
-                    const half = usedLength / 2.0;
-                    objPts = cv.matFromArray(4, 1, cv.CV_32FC3, [ -half,  half, 0,  half,  half, 0,  half, -half, 0,  -half, -half, 0 ]);
-                    imgPts = cv.matFromArray(4, 1, cv.CV_32FC2, [ m.corners[0].x, m.corners[0].y, m.corners[1].x, m.corners[1].y, m.corners[2].x, m.corners[2].y, m.corners[3].x, m.corners[3].y ]);
-
-                    camMat = cv.matFromArray(3, 3, cv.CV_64F, msg.cameraMatrix);
-                    const distArr = (msg.distCoeffs && Array.isArray(msg.distCoeffs) && msg.distCoeffs.length > 0) ? msg.distCoeffs : [0,0,0,0,0];
-                    dist = cv.matFromArray(distArr.length, 1, cv.CV_64F, distArr);
-
-                    rvec = new cv.Mat();
-                    tvec = new cv.Mat();
-                    inliers = new cv.Mat();
-
-                    // Use a planarity-aware method for square markers when available.
-                    const pnpMethod = (typeof cv.SOLVEPNP_IPPE_SQUARE !== 'undefined')
-                        ? cv.SOLVEPNP_IPPE_SQUARE
-                        : cv.SOLVEPNP_ITERATIVE;
-                    const ret = cv.solvePnPRansac(objPts, imgPts, camMat, dist, rvec, tvec, false, 100, 8.0, 0.99, inliers, pnpMethod);
-
-                    if (ret) {
-                        // Optional non-linear refinement pass (if supported by this OpenCV build)
-                        try {
-                            if (typeof cv.solvePnPRefineLM === 'function') {
-                                cv.solvePnPRefineLM(objPts, imgPts, camMat, dist, rvec, tvec);
-                            }
-                        } catch (_) { /* refinement best-effort */ }
-
-                        // compute reprojection error as poseError
-                        proj = new cv.Mat();
-                        cv.projectPoints(objPts, rvec, tvec, camMat, dist, proj);
-                        let sumErr = 0;
-                        for (let i = 0; i < 4; i++) {
-                            const px = proj.data32F[i*2], py = proj.data32F[i*2+1];
-                            const dx = px - m.corners[i].x, dy = py - m.corners[i].y;
-                            sumErr += Math.hypot(dx, dy);
-                        }
-                        const rms = sumErr / 4.0;
-
-                        result.rvec = [rvec.data64F[0], rvec.data64F[1], rvec.data64F[2]];
-                        result.tvec = [tvec.data64F[0], tvec.data64F[1], tvec.data64F[2]];
+                    const pnp = solvePnPPose(m.corners, length, msg.cameraMatrix, msg.distCoeffs);
+                    if (pnp) {
+                        result.rvec = pnp.rvec;
+                        result.tvec = pnp.tvec;
                         result.cameraAngleDeg = viewAngleDegFromRvec(result.rvec);
-                        result.poseError = rms;
+                        result.poseError = pnp.poseError;
                         result.source = result.source || 'opencv-pnp';
                         result.confidence = computePoseConfidence({
                             source: 'opencv-pnp',
-                            poseError: rms,
+                            poseError: pnp.poseError,
                             corners: m.corners,
-                            cameraAngleDeg: result.cameraAngleDeg
+                            cameraAngleDeg: result.cameraAngleDeg,
+                            hammingMargin: m.hammingMargin,
+                            cleanMargin: m.cleanMargin
                         });
                         gotPose = true;
                     }
                 } catch (err) {
                     postMessage({ type: 'log', message: 'solvePnP failed: ' + (err && err.message) });
-                } finally {
-                    try { if (objPts) objPts.delete(); } catch (_) {}
-                    try { if (imgPts) imgPts.delete(); } catch (_) {}
-                    try { if (camMat) camMat.delete(); } catch (_) {}
-                    try { if (dist) dist.delete(); } catch (_) {}
-                    try { if (rvec) rvec.delete(); } catch (_) {}
-                    try { if (tvec) tvec.delete(); } catch (_) {}
-                    try { if (inliers) inliers.delete(); } catch (_) {}
-                    try { if (proj) proj.delete(); } catch (_) {}
                 }
             }
 
-            // fallback to POSIT if no solvePnP pose was obtained
+            // built-in IPPE + Levenberg–Marquardt: both planar solutions, reprojection RMS in px
+            if (!gotPose && poseSolver === 'ippe') {
+                const solutions = IPPE.solveSquare(normalizedCorners(m.corners, msg, cx, cy), length);
+                if (solutions.length) {
+                    const hypotheses = solutions.map(sol => ({
+                        rvec: rotMatToRvec(sol.R),
+                        tvec: sol.t.slice(),
+                        poseError: sol.rms * focalLength,
+                        cameraAngleDeg: viewAngleDegFromRotationMatrix(sol.R)
+                    }));
+                    const best = hypotheses[0];
+                    result.rvec = best.rvec;
+                    result.tvec = best.tvec;
+                    result.cameraAngleDeg = best.cameraAngleDeg;
+                    result.poseError = best.poseError;
+                    if (hypotheses.length > 1) result.hypotheses = hypotheses;
+                    result.source = 'ippe';
+                    result.confidence = computePoseConfidence({
+                        source: 'ippe',
+                        poseError: best.poseError,
+                        corners: m.corners,
+                        cameraAngleDeg: best.cameraAngleDeg,
+                        hammingMargin: m.hammingMargin,
+                        cleanMargin: m.cleanMargin
+                    });
+                    gotPose = true;
+                }
+            }
+
+            // fallback to POSIT if no solvePnP / IPPE pose was obtained
             if (!gotPose) {
-                const centeredCorners = m.corners.map(c => ({ x: c.x - cx, y: -(c.y - cy) }));
-                const positInst = new POS.Posit(usedLength, focalLength);
-                const pose = positInst.pose(centeredCorners);
-                if (pose && pose.bestRotation && pose.bestTranslation) {
-                    result.rvec = rotMatToRvec(pose.bestRotation);
-                    result.tvec = [pose.bestTranslation[0], pose.bestTranslation[1], pose.bestTranslation[2]];
-                    result.cameraAngleDeg = viewAngleDegFromRotationMatrix(pose.bestRotation);
-                    result.poseError = pose.bestError;
+                // With a full camera matrix: undistort (Brown–Conrady) and re-project onto an
+                // ideal pinhole with square pixels (f = fx) centred on the real principal point.
+                let centeredCorners;
+                if (Array.isArray(msg.cameraMatrix) && msg.cameraMatrix.length >= 9 && msg.cameraMatrix[0] > 0 && msg.cameraMatrix[4] > 0) {
+                    const ideal = LensDistortion.undistortPoints(m.corners, msg.cameraMatrix, msg.distCoeffs);
+                    centeredCorners = ideal.map(p => ({ x: p.x * focalLength, y: -p.y * focalLength }));
+                } else {
+                    centeredCorners = m.corners.map(c => ({ x: c.x - cx, y: -(c.y - cy) }));
+                }
+                const positInst = new POS.Posit(length, focalLength);
+                const hypotheses = positHypotheses(positInst.pose(centeredCorners));
+                if (hypotheses.length) {
+                    // Both planar solutions go to the engine, which picks by temporal / multi-marker
+                    // consistency; the lower-error one stays the default
+                    const best = hypotheses[0];
+                    result.rvec = best.rvec;
+                    result.tvec = best.tvec;
+                    result.cameraAngleDeg = best.cameraAngleDeg;
+                    result.poseError = best.poseError;
+                    if (hypotheses.length > 1) result.hypotheses = hypotheses;
                     result.source = result.source || 'posit';
                     result.confidence = result.confidence || computePoseConfidence({
                         source: 'posit',
                         poseError: result.poseError,
                         corners: m.corners,
-                        cameraAngleDeg: result.cameraAngleDeg
+                        cameraAngleDeg: result.cameraAngleDeg,
+                        hammingMargin: m.hammingMargin,
+                        cleanMargin: m.cleanMargin
                     });
                     gotPose = true;
                 }
@@ -478,7 +917,7 @@ function processFrame(msg) {
         markers.push(result);
     }
 
-    // save current gray for next-frame template tracking
+    // save current gray for next-frame template tracking (null after an ROI-only frame)
     lastImageGray = gray;
 
     // Clean stale corner history for markers not seen this frame (prevent unbounded memory growth)
@@ -490,7 +929,126 @@ function processFrame(msg) {
         }
     }
 
-    postMessage({ type: 'result', markers, rejected: [], timestamp: Date.now() });
+    // One pose for the whole layout from every visible layout marker; the engine falls back to
+    // fusing the per-marker poses when this is null or does not pass its gates
+    const board = boardLayout ? solveBoard(detected, msg, cx, cy) : null;
+
+    postMessage({ type: 'result', backend: BACKEND, markers, board, rejected: rejected ? rejectedForOverlay(rejected, detected, scaleX, scaleY) : [], dictionary: detectorNames[detectorIndex], detection, quality: frameQuality(markers), captureTime, timestamp: Date.now() });
+}
+
+/**
+ * OpenCV solvePnP (RANSAC, IPPE_SQUARE when available, then LM refinement) for one marker:
+ * { rvec, tvec, poseError } with the mean reprojection error in detection px, or null.
+ * Object points come from IPPE.cvObjectPoints, shared with the OpenCV backend.
+ */
+function solvePnPPose(corners, length, cameraMatrix, distCoeffs) {
+    let objPts = null, imgPts = null, camMat = null, dist = null, rvec = null, tvec = null, inliers = null, proj = null;
+    try {
+        objPts = cv.matFromArray(4, 1, cv.CV_32FC3, IPPE.cvObjectPoints(length));
+        imgPts = cv.matFromArray(4, 1, cv.CV_32FC2, [ corners[0].x, corners[0].y, corners[1].x, corners[1].y, corners[2].x, corners[2].y, corners[3].x, corners[3].y ]);
+
+        camMat = cv.matFromArray(3, 3, cv.CV_64F, cameraMatrix);
+        const distArr = (distCoeffs && Array.isArray(distCoeffs) && distCoeffs.length > 0) ? distCoeffs : [0,0,0,0,0];
+        dist = cv.matFromArray(distArr.length, 1, cv.CV_64F, distArr);
+
+        rvec = new cv.Mat();
+        tvec = new cv.Mat();
+        inliers = new cv.Mat();
+
+        // Use a planarity-aware method for square markers when available.
+        const pnpMethod = (typeof cv.SOLVEPNP_IPPE_SQUARE !== 'undefined')
+            ? cv.SOLVEPNP_IPPE_SQUARE
+            : cv.SOLVEPNP_ITERATIVE;
+        const ret = cv.solvePnPRansac(objPts, imgPts, camMat, dist, rvec, tvec, false, 100, 8.0, 0.99, inliers, pnpMethod);
+        if (!ret) return null;
+
+        // Optional non-linear refinement pass (if supported by this OpenCV build)
+        try {
+            if (typeof cv.solvePnPRefineLM === 'function') {
+                cv.solvePnPRefineLM(objPts, imgPts, camMat, dist, rvec, tvec);
+            }
+        } catch (_) { /* refinement best-effort */ }
+
+        // compute reprojection error as poseError
+        proj = new cv.Mat();
+        cv.projectPoints(objPts, rvec, tvec, camMat, dist, proj);
+        let sumErr = 0;
+        for (let i = 0; i < 4; i++) {
+            const px = proj.data32F[i*2], py = proj.data32F[i*2+1];
+            const dx = px - corners[i].x, dy = py - corners[i].y;
+            sumErr += Math.hypot(dx, dy);
+        }
+
+        return {
+            rvec: [rvec.data64F[0], rvec.data64F[1], rvec.data64F[2]],
+            tvec: [tvec.data64F[0], tvec.data64F[1], tvec.data64F[2]],
+            poseError: sumErr / 4.0
+        };
+    } finally {
+        try { if (objPts) objPts.delete(); } catch (_) {}
+        try { if (imgPts) imgPts.delete(); } catch (_) {}
+        try { if (camMat) camMat.delete(); } catch (_) {}
+        try { if (dist) dist.delete(); } catch (_) {}
+        try { if (rvec) rvec.delete(); } catch (_) {}
+        try { if (tvec) tvec.delete(); } catch (_) {}
+        try { if (inliers) inliers.delete(); } catch (_) {}
+        try { if (proj) proj.delete(); } catch (_) {}
+    }
+}
+
+// Detection-space corners → undistorted normalised image points (x right, y down)
+function normalizedCorners(corners, msg, cx, cy) {
+    const hasK = Array.isArray(msg.cameraMatrix) && msg.cameraMatrix.length >= 9 && msg.cameraMatrix[0] > 0 && msg.cameraMatrix[4] > 0;
+    return hasK
+        ? LensDistortion.undistortPoints(corners, msg.cameraMatrix, msg.distCoeffs)
+        : corners.map(c => ({ x: (c.x - cx) / focalLength, y: (c.y - cy) / focalLength }));
+}
+
+/**
+ * Board pose over the detected markers that belong to the layout:
+ * { rvec, tvec, poseError, ids, residuals, rejected, cameraAngleDeg }, errors in detection px,
+ * or null when no layout marker was seen.
+ */
+function solveBoard(detected, msg, cx, cy) {
+    const observations = detected
+        .filter(m => boardLayout[m.id] && m.corners && m.corners.length === 4)
+        .map(m => ({ id: m.id, corners: normalizedCorners(m.corners, msg, cx, cy) }));
+    if (!observations.length) return null;
+    try {
+        const sol = BoardPose.solve(observations, boardLayout, { focal: focalLength });
+        if (!sol) return null;
+        const residuals = {};
+        for (const id in sol.residuals) residuals[id] = sol.residuals[id] * focalLength;
+        return {
+            rvec: rotMatToRvec(sol.R),
+            tvec: sol.t.slice(),
+            poseError: sol.rms * focalLength,
+            ids: sol.ids,
+            residuals,
+            rejected: sol.rejected,
+            cameraAngleDeg: viewAngleDegFromRotationMatrix(sol.R)
+        };
+    } catch (err) {
+        postMessage({ type: 'log', message: 'board pose error: ' + (err && err.message) });
+        return null;
+    }
+}
+
+/**
+ * The two POSIT solutions as [{ rvec, tvec, poseError, cameraAngleDeg }], lower error
+ * first. POSIT flags a solution it could not iterate with error -1 (rotation left empty);
+ * those are dropped.
+ */
+function positHypotheses(pose) {
+    if (!pose) return [];
+    const out = [];
+    const add = (R, t, err) => {
+        if (!R || !t || !(err >= 0) || !R.every(row => row.length === 3 && row.every(Number.isFinite))) return;
+        out.push({ rvec: rotMatToRvec(R), tvec: [t[0], t[1], t[2]], poseError: err, cameraAngleDeg: viewAngleDegFromRotationMatrix(R) });
+    };
+    add(pose.bestRotation, pose.bestTranslation, pose.bestError);
+    add(pose.alternativeRotation, pose.alternativeTranslation, pose.alternativeError);
+    return out.sort((a, b) => a.poseError - b.poseError);
 }
 
 /**
@@ -550,14 +1108,14 @@ function markerPerimeterPx(corners) {
 
 function clamp01(v) { return Math.max(0, Math.min(1, v)); }
 
-function computePoseConfidence({ source, poseError, corners, cameraAngleDeg }) {
+function computePoseConfidence({ source, poseError, corners, cameraAngleDeg, hammingMargin, cleanMargin }) {
     const perim = markerPerimeterPx(corners);
     const perimN = clamp01((perim - 80) / 240);
     const viewDeg = Number.isFinite(cameraAngleDeg) ? cameraAngleDeg : 0;
     const obliqueN = clamp01((viewDeg - 20) / 60); // 20°..80° maps to 0..1
-    const angleW = Math.max(0.08, 1 - obliqueN * obliqueN);
+    const angleW = Math.max(0.08, 1 - obliqueN * obliqueN) * decodeMarginWeight(hammingMargin, cleanMargin);
 
-    if (source === 'opencv-pnp') {
+    if (source === 'opencv-pnp' || source === 'ippe') {
         // poseError is reprojection RMS in px
         const errN = Math.min(3, Math.max(0, poseError / 8.0));
         const base = Math.exp(-(errN * errN) * 0.9);
@@ -570,6 +1128,17 @@ function computePoseConfidence({ source, poseError, corners, cameraAngleDeg }) {
     return Math.max(0.03, Math.min(0.92, (0.08 + 0.60 * base + 0.32 * perimN) * angleW));
 }
 
+// A decode only a bit or two away from another code may be the wrong marker (id flip under
+// blur or glare). Only the margin bit errors took away counts: the read's margin against the
+// code's clean-read margin (both capped at 3 bits), so a clean read is 1 even for codes that
+// sit two bits from a neighbour; a tie is 0.15. AprilTag results carry no margin and are not
+// penalised.
+function decodeMarginWeight(hammingMargin, cleanMargin) {
+    if (typeof hammingMargin !== 'number' || Number.isNaN(hammingMargin)) return 1;
+    const clean = typeof cleanMargin === 'number' && cleanMargin > 0 ? Math.min(cleanMargin, 3) : 3;
+    return clamp01(0.15 + 0.85 * Math.min(Math.max(0, hammingMargin), clean) / clean);
+}
+
 function clampNegPos1(v) { return Math.max(-1, Math.min(1, v)); }
 
 function rotationMatrixFromRvec(rvec) {
@@ -1,9 +1,64 @@
 // opencv-worker.js
 // Worker that loads OpenCV.js (WASM) and performs ArUco detection off the main thread.
+// Same message schema as aruco-worker.js (see utils/detection-backends.js), so the engine can
+// switch between the two at runtime. Corners come back in overlay space, pose in camera space.
+const BACKEND = 'opencv';
+const PROTOCOL_VERSION = 1;
+
+// AprilTag decoding, the grey-plane helpers and the board solver are shared with the js-aruco2 worker
+importScripts('../vendor/js-aruco2.js', '../utils/apriltag-decoder.js', '../utils/frame-luma.js', '../utils/luma-preprocess.js', '../utils/frame-quality.js', '../utils/lens-distortion.js', '../utils/ippe.js', '../utils/board-pose.js');
+
 let cvLoaded = false;
 let dictionary = null;
+let dictionaryName = null;
 let detectorParams = null;
 let markerLength = 0.05; // meters - default
+let markerLengths = {};  // id → meters where it differs from markerLength
+let boardLayout = null;  // id → four [X, Y, Z] house-frame corners, as in aruco-worker.js
+let canvas = null;       // reused for ImageBitmaps and VideoFrames without CPU-readable pixels
+let ctx = null;
+
+// js-aruco2 dictionary names (what the engine sends) → OpenCV predefined dictionaries
+const CV_DICTIONARIES = {
+  ARUCO: 'DICT_ARUCO_ORIGINAL',
+  ARUCO_4X4_50: 'DICT_4X4_50',
+  ARUCO_4X4_100: 'DICT_4X4_100',
+  ARUCO_4X4_250: 'DICT_4X4_250',
+  ARUCO_4X4_1000: 'DICT_4X4_1000',
+  ARUCO_5X5_50: 'DICT_5X5_50',
+  ARUCO_5X5_100: 'DICT_5X5_100',
+  ARUCO_5X5_250: 'DICT_5X5_250',
+  ARUCO_5X5_1000: 'DICT_5X5_1000',
+  ARUCO_MIP_36h12: 'DICT_ARUCO_MIP_36h12',
+  APRILTAG_36h11: 'DICT_APRILTAG_36h11',
+  APRILTAG_25h9: 'DICT_APRILTAG_25h9'
+};
+// Tried in order when the requested dictionary is missing from the build
+const FALLBACK_DICTIONARIES = ['ARUCO', 'ARUCO_5X5_1000', 'ARUCO_4X4_1000'];
+
+// Temporal corner filters (same semantics as aruco-worker.js): EMA smoothing and pyramidal
+// LK flow from the previous frame, both off by default
+let cornerSmoothing = 0;
+let cornerFlowEnabled = false;
+const lastCornersById = {};
+let prevGray = null;     // cv.Mat of the previous frame, for flow
+
+let useSubpixel = false;
+let subpixWin = 5;
+let subpixMaxIter = 30;
+let subpixEPS = 0.1;
+
+let useAprilTag = false;
+let aprilImpl = null;
+let aprilTagFamilies = ['36h11'];
+let aprilTagMaxHamming = 2;
+
+let preprocess = null;   // null = off, {} = automatic, or LumaPreprocess overrides
+let reportRejected = false;
+const maxRejectedPerFrame = 32;
+const qualityPatchSize = 160;
+
+let reportedCapabilities = null;
 
 self.onmessage = async (e) => {
   const msg = e.data;
@@ -46,10 +101,10 @@ self.onmessage = async (e) => {
         }
 
         const urls = [
-          msg.localOpencvUrl,
+          msg.localOpencvUrl || '../vendor/opencv/opencv.js',
           'https://cdn.jsdelivr.net/npm/@techstardm/opencv-js@4.7.0-dev.20221107/opencv.js', // ArUco build
           'https://docs.opencv.org/4.5.1/opencv.js'
-        ].filter(Boolean);
+        ];
 
         let success = false;
         for (const url of urls) {
@@ -69,7 +124,7 @@ self.onmessage = async (e) => {
         }
 
         if (!success) {
-          postMessage({ type: 'error', error: 'Impossibile caricare OpenCV da nessuna fonte.' });
+          postMessage({ type: 'error', error: 'Impossibile caricare OpenCV da nessuna fonte.', fatal: true });
           return;
         }
         cvLoaded = true;
@@ -78,186 +133,429 @@ self.onmessage = async (e) => {
       markerLength = msg.markerLength || markerLength;
 
       try {
-        if (cv.aruco) {
-          // Robust constructor check with fallbacks
-          if (cv.aruco_DetectorParameters) {
-            detectorParams = new cv.aruco_DetectorParameters();
-          } else if (cv.aruco.DetectorParameters) {
-            detectorParams = new cv.aruco.DetectorParameters();
-          } else if (cv.DetectorParameters) {
-            detectorParams = new cv.DetectorParameters();
-          } else {
-            postMessage({ type: 'log', message: 'Uso parametri default (non trovo DetectorParameters)' });
-            detectorParams = null; // Some builds don't expose it, detectMarkers might take null
-          }
-
-          if (cv.aruco.getPredefinedDictionary) {
-            // Priority: ARUCO_ORIGINAL (matches js-aruco2) -> 5x5_1000 -> 4x4_1000
-            if (typeof cv.aruco.DICT_ARUCO_ORIGINAL !== 'undefined') {
-              dictionary = cv.aruco.getPredefinedDictionary(cv.aruco.DICT_ARUCO_ORIGINAL);
-              postMessage({ type: 'log', message: 'OpenCV: DICT_ARUCO_ORIGINAL loaded (consistent with js-aruco2).' });
-            } else if (typeof cv.aruco.DICT_5X5_1000 !== 'undefined') {
-              dictionary = cv.aruco.getPredefinedDictionary(cv.aruco.DICT_5X5_1000);
-              postMessage({ type: 'log', message: 'OpenCV: DICT_5X5_1000 loaded (fallback).' });
-            } else if (typeof cv.aruco.DICT_4X4_1000 !== 'undefined') {
-                dictionary = cv.aruco.getPredefinedDictionary(cv.aruco.DICT_4X4_1000);
-                postMessage({ type: 'log', message: 'OpenCV: DICT_4X4_1000 loaded (fallback).' });
-            } else {
-              throw new Error('Nessun dizionario ARUCO compatibile disponibile.');
-            }
-          } else {
-            throw new Error('getPredefinedDictionary non trovato.');
-          }
+        // Robust constructor check with fallbacks
+        if (cv.aruco_DetectorParameters) {
+          detectorParams = new cv.aruco_DetectorParameters();
+        } else if (cv.aruco.DetectorParameters) {
+          detectorParams = new cv.aruco.DetectorParameters();
+        } else if (cv.DetectorParameters) {
+          detectorParams = new cv.DetectorParameters();
         } else {
-          throw new Error('API cv.aruco non trovata.');
+          postMessage({ type: 'log', message: 'Uso parametri default (non trovo DetectorParameters)' });
+          detectorParams = null; // Some builds don't expose it, detectMarkers might take null
         }
+        if (!cv.aruco.getPredefinedDictionary) throw new Error('getPredefinedDictionary non trovato.');
+        loadDictionary(typeof msg.dictionaryName === 'string' ? msg.dictionaryName : 'ARUCO');
+        if (!dictionary) throw new Error('Nessun dizionario ARUCO compatibile disponibile.');
       } catch (err) {
-        postMessage({ type: 'error', error: 'ArUco setup error: ' + err.message });
+        postMessage({ type: 'error', error: 'ArUco setup error: ' + err.message, fatal: true });
         return;
       }
-      postMessage({ type: 'ready' });
+      reportedCapabilities = JSON.stringify(capabilities());
+      postMessage({ type: 'ready', backend: BACKEND, protocol: PROTOCOL_VERSION, capabilities: JSON.parse(reportedCapabilities) });
     } else if (msg.type === 'config') {
-      if (typeof msg.markerLength === 'number') markerLength = msg.markerLength;
-      postMessage({ type: 'log', message: 'Worker config updated: markerLength=' + markerLength });
+      applyConfig(msg);
     } else if (msg.type === 'frame') {
-      if (!cvLoaded || !dictionary) return;
-      const imageBitmap = msg.bitmap;
-      if (!imageBitmap) return;
+      processFrame(msg).catch(err => {
+        postMessage({ type: 'error', error: (err && err.message) || String(err), captureTime: msg.captureTime });
+      });
+    }
+  } catch (err) {
+    postMessage({ type: 'error', error: (err && err.message) || String(err), captureTime: msg && msg.type === 'frame' ? msg.captureTime : undefined });
+  }
+};
 
-      // Draw ImageBitmap to OffscreenCanvas
-      const canvas = new OffscreenCanvas(imageBitmap.width, imageBitmap.height);
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(imageBitmap, 0, 0);
-      // extract ImageData
-      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+// Settings this backend understands; the rest of the shared config (ROI, tiles, custom
+// dictionaries, Hamming limits, pose solver choice) has no OpenCV counterpart here
+function applyConfig(msg) {
+  if (typeof msg.markerLength === 'number') markerLength = msg.markerLength;
+  if (msg.markerLengths !== undefined) markerLengths = msg.markerLengths && typeof msg.markerLengths === 'object' ? msg.markerLengths : {};
+  if (typeof msg.dictionaryName === 'string' && cvLoaded && msg.dictionaryName !== dictionaryName) loadDictionary(msg.dictionaryName);
+  if (typeof msg.cornerSmoothing === 'number') cornerSmoothing = Math.max(0, Math.min(1, msg.cornerSmoothing));
+  // PyrLK is the only flow here, so usePyrLKFlow has nothing to choose
+  if (typeof msg.cornerFlowEnabled === 'boolean') cornerFlowEnabled = msg.cornerFlowEnabled;
+  if (typeof msg.useSubpixel === 'boolean') useSubpixel = msg.useSubpixel;
+  if (typeof msg.subpixWin === 'number') subpixWin = Math.max(3, Math.min(31, Math.floor(msg.subpixWin)));
+  if (typeof msg.subpixMaxIter === 'number') subpixMaxIter = Math.max(1, Math.min(200, Math.floor(msg.subpixMaxIter)));
+  if (typeof msg.subpixEPS === 'number') subpixEPS = Math.max(0.0, Math.min(10.0, Number(msg.subpixEPS)));
+
+  if (Array.isArray(msg.aprilTagFamilies) && msg.aprilTagFamilies.length) {
+    aprilTagFamilies = msg.aprilTagFamilies.filter(f => AprilTagDecoder.FAMILIES.includes(f));
+    if (!aprilTagFamilies.length) aprilTagFamilies = ['36h11'];
+    aprilImpl = null;
+  }
+  if (typeof msg.aprilTagMaxHamming === 'number') {
+    aprilTagMaxHamming = Math.max(0, Math.min(5, Math.floor(msg.aprilTagMaxHamming)));
+    if (aprilImpl) aprilImpl.maxHamming = aprilTagMaxHamming;
+  }
+  if (typeof msg.useAprilTag === 'boolean') useAprilTag = msg.useAprilTag;
+  if (useAprilTag && !aprilImpl) {
+    try {
+      aprilImpl = new AprilTagDecoder.Detector({ families: aprilTagFamilies, maxHamming: aprilTagMaxHamming });
+    } catch (err) {
+      postMessage({ type: 'log', message: 'AprilTag non disponibile: ' + (err && err.message) });
+      useAprilTag = false;
+    }
+  }
 
-      const src = new cv.Mat(canvas.height, canvas.width, cv.CV_8UC4);
-      src.data.set(imageData.data);
+  if (msg.preprocess !== undefined) {
+    preprocess = msg.preprocess && typeof msg.preprocess === 'object' ? msg.preprocess : (msg.preprocess ? {} : null);
+  }
+  if (typeof msg.reportRejected === 'boolean') reportRejected = msg.reportRejected;
+  if (msg.boardLayout !== undefined) boardLayout = msg.boardLayout && typeof msg.boardLayout === 'object' ? msg.boardLayout : null;
+  if (msg.resetTracking === true || msg.rescaleHistory) resetTracking();
 
-      let corners = new cv.MatVector();
-      let ids = new cv.Mat();
-      let rejected = new cv.MatVector();
+  postMessage({ type: 'log', message: `Worker config updated: markerLength=${markerLength}, dict=${dictionaryName}, cornerSmoothing=${cornerSmoothing.toFixed(2)}, flow=${cornerFlowEnabled}, subpix=${useSubpixel}, april=${useAprilTag}` });
+  reportCapabilities();
+}
 
-      try {
-        // Some builds use 5 params, some use 6
-        if (detectorParams) {
-          cv.aruco.detectMarkers(src, dictionary, corners, ids, detectorParams, rejected);
-        } else {
-          cv.aruco.detectMarkers(src, dictionary, corners, ids);
-        }
-      } catch (err) {
-        // detection failed
-        corners.delete(); ids.delete(); rejected.delete(); src.delete();
-        return;
-      }
+function capabilities() {
+  return {
+    dictionaries: cvLoaded ? Object.keys(CV_DICTIONARIES).filter(n => typeof cv.aruco[CV_DICTIONARIES[n]] !== 'undefined') : [],
+    customDictionaries: false,
+    aprilTag: true,
+    subpixel: cvLoaded && typeof cv.cornerSubPix === 'function' ? 'opencv' : false,
+    poseSolvers: ['auto', 'opencv'],
+    cornerFlow: cvLoaded && typeof cv.calcOpticalFlowPyrLK === 'function' ? 'pyrlk' : false,
+    cornerSmoothing: true,
+    roi: false,
+    multiScale: false,
+    preprocess: true,
+    rejected: true,
+    quality: true,
+    hamming: false,
+    board: true,
+    videoFrame: true
+  };
+}
 
-      const markers = [];
-      const rejectedItems = [];
+function reportCapabilities() {
+  if (reportedCapabilities === null) return; // not initialised yet: 'ready' carries them
+  const caps = capabilities();
+  const json = JSON.stringify(caps);
+  if (json === reportedCapabilities) return;
+  reportedCapabilities = json;
+  postMessage({ type: 'capabilities', backend: BACKEND, capabilities: caps });
+}
 
-      if (!ids.empty()) {
-        for (let i = 0; i < corners.size(); i++) {
-          const c = corners.get(i);
-          const pts = [];
-          for (let j = 0; j < 4; j++) pts.push([c.data32F[j * 2], c.data32F[j * 2 + 1]]);
-          markers.push({ id: ids.data32S ? ids.data32S[i] : (ids.data64F ? ids.data64F[i] : -1), corners: pts });
-        }
+// Keeps the current dictionary when `name` is not in this OpenCV build
+function loadDictionary(name) {
+  const wanted = name === 'AUTO' ? 'ARUCO' : name;
+  if (name === 'AUTO') postMessage({ type: 'log', message: 'OpenCV: AUTO non supportato, uso ARUCO.' });
+  const candidates = [wanted].concat(dictionary ? [] : FALLBACK_DICTIONARIES);
+  for (const n of candidates) {
+    const key = CV_DICTIONARIES[n];
+    if (!key || typeof cv.aruco[key] === 'undefined') {
+      postMessage({ type: 'log', message: 'OpenCV: dizionario ' + n + ' non disponibile in questa build.' });
+      continue;
+    }
+    try { if (dictionary && dictionary.delete) dictionary.delete(); } catch (_) { }
+    dictionary = cv.aruco.getPredefinedDictionary(cv.aruco[key]);
+    dictionaryName = n;
+    postMessage({ type: 'log', message: 'OpenCV: ' + key + ' loaded.' });
+    return;
+  }
+}
 
-        // estimate pose for all markers if function available
-        try {
-          // Convert camera arrays to cv.Mat if present
-          let cameraMatrix = null; let distCoeffs = null;
-          if (msg.cameraMatrix && Array.isArray(msg.cameraMatrix)) {
-            cameraMatrix = cv.matFromArray(3, 3, cv.CV_64F, msg.cameraMatrix);
-          }
-          if (msg.distCoeffs && Array.isArray(msg.distCoeffs)) {
-            distCoeffs = cv.matFromArray(1, msg.distCoeffs.length, cv.CV_64F, msg.distCoeffs);
-          } else {
-            distCoeffs = cv.Mat.zeros(1, 5, cv.CV_64F);
-          }
+function resetTracking() {
+  for (const id in lastCornersById) delete lastCornersById[id];
+  try { if (prevGray) prevGray.delete(); } catch (_) { }
+  prevGray = null;
+}
 
-          let rvecs = new cv.Mat();
-          let tvecs = new cv.Mat();
-          // allow per-frame markerLength override (engine may downscale frames)
-          const usedMarkerLength = (typeof msg.markerLength === 'number') ? msg.markerLength : markerLength;
-          cv.aruco.estimatePoseSingleMarkers(corners, usedMarkerLength, cameraMatrix, distCoeffs, rvecs, tvecs);
-
-          const half = usedMarkerLength / 2.0;
-          const objPts = cv.matFromArray(4, 1, cv.CV_32FC3, [
-            -half, half, 0,
-             half, half, 0,
-             half, -half, 0,
-            -half, -half, 0
-          ]);
-
-          for (let i = 0; i < rvecs.rows; i++) {
-            const rvec = [rvecs.data64F[i * 3 + 0], rvecs.data64F[i * 3 + 1], rvecs.data64F[i * 3 + 2]];
-            const tvec = [tvecs.data64F[i * 3 + 0], tvecs.data64F[i * 3 + 1], tvecs.data64F[i * 3 + 2]];
-            markers[i].rvec = rvec;
-            markers[i].tvec = tvec;
-            markers[i].source = 'opencv-pnp';
-            markers[i].cameraAngleDeg = viewAngleDegFromRvec(rvec);
-
-            let poseError = 0;
-            let rv = null, tv = null, proj = null;
-            try {
-              rv = cv.matFromArray(3, 1, cv.CV_64F, rvec);
-              tv = cv.matFromArray(3, 1, cv.CV_64F, tvec);
-              proj = new cv.Mat();
-              cv.projectPoints(objPts, rv, tv, cameraMatrix, distCoeffs, proj);
-              let sumErr = 0;
-              for (let j = 0; j < 4; j++) {
-                const px = proj.data32F[j * 2];
-                const py = proj.data32F[j * 2 + 1];
-                const dx = px - markers[i].corners[j][0];
-                const dy = py - markers[i].corners[j][1];
-                sumErr += Math.hypot(dx, dy);
-              }
-              poseError = sumErr / 4.0;
-            } catch (_) {
-              poseError = 0;
-            } finally {
-              try { if (rv) rv.delete(); } catch (_) { }
-              try { if (tv) tv.delete(); } catch (_) { }
-              try { if (proj) proj.delete(); } catch (_) { }
-            }
+// Grey plane of the frame at the detection size: a CPU-readable VideoFrame's luminance plane
+// directly, anything else drawn once to the reused canvas
+async function readGray(msg, w, h) {
+  if (msg.frame) {
+    let luma = null;
+    try { luma = await FrameLuma.fromVideoFrame(msg.frame); } catch (err) { luma = null; }
+    if (luma) return { gray: FrameLuma.resample(luma.data, luma.width, { x: 0, y: 0, width: luma.width, height: luma.height }, w, h), zeroCopy: true };
+  }
+  if (!canvas) {
+    canvas = new OffscreenCanvas(w, h);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  } else if (canvas.width !== w || canvas.height !== h) {
+    canvas.width = w;
+    canvas.height = h;
+  }
+  ctx.drawImage(msg.frame || msg.bitmap, 0, 0, w, h);
+  return { gray: FrameLuma.fromRGBA(ctx.getImageData(0, 0, w, h).data, w, h), zeroCopy: false };
+}
 
-            markers[i].poseError = poseError;
-            markers[i].confidence = computePoseConfidence({
-              source: 'opencv-pnp',
-              poseError,
-              corners: markers[i].corners,
-              cameraAngleDeg: markers[i].cameraAngleDeg
-            });
-          }
-          objPts.delete();
-          rvecs.delete(); tvecs.delete();
-          if (cameraMatrix) cameraMatrix.delete();
-          if (distCoeffs) distCoeffs.delete();
-        } catch (err) {
-          // ignore pose failure
-        }
+async function processFrame(msg) {
+  const image = msg.frame || msg.bitmap;
+  if (!image) throw new Error('frame senza immagine'); // answered as an 'error' with captureTime
+  let plane;
+  try {
+    if (!cvLoaded || !dictionary) throw new Error('OpenCV non pronto');
+    const w = msg.detectWidth || image.displayWidth || image.width;
+    const h = msg.detectHeight || image.displayHeight || image.height;
+    plane = await readGray(msg, w, h);
+    plane.width = w;
+    plane.height = h;
+  } finally {
+    image.close && image.close();
+  }
+  runDetection(msg, plane);
+}
+
+function runDetection(msg, { gray: raw, width: w, height: h, zeroCopy }) {
+  const captureTime = typeof msg.captureTime === 'number' ? msg.captureTime : performance.now();
+  const scaleX = msg.overlayWidth ? msg.overlayWidth / w : 1;
+  const scaleY = msg.overlayHeight ? msg.overlayHeight / h : 1;
+
+  // Detection and AprilTag read the preprocessed plane; marker quality keeps the raw one,
+  // as in the js-aruco2 worker
+  const pre = preprocess ? LumaPreprocess.process(raw, w, h, preprocess) : null;
+  const gray = pre ? pre.data : raw;
+
+  const src = new cv.Mat(h, w, cv.CV_8UC1);
+  src.data.set(gray);
+  let corners = new cv.MatVector();
+  let ids = new cv.Mat();
+  let rejected = new cv.MatVector();
+  const detected = [];
+  const rejectedItems = [];
+
+  try {
+    // Some builds use 5 params, some use 6
+    if (detectorParams) {
+      cv.aruco.detectMarkers(src, dictionary, corners, ids, detectorParams, rejected);
+    } else {
+      cv.aruco.detectMarkers(src, dictionary, corners, ids);
+    }
+    for (let i = 0; i < corners.size(); i++) {
+      const c = corners.get(i);
+      const pts = [];
+      for (let j = 0; j < 4; j++) pts.push({ x: c.data32F[j * 2], y: c.data32F[j * 2 + 1] });
+      c.delete();
+      detected.push({ id: ids.data32S ? ids.data32S[i] : (ids.data64F ? ids.data64F[i] : -1), corners: pts });
+    }
+    // OpenCV does not say why a quad was dropped at identification (border or code bits),
+    // so they all share one reason code
+    if (reportRejected) {
+      for (let i = 0; i < Math.min(rejected.size(), maxRejectedPerFrame); i++) {
+        const c = rejected.get(i);
+        const pts = [];
+        for (let j = 0; j < 4; j++) pts.push([c.data32F[j * 2] * scaleX, c.data32F[j * 2 + 1] * scaleY]);
+        c.delete();
+        rejectedItems.push({ corners: pts, reason: 'decode-failed' });
       }
+    }
+  } catch (err) {
+    src.delete(); corners.delete(); ids.delete(); rejected.delete();
+    throw new Error('detectMarkers failed: ' + ((err && err.message) || err));
+  }
+  corners.delete(); ids.delete(); rejected.delete();
+
+  // AprilTag through the shared decoder, merged by ID — AprilTag corners win
+  if (useAprilTag && aprilImpl) {
+    try {
+      for (const t of aprilImpl.detect(gray, w, h) || []) {
+        const pts = (t.corners || []).map(c => ({ x: c.x !== undefined ? c.x : c[0], y: c.y !== undefined ? c.y : c[1] }));
+        if (pts.length < 4) continue;
+        const existing = detected.find(m => m.id === Number(t.id));
+        if (existing) existing.corners = pts;
+        else detected.push({ id: Number(t.id), corners: pts });
+      }
+    } catch (err) {
+      postMessage({ type: 'log', message: 'AprilTag detect error: ' + (err && err.message) });
+    }
+  }
 
-      // Add some rejected candidates for visual feedback in debug
-      if (rejected.size() > 0) {
-        const numToReturn = Math.min(rejected.size(), 5);
-        for (let i = 0; i < numToReturn; i++) {
-          const c = rejected.get(i);
-          const pts = [];
-          for (let j = 0; j < 4; j++) pts.push([c.data32F[j * 2], c.data32F[j * 2 + 1]]);
-          rejectedItems.push({ corners: pts });
-        }
+  const flowOk = cornerFlowEnabled && prevGray && prevGray.cols === w && prevGray.rows === h;
+  for (const m of detected) {
+    const prev = lastCornersById[m.id];
+    if (flowOk && prev) trackCornersPyrLK(m.corners, prev, src);
+    if (cornerSmoothing > 0 && prev) {
+      for (let i = 0; i < 4; i++) {
+        m.corners[i].x = prev[i].x * (1 - cornerSmoothing) + m.corners[i].x * cornerSmoothing;
+        m.corners[i].y = prev[i].y * (1 - cornerSmoothing) + m.corners[i].y * cornerSmoothing;
       }
+    }
+    if (useSubpixel) refineCornersSubpixel(m.corners, src);
+  }
 
-      // cleanup
-      corners.delete(); ids.delete(); rejected.delete(); src.delete();
+  const markers = [];
+  const usedMarkerLength = (typeof msg.markerLength === 'number') ? msg.markerLength : markerLength;
+  for (const m of detected) {
+    const result = { id: m.id, corners: m.corners.map(c => [c.x * scaleX, c.y * scaleY]) };
+    const quality = markerQuality(m.corners, raw, w, h);
+    if (quality) result.quality = quality;
+    try {
+      Object.assign(result, solveMarkerPose(m.corners, markerLengths[m.id] > 0 ? markerLengths[m.id] : usedMarkerLength, msg.cameraMatrix, msg.distCoeffs));
+      result.confidence = computePoseConfidence({
+        source: 'opencv-pnp',
+        poseError: result.poseError,
+        corners: m.corners.map(c => [c.x, c.y]), // detection px, like the js-aruco2 worker
+        cameraAngleDeg: result.cameraAngleDeg
+      });
+    } catch (err) {
+      postMessage({ type: 'log', message: 'pose estimation error: ' + ((err && err.message) || err) });
+    }
+    markers.push(result);
+  }
 
-      postMessage({ type: 'result', markers, rejected: rejectedItems, timestamp: Date.now() });
+  const board = boardLayout ? solveBoard(detected, msg) : null;
+
+  // Flow reference for the next frame; history only for markers seen now
+  const seen = new Set(detected.map(m => String(m.id)));
+  for (const id in lastCornersById) if (!seen.has(id)) delete lastCornersById[id];
+  for (const m of detected) lastCornersById[m.id] = m.corners.map(c => ({ x: c.x, y: c.y }));
+  try { if (prevGray) prevGray.delete(); } catch (_) { }
+  prevGray = cornerFlowEnabled ? src : null;
+  if (!prevGray) src.delete();
+
+  const detection = {
+    mode: 'full',
+    reason: 'backend',
+    zeroCopy,
+    rois: [],
+    tiles: 0,
+    preprocess: pre && {
+      gamma: Math.round(pre.params.gamma * 100) / 100,
+      stretch: pre.params.stretch,
+      clahe: pre.params.clahe,
+      glare: pre.params.glare ? (pre.params.glarePixels || 0) : 0,
+      median: pre.params.stats.median
+    }
+  };
+  postMessage({ type: 'result', backend: BACKEND, markers, board, rejected: rejectedItems, dictionary: dictionaryName, detection, quality: frameQuality(markers), captureTime, timestamp: Date.now() });
+}
+
+// Pyramidal LK from the previous frame's corners, blended like the js-aruco2 worker's flow
+function trackCornersPyrLK(corners, prev, currMat) {
+  let prevPts = null, nextPts = null, status = null, err = null;
+  try {
+    prevPts = cv.matFromArray(4, 1, cv.CV_32FC2, prev.flatMap(p => [p.x, p.y]));
+    nextPts = new cv.Mat();
+    status = new cv.Mat();
+    err = new cv.Mat();
+    cv.calcOpticalFlowPyrLK(prevGray, currMat, prevPts, nextPts, status, err, new cv.Size(21, 21), 3);
+    const weight = 0.85;
+    for (let i = 0; i < 4; i++) {
+      if (status.data[i] !== 1) continue;
+      corners[i].x = corners[i].x * (1 - weight) + nextPts.data32F[i * 2] * weight;
+      corners[i].y = corners[i].y * (1 - weight) + nextPts.data32F[i * 2 + 1] * weight;
+    }
+  } catch (e) {
+    postMessage({ type: 'log', message: 'PyrLK flow failed: ' + ((e && e.message) || e) });
+  } finally {
+    for (const m of [prevPts, nextPts, status, err]) { try { if (m) m.delete(); } catch (_) { } }
+  }
+}
+
+function refineCornersSubpixel(corners, srcMat) {
+  let pts = null;
+  try {
+    pts = cv.matFromArray(corners.length, 1, cv.CV_32FC2, corners.flatMap(c => [c.x, c.y]));
+    const criteria = new cv.TermCriteria(cv.TermCriteria_EPS + cv.TermCriteria_MAX_ITER, subpixMaxIter, subpixEPS);
+    cv.cornerSubPix(srcMat, pts, new cv.Size(subpixWin, subpixWin), new cv.Size(-1, -1), criteria);
+    for (let i = 0; i < corners.length; i++) {
+      corners[i].x = pts.data32F[i * 2];
+      corners[i].y = pts.data32F[i * 2 + 1];
     }
   } catch (err) {
-    postMessage({ type: 'error', error: (err && err.message) || String(err) });
+    postMessage({ type: 'log', message: 'subpixel refinement failed: ' + ((err && err.message) || err) });
+  } finally {
+    try { if (pts) pts.delete(); } catch (_) { }
   }
-};
+}
+
+// solvePnP on one marker (IPPE_SQUARE where the build has it), with the mean reprojection
+// error in detection px. Throws on failure; the caller reports it.
+function solveMarkerPose(corners, length, cameraMatrixArr, distCoeffsArr) {
+  if (!Array.isArray(cameraMatrixArr) || cameraMatrixArr.length < 9) throw new Error('camera matrix mancante');
+  const mats = [];
+  const track = (m) => { mats.push(m); return m; };
+  try {
+    // Same marker frame as the js-aruco2 backend (IPPE.cvObjectPoints), so 'opencv-pnp' poses agree
+    const objPts = track(cv.matFromArray(4, 1, cv.CV_32FC3, IPPE.cvObjectPoints(length)));
+    const imgPts = track(cv.matFromArray(4, 1, cv.CV_32FC2, corners.flatMap(c => [c.x, c.y])));
+    const cameraMatrix = track(cv.matFromArray(3, 3, cv.CV_64F, cameraMatrixArr));
+    const distCoeffs = track(Array.isArray(distCoeffsArr) && distCoeffsArr.length
+      ? cv.matFromArray(1, distCoeffsArr.length, cv.CV_64F, distCoeffsArr)
+      : cv.Mat.zeros(1, 5, cv.CV_64F));
+    const rv = track(new cv.Mat());
+    const tv = track(new cv.Mat());
+    const flag = typeof cv.SOLVEPNP_IPPE_SQUARE !== 'undefined' ? cv.SOLVEPNP_IPPE_SQUARE : cv.SOLVEPNP_ITERATIVE;
+    if (!cv.solvePnP(objPts, imgPts, cameraMatrix, distCoeffs, rv, tv, false, flag)) throw new Error('solvePnP senza soluzione');
+    const rvec = [rv.data64F[0], rv.data64F[1], rv.data64F[2]];
+    const tvec = [tv.data64F[0], tv.data64F[1], tv.data64F[2]];
+
+    const proj = track(new cv.Mat());
+    cv.projectPoints(objPts, rv, tv, cameraMatrix, distCoeffs, proj);
+    let sumErr = 0;
+    for (let j = 0; j < 4; j++) {
+      sumErr += Math.hypot(proj.data32F[j * 2] - corners[j].x, proj.data32F[j * 2 + 1] - corners[j].y);
+    }
+    if (!rvec.every(Number.isFinite) || !tvec.every(Number.isFinite)) throw new Error('posa non finita');
+    return { rvec, tvec, source: 'opencv-pnp', poseError: sumErr / 4.0, cameraAngleDeg: viewAngleDegFromRvec(rvec) };
+  } finally {
+    for (const m of mats) { try { m.delete(); } catch (_) { } }
+  }
+}
+
+// Board pose over the layout markers in view, solved in JS like the js-aruco2 worker so both
+// backends report the same thing; rvec through cv.Rodrigues. Errors in detection px.
+function solveBoard(detected, msg) {
+  const K = msg.cameraMatrix;
+  if (!Array.isArray(K) || K.length < 9 || !(K[0] > 0) || !(K[4] > 0)) return null; // like solveMarkerPose
+  const focal = K[0];
+  const observations = detected
+    .filter(m => boardLayout[m.id] && m.corners && m.corners.length === 4)
+    .map(m => ({ id: m.id, corners: LensDistortion.undistortPoints(m.corners, K, msg.distCoeffs) }));
+  if (!observations.length) return null;
+  let R = null, rv = null;
+  try {
+    const sol = BoardPose.solve(observations, boardLayout, { focal });
+    if (!sol) return null;
+    R = cv.matFromArray(3, 3, cv.CV_64F, sol.R.flat());
+    rv = new cv.Mat();
+    cv.Rodrigues(R, rv);
+    const residuals = {};
+    for (const id in sol.residuals) residuals[id] = sol.residuals[id] * focal;
+    return {
+      rvec: [rv.data64F[0], rv.data64F[1], rv.data64F[2]],
+      tvec: sol.t.slice(),
+      poseError: sol.rms * focal,
+      ids: sol.ids,
+      residuals,
+      rejected: sol.rejected,
+      cameraAngleDeg: viewAngleDegFromRotationMatrix(sol.R)
+    };
+  } catch (err) {
+    postMessage({ type: 'log', message: 'board pose error: ' + ((err && err.message) || err) });
+    return null;
+  } finally {
+    try { if (R) R.delete(); } catch (_) { }
+    try { if (rv) rv.delete(); } catch (_) { }
+  }
+}
+
+// Sharpness / exposure around the marker on the raw plane (before preprocessing), like aruco-worker.js
+function markerQuality(corners, gray, w, h) {
+  const xs = corners.map(c => c.x), ys = corners.map(c => c.y);
+  const mx = (Math.max(...xs) - Math.min(...xs)) * 0.1, my = (Math.max(...ys) - Math.min(...ys)) * 0.1;
+  const x0 = Math.max(0, Math.floor(Math.min(...xs) - mx)), x1 = Math.min(w, Math.ceil(Math.max(...xs) + mx));
+  const y0 = Math.max(0, Math.floor(Math.min(...ys) - my)), y1 = Math.min(h, Math.ceil(Math.max(...ys) + my));
+  if (x1 - x0 < 8 || y1 - y0 < 8) return null;
+  const k = Math.min(1, qualityPatchSize / Math.max(x1 - x0, y1 - y0));
+  const ow = Math.max(3, Math.round((x1 - x0) * k)), oh = Math.max(3, Math.round((y1 - y0) * k));
+  const q = FrameQuality.score(FrameLuma.resample(gray, w, { x: x0, y: y0, width: x1 - x0, height: y1 - y0 }, ow, oh), ow, oh);
+  return q && { sharpness: q.sharpness, exposure: q.exposure, contrast: q.contrast, clipped: q.clipped };
+}
+
+function frameQuality(markers) {
+  const scored = markers.filter(m => m.quality);
+  if (!scored.length) return null;
+  const sharp = scored.map(m => m.quality.sharpness).sort((a, b) => a - b);
+  return {
+    sharpness: sharp[Math.floor(sharp.length / 2)],
+    exposure: Math.min(...scored.map(m => m.quality.exposure)),
+    markers: scored.length
+  };
+}
 
 function waitForCv(timeoutMs = 15000) {
   return new Promise((resolve, reject) => {
@@ -0,0 +1,58 @@
+/** @jest-environment jsdom */
+
+require('../../marker-app/vendor/js-aruco2.js');
+require('../../marker-app/utils/apriltag-decoder.js');
+const { renderMarkerGray } = require('./helpers/fixtures.js');
+
+// Tag on a white page as a luminance buffer: black border ring, payload '1' = white
+const renderTag = (bits) => renderMarkerGray(bits, { cell: 10, margin: 40 });
+
+const tagBits = (dict, id) => new window.AR.Dictionary(dict).codeList[id];
+const rotate = (bits) => {
+  const side = Math.sqrt(bits.length);
+  let out = '';
+  for (let i = 0; i < side; i++) for (let j = 0; j < side; j++) out += bits[(side - j - 1) * side + i];
+  return out;
+};
+const flip = (bits, idx) => bits.split('').map((b, i) => (idx.includes(i) ? (b === '1' ? '0' : '1') : b)).join('');
+
+describe('AprilTagDecoder', () => {
+  const { AprilTagDecoder } = window;
+
+  test('decodes 36h11 and 25h9 tags with consistent corner order under rotation', () => {
+    const det = new AprilTagDecoder.Detector({ families: ['36h11', '25h9'] });
+    const upright = renderTag(tagBits('APRILTAG_36h11', 42));
+    const [a] = det.detect(upright.gray, upright.size, upright.size);
+    expect(a).toMatchObject({ id: 42, family: '36h11', hamming: 0 });
+    // first corner is the tag's top-left when the tag is upright
+    expect(a.corners[0].x).toBeLessThan(a.corners[2].x);
+    expect(a.corners[0].y).toBeLessThan(a.corners[2].y);
+
+    const turned = renderTag(rotate(tagBits('APRILTAG_36h11', 42)));
+    const [b] = det.detect(turned.gray, turned.size, turned.size);
+    expect(b.id).toBe(42);
+    // the rotated tag's top-left corner now sits at the image top-right
+    expect(b.corners[0].x).toBeGreaterThan(b.corners[2].x);
+    expect(b.corners[0].y).toBeLessThan(b.corners[2].y);
+
+    const small = renderTag(tagBits('APRILTAG_25h9', 5));
+    expect(det.detect(small.gray, small.size, small.size).map(t => [t.family, t.id])).toEqual([['25h9', 5]]);
+  });
+
+  test('corrects up to maxHamming flipped bits and rejects beyond', () => {
+    const bits = tagBits('APRILTAG_36h11', 7);
+    const two = renderTag(flip(bits, [3, 20]));
+    const three = renderTag(flip(bits, [3, 20, 33]));
+    const det = new AprilTagDecoder.Detector({ maxHamming: 2 });
+    expect(det.detect(two.gray, two.size, two.size).map(t => [t.id, t.hamming])).toEqual([[7, 2]]);
+    expect(det.detect(three.gray, three.size, three.size)).toEqual([]);
+    const lenient = new AprilTagDecoder.Detector({ maxHamming: 3 });
+    expect(lenient.detect(three.gray, three.size, three.size).map(t => t.id)).toEqual([7]);
+  });
+
+  test('ArUco markers are not mistaken for AprilTags', () => {
+    const aruco = renderTag(tagBits('ARUCO', 3));
+    const det = new AprilTagDecoder.Detector({ families: ['36h11', '25h9'] });
+    expect(det.detect(aruco.gray, aruco.size, aruco.size)).toEqual([]);
+  });
+});
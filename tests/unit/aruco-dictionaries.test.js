@@ -0,0 +1,56 @@
+/** @jest-environment jsdom */
+
+require('../../marker-app/vendor/js-aruco2.js');
+require('../../marker-app/utils/aruco-dictionaries.js');
+const { renderMarkerRGBA } = require('./helpers/fixtures.js');
+
+// Axis-aligned marker on a white page: black border, '1' bits white, row-major
+const renderMarker = renderMarkerRGBA;
+
+const codeBits = (dictName, id) => new window.AR.Dictionary(dictName).codeList[id];
+
+describe('ArucoDictionaries', () => {
+  const { AR, ArucoDictionaries } = window;
+
+  test('resolves names case-insensitively, including OpenCV spellings and derived sizes', () => {
+    expect(ArucoDictionaries.resolveName(AR, 'aruco')).toBe('ARUCO');
+    expect(ArucoDictionaries.resolveName(AR, 'aruco_mip_36H12')).toBe('ARUCO_MIP_36h12');
+    expect(ArucoDictionaries.resolveName(AR, 'DICT_4X4_50')).toBe('ARUCO_4X4_50');
+    expect(ArucoDictionaries.resolveName(AR, 'auto')).toBe('AUTO');
+    expect(ArucoDictionaries.resolveName(AR, 'nope')).toBeNull();
+    expect(new AR.Dictionary('ARUCO_4X4_50').codeList).toEqual(new AR.Dictionary('ARUCO_4X4_1000').codeList.slice(0, 50));
+  });
+
+  test('AUTO finds a 4x4 marker the default dictionary misses', () => {
+    const img = renderMarker(codeBits('ARUCO_4X4_50', 7));
+    const { names, detectors } = ArucoDictionaries.createDetectors(AR, 'AUTO');
+    expect(names).toContain('ARUCO_5X5_1000');
+    const hits = detectors.map(d => d.detect(img).map(m => m.id));
+    expect(hits[names.indexOf('ARUCO_4X4_50')]).toEqual([7]);
+    expect(hits[names.indexOf('ARUCO')]).toEqual([]);
+  });
+
+  test('custom bit-string dictionaries are detected and validated', () => {
+    const codes = ['1011001011100101', '0110110100011010', '1100011100101011'];
+    const name = ArucoDictionaries.register(AR, { name: 'my_4x4', codeList: codes });
+    expect(name).toBe('my_4x4');
+    const [detector] = ArucoDictionaries.createDetectors(AR, 'MY_4X4').detectors;
+    expect(detector.detect(renderMarker(codes[2])).map(m => m.id)).toEqual([2]);
+
+    expect(() => ArucoDictionaries.register(AR, { name: 'bad', codeList: ['101'], nBits: 16 })).toThrow();
+    expect(AR.DICTIONARIES.bad).toBeUndefined();
+    expect(() => ArucoDictionaries.register(AR, { name: 'aruco', codeList: codes })).toThrow(/built-in/);
+    expect(ArucoDictionaries.unregister(AR, 'my_4x4')).toBe(true);
+    expect(ArucoDictionaries.unregister(AR, 'ARUCO')).toBe(false);
+  });
+
+  test('maxHammingDistance 0 rejects a marker with one flipped bit', () => {
+    const bits = codeBits('ARUCO_4X4_50', 3);
+    const flipped = (bits[5] === '1' ? '0' : '1');
+    const img = renderMarker(bits.slice(0, 5) + flipped + bits.slice(6));
+    const lenient = ArucoDictionaries.createDetectors(AR, 'ARUCO_4X4_50', { maxHammingDistance: 1 }).detectors[0];
+    const strict = ArucoDictionaries.createDetectors(AR, 'ARUCO_4X4_50', { maxHammingDistance: 0 }).detectors[0];
+    expect(lenient.detect(img).map(m => m.id)).toEqual([3]);
+    expect(strict.detect(img)).toEqual([]);
+  });
+});
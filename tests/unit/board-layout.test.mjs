@@ -0,0 +1,61 @@
+/** @jest-environment jsdom */
+import * as THREE from 'three';
+global.THREE = THREE;
+import { RestorationEngine } from '../../marker-app/utils/restoration-engine.js';
+import '../../marker-app/utils/ippe.js';
+import '../../marker-app/utils/board-pose.js';
+
+// Camera-axes rotation matrix → rvec, through a three.js quaternion
+function rvecOf(R) {
+  const m = new THREE.Matrix4().set(R[0][0], R[0][1], R[0][2], 0, R[1][0], R[1][1], R[1][2], 0, R[2][0], R[2][1], R[2][2], 0, 0, 0, 0, 1);
+  const q = new THREE.Quaternion().setFromRotationMatrix(m);
+  if (q.w < 0) q.set(-q.x, -q.y, -q.z, -q.w);
+  const angle = 2 * Math.acos(Math.min(1, q.w));
+  const n = Math.hypot(q.x, q.y, q.z) || 1;
+  return [q.x / n * angle, q.y / n * angle, q.z / n * angle];
+}
+
+describe('board layout for the worker solve', () => {
+  const engine = new RestorationEngine();
+  const truth = {
+    position: new THREE.Vector3(0.03, -0.08, -0.5),
+    quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(0.8, 0.3, -0.1))
+  };
+  // House pose in camera axes (inverse of _poseToThreeJs 'ippe'): R_b = F·R·F, t_b = F·p
+  const q = truth.quaternion;
+  const m = new THREE.Matrix4().makeRotationFromQuaternion(new THREE.Quaternion(q.x, -q.y, -q.z, q.w)).elements;
+  const Rb = [[m[0], m[4], m[8]], [m[1], m[5], m[9]], [m[2], m[6], m[10]]];
+  const tb = [truth.position.x, -truth.position.y, -truth.position.z];
+  const project = (pts) => pts.map(([X, Y, Z]) => {
+    const c = [0, 1, 2].map(k => Rb[k][0] * X + Rb[k][1] * Y + Rb[k][2] * Z + tb[k]);
+    return { x: c[0] / c[2], y: c[1] / c[2] };
+  });
+  const close = (pose) => {
+    expect(pose.position.distanceTo(truth.position)).toBeLessThan(1e-6);
+    expect(pose.quaternion.angleTo(truth.quaternion)).toBeLessThan(1e-6);
+  };
+
+  test('board pose and single-marker poses give the same house pose', () => {
+    const layout = engine._boardLayout();
+    expect(Object.keys(layout).map(Number).sort()).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+
+    const obs = [1, 7, 4].map(id => ({ id, corners: project(layout[id]) }));
+    const board = window.BoardPose.solve(obs, layout);
+    close(engine._poseToThreeJs(rvecOf(board.R), board.t, 'ippe'));
+
+    // Same view through the per-marker path: IPPE on marker 7 alone, then its offsets
+    const [sol] = window.IPPE.solveSquare(obs[1].corners, engine.markerSizeMM / 1000);
+    close(engine._housePoseFromMarker(7, rvecOf(sol.R), sol.t, 'ippe'));
+  });
+
+  test('board pose replaces the fusion only within its gates', () => {
+    const board = { ids: [1, 7], rvec: rvecOf(Rb), tvec: tb, poseError: 0.8, residuals: {}, rejected: [] };
+    const seen = [{ id: 1 }, { id: 7 }];
+    close(engine._boardHousePose(board, seen, null, 1));
+    expect(engine._boardHousePose({ ...board, poseError: 5 }, seen, null, 1)).toBeNull();
+    expect(engine._boardHousePose(board, [{ id: 1 }], null, 1)).toBeNull(); // 7 failed the quality gate
+    expect(engine._boardHousePose(board, seen, new THREE.Vector3(0, 0, 0), 0.2)).toBeNull();
+    engine.setBoardPose({ minMarkers: 3 });
+    expect(engine._boardHousePose(board, seen, null, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+/** @jest-environment jsdom */
+
+require('../../marker-app/utils/ippe.js');
+require('../../marker-app/utils/board-pose.js');
+
+function rotation(ax, ay, az) {
+  const cx = Math.cos(ax), sx = Math.sin(ax), cy = Math.cos(ay), sy = Math.sin(ay), cz = Math.cos(az), sz = Math.sin(az);
+  const mul = (A, B) => A.map(r => [0, 1, 2].map(j => r[0] * B[0][j] + r[1] * B[1][j] + r[2] * B[2][j]));
+  return mul([[cz, -sz, 0], [sz, cz, 0], [0, 0, 1]], mul([[cy, 0, sy], [0, 1, 0], [-sy, 0, cy]], [[1, 0, 0], [0, cx, -sx], [0, sx, cx]]));
+}
+
+// 3×3 table layout without the centre (the house), 40 mm markers 10 cm apart, on z = 0
+const L = 0.04;
+const centres = { 1: [-0.1, -0.1], 7: [0, -0.1], 2: [0.1, -0.1], 5: [-0.1, 0], 6: [0.1, 0], 3: [-0.1, 0.1], 8: [0, 0.1], 4: [0.1, 0.1] };
+const layout = {};
+for (const id in centres) {
+  const [x, y] = centres[id], h = L / 2;
+  layout[id] = [[x - h, y - h, 0], [x + h, y - h, 0], [x + h, y + h, 0], [x - h, y + h, 0]];
+}
+
+// Deterministic pseudo-noise in normalised units
+function project(R, t, obj, seed, sigma) {
+  return obj.map(([X, Y, Z], i) => {
+    const c = [0, 1, 2].map(k => R[k][0] * X + R[k][1] * Y + R[k][2] * Z + t[k]);
+    const n = (k) => sigma * Math.sin(seed * 12.9898 + i * 78.233 + k * 37.719);
+    return { x: c[0] / c[2] + n(0), y: c[1] / c[2] + n(1) };
+  });
+}
+
+const maxDiff = (A, B) => Math.max(...A.flat().map((v, i) => Math.abs(v - B.flat()[i])));
+
+describe('BoardPose', () => {
+  const { BoardPose } = window;
+  const R = rotation(0.9, 0.2, -0.4), t = [0.02, -0.01, 0.6];
+  const focal = 800;
+
+  test('recovers the board pose from every visible marker', () => {
+    const ids = [1, 2, 3, 6];
+    const obs = ids.map((id, k) => ({ id, corners: project(R, t, layout[id], k + 1, 0.5 / focal) }));
+    const board = BoardPose.solve(obs, layout, { focal });
+    expect(board.ids.sort()).toEqual(ids.slice().sort());
+    expect(board.rejected).toEqual([]);
+    expect(maxDiff(board.R, R)).toBeLessThan(0.01);
+    expect(Math.hypot(...board.t.map((v, i) => v - t[i]))).toBeLessThan(0.002);
+    expect(board.rms * focal).toBeLessThan(1);
+    for (const id of ids) expect(board.residuals[id] * focal).toBeLessThan(1.5);
+
+    // Unknown ids are ignored; nothing usable gives null
+    expect(BoardPose.solve([{ id: 42, corners: obs[0].corners }], layout)).toBeNull();
+  });
+
+  test('drops a marker that does not fit the layout', () => {
+    const ids = [1, 7, 2, 5, 4];
+    const obs = ids.map((id, k) => ({ id, corners: project(R, t, layout[id], k + 1, 0.3 / focal) }));
+    // Marker 4's corners reported as marker 8 (misread ID)
+    obs[4].id = 8;
+    const board = BoardPose.solve(obs, layout, { focal });
+    expect(board.rejected).toEqual([8]);
+    expect(board.ids).not.toContain(8);
+    expect(maxDiff(board.R, R)).toBeLessThan(0.01);
+  });
+
+  test('works for markers off the board plane', () => {
+    // A marker standing upright at the back edge (normal along -y)
+    const upright = { 9: [[-0.02, -0.15, -0.04], [0.02, -0.15, -0.04], [0.02, -0.15, 0], [-0.02, -0.15, 0]] };
+    const all = Object.assign({}, layout, upright);
+    const obs = [9, 8].map((id, k) => ({ id, corners: project(R, t, all[id], k + 1, 0) }));
+    const board = BoardPose.solve(obs, all, { focal });
+    expect(maxDiff(board.R, R)).toBeLessThan(1e-6);
+    expect(board.rms).toBeLessThan(1e-9);
+  });
+});
@@ -0,0 +1,98 @@
+/** @jest-environment jsdom */
+
+import { CalibrationStore, adaptCalibration, rescaleCameraMatrix } from '../../marker-app/utils/calibration-store.js';
+
+const K720 = [1000, 0, 640, 0, 1000, 360, 0, 0, 1];
+
+describe('CalibrationStore', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('profiles for different cameras do not overwrite each other', () => {
+    const store = new CalibrationStore();
+    store.save({ deviceId: 'a', label: 'Phone back', width: 1280, height: 720, cameraMatrix: K720, distCoeffs: [0.1, 0, 0, 0, 0] });
+    store.save({ deviceId: 'b', label: 'Tablet back', width: 1280, height: 720, cameraMatrix: [1200, 0, 640, 0, 1200, 360, 0, 0, 1] });
+    const reloaded = new CalibrationStore();
+    expect(reloaded.list()).toHaveLength(2);
+    expect(reloaded.find({ deviceId: 'a', width: 1280, height: 720 }).cameraMatrix[0]).toBe(1000);
+    expect(reloaded.find({ deviceId: 'zzz', label: 'Tablet back', width: 1280, height: 720 }).cameraMatrix[0]).toBe(1200);
+    expect(reloaded.find({ deviceId: 'c', label: 'Other', width: 1280, height: 720 })).toBeNull();
+  });
+
+  test('a camera without deviceId or label uses the profiles saved without one', () => {
+    const store = new CalibrationStore();
+    store.save({ width: 1280, height: 720, cameraMatrix: K720 });
+    store.save({ deviceId: 'a', label: 'Phone back', width: 1280, height: 720, cameraMatrix: [1200, 0, 640, 0, 1200, 360, 0, 0, 1] });
+    const match = store.find({ width: 1280, height: 720 });
+    expect(match.id).toBe('default@1280x720');
+    expect(match.cameraMatrix[0]).toBe(1000);
+    expect(store.find({ deviceId: '', label: '', width: 640, height: 360 }).cameraMatrix[0]).toBe(500);
+    expect(new CalibrationStore({ key: 'expear.test.empty' }).find({ width: 1280, height: 720 })).toBeNull();
+  });
+
+  test('rescales intrinsics when the stream resolution changes', () => {
+    const store = new CalibrationStore();
+    store.save({ deviceId: 'a', width: 1280, height: 720, cameraMatrix: K720 });
+    const half = store.find({ deviceId: 'a', width: 640, height: 360 });
+    expect(half.rescaled).toBe(true);
+    expect(half.approximate).toBe(false);
+    expect(half.cameraMatrix).toEqual([500, 0, 320, 0, 500, 180, 0, 0, 1]);
+    // 4:3 stream of the same sensor: centre crop model, flagged approximate
+    const fourThree = store.find({ deviceId: 'a', width: 960, height: 720 });
+    expect(fourThree.approximate).toBe(true);
+    expect(fourThree.cameraMatrix[2]).toBeCloseTo(480);
+  });
+
+  test('a portrait stream reuses the landscape profile transposed', () => {
+    const store = new CalibrationStore();
+    store.save({ deviceId: 'a', width: 1280, height: 720, cameraMatrix: [1000, 0, 640, 0, 1010, 360, 0, 0, 1], distCoeffs: [0.1, 0.01, 0.002, -0.003, 0] });
+    const portrait = store.find({ deviceId: 'a', width: 720, height: 1280 });
+    expect(portrait.rotated).toBe(true);
+    expect(portrait.approximate).toBe(false);
+    expect(portrait.cameraMatrix).toEqual([1010, 0, 360, 0, 1000, 640, 0, 0, 1]);
+    expect(portrait.distCoeffs).toEqual([0.1, 0.01, -0.003, 0.002, 0]);
+  });
+
+  test('a rotated profile with an off-centre principal point is approximate', () => {
+    // The rotation direction decides whether cx' is cy or H - cy; only the centre is safe
+    const K = [1000, 0, 652, 0, 1000, 344, 0, 0, 1];
+    const rotated = adaptCalibration(K, null, 1280, 720, 720, 1280);
+    expect(rotated.rotated).toBe(true);
+    expect(rotated.approximate).toBe(true);
+    expect(adaptCalibration(K, null, 1280, 720, 640, 360).approximate).toBe(false);
+
+    const store = new CalibrationStore();
+    store.save({ deviceId: 'a', width: 1280, height: 720, cameraMatrix: K });
+    const portrait = store.find({ deviceId: 'a', width: 720, height: 1280 });
+    expect(portrait.rotated).toBe(true);
+    expect(portrait.approximate).toBe(true);
+    // Rotated and cropped (landscape 16:9 → portrait 3:4) is approximate even when centred
+    expect(adaptCalibration(K720, null, 1280, 720, 720, 960).approximate).toBe(true);
+  });
+
+  test('rescaleCameraMatrix keeps the principal point centred under crop', () => {
+    const K = rescaleCameraMatrix(K720, 1280, 720, 720, 720);
+    expect(K[2]).toBeCloseTo(360);
+    expect(K[5]).toBeCloseTo(360);
+    expect(K[0]).toBeCloseTo(1000);
+  });
+
+  test('migrates the legacy global keys once', () => {
+    localStorage.setItem('expear.cameraMatrix', JSON.stringify(K720));
+    localStorage.setItem('expear.distCoeffs', JSON.stringify([0.05, 0, 0, 0, 0]));
+    const store = new CalibrationStore();
+    const id = store.migrateLegacy({ deviceId: 'a', label: 'Phone back' }, 1280, 720);
+    expect(id).toBe('Phone back@1280x720');
+    expect(localStorage.getItem('expear.cameraMatrix')).toBeNull();
+    expect(store.find({ deviceId: 'a', width: 1280, height: 720 }).distCoeffs[0]).toBe(0.05);
+  });
+
+  test('export/import round trip', () => {
+    const a = new CalibrationStore({ key: 'expear.test.a' });
+    a.save({ deviceId: 'a', label: 'Phone back', width: 1280, height: 720, cameraMatrix: K720, rms: 0.4 });
+    const json = a.exportJSON();
+    const b = new CalibrationStore({ key: 'expear.test.b' });
+    expect(b.importJSON(json)).toBe(1);
+    expect(b.find({ label: 'Phone back', width: 1280, height: 720 }).profile.rms).toBe(0.4);
+    expect(() => b.importJSON('{"foo":1}')).toThrow();
+  });
+});
@@ -0,0 +1,64 @@
+/** @jest-environment node */
+
+import { ArucoCalibrationBoard, calibrateCamera, calibrationViewFromMarkers, _internals } from '../../marker-app/utils/camera-calibration.js';
+
+const { projectBoardPoint, rodriguesToMatrix } = _internals;
+
+function syntheticViews(board, k, poses) {
+  return poses.map(({ rvec, tvec }) => {
+    const R = rodriguesToMatrix(rvec);
+    const markers = board.ids.map(id => ({
+      id,
+      corners: board.objectCorners(id).map(([X, Y]) => projectBoardPoint(k, R, tvec, X, Y))
+    }));
+    return calibrationViewFromMarkers(board, markers);
+  });
+}
+
+describe('camera-calibration', () => {
+  const board = new ArucoCalibrationBoard({ markerLengthMM: 40, separationMM: 10 });
+  // board is 240×90 mm; centre it roughly on the optical axis
+  const poses = [
+    { rvec: [0.05, -0.02, 0.01], tvec: [-120, -45, 350] },
+    { rvec: [0.45, 0.05, 0.02], tvec: [-120, -40, 380] },
+    { rvec: [-0.4, 0.1, -0.05], tvec: [-110, -50, 360] },
+    { rvec: [0.1, 0.5, 0.1], tvec: [-150, -45, 400] },
+    { rvec: [0.05, -0.45, -0.1], tvec: [-100, -45, 340] },
+    { rvec: [0.3, 0.3, 0.4], tvec: [-120, -60, 420] }
+  ];
+
+  test('board exposes TL,TR,BR,BL corners laid out on a grid', () => {
+    expect(board.objectCorners(1)).toEqual([[0, 0], [40, 0], [40, 40], [0, 40]]);
+    expect(board.objectCorners(7)[0]).toEqual([50, 50]);
+    expect(board.has(11)).toBe(false);
+    expect(board.widthMM).toBe(240);
+  });
+
+  test('recovers intrinsics and distortion from noiseless synthetic views', () => {
+    const truth = [900, 905, 650, 355, -0.12, 0.05, 0.001, -0.0008, 0];
+    const views = syntheticViews(board, truth, poses);
+    const res = calibrateCamera(views, { imageWidth: 1280, imageHeight: 720 });
+    expect(res.rms).toBeLessThan(0.05);
+    expect(res.cameraMatrix[0]).toBeCloseTo(900, 0);
+    expect(res.cameraMatrix[4]).toBeCloseTo(905, 0);
+    expect(res.cameraMatrix[2]).toBeCloseTo(650, 0);
+    expect(res.cameraMatrix[5]).toBeCloseTo(355, 0);
+    expect(res.distCoeffs[0]).toBeCloseTo(-0.12, 2);
+    expect(res.distCoeffs[1]).toBeCloseTo(0.05, 1);
+    expect(res.distCoeffs[4]).toBe(0);
+    expect(res.perViewRms).toHaveLength(poses.length);
+  });
+
+  test('calibrationViewFromMarkers ignores ids not on the board', () => {
+    const view = calibrationViewFromMarkers(board, [
+      { id: 1, corners: [[0, 0], [1, 0], [1, 1], [0, 1]] },
+      { id: 42, corners: [[0, 0], [1, 0], [1, 1], [0, 1]] }
+    ], { minMarkers: 1 });
+    expect(view.ids).toEqual([1]);
+    expect(view.objectPoints).toHaveLength(4);
+  });
+
+  test('rejects too few views', () => {
+    expect(() => calibrateCamera([], { imageWidth: 640, imageHeight: 480 })).toThrow();
+  });
+});
@@ -0,0 +1,102 @@
+/** @jest-environment jsdom */
+
+import { CameraSource } from '../../marker-app/utils/camera-source.js';
+
+function fakeTrack({ deviceId, caps = {} }) {
+  return {
+    label: 'cam-' + deviceId,
+    readyState: 'live',
+    stopped: false,
+    applied: [],
+    stop() { this.stopped = true; },
+    getSettings: () => ({ deviceId, width: 1280, height: 720, frameRate: 30 }),
+    getCapabilities: () => caps,
+    applyConstraints(c) { this.applied.push(c); return Promise.resolve(); }
+  };
+}
+
+function fakeStream(track) {
+  return { getVideoTracks: () => [track], getTracks: () => [track] };
+}
+
+describe('CameraSource', () => {
+  let requests;
+  beforeEach(() => {
+    requests = [];
+    Object.defineProperty(navigator, 'mediaDevices', {
+      configurable: true,
+      value: {
+        getUserMedia: (c) => {
+          requests.push(c);
+          const id = (c.video.deviceId && c.video.deviceId.exact) || 'back';
+          return Promise.resolve(fakeStream(fakeTrack({ deviceId: id, caps: id === 'back' ? { torch: true, focusMode: ['continuous', 'manual'] } : {} })));
+        },
+        enumerateDevices: () => Promise.resolve([
+          { kind: 'videoinput', deviceId: 'back', label: 'Back' },
+          { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+          { kind: 'videoinput', deviceId: 'wide', label: '' }
+        ])
+      }
+    });
+  });
+
+  test('buildConstraints prefers an exact deviceId over facingMode', () => {
+    const src = new CameraSource();
+    expect(src.buildConstraints({ width: 1920, height: 1080, frameRate: 30 }).video)
+      .toEqual({ facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1080 }, frameRate: { ideal: 30 } });
+    expect(src.buildConstraints({ deviceId: 'x' }).video).toEqual({ deviceId: { exact: 'x' } });
+  });
+
+  test('switching stops the previous stream and keeps options', async () => {
+    const src = new CameraSource();
+    const first = await src.open({ width: 1280 });
+    await src.open({ deviceId: 'wide' });
+    expect(first.getTracks()[0].stopped).toBe(true);
+    expect(src.deviceId).toBe('wide');
+    expect(requests[1].video.width).toEqual({ ideal: 1280 });
+    const devices = await src.listDevices();
+    expect(devices.map(d => d.deviceId)).toEqual(['back', 'wide']);
+    expect(devices[1].active).toBe(true);
+    expect(devices[1].label).toBe('Camera 2');
+  });
+
+  test('controls are only applied when advertised by the track', async () => {
+    const src = new CameraSource();
+    await src.open();
+    expect(await src.setTorch(true)).toBe(true);
+    expect(src.track.applied).toEqual([{ advanced: [{ torch: true }] }]);
+    expect(await src.setExposure({ compensation: 1 })).toBe(false);
+    expect(await src.setFocus({ mode: 'manual' })).toBe(true);
+    await src.open({ deviceId: 'wide' });
+    expect(await src.setTorch(true)).toBe(false);
+  });
+
+  test('a switch that fails even after releasing the camera reopens the previous one', async () => {
+    const src = new CameraSource();
+    await src.open({ deviceId: 'back' });
+    const gum = navigator.mediaDevices.getUserMedia;
+    navigator.mediaDevices.getUserMedia = (c) => c.video.deviceId.exact === 'gone'
+      ? Promise.reject(Object.assign(new Error('not found'), { name: 'NotFoundError' }))
+      : gum(c);
+    await expect(src.open({ deviceId: 'gone' })).rejects.toThrow('not found');
+    expect(src.stream).not.toBeNull();
+    expect(src.deviceId).toBe('back');
+    expect(src.track.stopped).toBe(false);
+    expect(src.options.deviceId).toBe('back');
+  });
+
+  test('stop() while watchDevices is still listing leaves no devicechange listener', async () => {
+    const md = navigator.mediaDevices;
+    let listed;
+    md.enumerateDevices = () => new Promise(resolve => { listed = resolve; });
+    md.addEventListener = jest.fn();
+    md.removeEventListener = jest.fn();
+    const src = new CameraSource();
+    const watching = src.watchDevices(() => {});
+    src.stop();
+    listed([{ kind: 'videoinput', deviceId: 'back', label: 'Back' }]);
+    await watching;
+    expect(md.addEventListener).not.toHaveBeenCalled();
+    expect(src._deviceChangeHandler).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+/** @jest-environment jsdom */
+
+require('../../marker-app/utils/corner-subpix.js');
+
+// Checkerboard X-junction at (cx, cy), rendered with 16×16 supersampling per pixel
+function renderChecker(size, cx, cy) {
+  const gray = new Uint8ClampedArray(size * size);
+  const ss = 16;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let dark = 0;
+      for (let j = 0; j < ss; j++) {
+        for (let i = 0; i < ss; i++) {
+          if ((x + (i + 0.5) / ss >= cx) !== (y + (j + 0.5) / ss >= cy)) dark++;
+        }
+      }
+      gray[y * size + x] = 230 - (200 * dark) / (ss * ss);
+    }
+  }
+  return gray;
+}
+
+describe('CornerSubPix', () => {
+  const { CornerSubPix } = window;
+  // Pixel centres sit at integer coordinates, so an edge drawn at 20.3 lies at 19.8
+  const size = 48;
+  const gray = renderChecker(size, 20.3, 17.7);
+  const truth = { x: 19.8, y: 17.2 };
+
+  test('pulls an integer corner estimate to the sub-pixel position', () => {
+    const start = [{ x: 21, y: 16 }, { x: 19, y: 18 }];
+    const refined = CornerSubPix.refine(gray, size, size, start, { win: 5, maxIter: 30, eps: 0.001 });
+    for (const p of refined) {
+      expect(Math.abs(p.x - truth.x)).toBeLessThan(0.1);
+      expect(Math.abs(p.y - truth.y)).toBeLessThan(0.1);
+    }
+    expect(start[0]).toEqual({ x: 21, y: 16 }); // inputs untouched
+  });
+
+  test('keeps corners that have nothing to lock on to', () => {
+    const flat = new Uint8ClampedArray(size * size).fill(128);
+    expect(CornerSubPix.refine(flat, size, size, [{ x: 30.2, y: 30.7 }])).toEqual([{ x: 30.2, y: 30.7 }]);
+    // Never further than the half window from the start
+    const [p] = CornerSubPix.refine(gray, size, size, [{ x: 26, y: 12 }], { win: 3 });
+    expect(Math.abs(p.x - 26)).toBeLessThanOrEqual(3);
+    expect(Math.abs(p.y - 12)).toBeLessThanOrEqual(3);
+  });
+});
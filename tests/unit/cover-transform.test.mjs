@@ -0,0 +1,65 @@
+/** @jest-environment jsdom */
+import * as THREE from 'three';
+global.THREE = THREE;
+import { RestorationEngine } from '../../marker-app/utils/restoration-engine.js';
+
+describe('cover crop between the overlay and the screen', () => {
+  beforeEach(() => { document.body.innerHTML = ''; });
+
+  // Overlay of w×h video pixels shown object-fit: cover in a cw×ch container at (left, top)
+  const setup = (w, h, cw, ch, left = 0, top = 0) => {
+    const container = document.createElement('div');
+    container.id = 'three-container';
+    Object.defineProperty(container, 'clientWidth', { value: cw });
+    Object.defineProperty(container, 'clientHeight', { value: ch });
+    container.getBoundingClientRect = () => ({ left, top, width: cw, height: ch });
+    document.body.appendChild(container);
+    const engine = new RestorationEngine();
+    engine.overlay = { width: w, height: h };
+    return engine;
+  };
+
+  test('landscape video in a portrait screen crops the sides', () => {
+    const t = setup(1280, 720, 360, 640)._coverTransform();
+    expect(t.scale).toBeCloseTo(640 / 720, 12);
+    expect(t.offsetY).toBeCloseTo(0, 12);
+    expect(t.offsetX).toBeCloseTo((360 - 1280 * 640 / 720) / 2, 12);
+    expect(t.visibleRect.x).toBeCloseTo(437.5, 9);
+    expect(t.visibleRect.y).toBeCloseTo(0, 9);
+    expect(t.visibleRect.width).toBeCloseTo(405, 9);
+    expect(t.visibleRect.height).toBeCloseTo(720, 9);
+  });
+
+  test('portrait video in a landscape screen crops top and bottom', () => {
+    const t = setup(720, 1280, 800, 450)._coverTransform();
+    expect(t.scale).toBeCloseTo(800 / 720, 12);
+    expect(t.offsetX).toBeCloseTo(0, 12);
+    expect(t.visibleRect.x).toBeCloseTo(0, 9);
+    expect(t.visibleRect.y).toBeCloseTo(437.5, 9);
+    expect(t.visibleRect.width).toBeCloseTo(720, 9);
+    expect(t.visibleRect.height).toBeCloseTo(405, 9);
+  });
+
+  test('a client point maps to the overlay pixel drawn under it and back', () => {
+    const engine = setup(1280, 720, 360, 640, 12, 48);
+    const t = engine._coverTransform();
+    for (const [x, y] of [[640, 360], [437.5, 0], [842.5, 720], [700.25, 101.5]]) {
+      const clientX = 12 + t.offsetX + x * t.scale, clientY = 48 + t.offsetY + y * t.scale;
+      const [ox, oy] = engine.clientToOverlay(clientX, clientY);
+      expect(ox).toBeCloseTo(x, 9);
+      expect(oy).toBeCloseTo(y, 9);
+    }
+    // The screen centre is the overlay centre; the screen corners are the visible corners
+    expect(engine.clientToOverlay(12 + 180, 48 + 320)).toEqual([640, 360].map(v => expect.closeTo(v, 9)));
+    const [left, top] = engine.clientToOverlay(12, 48);
+    expect(left).toBeCloseTo(t.visibleRect.x, 9);
+    expect(top).toBeCloseTo(t.visibleRect.y, 9);
+  });
+
+  test('without a container the overlay is its own screen', () => {
+    const engine = new RestorationEngine();
+    engine.overlay = { width: 640, height: 480 };
+    expect(engine._coverTransform()).toMatchObject({ scale: 1, offsetX: 0, offsetY: 0, containerWidth: 640, containerHeight: 480 });
+    expect(engine.clientToOverlay(100, 50)).toEqual([100, 50]);
+  });
+});
@@ -0,0 +1,44 @@
+/** @jest-environment jsdom */
+const vm = require('vm');
+const { loadWorker } = require('./helpers/workers.js');
+const { renderMarkerGray } = require('./helpers/fixtures.js');
+
+describe('decode margin weight', () => {
+  const worker = loadWorker('aruco-worker.js');
+  const weight = vm.runInContext('decodeMarginWeight', worker);
+  const confidence = vm.runInContext('computePoseConfidence', worker);
+
+  const read = (dictionaryName, id, flips = []) => {
+    const code = new worker.AR.Dictionary(dictionaryName).codeList[id];
+    const bits = code.split('').map((b, i) => (flips.includes(i) ? String(1 - b) : b)).join('');
+    const { size, gray } = renderMarkerGray(bits);
+    const [m] = worker.FrameLuma.detectAruco(new worker.AR.Detector({ dictionaryName }), gray, size, size);
+    return m;
+  };
+
+  test('clean reads are not penalised, whatever the code\'s distance to its neighbours', () => {
+    for (const m of [read('ARUCO', 1), read('ARUCO', 3), read('ARUCO', 17), read('ARUCO_4X4_1000', 7)]) {
+      expect(m.hammingDistance).toBe(0);
+      expect(weight(m.hammingMargin, m.cleanMargin)).toBe(1);
+    }
+    // ID 1 sits two bits from another code: same confidence as a marker with no margin at all
+    const m = read('ARUCO', 1);
+    expect(m.cleanMargin).toBe(2);
+    const pose = { source: 'ippe', poseError: 1, corners: m.corners, cameraAngleDeg: 10 };
+    expect(confidence({ ...pose, hammingMargin: m.hammingMargin, cleanMargin: m.cleanMargin })).toBe(confidence(pose));
+  });
+
+  test('bit errors that eat into the margin lower the weight', () => {
+    const m = read('ARUCO', 17, [12]);
+    expect(m.hammingDistance).toBe(1);
+    expect(m.hammingMargin).toBeLessThan(m.cleanMargin);
+    expect(weight(m.hammingMargin, m.cleanMargin)).toBeLessThan(1);
+    // Against a clean margin of 2: one bit left → 0.575, a tie → 0.15
+    expect(weight(1, 2)).toBeCloseTo(0.575, 9);
+    expect(weight(0, 2)).toBeCloseTo(0.15, 9);
+    // Margins past 3 bits are all safe; without a clean margin the old 3-bit scale applies
+    expect(weight(3, 5)).toBe(1);
+    expect(weight(2)).toBeCloseTo(0.15 + 0.85 * 2 / 3, 9);
+    expect(weight(undefined)).toBe(1);
+  });
+});
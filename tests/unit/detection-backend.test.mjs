@@ -0,0 +1,70 @@
+/** @jest-environment jsdom */
+import * as THREE from 'three';
+global.THREE = THREE;
+import { RestorationEngine } from '../../marker-app/utils/restoration-engine.js';
+import { resolveDetectionBackend, unsupportedFeatures } from '../../marker-app/utils/detection-backends.js';
+import { FakeWorker } from './helpers/fixtures.js';
+
+const spawned = FakeWorker.spawned;
+
+const caps = (extra = {}) => Object.assign({ dictionaries: ['ARUCO'], roi: false, multiScale: false, customDictionaries: false }, extra);
+
+describe('detection backend switching', () => {
+  beforeEach(() => { spawned.length = 0; global.Worker = FakeWorker; });
+  afterEach(() => { delete global.Worker; });
+
+  test('backend names and unsupported features', () => {
+    expect(resolveDetectionBackend('OpenCV')).toBe('opencv');
+    expect(resolveDetectionBackend('js-aruco2')).toBe('jsaruco');
+    expect(resolveDetectionBackend('tflite')).toBeNull();
+    expect(unsupportedFeatures(caps(), { roi: true, multiScale: false, preprocess: true })).toEqual(['roi']);
+  });
+
+  test('new workers replay the settings and take over only once ready', () => {
+    const engine = new RestorationEngine();
+    engine.onLog = () => {};
+    engine.setDetectionWorkers(1);
+    engine._initWorker();
+    const [old] = spawned;
+    expect(old.url).toBe('workers/aruco-worker.js');
+    old.emit({ type: 'ready', backend: 'jsaruco', capabilities: caps({ roi: true }) });
+    engine.setPoseSolver('ippe');
+    const oldPool = engine.worker;
+
+    expect(engine.setDetectionBackend('opencv')).toBe(true);
+    const next = spawned[1];
+    expect(next.url).toBe('workers/opencv-worker.js');
+    expect(next.sent).toEqual(old.sent);
+    // Still detecting with js-aruco2 while OpenCV loads
+    expect(engine.worker).toBe(oldPool);
+    expect(engine.getDetectionBackend()).toMatchObject({ name: 'jsaruco', pending: 'opencv' });
+
+    next.emit({ type: 'ready', backend: 'opencv', capabilities: caps() });
+    expect(old.terminated).toBe(true);
+    expect(engine.worker).not.toBe(oldPool);
+    expect(engine.getDetectionBackend()).toMatchObject({ name: 'opencv', pending: null, capabilities: caps() });
+
+    // Later settings reach the new workers
+    engine.setPoseSolver('posit');
+    expect(next.sent[next.sent.length - 1]).toMatchObject({ type: 'config', poseSolver: 'posit' });
+  });
+
+  test('a backend that fails to load leaves the current one running', () => {
+    const engine = new RestorationEngine();
+    const logs = [];
+    engine.onLog = (m, type) => logs.push(type);
+    engine.setDetectionWorkers(1);
+    engine._initWorker();
+    const [old] = spawned;
+    old.emit({ type: 'ready', backend: 'jsaruco', capabilities: caps() });
+    const pool = engine.worker;
+
+    engine.setDetectionBackend('opencv');
+    spawned[1].emit({ type: 'error', error: 'Impossibile caricare OpenCV', fatal: true });
+    expect(spawned[1].terminated).toBe(true);
+    expect(old.terminated).toBe(false);
+    expect(engine.worker).toBe(pool);
+    expect(engine.getDetectionBackend()).toMatchObject({ name: 'jsaruco', pending: null });
+    expect(logs).toContain('error');
+  });
+});
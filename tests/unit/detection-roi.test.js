@@ -0,0 +1,78 @@
+/** @jest-environment jsdom */
+
+require('../../marker-app/utils/detection-roi.js');
+
+const square = (x, y, s) => [{ x, y }, { x: x + s, y }, { x: x + s, y: y + s }, { x, y: y + s }];
+
+describe('DetectionRoi', () => {
+  const { RoiPredictor, mergeRects, tileGrid, mergeById } = window.DetectionRoi;
+
+  test('full scan until something is tracked, then crops around the prediction', () => {
+    const p = new RoiPredictor({ fullScanInterval: 5 });
+    expect(p.plan(0, 1920, 1080)).toMatchObject({ fullScan: true, reason: 'no-tracks' });
+    p.update([{ id: 3, corners: square(100, 200, 40) }], 0, { fullScan: true });
+    p.update([{ id: 3, corners: square(110, 200, 40) }], 33, { fullScan: false, expectedIds: [3] });
+
+    const plan = p.plan(66, 1920, 1080);
+    expect(plan.fullScan).toBe(false);
+    expect(plan.rois).toHaveLength(1);
+    const r = plan.rois[0];
+    // marker moved +10 px/frame: the crop is centred on the extrapolated x≈140
+    expect(r.x + r.width / 2).toBeCloseTo(140, 0);
+    expect(r.x).toBeLessThan(120);
+    expect(r.x + r.width).toBeGreaterThan(160);
+    expect(r.ids).toEqual([3]);
+  });
+
+  test('periodic and loss-triggered full scans', () => {
+    const p = new RoiPredictor({ fullScanInterval: 3 });
+    p.update([{ id: 1, corners: square(500, 500, 60) }], 0, { fullScan: true });
+    p.update([{ id: 1, corners: square(500, 500, 60) }], 30, { expectedIds: [1] });
+    p.update([{ id: 1, corners: square(500, 500, 60) }], 60, { expectedIds: [1] });
+    expect(p.plan(90, 1280, 720)).toMatchObject({ fullScan: true, reason: 'interval' });
+
+    p.update([{ id: 1, corners: square(500, 500, 60) }], 90, { fullScan: true });
+    expect(p.plan(120, 1280, 720).fullScan).toBe(false);
+    p.update([], 120, { expectedIds: [1] });
+    expect(p.plan(150, 1280, 720)).toMatchObject({ fullScan: true, reason: 'lost' });
+
+    // a full scan that misses the marker forgets it
+    p.update([], 150, { fullScan: true });
+    expect(p.trackedIds).toEqual([]);
+  });
+
+  test('nearby crops merge and huge coverage falls back to a full scan', () => {
+    expect(mergeRects([
+      { x: 0, y: 0, width: 50, height: 50, ids: [1] },
+      { x: 52, y: 0, width: 50, height: 50, ids: [2] },
+      { x: 400, y: 400, width: 10, height: 10, ids: [3] }
+    ], 4)).toEqual([
+      { x: 0, y: 0, width: 102, height: 50, ids: [1, 2] },
+      { x: 400, y: 400, width: 10, height: 10, ids: [3] }
+    ]);
+
+    const p = new RoiPredictor();
+    p.update([{ id: 1, corners: square(100, 100, 400) }], 0, { fullScan: true });
+    expect(p.plan(30, 640, 480)).toMatchObject({ fullScan: true, reason: 'roi-large' });
+  });
+
+  test('tiles cover the frame with overlap, the last one flush with the edge', () => {
+    const tiles = tileGrid(1920, 1080, 640, 0.25);
+    const xs = [...new Set(tiles.map(t => t.x))];
+    const ys = [...new Set(tiles.map(t => t.y))];
+    expect(xs).toEqual([0, 480, 960, 1280]);
+    expect(ys).toEqual([0, 440]);
+    expect(tiles).toHaveLength(8);
+    expect(tiles.every(t => t.width === 640 && t.height === 640)).toBe(true);
+    // a frame smaller than one tile is a single clipped tile
+    expect(tileGrid(320, 240, 640)).toEqual([{ x: 0, y: 0, width: 320, height: 240, ids: [] }]);
+  });
+
+  test('mergeById keeps one hit per id, preferring earlier passes and then larger quads', () => {
+    const tilesPass = [{ id: 1, corners: square(10, 10, 20) }, { id: 1, corners: square(12, 10, 18) }];
+    const coarsePass = [{ id: 1, corners: square(8, 8, 24) }, { id: 2, corners: square(300, 300, 50) }];
+    const merged = mergeById([tilesPass, coarsePass]);
+    expect(merged.map(m => m.id).sort()).toEqual([1, 2]);
+    expect(merged.find(m => m.id === 1)).toBe(tilesPass[0]);
+  });
+});
@@ -0,0 +1,47 @@
+/** @jest-environment node */
+
+import { FocalEstimator } from '../../marker-app/utils/focal-estimator.js';
+
+// Layout: ids on a 0.14 × 0.10 grid, table tilted away from the camera
+const layout = { 1: [-0.14, 0.10], 7: [0, 0.10], 2: [0.14, 0.10], 3: [-0.14, -0.10], 8: [0, -0.10], 4: [0.14, -0.10] };
+const dist = (a, b) => (layout[a] && layout[b]) ? Math.hypot(layout[a][0] - layout[b][0], layout[a][1] - layout[b][1]) : null;
+
+// Deterministic noise so the convergence test is stable
+let seed = 12345;
+const rand = () => { seed = (seed * 1103515245 + 12345) % 2147483648; return seed / 2147483648; };
+
+// What a pinhole solver run with focal f0 reports when the true focal is fTrue
+function observe(fTrue, f0, tilt, noise = 0) {
+  return Object.keys(layout).map(id => {
+    const [x, y] = layout[id];
+    const X = x, Y = y * Math.cos(tilt), Z = 0.45 + y * Math.sin(tilt);
+    const jitter = () => 1 + (rand() - 0.5) * noise;
+    return { id: Number(id), tvec: [X * jitter(), Y * jitter(), Z * f0 / fTrue * jitter()], poseError: 0.02 };
+  });
+}
+
+describe('FocalEstimator', () => {
+  test('recovers the true focal from an oblique multi-marker view', () => {
+    const est = new FocalEstimator({ minSamples: 10 });
+    for (let i = 0; i < 10; i++) est.addObservation(observe(1000, 850, 0.9), dist, 850);
+    const st = est.getState();
+    expect(st.estimate).toBeCloseTo(1000, 0);
+    expect(st.converged).toBe(true);
+  });
+
+  test('ignores fronto-parallel views (no depth lever arm)', () => {
+    const est = new FocalEstimator();
+    expect(est.addObservation(observe(1000, 850, 0), dist, 850)).toBe(0);
+    expect(est.getState().estimate).toBeNull();
+  });
+
+  test('noisy observations converge only with enough samples', () => {
+    const est = new FocalEstimator({ minSamples: 40, convergedSpread: 0.03 });
+    est.addObservation(observe(1000, 1100, 0.8, 0.01), dist, 1100);
+    expect(est.getState().converged).toBe(false);
+    for (let i = 0; i < 20; i++) est.addObservation(observe(1000, 1100, 0.8, 0.01), dist, 1100);
+    const st = est.getState();
+    expect(Math.abs(st.estimate - 1000) / 1000).toBeLessThan(0.03);
+    expect(st.converged).toBe(true);
+  });
+});
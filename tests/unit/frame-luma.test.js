@@ -0,0 +1,164 @@
+/** @jest-environment jsdom */
+
+require('../../marker-app/vendor/js-aruco2.js');
+require('../../marker-app/utils/frame-luma.js');
+const { renderMarkerRGBA } = require('./helpers/fixtures.js');
+
+// Marker on a white page as RGBA (same layout as the dictionary tests)
+const renderMarker = (bits) => renderMarkerRGBA(bits, { dark: 40 });
+
+// VideoFrame stand-in: planes laid out as copyTo() reports them
+function fakeFrame(format, width, height, planes, colorSpace = { fullRange: true }) {
+  const total = planes.reduce((n, p) => Math.max(n, p.offset + p.bytes.length), 0);
+  return {
+    format, colorSpace, displayWidth: width, displayHeight: height,
+    visibleRect: { x: 0, y: 0, width, height },
+    allocationSize: () => total,
+    copyTo: async (buf) => {
+      for (const p of planes) buf.set(p.bytes, p.offset);
+      return planes.map(p => ({ offset: p.offset, stride: p.stride }));
+    }
+  };
+}
+
+describe('FrameLuma', () => {
+  const { AR, CV, FrameLuma } = window;
+
+  test('ArUco on a precomputed grey plane matches Detector.detect on RGBA', () => {
+    const img = renderMarker(new AR.Dictionary('ARUCO').codeList[17]);
+    const gray = FrameLuma.fromRGBA(img.data, img.width, img.height);
+    const ref = CV.grayscale(img, new CV.Image(0, 0, new Uint8ClampedArray(img.width * img.height)));
+    expect(Array.from(gray)).toEqual(Array.from(ref.data));
+
+    const expected = new AR.Detector({ dictionaryName: 'ARUCO' }).detect(img);
+    const found = FrameLuma.detectAruco(new AR.Detector({ dictionaryName: 'ARUCO' }), gray, img.width, img.height);
+    expect(found.map(m => m.id)).toEqual([17]);
+    expect(found[0].corners).toEqual(expected[0].corners);
+  });
+
+  test('reports why a quad did not become a marker', () => {
+    const code = new AR.Dictionary('ARUCO').codeList[17];
+    const detect = (img, rejected) => {
+      const gray = FrameLuma.fromRGBA(img.data, img.width, img.height);
+      return FrameLuma.detectAruco(new AR.Detector({ dictionaryName: 'ARUCO' }), gray, img.width, img.height, rejected);
+    };
+
+    // Same markers with or without reporting
+    const clean = renderMarker(code), rejected = [];
+    expect(detect(clean, rejected).map(m => m.id)).toEqual(detect(clean, null).map(m => m.id));
+
+    // Three bit errors (one per row) exceed ARUCO's tolerance of two: nearest code is still 17
+    const damaged = code.split('').map((b, i) => ([0, 6, 12].includes(i) ? String(1 - b) : b)).join('');
+    const misses = [];
+    expect(detect(renderMarker(damaged), misses)).toEqual([]);
+    expect(misses[0]).toMatchObject({ reason: 'hamming', id: 17, hamming: 3, maxHamming: 2 });
+    expect(misses[0].corners).toHaveLength(4);
+
+    // A white cell in the black border fails before any bits are read
+    const broken = renderMarker(code), size = broken.width, borderMisses = [];
+    for (let y = 36; y < 48; y++) broken.data.fill(255, (y * size + 60) * 4, (y * size + 72) * 4);
+    expect(detect(broken, borderMisses)).toEqual([]);
+    expect(borderMisses.map(r => r.reason)).toContain('decode-failed');
+    expect(borderMisses.some(r => r.reason === 'hamming')).toBe(false);
+  });
+
+  test('markers carry their bit errors and the margin to the next code', () => {
+    const dict = new AR.Dictionary('ARUCO');
+    const code = dict.codeList[17];
+    const detect = (bits) => {
+      const img = renderMarker(bits);
+      const gray = FrameLuma.fromRGBA(img.data, img.width, img.height);
+      return FrameLuma.detectAruco(new AR.Detector({ dictionaryName: 'ARUCO' }), gray, img.width, img.height);
+    };
+
+    const [clean] = detect(code);
+    expect(clean).toMatchObject({ id: 17, hammingDistance: 0 });
+    expect(clean.hammingMargin).toBeGreaterThanOrEqual(3);
+
+    // One flipped bit is still decoded as 17, one bit closer to its neighbours
+    const [flipped] = detect(code.split('').map((b, i) => (i === 12 ? String(1 - b) : b)).join(''));
+    expect(flipped).toMatchObject({ id: 17, hammingDistance: 1 });
+    expect(flipped.hammingMargin).toBeLessThan(clean.hammingMargin);
+    expect(flipped.cleanMargin).toBe(clean.hammingMargin);
+  });
+
+  test('the bounded runner-up scan matches a full scan', () => {
+    const dict = new AR.Dictionary('ARUCO');
+    const rotate = (s) => { // a bit string turned like Detector#rotate
+      const n = Math.sqrt(s.length);
+      return Array.from({ length: s.length }, (_, k) => s[(n - (k % n) - 1) * n + Math.floor(k / n)]).join('');
+    };
+    const fullMargin = (bits, id, hamming) => {
+      let next = Infinity;
+      for (let r = 0, val = bits; r < 4; r++, val = rotate(val)) {
+        dict.codeList.forEach((code, k) => { if (k !== id) next = Math.min(next, dict._hammingDistance(val, code)); });
+      }
+      return next - hamming;
+    };
+    const flip = (code, at) => code.split('').map((b, i) => (at.includes(i) ? String(1 - b) : b)).join('');
+
+    // IDs 1 and 3 sit two bits from a neighbour even when read cleanly
+    const clean = {};
+    for (const [id, errors] of [[1, []], [3, []], [17, []], [17, [12]], [17, [0, 24]], [300, [7]]]) {
+      const bits = flip(dict.codeList[id], errors);
+      const img = renderMarker(bits);
+      const gray = FrameLuma.fromRGBA(img.data, img.width, img.height);
+      const [m] = FrameLuma.detectAruco(new AR.Detector({ dictionaryName: 'ARUCO' }), gray, img.width, img.height);
+      expect(m).toMatchObject({ id, hammingDistance: errors.length });
+      expect(m.hammingMargin).toBe(fullMargin(bits, id, errors.length));
+      expect(m.cleanMargin).toBe(fullMargin(dict.codeList[id], id, 0));
+      if (!errors.length) expect(m.hammingMargin).toBe(m.cleanMargin);
+      clean[id] = m.cleanMargin;
+    }
+    expect(clean).toMatchObject({ 1: 2, 3: 2 });
+    expect(clean[17]).toBeGreaterThanOrEqual(3);
+  });
+
+  test('resample copies or area-averages a rect of the plane', () => {
+    // 4×4 plane, values = index
+    const src = Uint8ClampedArray.from({ length: 16 }, (_, i) => i * 10);
+    expect(Array.from(FrameLuma.resample(src, 4, { x: 1, y: 2, width: 2, height: 2 }, 2, 2))).toEqual([90, 100, 130, 140]);
+    // 2×2 box averages of the whole plane
+    expect(Array.from(FrameLuma.resample(src, 4, { x: 0, y: 0, width: 4, height: 4 }, 2, 2))).toEqual([25, 45, 105, 125]);
+  });
+
+  test('reads the Y plane of planar frames and converts BGRA once', async () => {
+    // 3×2 I420 with a padded stride of 4; chroma planes follow
+    const y = Uint8Array.from([10, 20, 30, 0, 40, 50, 60, 0]);
+    const i420 = fakeFrame('I420', 3, 2, [
+      { offset: 0, stride: 4, bytes: y },
+      { offset: 8, stride: 2, bytes: new Uint8Array(2) },
+      { offset: 10, stride: 2, bytes: new Uint8Array(2) }
+    ]);
+    const luma = await FrameLuma.fromVideoFrame(i420);
+    expect(luma).toMatchObject({ width: 3, height: 2 });
+    expect(Array.from(luma.data)).toEqual([10, 20, 30, 40, 50, 60]);
+
+    const bgra = fakeFrame('BGRA', 1, 1, [{ offset: 0, stride: 4, bytes: Uint8Array.from([0, 0, 255, 255]) }]);
+    expect(Array.from((await FrameLuma.fromVideoFrame(bgra)).data)).toEqual([76]); // pure red
+
+    expect(await FrameLuma.fromVideoFrame({ format: null })).toBeNull();
+  });
+
+  test('limited-range I420 reads like its RGBA twin', async () => {
+    const img = renderMarker(new AR.Dictionary('ARUCO').codeList[17]);
+    const ref = FrameLuma.fromRGBA(img.data, img.width, img.height);
+    // Camera Y: the same luma squeezed into 16–235, no colorSpace.fullRange
+    const y = Uint8Array.from(ref, v => Math.round(16 + v * 219 / 255));
+    const chroma = new Uint8Array((img.width / 2) * (img.height / 2)).fill(128);
+    const planes = [
+      { offset: 0, stride: img.width, bytes: y },
+      { offset: y.length, stride: img.width / 2, bytes: chroma },
+      { offset: y.length + chroma.length, stride: img.width / 2, bytes: chroma }
+    ];
+    const luma = await FrameLuma.fromVideoFrame(fakeFrame('I420', img.width, img.height, planes, { fullRange: false }));
+    expect(Math.max(...luma.data.map((v, i) => Math.abs(v - ref[i])))).toBeLessThanOrEqual(1);
+    expect(luma.data[0]).toBe(255); // page white, not 235
+    expect(Math.min(...luma.data)).toBe(40);
+
+    const detect = (gray) => FrameLuma.detectAruco(new AR.Detector({ dictionaryName: 'ARUCO' }), gray, img.width, img.height);
+    const [fromI420] = detect(luma.data), [fromRGBA] = detect(ref);
+    expect(fromI420.id).toBe(17);
+    expect(fromI420.corners).toEqual(fromRGBA.corners);
+  });
+});
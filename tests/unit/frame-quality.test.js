@@ -0,0 +1,48 @@
+/** @jest-environment jsdom */
+
+require('../../marker-app/vendor/js-aruco2.js');
+require('../../marker-app/utils/frame-quality.js');
+const { renderMarkerGray } = require('./helpers/fixtures.js');
+
+// Marker patch (grey levels dark / light) and a horizontal box blur of it (motion blur)
+const renderMarker = (bits, opts) => renderMarkerGray(bits, Object.assign({ cell: 10, margin: 10, dark: 30, light: 220 }, opts));
+
+function motionBlur(gray, size, length) {
+  const out = new Uint8ClampedArray(gray.length);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let s = 0, n = 0;
+      for (let k = -length; k <= length; k++) {
+        const xx = x + k;
+        if (xx >= 0 && xx < size) { s += gray[y * size + xx]; n++; }
+      }
+      out[y * size + x] = s / n;
+    }
+  }
+  return out;
+}
+
+describe('FrameQuality', () => {
+  const { AR, FrameQuality } = window;
+  const code = new AR.Dictionary('ARUCO').codeList[17];
+
+  test('motion blur lowers sharpness; brightness alone does not', () => {
+    const { size, gray } = renderMarker(code);
+    const sharp = FrameQuality.score(gray, size, size);
+    const blurred = FrameQuality.score(motionBlur(gray, size, 4), size, size);
+    expect(blurred.sharpness).toBeLessThan(sharp.sharpness * 0.35);
+
+    const dim = renderMarker(code, { dark: 10, light: 90 });
+    expect(FrameQuality.score(dim.gray, size, size).sharpness).toBeCloseTo(sharp.sharpness, 5);
+  });
+
+  test('exposure follows the black/white separation', () => {
+    const { size, gray } = renderMarker(code);
+    expect(FrameQuality.score(gray, size, size)).toMatchObject({ exposure: 1, clipped: 0 });
+    const washed = renderMarker(code, { dark: 215, light: 255 });
+    const score = FrameQuality.score(washed.gray, size, size);
+    expect(score.exposure).toBeLessThan(0.5);
+    expect(score.clipped).toBeGreaterThan(0.3);
+    expect(FrameQuality.score(new Uint8ClampedArray(4), 2, 2)).toBeNull();
+  });
+});
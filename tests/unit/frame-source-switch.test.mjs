@@ -0,0 +1,94 @@
+/** @jest-environment jsdom */
+import * as THREE from 'three';
+global.THREE = THREE;
+import { RestorationEngine } from '../../marker-app/utils/restoration-engine.js';
+
+const fakeStream = () => {
+  const track = { stop: jest.fn(), getSettings: () => ({}), getCapabilities: () => ({}) };
+  return { track, getTracks: () => [track], getVideoTracks: () => [track] };
+};
+
+// A video file / image sequence stand-in: always ready, 640×480
+const fileSource = () => ({
+  kind: 'file', width: 640, height: 480, element: {},
+  start: jest.fn(async () => {}), stop: jest.fn(), update: jest.fn(), isReady: () => true
+});
+
+describe('switching the frame source while running', () => {
+  let streams, mediaDevices;
+
+  beforeEach(() => {
+    streams = [];
+    mediaDevices = {
+      getUserMedia: jest.fn(async () => { const s = fakeStream(); streams.push(s); return s; }),
+      enumerateDevices: jest.fn(async () => []),
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn()
+    };
+    Object.defineProperty(navigator, 'mediaDevices', { value: mediaDevices, configurable: true });
+    global.requestAnimationFrame = jest.fn();
+    global.createImageBitmap = jest.fn(async () => ({ close() {} }));
+  });
+  afterEach(() => {
+    delete navigator.mediaDevices;
+    delete global.requestAnimationFrame;
+    delete global.createImageBitmap;
+  });
+
+  const runningEngine = () => {
+    const engine = new RestorationEngine();
+    engine.onLog = () => {};
+    engine.video = document.createElement('video');
+    Object.defineProperty(engine.video, 'videoWidth', { value: 640 });
+    Object.defineProperty(engine.video, 'videoHeight', { value: 480 });
+    engine.video.play = async () => {};
+    engine.renderer = { render: jest.fn() };
+    engine._stopped = false;
+    engine._onCameraStreamChanged = () => {};
+    return engine;
+  };
+
+  test('camera → camera releases the previous stream and devicechange listener', async () => {
+    const engine = runningEngine();
+    await engine.setFrameSource(null);
+    const first = engine._cameraSource;
+    await new Promise(r => setTimeout(r, 0)); // watchDevices lists the devices first
+    expect(mediaDevices.addEventListener).toHaveBeenCalledTimes(1);
+
+    await engine.setFrameSource({ kind: 'camera' });
+    expect(engine._cameraSource).not.toBe(first);
+    expect(streams).toHaveLength(2);
+    expect(streams[0].track.stop).toHaveBeenCalled();
+    expect(streams[1].track.stop).not.toHaveBeenCalled();
+    expect(mediaDevices.removeEventListener).toHaveBeenCalledWith('devicechange', mediaDevices.addEventListener.mock.calls[0][1]);
+    engine.stop();
+  });
+
+  test('_loop detects on a non-camera source after the camera is released', async () => {
+    const engine = runningEngine();
+    await engine.setFrameSource(null);
+    const source = fileSource();
+    await engine.setFrameSource(source);
+    expect(engine._cameraSource).toBeNull();
+    expect(streams[0].track.stop).toHaveBeenCalled();
+    expect(source.start).toHaveBeenCalled();
+
+    engine.overlay = { width: 640, height: 480 };
+    engine.overlayCtx = { drawImage: jest.fn() };
+    engine._debugOverlayEnabled = false;
+    const pool = { detectMs: null, reserve: jest.fn(() => 0), release: jest.fn(), submit: jest.fn(), postMessage() {} };
+    engine.worker = pool;
+    engine._lastDetectionTime = -Infinity;
+    engine._loop();
+    await new Promise(r => setTimeout(r, 0));
+
+    expect(source.update).toHaveBeenCalled();
+    expect(engine.overlayCtx.drawImage).toHaveBeenCalledWith(source.element, 0, 0, 640, 480);
+    expect(pool.submit).toHaveBeenCalledTimes(1);
+    const [slot, msg] = pool.submit.mock.calls[0];
+    expect(slot).toBe(0);
+    expect(msg).toMatchObject({ type: 'frame', overlayWidth: 640, overlayHeight: 480 });
+    expect(msg.bitmap).toBeDefined();
+    expect(engine.renderer.render).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+/** @jest-environment jsdom */
+
+import { SyntheticMarkerFrameSource, ImageSequenceFrameSource, lookAtPose } from '../../marker-app/utils/frame-sources.js';
+
+// jsdom has no 2D canvas: record the filled polygons instead
+function installFakeCanvas() {
+  const polys = [];
+  const ctx = {
+    fillStyle: '#000',
+    fillRect() {},
+    beginPath() { this._p = []; },
+    moveTo(x, y) { this._p.push([x, y]); },
+    lineTo(x, y) { this._p.push([x, y]); },
+    closePath() {},
+    fill() { polys.push({ color: this.fillStyle, pts: this._p }); }
+  };
+  HTMLCanvasElement.prototype.getContext = () => ctx;
+  return polys;
+}
+
+describe('frame sources', () => {
+  beforeEach(() => {
+    global.AR = {
+      Dictionary: class {
+        constructor() { this.markSize = 7; this.codeList = Array.from({ length: 10 }, () => '1'.repeat(25)); }
+      }
+    };
+  });
+
+  test('lookAtPose keeps world +X on the image right and +Z up', () => {
+    const { R, t } = lookAtPose([0, -0.5, 0.4], [0, 0, 0]);
+    const project = (p) => {
+      const c = R.map((r, i) => r[0] * p[0] + r[1] * p[1] + r[2] * p[2] + t[i]);
+      return [c[0] / c[2], c[1] / c[2]];
+    };
+    expect(project([0.1, 0, 0])[0]).toBeGreaterThan(0);
+    expect(project([0, 0, 0.1])[1]).toBeLessThan(0);
+    expect(project([0, 0, 0])[0]).toBeCloseTo(0, 10);
+  });
+
+  test('synthetic scene renders every layout marker un-mirrored', async () => {
+    const polys = installFakeCanvas();
+    const src = new SyntheticMarkerFrameSource({ width: 640, height: 480 });
+    await src.start();
+    expect(src.isReady()).toBe(true);
+    expect(src.intrinsics.cameraMatrix[2]).toBe(320);
+    // per marker: quiet zone + black square + 25 white cells
+    expect(polys.length).toBe(8 * 27);
+
+    const [tl, tr, br, bl] = src.groundTruthCorners(1);
+    expect(tr[0]).toBeGreaterThan(tl[0]);
+    expect(bl[1]).toBeGreaterThan(tl[1]);
+    // clockwise in image space (y down) → positive signed area
+    const area = [tl, tr, br, bl].reduce((s, p, i, a) => {
+      const q = a[(i + 1) % 4];
+      return s + p[0] * q[1] - q[0] * p[1];
+    }, 0);
+    expect(area).toBeGreaterThan(0);
+    // back-left marker appears left of and above front-right marker
+    const c1 = src.groundTruthCorners(1)[0], c4 = src.groundTruthCorners(4)[0];
+    expect(c1[0]).toBeLessThan(c4[0]);
+    expect(c1[1]).toBeLessThan(c4[1]);
+  });
+
+  test('image sequence advances with time and stops at the end without loop', async () => {
+    const frames = [{ width: 4, height: 3 }, { width: 4, height: 3 }, { width: 4, height: 3 }];
+    const seq = new ImageSequenceFrameSource({ images: frames, fps: 10, loop: false });
+    await seq.start();
+    seq.update(1000);
+    expect(seq.frameIndex).toBe(0);
+    seq.update(1150);
+    expect(seq.frameIndex).toBe(1);
+    seq.update(2000);
+    expect(seq.frameIndex).toBe(2);
+    expect(seq.finished).toBe(true);
+    expect(seq.width).toBe(4);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Shared unit-test fixtures: synthetic marker images and a Worker stand-in.
+ */
+
+/**
+ * Axis-aligned marker on a page as a luminance buffer: black border ring and '0' bits
+ * `dark`, '1' bits and the page `light`; bits are row-major.
+ * @returns {{ size: number, gray: Uint8ClampedArray }}
+ */
+export function renderMarkerGray(bits, { cell = 12, margin = 36, dark = 0, light = 255 } = {}) {
+  const side = Math.sqrt(bits.length);
+  const size = (side + 2) * cell + 2 * margin;
+  const gray = new Uint8ClampedArray(size * size).fill(light);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const cx = Math.floor((x - margin) / cell) - 1, cy = Math.floor((y - margin) / cell) - 1;
+      if (cx < -1 || cy < -1 || cx > side || cy > side) continue;
+      const inside = cx >= 0 && cy >= 0 && cx < side && cy < side;
+      if (!(inside && bits[cy * side + cx] === '1')) gray[y * size + x] = dark;
+    }
+  }
+  return { size, gray };
+}
+
+/** The same marker as opaque RGBA, shaped like ImageData. */
+export function renderMarkerRGBA(bits, opts) {
+  const { size, gray } = renderMarkerGray(bits, opts);
+  const data = new Uint8ClampedArray(size * size * 4);
+  for (let i = 0; i < gray.length; i++) {
+    data.fill(gray[i], i * 4, i * 4 + 3);
+    data[i * 4 + 3] = 255;
+  }
+  return { width: size, height: size, data };
+}
+
+/**
+ * Worker stand-in: records its script and messages, answers when the test says so.
+ * Every instance is kept in FakeWorker.spawned (empty it in beforeEach).
+ */
+export class FakeWorker {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.onmessage = null;
+    this.terminated = false;
+    FakeWorker.spawned.push(this);
+  }
+  postMessage(msg) { this.sent.push(msg); }
+  terminate() { this.terminated = true; }
+  emit(data) { this.onmessage({ data }); }
+  frames() { return this.sent.filter(m => m.type === 'frame'); }
+}
+FakeWorker.spawned = [];
@@ -0,0 +1,24 @@
+/**
+ * Worker-side marker poses for engine tests.
+ */
+import * as THREE from 'three';
+
+/**
+ * rvec/tvec a worker reports for marker `id` when the house sits at `house`
+ * ({ position, quaternion }): the inverse of the engine's _poseToThreeJs for `source`.
+ * POSIT: q' = (-x, -y, z, w), p' = (x, y, -z); IPPE (OpenCV frame): q' = (x, -y, -z, w), p' = (x, -y, -z).
+ */
+export function markerPose(engine, id, house, source = 'posit') {
+  const { rotationOffset, positionOffset } = engine._markerOffsetsForId(id);
+  const q = house.quaternion.clone().multiply(rotationOffset.clone().invert());
+  const p = house.position.clone().add(positionOffset.clone().applyQuaternion(house.quaternion));
+  const cv = source === 'ippe';
+  const qw = (cv ? new THREE.Quaternion(q.x, -q.y, -q.z, q.w) : new THREE.Quaternion(-q.x, -q.y, q.z, q.w)).normalize();
+  const angle = 2 * Math.acos(Math.min(1, Math.abs(qw.w)));
+  const s = Math.sign(qw.w) || 1;
+  const n = Math.hypot(qw.x, qw.y, qw.z) || 1;
+  return {
+    rvec: [qw.x / n * angle * s, qw.y / n * angle * s, qw.z / n * angle * s],
+    tvec: cv ? [p.x, -p.y, -p.z] : [p.x, p.y, -p.z]
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Worker scripts in a test: each one runs as a classic script in its own global scope, with
+ * importScripts() resolved against marker-app/workers.
+ */
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+const WORKERS = path.join(__dirname, '../../../marker-app/workers');
+
+/** @returns {object} the worker's global scope; reach its top-level functions with vm.runInContext */
+export function loadWorker(file) {
+  const context = { console, postMessage: () => {}, setTimeout, clearTimeout };
+  context.self = context;
+  context.importScripts = (...urls) => {
+    for (const url of urls) vm.runInContext(fs.readFileSync(path.join(WORKERS, url), 'utf8'), context, { filename: url });
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(WORKERS, file), 'utf8'), context, { filename: file });
+  return context;
+}
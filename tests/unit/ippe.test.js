@@ -0,0 +1,64 @@
+/** @jest-environment jsdom */
+
+require('../../marker-app/vendor/js-aruco2.js');
+require('../../marker-app/utils/ippe.js');
+
+function rotation(ax, ay, az) {
+  const cx = Math.cos(ax), sx = Math.sin(ax), cy = Math.cos(ay), sy = Math.sin(ay), cz = Math.cos(az), sz = Math.sin(az);
+  const mul = (A, B) => A.map(r => [0, 1, 2].map(j => r[0] * B[0][j] + r[1] * B[1][j] + r[2] * B[2][j]));
+  return mul([[cz, -sz, 0], [sz, cz, 0], [0, 0, 1]], mul([[cy, 0, sy], [0, 1, 0], [-sy, 0, cy]], [[1, 0, 0], [0, cx, -sx], [0, sx, cx]]));
+}
+
+// Normalised corners (y down) of a marker at R, t in the IPPE marker frame
+function project(R, t, length, noise = []) {
+  return window.IPPE.objectPoints(length).map(([X, Y], i) => {
+    const c = [0, 1, 2].map(k => R[k][0] * X + R[k][1] * Y + t[k]);
+    const n = noise[i] || [0, 0];
+    return { x: c[0] / c[2] + n[0], y: c[1] / c[2] + n[1] };
+  });
+}
+
+const maxDiff = (A, B) => Math.max(...A.flat().map((v, i) => Math.abs(v - B.flat()[i])));
+
+describe('IPPE', () => {
+  const { IPPE, POS } = window;
+
+  test('recovers the pose exactly and returns the mirrored solution second', () => {
+    const R = rotation(0.5, -0.3, 0.2), t = [0.03, -0.02, 0.5];
+    const [best, alt] = IPPE.solveSquare(project(R, t, 0.04), 0.04);
+    expect(maxDiff(best.R, R)).toBeLessThan(1e-9);
+    best.t.forEach((v, i) => expect(v).toBeCloseTo(t[i], 9));
+    expect(best.rms).toBeLessThan(1e-9);
+    expect(alt.rms).toBeGreaterThan(best.rms);
+    expect(maxDiff(alt.R, R)).toBeGreaterThan(0.1);
+
+    // facing the camera: identity rotation
+    const [frontal] = IPPE.solveSquare(project(rotation(0, 0, 0), [0, 0, 0.4], 0.04), 0.04);
+    expect(maxDiff(frontal.R, rotation(0, 0, 0))).toBeLessThan(1e-6);
+  });
+
+  test('Levenberg–Marquardt lowers the reprojection error on noisy corners', () => {
+    const R = rotation(-0.7, 0.4, 1.1), t = [-0.05, 0.04, 0.7];
+    const noise = [[2e-4, -1e-4], [-1.5e-4, 2e-4], [1e-4, 1e-4], [-2e-4, -1.5e-4]];
+    const img = project(R, t, 0.04, noise);
+    const raw = IPPE.solveSquare(img, 0.04, { refine: false })[0];
+    const refined = IPPE.solveSquare(img, 0.04)[0];
+    expect(refined.rms).toBeLessThan(raw.rms);
+    expect(maxDiff(refined.R, R)).toBeLessThan(0.05);
+  });
+
+  test('agrees with POSIT once both are mapped to the scene frame', () => {
+    // The engine maps POSIT (y up) through diag(1,1,-1) and OpenCV-style solvers (y down)
+    // through diag(1,-1,-1); the scene-space rotation and position must coincide
+    const f = 800, R = rotation(0.6, 0.25, -0.4), t = [0.02, 0.03, 0.45];
+    const img = project(R, t, 0.04);
+    const [ippe] = IPPE.solveSquare(img, 0.04);
+    const posit = new POS.Posit(0.04, f).pose(img.map(p => ({ x: p.x * f, y: -p.y * f })));
+
+    const conj = (M, d) => M.map((row, i) => row.map((v, j) => v * d[i] * d[j]));
+    expect(maxDiff(conj(posit.bestRotation, [1, 1, -1]), conj(ippe.R, [1, -1, -1]))).toBeLessThan(1e-3);
+    const pPosit = [posit.bestTranslation[0], posit.bestTranslation[1], -posit.bestTranslation[2]];
+    const pIppe = [ippe.t[0], -ippe.t[1], -ippe.t[2]];
+    pPosit.forEach((v, i) => expect(v).toBeCloseTo(pIppe[i], 3));
+  });
+});
@@ -0,0 +1,28 @@
+/** @jest-environment jsdom */
+
+require('../../marker-app/utils/lens-distortion.js');
+
+describe('LensDistortion', () => {
+  const K = [900, 0, 650, 0, 905, 355, 0, 0, 1];
+  const dist = [-0.12, 0.05, 0.001, -0.0008, 0.01];
+
+  test('undistortPoints inverts projectNormalized', () => {
+    const { projectNormalized, undistortPoints } = window.LensDistortion;
+    const normals = [[0, 0], [0.3, -0.2], [-0.55, 0.35], [0.6, 0.4]];
+    const pixels = normals.map(([x, y]) => projectNormalized(x, y, K, dist));
+    const back = undistortPoints(pixels, K, dist);
+    back.forEach((p, i) => {
+      expect(p.x).toBeCloseTo(normals[i][0], 5);
+      expect(p.y).toBeCloseTo(normals[i][1], 5);
+    });
+  });
+
+  test('zero coefficients only remove the principal point and focal', () => {
+    const { undistortPoints, hasDistortion } = window.LensDistortion;
+    expect(hasDistortion([0, 0, 0, 0, 0])).toBe(false);
+    expect(hasDistortion(undefined)).toBe(false);
+    const [p] = undistortPoints([{ x: 650 + 90, y: 355 - 181 }], K, []);
+    expect(p.x).toBeCloseTo(0.1, 10);
+    expect(p.y).toBeCloseTo(-0.2, 10);
+  });
+});
@@ -0,0 +1,48 @@
+/** @jest-environment jsdom */
+
+require('../../marker-app/vendor/js-aruco2.js');
+require('../../marker-app/utils/frame-luma.js');
+require('../../marker-app/utils/luma-preprocess.js');
+const { renderMarkerGray } = require('./helpers/fixtures.js');
+
+// Grey marker on a page: `dark` for black cells, `light` for white ones
+const renderMarker = (bits, opts) => renderMarkerGray(bits, Object.assign({ dark: 40 }, opts));
+
+describe('LumaPreprocess', () => {
+  const { AR, FrameLuma, LumaPreprocess } = window;
+  const code = new AR.Dictionary('ARUCO').codeList[17];
+  const detect = (gray, size) => FrameLuma.detectAruco(new AR.Detector({ dictionaryName: 'ARUCO' }), gray, size, size).map(m => m.id);
+
+  test('leaves a well exposed frame alone', () => {
+    const { size, gray } = renderMarker(code, { dark: 20, light: 235 });
+    const { data, params } = LumaPreprocess.process(gray, size, size);
+    expect(data).toBe(gray);
+    expect(params).toMatchObject({ glare: false, stretch: null, gamma: 1, clahe: 0 });
+  });
+
+  test('recovers a dark, flat frame the adaptive threshold cannot read', () => {
+    const { size, gray } = renderMarker(code, { dark: 14, light: 20 });
+    expect(detect(gray, size)).toEqual([]);
+    const { data, params } = LumaPreprocess.process(gray, size, size);
+    expect(params.stretch).toEqual([14, 20]);
+    expect(params.clahe).toBeGreaterThan(0);
+    expect(detect(data, size)).toEqual([17]);
+    // Forced settings win over the automatic choice
+    expect(LumaPreprocess.process(gray, size, size, { stretch: false, gamma: 0.5, clahe: 0 }).params)
+      .toMatchObject({ stretch: null, gamma: 0.5, clahe: 0 });
+  });
+
+  test('fills small highlights from their surroundings but not a saturated page', () => {
+    const { size, gray } = renderMarker(code, { dark: 30, light: 255 });
+    // 4×4 highlight on the black border (top-left border cell)
+    const hx = 36 + 4, hy = 36 + 4;
+    for (let y = hy; y < hy + 4; y++) gray.fill(255, y * size + hx, y * size + hx + 4);
+    const { data, params } = LumaPreprocess.process(gray, size, size, { stretch: false, clahe: 0 });
+    expect(params.glare).toBe(true);
+    expect(params.glarePixels).toBeGreaterThan(16);
+    expect(data[(hy + 1) * size + hx + 1]).toBeLessThan(80);
+    // The page itself is one large saturated area: untouched
+    expect(data[2 * size + 2]).toBe(255);
+    expect(gray[(hy + 1) * size + hx + 1]).toBe(255); // input untouched
+  });
+});
@@ -0,0 +1,81 @@
+/** @jest-environment jsdom */
+import * as THREE from 'three';
+global.THREE = THREE;
+import { RestorationEngine } from '../../marker-app/utils/restoration-engine.js';
+
+const quad = (x, y, s) => [[x, y], [x + s, y], [x + s, y + s], [x, y + s]];
+
+describe('printed marker ID → layout slot', () => {
+  beforeEach(() => { localStorage.clear(); document.body.innerHTML = ''; });
+
+  const makeEngine = () => {
+    const engine = new RestorationEngine();
+    engine.onLog = () => {};
+    return engine;
+  };
+
+  test('swapped and reprinted IDs move to their slots, displaced IDs drop out', () => {
+    const engine = makeEngine();
+    expect(engine._slotForMarkerId(3)).toBe(3);
+
+    engine.setMarkerIdMap({ 3: 1, 1: 3, 12: 7 });
+    expect(engine._slotForMarkerId(3)).toBe(1);
+    expect(engine._slotForMarkerId(1)).toBe(3);
+    expect(engine._slotForMarkerId(12)).toBe(7);
+    expect(engine._slotForMarkerId(7)).toBeNull();   // slot 7 now belongs to 12
+    expect(engine._markerIdForSlot(7)).toBe(12);
+    expect(engine._markerIdForSlot(5)).toBe(5);
+
+    // Worker-side data follows the printed IDs
+    const identity = makeEngine()._boardLayout();
+    const layout = engine._boardLayout();
+    expect(layout[12]).toEqual(identity[7]);
+    expect(layout[3]).toEqual(identity[1]);
+    expect(layout[7]).toBeUndefined();
+    engine.setMarkerSizesMM({ 7: 120 });
+    expect(engine._markerLengthsM()).toEqual({ 12: 0.12 });
+
+    // A slot claimed twice keeps its first ID
+    engine.setMarkerIdMap({ 4: 2, 9: 2 });
+    expect(engine.getMarkerIdMap()).toEqual({ 4: 2 });
+
+    // The old swap flag is now a map entry
+    engine.clearMarkerIdMap();
+    engine.setSwapLeftRight(true);
+    expect(engine.getMarkerIdMap()).toEqual({ 2: 3, 3: 2 });
+    engine.setSwapLeftRight(false);
+    expect(engine.getMarkerIdMap()).toEqual({});
+  });
+
+  test('tap the marker seen at a slot to assign it, and the map is persisted', async () => {
+    const container = document.createElement('div');
+    container.id = 'three-container';
+    document.body.appendChild(container);
+    const engine = makeEngine();
+    engine.clientToOverlay = (x, y) => [x, y];
+    engine._lastRawMarkers = [{ id: 12, corners: quad(100, 100, 40) }, { id: 5, corners: quad(300, 100, 40) }];
+
+    const done = engine.startSlotAssignment(1);
+    expect(engine._slotAssignment.slot).toBe(1);
+    container.dispatchEvent(new MouseEvent('pointerdown', { clientX: 20, clientY: 20 })); // misses
+    expect(engine._slotAssignment).not.toBeNull();
+    container.dispatchEvent(new MouseEvent('pointerdown', { clientX: 120, clientY: 130 }));
+    await expect(done).resolves.toBe(12);
+    expect(engine._slotAssignment).toBeNull();
+    expect(engine._slotForMarkerId(12)).toBe(1);
+    expect(engine._slotForMarkerId(1)).toBeNull();
+
+    // Reassigning the slot releases the previous ID
+    engine.startSlotAssignment(1);
+    expect(engine.assignSlotAt(310, 110)).toBe(5);
+    expect(engine.getMarkerIdMap()).toEqual({ 5: 1 });
+
+    const reloaded = makeEngine();
+    reloaded._loadMarkerIdMapFromStorage();
+    expect(reloaded.getMarkerIdMap()).toEqual({ 5: 1 });
+
+    const cancelled = engine.startSlotAssignment(2);
+    engine.cancelSlotAssignment();
+    await expect(cancelled).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+/** @jest-environment jsdom */
+import * as THREE from 'three';
+global.THREE = THREE;
+import { RestorationEngine } from '../../marker-app/utils/restoration-engine.js';
+import { FakeWorker } from './helpers/fixtures.js';
+
+const spawned = FakeWorker.spawned;
+
+const side = (corners) => Math.hypot(corners[1][0] - corners[0][0], corners[1][1] - corners[0][1], corners[1][2] - corners[0][2]);
+
+describe('per-ID marker sizes', () => {
+  beforeEach(() => { spawned.length = 0; global.Worker = FakeWorker; });
+  afterEach(() => { delete global.Worker; });
+
+  test('sizes reach the workers, the board layout and the perimeter threshold', () => {
+    const engine = new RestorationEngine();
+    engine.onLog = () => {};
+    engine.setDetectionWorkers(1);
+    engine._initWorker();
+    const [worker] = spawned;
+
+    engine.markerSizeMM = 40;
+    engine.setMinMarkerPerimeter(40);
+    engine.setMarkerSizesMM({ 1: 120, 2: 120, 7: 0 });
+    expect(engine.getMarkerSizesMM()).toEqual({ 1: 120, 2: 120 });
+
+    const layout = engine._boardLayout();
+    expect(side(layout[1])).toBeCloseTo(0.12, 9);
+    expect(side(layout[7])).toBeCloseTo(0.04, 9);
+    // Still centred on the layout offsets
+    const c = [0, 1, 2].map(k => layout[1].reduce((s, p) => s + p[k], 0) / 4);
+    expect(c[0]).toBeCloseTo(-0.14, 9);
+
+    expect(engine._minPerimeterForId(1)).toBeCloseTo(120, 9);
+    expect(engine._minPerimeterForId(7)).toBeCloseTo(40, 9);
+    const rejected = engine._collectRejected([], [
+      { id: 1, isValid: true, corners: [[0, 0], [25, 0], [25, 25], [0, 25]] },
+      { id: 7, isValid: true, corners: [[0, 0], [25, 0], [25, 25], [0, 25]] }
+    ]);
+    expect(rejected.map(r => r.id)).toEqual([1]);
+
+    const cfg = worker.sent.filter(m => m.type === 'config' && m.markerLengths);
+    expect(cfg[cfg.length - 1].markerLengths).toEqual({ 1: 0.12, 2: 0.12 });
+    expect(worker.sent[worker.sent.length - 1].boardLayout[1]).toEqual(layout[1]);
+
+    engine.setMarkerSizesMM({ 1: null, 2: null });
+    expect(engine.getMarkerSizesMM()).toEqual({});
+    expect(side(engine._boardLayout()[1])).toBeCloseTo(0.04, 9);
+  });
+});
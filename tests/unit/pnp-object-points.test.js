@@ -0,0 +1,107 @@
+/** @jest-environment jsdom */
+const vm = require('vm');
+const { loadWorker } = require('./helpers/workers.js');
+
+function rotation(ax, ay, az) {
+  const cx = Math.cos(ax), sx = Math.sin(ax), cy = Math.cos(ay), sy = Math.sin(ay), cz = Math.cos(az), sz = Math.sin(az);
+  const mul = (A, B) => A.map(r => [0, 1, 2].map(j => r[0] * B[0][j] + r[1] * B[1][j] + r[2] * B[2][j]));
+  return mul([[cz, -sz, 0], [sz, cz, 0], [0, 0, 1]], mul([[cy, 0, sy], [0, 1, 0], [-sy, 0, cy]], [[1, 0, 0], [0, cx, -sx], [0, sx, cx]]));
+}
+
+function rvecOf(R) {
+  const angle = Math.acos(Math.max(-1, Math.min(1, (R[0][0] + R[1][1] + R[2][2] - 1) / 2)));
+  if (angle < 1e-12) return [0, 0, 0];
+  if (Math.PI - angle < 1e-6) {
+    // Half turn: the axis comes from the diagonal, signs from the off-diagonal terms
+    const a = [0, 1, 2].map(i => Math.sqrt(Math.max(0, (R[i][i] + 1) / 2)));
+    if (R[0][1] + R[1][0] < 0) a[1] = -a[1];
+    if (R[0][2] + R[2][0] < 0) a[2] = -a[2];
+    return a.map(v => v * angle);
+  }
+  const k = angle / (2 * Math.sin(angle));
+  return [(R[2][1] - R[1][2]) * k, (R[0][2] - R[2][0]) * k, (R[1][0] - R[0][1]) * k];
+}
+
+function matrixOf(rvec) {
+  const angle = Math.hypot(...rvec);
+  if (angle < 1e-12) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  const [x, y, z] = rvec.map(v => v / angle), c = Math.cos(angle), s = Math.sin(angle), C = 1 - c;
+  return [
+    [c + x * x * C, x * y * C - z * s, x * z * C + y * s],
+    [y * x * C + z * s, c + y * y * C, y * z * C - x * s],
+    [z * x * C - y * s, z * y * C + x * s, c + z * z * C]
+  ];
+}
+
+const project = (R, t, K, pts) => pts.map(([X, Y, Z]) => {
+  const c = [0, 1, 2].map(k => R[k][0] * X + R[k][1] * Y + R[k][2] * Z + t[k]);
+  return { x: K[0] * c[0] / c[2] + K[2], y: K[4] * c[1] / c[2] + K[5] };
+});
+
+// Just enough of OpenCV.js for solvePnP on one marker: the pose comes from BoardPose over
+// whatever object points the worker passed in, so the test sees the worker's marker frame
+function fakeCv(BoardPose) {
+  class Mat {
+    constructor(data = []) { this.data32F = this.data64F = Array.from(data); }
+    delete() {}
+    static zeros(rows, cols) { return new Mat(new Array(rows * cols).fill(0)); }
+  }
+  const triples = (mat) => [0, 1, 2, 3].map(i => mat.data64F.slice(i * 3, i * 3 + 3));
+  const solve = (obj, img, K, dist, rv, tv) => {
+    const k = K.data64F;
+    const corners = [0, 1, 2, 3].map(i => ({ x: (img.data64F[i * 2] - k[2]) / k[0], y: (img.data64F[i * 2 + 1] - k[5]) / k[4] }));
+    const sol = BoardPose.solve([{ id: 0, corners }], { 0: triples(obj) });
+    if (!sol) return false;
+    rv.data64F = rv.data32F = rvecOf(sol.R);
+    tv.data64F = tv.data32F = sol.t.slice();
+    return true;
+  };
+  return {
+    Mat,
+    CV_32FC2: 13, CV_32FC3: 21, CV_64F: 6, SOLVEPNP_IPPE_SQUARE: 7,
+    matFromArray: (rows, cols, type, data) => new Mat(data),
+    solvePnP: solve,
+    solvePnPRansac: solve,
+    projectPoints: (obj, rv, tv, K, dist, out) => {
+      const pts = project(matrixOf(rv.data64F), tv.data64F, K.data64F, triples(obj));
+      out.data32F = out.data64F = pts.flatMap(p => [p.x, p.y]);
+    }
+  };
+}
+
+// A worker with the fake OpenCV.js in place of the real one
+function withFakeCv(file) {
+  const context = loadWorker(file);
+  context.cv = fakeCv(context.BoardPose);
+  return context;
+}
+
+describe('solvePnP object points', () => {
+  const K = [800, 0, 320, 0, 800, 240, 0, 0, 1];
+  const length = 0.05;
+  const aruco = withFakeCv('aruco-worker.js');
+  const opencv = withFakeCv('opencv-worker.js');
+  const pose = (R, t) => {
+    const corners = project(R, t, K, aruco.IPPE.objectPoints(length).map(([x, y]) => [x, y, 0]));
+    return {
+      aruco: vm.runInContext('solvePnPPose', aruco)(corners, length, K, []),
+      opencv: vm.runInContext('solveMarkerPose', opencv)(corners, length, K, [])
+    };
+  };
+
+  test('both backends report the same pose for the same corners', () => {
+    const R = rotation(0.6, -0.3, 0.2), t = [0.03, -0.02, 0.4];
+    const { aruco: a, opencv: o } = pose(R, t);
+    for (const p of [a, o]) {
+      expect(Math.max(...p.rvec.map((v, i) => Math.abs(v - rvecOf(R)[i])))).toBeLessThan(1e-6);
+      expect(Math.max(...p.tvec.map((v, i) => Math.abs(v - t[i])))).toBeLessThan(1e-6);
+      expect(p.poseError).toBeLessThan(1e-6);
+    }
+  });
+
+  test('a marker facing the camera has R = I, as for IPPE', () => {
+    const { aruco: a, opencv: o } = pose(rotation(0, 0, 0), [0, 0, 0.5]);
+    expect(Math.hypot(...a.rvec)).toBeLessThan(1e-6);
+    expect(Math.hypot(...o.rvec)).toBeLessThan(1e-6);
+  });
+});
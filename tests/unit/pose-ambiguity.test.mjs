@@ -0,0 +1,66 @@
+/** @jest-environment jsdom */
+import * as THREE from 'three';
+global.THREE = THREE;
+import { RestorationEngine } from '../../marker-app/utils/restoration-engine.js';
+import { markerPose } from './helpers/poses.js';
+
+const housePose = (tiltX) => ({
+  position: new THREE.Vector3(0.02, -0.05, -0.45),
+  quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(tiltX, 0.2, 0))
+});
+
+describe('POSIT hypothesis selection', () => {
+  const engine = new RestorationEngine();
+  const truth = housePose(-0.9);
+  const flipped = housePose(-0.5); // the mirrored planar solution, slightly lower error
+
+  const ambiguousMarker = (id) => {
+    const wrong = markerPose(engine, id, flipped), right = markerPose(engine, id, truth);
+    return {
+      id, source: 'posit', ...wrong, poseError: 1.0,
+      hypotheses: [{ ...wrong, poseError: 1.0 }, { ...right, poseError: 1.2 }]
+    };
+  };
+
+  test('previous fused pose picks the continuous hypothesis', () => {
+    const m = markerPose(engine, 7, truth);
+    const back = engine._housePoseFromMarker(7, m.rvec, m.tvec, 'posit');
+    expect(back.position.distanceTo(truth.position)).toBeLessThan(1e-9);
+
+    engine._lastFusedPose = { ...truth, time: 1000 };
+    const { markers, stats } = engine._resolvePoseAmbiguity([ambiguousMarker(7)], 1030);
+    expect(markers[0].hypothesis).toBe(1);
+    expect(markers[0].poseError).toBe(1.2);
+    expect(stats).toMatchObject({ ambiguous: 1, alternative: 1, byId: { 7: { choice: 1, reason: 'temporal' } } });
+  });
+
+  test('without history the other markers decide, and a clear error gap is not ambiguous', () => {
+    engine._lastFusedPose = null;
+    const anchor = { id: 1, source: 'posit', ...markerPose(engine, 1, truth), poseError: 0.8 };
+    const { markers, stats } = engine._resolvePoseAmbiguity([anchor, ambiguousMarker(2)], 2000);
+    expect(markers[1].hypothesis).toBe(1);
+    expect(stats.byId[2]).toEqual({ choice: 1, reason: 'markers' });
+
+    const clear = ambiguousMarker(2);
+    clear.hypotheses[1].poseError = 9;
+    const res = engine._resolvePoseAmbiguity([anchor, clear], 2000);
+    expect(res.markers[1]).toBe(clear);
+    expect(res.stats.ambiguous).toBe(0);
+  });
+
+  test('the picked alternative reaches the fused pose', () => {
+    // POSIT errors 0 and 1: ambiguous, but 1 alone is above the fusion gate
+    const wrong = markerPose(engine, 7, flipped), right = markerPose(engine, 7, truth);
+    const m = {
+      id: 7, source: 'posit', ...wrong, poseError: 0, confidence: 0.9,
+      corners: [[100, 100], [180, 100], [180, 180], [100, 180]],
+      hypotheses: [{ ...wrong, poseError: 0 }, { ...right, poseError: 1 }]
+    };
+    engine.modelGroup = new THREE.Group();
+    engine._lastFusedPose = { ...truth, time: 3000 };
+    engine._applyTrackedPose([m], document.createElement('div'), 3030);
+    expect(engine._lastFusedPose.time).toBe(3030);
+    expect(engine._lastFusedPose.position.distanceTo(truth.position)).toBeLessThan(1e-6);
+    expect(engine._lastFusedPose.quaternion.angleTo(truth.quaternion)).toBeLessThan(1e-6);
+  });
+});
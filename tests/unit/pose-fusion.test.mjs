@@ -0,0 +1,34 @@
+/** @jest-environment jsdom */
+import * as THREE from 'three';
+global.THREE = THREE;
+import { RestorationEngine } from '../../marker-app/utils/restoration-engine.js';
+import { markerPose } from './helpers/poses.js';
+
+const corners = [[100, 100], [180, 100], [180, 180], [100, 180]];
+
+describe('per-marker fusion', () => {
+  const truth = {
+    position: new THREE.Vector3(0.02, -0.05, -0.45),
+    quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(-0.9, 0.2, 0))
+  };
+
+  const fuse = (markers) => {
+    const engine = new RestorationEngine();
+    engine.onLog = () => {};
+    engine.modelGroup = new THREE.Group();
+    const withPoses = markers.map(m => ({ corners, confidence: 0.9, ...markerPose(engine, m.id, truth, m.source), ...m }));
+    engine._applyTrackedPose(withPoses, document.createElement('div'), 1000);
+    return engine._lastFusedPose;
+  };
+
+  test('gates each marker on its solver\'s error scale', () => {
+    // IPPE reports reprojection RMS in px: 1.2 px is a good fit
+    const fused = fuse([{ id: 7, source: 'ippe', poseError: 1.2 }]);
+    expect(fused.position.distanceTo(truth.position)).toBeLessThan(1e-6);
+    expect(fused.quaternion.angleTo(truth.quaternion)).toBeLessThan(1e-6);
+    expect(fuse([{ id: 7, source: 'ippe', poseError: 4 }])).toBeNull();
+    // POSIT's error is 0 when it converges: the same 1.2 is a failed fit
+    expect(fuse([{ id: 7, source: 'posit', poseError: 1.2 }])).toBeNull();
+    expect(fuse([{ id: 7, source: 'posit', poseError: 0 }])).not.toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+/** @jest-environment jsdom */
+import * as THREE from 'three';
+global.THREE = THREE;
+import { RestorationEngine } from '../../marker-app/utils/restoration-engine.js';
+
+const marker = (id, sharpness, exposure = 1) => ({ id, rvec: [0, 0, 0], tvec: [0, 0, 0.5], quality: { sharpness, exposure } });
+
+describe('frame quality gate', () => {
+  test('blur is judged against the same marker\'s recent best', () => {
+    const engine = new RestorationEngine();
+    let t = 0;
+    // Marker 1 is a sharp-scoring pattern, marker 2 a low-scoring one
+    for (let i = 0; i < 5; i++) engine._assessMeasurementQuality([marker(1, 2.0), marker(2, 0.5)], t += 33);
+    const { markers, stats } = engine._assessMeasurementQuality([marker(1, 0.4), marker(2, 0.5)], t += 33);
+    expect(markers.map(m => m.id)).toEqual([2]);
+    expect(markers[0].qualityWeight).toBe(1);
+    expect(stats.degraded).toBe(1);
+
+    // Poor exposure scales the weight down without dropping the marker
+    const dim = engine._assessMeasurementQuality([marker(2, 0.5, 0.4)], t += 33).markers[0];
+    expect(dim.qualityWeight).toBeGreaterThan(0);
+    expect(dim.qualityWeight).toBeLessThan(1);
+  });
+
+  test('skips fully degraded frames only for a short run', () => {
+    const engine = new RestorationEngine();
+    engine._hasFirstPose = true;
+    engine.setQualityGate({ maxSkipMs: 100 });
+    engine._assessMeasurementQuality([marker(3, 1.0)], 0);
+    expect(engine._assessMeasurementQuality([marker(3, 0.1)], 33).skip).toBe(true);
+    expect(engine._assessMeasurementQuality([marker(3, 0.1)], 100).skip).toBe(true);
+    const late = engine._assessMeasurementQuality([marker(3, 0.1)], 200);
+    expect(late.skip).toBe(false);
+    expect(late.markers[0].qualityWeight).toBe(0.05);
+
+    engine.setQualityGate({ enabled: false });
+    const off = engine._assessMeasurementQuality([marker(3, 0.1)], 233);
+    expect(off.markers[0].qualityWeight).toBe(1);
+  });
+});
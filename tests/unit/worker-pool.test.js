@@ -0,0 +1,108 @@
+/** @jest-environment node */
+
+import { DetectionWorkerPool } from '../../marker-app/utils/worker-pool.js';
+import { FakeWorker } from './helpers/fixtures.js';
+
+function makePool(opts = {}) {
+  const workers = [];
+  const received = [];
+  const pool = new DetectionWorkerPool(Object.assign({
+    hardwareConcurrency: 8,
+    createWorker: () => { const w = new FakeWorker(); workers.push(w); return w; },
+    onMessage: (d) => received.push(d)
+  }, opts));
+  return { pool, workers, received };
+}
+
+const send = (pool, t) => {
+  const slot = pool.reserve(t);
+  if (slot >= 0) pool.submit(slot, { type: 'frame', captureTime: t });
+  return slot;
+};
+
+describe('DetectionWorkerPool', () => {
+  test('round-robin frames and results released in capture order', () => {
+    const { pool, workers, received } = makePool({ size: 3 });
+    pool.postMessage({ type: 'init', markerLength: 0.04 });
+    workers.forEach(w => w.emit({ type: 'ready' }));
+    expect(received.filter(d => d.type === 'ready')).toHaveLength(1);
+
+    expect([send(pool, 10), send(pool, 20), send(pool, 30), send(pool, 40)]).toEqual([0, 1, 2, -1]);
+    // the newest frame finishes first: held back until the older ones are in
+    workers[2].emit({ type: 'result', captureTime: 30 });
+    workers[1].emit({ type: 'result', captureTime: 20 });
+    expect(received.filter(d => d.type === 'result')).toEqual([]);
+    workers[0].emit({ type: 'result', captureTime: 10 });
+    expect(received.filter(d => d.type === 'result').map(d => d.captureTime)).toEqual([10, 20, 30]);
+    expect(workers[0].frames()).toHaveLength(1);
+  });
+
+  test('a frame that never answers is given up and its late result dropped as stale', () => {
+    const { pool, workers, received } = makePool({ size: 2, frameTimeout: 100 });
+    workers.forEach(w => w.emit({ type: 'ready' }));
+    const realNow = performance.now;
+    let clock = 0;
+    performance.now = () => clock;
+    try {
+      send(pool, 0);
+      send(pool, 10);
+      workers[1].emit({ type: 'result', captureTime: 10 });
+      expect(received.filter(d => d.type === 'result')).toEqual([]);
+      clock = 200;
+      expect(pool.reserve(200)).toBe(0); // the silent worker is reusable again
+      expect(received.filter(d => d.type === 'result').map(d => d.captureTime)).toEqual([10]);
+      workers[0].emit({ type: 'result', captureTime: 0 });
+      expect(received.filter(d => d.type === 'result')).toHaveLength(1);
+      expect(pool.getStats().dropped).toBe(1);
+    } finally {
+      performance.now = realNow;
+    }
+  });
+
+  test('an error gives up only the frame it names', () => {
+    const { pool, workers, received } = makePool({ size: 1, frameTimeout: 100 });
+    workers[0].emit({ type: 'ready' });
+    const realNow = performance.now;
+    let clock = 0;
+    performance.now = () => clock;
+    try {
+      send(pool, 0);
+      clock = 200;
+      expect(send(pool, 200)).toBe(0); // frame 0 expired, the worker took frame 200
+      // the late error for frame 0 must not give up frame 200
+      workers[0].emit({ type: 'error', error: 'boom', captureTime: 0 });
+      expect(pool.inFlight).toBe(1);
+      expect(pool.reserve(210)).toBe(-1);
+      workers[0].emit({ type: 'error', error: 'boom', captureTime: 200 });
+      expect(pool.inFlight).toBe(0);
+      expect(pool.reserve(220)).toBe(0);
+      expect(received.filter(d => d.type === 'error').map(d => d.captureTime)).toEqual([0, 200]);
+    } finally {
+      performance.now = realNow;
+    }
+  });
+
+  test('auto size grows while detection is slower than the frame interval, capped by cores', () => {
+    const { pool, workers } = makePool({ size: 'auto', hardwareConcurrency: 3, adaptEvery: 1 });
+    pool.postMessage({ type: 'config', dictionaryName: 'ARUCO_4X4_50' });
+    pool.frameInterval = 20;
+    expect(pool.size).toBe(1);
+    expect(pool.maxSize).toBe(2);
+    workers[0].emit({ type: 'ready' });
+    const realNow = performance.now;
+    let clock = 0;
+    performance.now = () => clock;
+    try {
+      for (let i = 0; i < 3; i++) {
+        send(pool, clock);
+        clock += 50;
+        workers[0].emit({ type: 'result', captureTime: clock - 50 });
+      }
+    } finally {
+      performance.now = realNow;
+    }
+    expect(pool.size).toBe(2);
+    // the new worker got the settings broadcast before it was added
+    expect(workers[1].sent).toEqual([{ type: 'config', dictionaryName: 'ARUCO_4X4_50' }]);
+  });
+});